@@ -3,10 +3,14 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { initDb } from '../database/config/db.js';
 import { SmartSeeder } from './services/smartSeeder.js';
+import { AnalysisRunService, setRunSourceFilesProvider } from './services/analysisRuns.js';
 import discrepancyRoutes from './routes/prsMdmsDiscrepancyRoutes.js';
 import duplicateRoutes from './routes/prsMdmsDuplicateRoutes.js';
+import datasetRoutes from './routes/prsMdmsDatasetRoutes.js';
 import smartSeederRoutes from './routes/smartSeederRoutes.js';
 import { setSmartSeederInstance } from './controllers/prsMdmsController.js';
+import { WORKBOOK_UPLOAD_LIMIT } from './services/workbookComparison.js';
+import { INGESTION_FILE_PATTERN } from '../database/ingestion/ingestionReaders.js';
 
 // Load environment variables
 dotenv.config();
@@ -16,6 +20,8 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// Workbook comparison takes base64 workbooks, so its JSON bodies get a larger limit
+app.use('/api/discrepancies/compare-workbooks', express.json({ limit: WORKBOOK_UPLOAD_LIMIT }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -23,13 +29,22 @@ app.use(express.urlencoded({ extended: true }));
 const smartSeeder = new SmartSeeder({
   watchDirectory: './database/excel', // Fixed to match your actual file location
   seederPath: 'database/ingestion/prsMdmsDataSeeder.js',
-  filePattern: /\.(xlsx|xls)$/i,
-  debounceTime: 3000
+  filePattern: INGESTION_FILE_PATTERN,
+  debounceTime: 3000,
+  // Store an analysis run for every new dataset so runs can be diffed
+  onSeedComplete: (seeder) => new AnalysisRunService().recordRun({
+    sourceFiles: seeder.getSourceFileHashes(),
+    trigger: 'seed'
+  })
 });
 
+// Runs recorded by plain analyses carry the seeded files' hashes too
+setRunSourceFilesProvider(() => smartSeeder.getSourceFileHashes());
+
 // Routes
 app.use('/api/discrepancies', discrepancyRoutes);
 app.use('/api/duplicates', duplicateRoutes);
+app.use('/api/datasets', datasetRoutes);
 app.use('/api/seeder', smartSeederRoutes);
 
 // Health check endpoint
@@ -43,8 +58,31 @@ app.get('/health', (req, res) => {
       'Automatic Whitespace Cleanup',
       'Intelligent Seeding',
       'Discrepancy Detection',
+      'Composite Coach Validation',
+      'Analysis Run History',
+      'Discrepancy Review Workflow',
+      'Fuzzy Coach Code Matching',
+      'Coach-Level Rollup',
+      'Paged Discrepancy and Duplicate Lists',
+      'Cached Analysis Results',
       'Duplicate Analysis',
       'Excel Export',
+      'Streaming CSV/NDJSON Export',
+      'Reconciliation Patch Scripts',
+      'Audited Discrepancy Fixes',
+      'Weighted Data Quality Scores',
+      'Quality Trend Analytics',
+      'Single-Table Validation Rules',
+      'Coach Layout Templates',
+      'Class Alias Dictionary',
+      'Stateless Workbook Comparison',
+      'Versioned Datasets',
+      'Exact and Conflicting Duplicates',
+      'Audited Duplicate Resolution',
+      'Normalised Near-Duplicate Detection',
+      'Header-Driven Column Mapping',
+      'CSV and JSON Ingestion',
+      'Row-Level Ingestion Validation',
       'Manual Seeder Control'
     ],
     timestamp: new Date().toISOString()
@@ -65,6 +103,7 @@ app.get('/api', (req, res) => {
         main: 'GET /api/seeder/',
         status: 'GET /api/seeder/status',
         config: 'GET /api/seeder/config',
+        mappings: 'GET /api/seeder/mappings',
         history: 'GET /api/seeder/history',
         forceSeeding: 'POST /api/seeder/force',
         resetHashes: 'POST /api/seeder/reset',
@@ -76,10 +115,37 @@ app.get('/api', (req, res) => {
         summary: 'GET /api/discrepancies/summary',
         all: 'GET /api/discrepancies/all',
         detailedSummary: 'GET /api/discrepancies/detailed-summary',
-        byType: 'GET /api/discrepancies/type/{TYPE_MISMATCH|MISSING_IN_PRS|MISSING_IN_MDMS}',
+        quality: 'GET /api/discrepancies/quality?weights=completeness:0.4,typeAgreement:0.3,uniqueness:0.2,compositeConsistency:0.1',
+        trends: 'GET /api/discrepancies/trends?rule={name}&from={date}&to={date}&coachCode={coachCode}',
+        validationRules: 'GET /api/discrepancies/validation-rules',
+        coachLayouts: 'GET /api/discrepancies/layouts',
+        ruleViolations: 'GET /api/discrepancies/rule-violations?severity={error|warning|info}&ruleId={id}&table={prs|mdms}',
+        byType: 'GET /api/discrepancies/type/{TYPE_MISMATCH|MISSING_IN_PRS|MISSING_IN_MDMS|COMPOSITE_FLAG_MISMATCH|COMPOSITE_BERTH_CLASS|COMPOSITE_CLASS_CONFLICT|LAYOUT_GAP|LAYOUT_EXTRA_BERTH|LAYOUT_PATTERN_BREAK}',
         byCoach: 'GET /api/discrepancies/coach/{coachCode}',
+        coachRollup: 'GET /api/discrepancies/rollup?status={FULLY_MISSING_IN_MDMS|FULLY_MISSING_IN_PRS|PARTIALLY_MISSING|TYPE_MISMATCHED|LAYOUT_ISSUES|COMPOSITE_ISSUES|CLEAN}',
+        suggestedMatches: 'GET /api/discrepancies/suggested-matches?minConfidence={0-1}&perCode={n}',
+        reviews: 'GET /api/discrepancies/reviews?status={open|acknowledged|assigned|resolved|waived}',
+        review: 'GET|PATCH /api/discrepancies/review/{discrepancyId}',
         export: 'GET /api/discrepancies/export/excel?detailed=true',
+        streamExport: 'GET /api/discrepancies/export/{csv|ndjson}',
+        patchScript: 'POST /api/discrepancies/patch-script (deletes only with allowDeletes: true)',
+        applyFixes: 'POST /api/discrepancies/apply',
+        fixBatches: 'GET /api/discrepancies/fixes',
+        analyze: 'POST /api/discrepancies/analyze',
+        compareWorkbooks: 'POST /api/discrepancies/compare-workbooks?profile={mapping profile} (raw .xlsx, or JSON { workbook | prsWorkbook + mdmsWorkbook (base64), profile })',
+        matchRules: 'GET /api/discrepancies/rules',
+        saveMatchRule: 'PUT /api/discrepancies/rules/{name}',
+        mappings: 'GET|POST /api/discrepancies/mappings',
+        mapping: 'GET|PUT|DELETE /api/discrepancies/mappings/{id}',
+        classAliases: 'GET|POST /api/discrepancies/class-aliases',
+        classAlias: 'GET|PUT|DELETE /api/discrepancies/class-aliases/{id}',
+        unmappedClasses: 'GET /api/discrepancies/class-aliases/unmapped',
         download: 'GET /api/discrepancies/download/{fileName}',
+        runs: 'GET|POST /api/discrepancies/runs',
+        run: 'GET /api/discrepancies/runs/{runId}',
+        compareRuns: 'GET /api/discrepancies/runs/compare?base={runId}&target={runId}',
+        cache: 'GET /api/discrepancies/cache',
+        invalidateCache: 'POST /api/discrepancies/cache/invalidate',
         simulate: 'POST /api/discrepancies/simulate',
         restore: 'POST /api/discrepancies/restore'
       },
@@ -88,12 +154,27 @@ app.get('/api', (req, res) => {
         summary: 'GET /api/duplicates/summary',
         all: 'GET /api/duplicates/all',
         detailedSummary: 'GET /api/duplicates/detailed-summary',
-        byType: 'GET /api/duplicates/type/{WITHIN_PRS|WITHIN_MDMS|CROSS_TABLE}',
+        byType: 'GET /api/duplicates/type/{WITHIN_PRS|WITHIN_MDMS|CONFLICT_WITHIN_PRS|CONFLICT_WITHIN_MDMS|CROSS_TABLE}',
         byCoach: 'GET /api/duplicates/coach/{coachCode}',
+        near: 'GET /api/duplicates/near?rule={name} (groups on the rule\'s normalised keys, default rule: normalised)',
         export: 'GET /api/duplicates/export/excel',
+        streamExport: 'GET /api/duplicates/export/{csv|ndjson}',
+        resolve: 'POST /api/duplicates/resolve ({ table, coachCode, class, berthNumber, serialNumbers } or { type }, strategy=lowest_serial|latest|explicit, action=archive|delete, preview)',
+        resolutions: 'GET /api/duplicates/resolutions',
+        resolution: 'GET /api/duplicates/resolutions/{resolutionId}',
         download: 'GET /api/duplicates/download/{fileName}'
+      },
+      datasets: {
+        list: 'GET /api/datasets (seeds keep the newest DATASET_RETENTION unnamed versions, default 10)',
+        snapshot: 'POST /api/datasets (stores the current tables as a new version)',
+        dataset: 'GET|DELETE /api/datasets/{version|name}',
+        ingestionReport: 'GET /api/datasets/{version|name}/ingestion-report (rows rejected or coerced by the ingestion schema)',
+        rejectedRows: 'GET /api/datasets/{version|name}/ingestion-report/export/excel (Rejected Rows workbook)',
+        download: 'GET /api/datasets/download/{fileName}'
       }
-    }
+    },
+    listParameters: '?coachCode=&class=&berthFrom=&berthTo=&type=&sort=&order=asc|desc&pageSize=&cursor= on the all, type and coach lists of discrepancies and duplicates (filters and sorting also apply to the csv/ndjson exports)',
+    datasetParameters: '?dataset={version|name} (both tables), ?prsDataset= and ?mdmsDataset= (one table, \'current\' for the live table) on the discrepancy, duplicate and export endpoints'
   });
 });
 
@@ -119,7 +200,8 @@ app.use('*checkall', (req, res) => {
       '/api',
       '/api/seeder/*',
       '/api/discrepancies/*',
-      '/api/duplicates/*'
+      '/api/duplicates/*',
+      '/api/datasets/*'
     ],
     timestamp: new Date().toISOString()
   });
@@ -1,16 +1,67 @@
-import { DiscrepancyService, DuplicateService } from '../services/prsMdms.js';
+import {
+  DiscrepancyService,
+  DuplicateService,
+  DISCREPANCY_TYPES,
+  DISCREPANCY_SORT_COLUMNS,
+  DUPLICATE_SORT_COLUMNS,
+  DEFAULT_NEAR_DUPLICATE_RULE,
+  buildDiscrepancyKey
+} from '../services/prsMdms.js';
 import { SimulationService } from '../services/simulateChangesPrsMdms.js';
 import { SmartSeeder } from '../services/smartSeeder.js';
+import { BerthTypeMappingService } from '../services/berthTypeMappings.js';
+import { ClassAliasService } from '../services/classAliases.js';
+import { AnalysisRunService } from '../services/analysisRuns.js';
+import { DiscrepancyReviewService, REVIEW_STATUSES } from '../services/discrepancyReviews.js';
+import { COACH_STATUSES } from '../services/coachRollup.js';
+import { MAX_PAGE_SIZE, decodeCursor } from '../services/listQuery.js';
+import { getDataVersion, bumpDataVersion, getCacheStatus } from '../services/analysisCache.js';
+import { toCsvLine, writeChunk } from '../services/streamExport.js';
+import { QUALITY_DIMENSIONS, validateQualityWeights } from '../services/qualityScoring.js';
+import { QualityTrendService } from '../services/qualityTrends.js';
+import { ValidationRuleService, RULE_SEVERITIES } from '../services/validationRules.js';
+import { loadCoachLayouts } from '../services/coachLayouts.js';
+import { ReconciliationService, DEFAULT_SOURCES_OF_TRUTH, SOURCE_OF_TRUTH_VALUES } from '../services/reconciliation.js';
+import { WorkbookComparisonService, resolveComparisonSheets } from '../services/workbookComparison.js';
+import { DatasetService, validateDatasetName } from '../services/datasets.js';
+import { DuplicateResolutionService, SURVIVOR_STRATEGIES, RESOLUTION_ACTIONS, BULK_RESOLUTION_TYPES } from '../services/duplicateResolution.js';
+import { IngestionReportService } from '../services/ingestionReports.js';
+import { loadWorkbook, readWorkbookSheets, detectFileType } from '../../database/ingestion/ingestionReaders.js';
+import { loadColumnMappings, resolveMappingProfile } from '../../database/ingestion/columnMappings.js';
+import { MatchRuleService, PRESET_MATCH_RULES, DEFAULT_MATCH_RULE, validateMatchRule } from '../services/matchRules.js';
 import fs from 'fs';
 import path from 'path';
 
 const discrepancyService = new DiscrepancyService();
 const duplicateService = new DuplicateService();
 const simulationService = new SimulationService();
+const matchRuleService = new MatchRuleService();
+const berthTypeMappingService = new BerthTypeMappingService();
+const classAliasService = new ClassAliasService();
+const analysisRunService = new AnalysisRunService();
+const reviewService = new DiscrepancyReviewService();
+const reconciliationService = new ReconciliationService();
+const qualityTrendService = new QualityTrendService();
+const validationRuleService = new ValidationRuleService();
+const workbookComparisonService = new WorkbookComparisonService();
+const datasetService = new DatasetService();
+const duplicateResolutionService = new DuplicateResolutionService();
+const ingestionReportService = new IngestionReportService();
 
 // Smart Seeder instance holder
 let smartSeederInstance = null;
 
+/**
+ * Parse a numeric route id (e.g. a mapping's :id), returning null unless it is a positive integer
+ */
+const parseIdParam = (value) => (/^\d+$/.test(value) && Number(value) <= 2147483647 ? Number(value) : null);
+
+const sendInvalidId = (res, label) => res.status(400).json({
+  success: false,
+  error: `Invalid ${label} id`,
+  message: 'id must be a positive integer'
+});
+
 // ==================== SMART SEEDER INSTANCE MANAGEMENT ====================
 
 /**
@@ -47,7 +98,7 @@ export const getSeederStatus = async (req, res) => {
     
     if (fs.existsSync(watchDir)) {
       const files = fs.readdirSync(watchDir)
-        .filter(file => seeder.config.filePattern.test(file));
+        .filter(file => seeder.isSeedFile(file));
       
       for (const file of files) {
         const filePath = path.join(watchDir, file);
@@ -57,6 +108,7 @@ export const getSeederStatus = async (req, res) => {
         fileDetails.push({
           name: file,
           path: filePath,
+          fileType: detectFileType(file),
           size: stats.size,
           lastModified: stats.mtime,
           hash: hash,
@@ -170,6 +222,7 @@ export const getSeederConfig = async (req, res) => {
       watchDirectory: seeder.config.watchDirectory,
       seederPath: seeder.config.seederPath,
       filePattern: seeder.config.filePattern.toString(),
+      namePattern: seeder.config.namePattern.toString(),
       debounceTime: seeder.config.debounceTime,
       hashFile: seeder.config.hashFile,
       isActive: seeder.watchers.length > 0,
@@ -192,6 +245,27 @@ export const getSeederConfig = async (req, res) => {
   }
 };
 
+/**
+ * Get the column mapping profiles used to read PRS and MDMS workbooks
+ */
+export const getColumnMappings = async (req, res) => {
+  try {
+    const mappings = loadColumnMappings();
+    res.json({
+      success: true,
+      data: mappings,
+      message: `Found ${mappings.profiles.length} column mapping profiles (default: ${mappings.defaultProfile})`
+    });
+  } catch (error) {
+    console.error('Error getting column mappings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get column mappings',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Get seeding history/logs
  */
@@ -210,7 +284,8 @@ export const getSeedingHistory = async (req, res) => {
       configuration: {
         watchDirectory: seeder.config.watchDirectory,
         debounceTime: seeder.config.debounceTime,
-        filePattern: seeder.config.filePattern.toString()
+        filePattern: seeder.config.filePattern.toString(),
+        namePattern: seeder.config.namePattern.toString()
       }
     };
 
@@ -333,6 +408,232 @@ export const checkForChanges = async (req, res) => {
   }
 };
 
+// ==================== MATCH RULE RESOLUTION ====================
+
+/**
+ * Resolve the match rule for a request: an inline `matchRule` in the body,
+ * a named rule via ?rule=<name>, or `fallbackRule` (the default rule)
+ */
+const resolveMatchRule = async (req, fallbackRule = DEFAULT_MATCH_RULE) => {
+  const inlineRule = req.body?.matchRule;
+  if (inlineRule) {
+    const errors = validateMatchRule(inlineRule);
+    return errors.length > 0 ? { errors } : { matchRule: { name: 'custom', ...inlineRule } };
+  }
+
+  const ruleName = req.body?.rule || req.query.rule;
+  if (!ruleName) {
+    return { matchRule: fallbackRule };
+  }
+
+  const matchRule = await matchRuleService.getRule(ruleName);
+  return matchRule ? { matchRule } : { errors: [`Unknown match rule '${ruleName}'`] };
+};
+
+/**
+ * Send a 400 response for an invalid or unknown match rule
+ */
+const sendMatchRuleError = (res, errors) => {
+  res.status(400).json({
+    success: false,
+    error: 'Invalid match rule',
+    message: errors.join('; ')
+  });
+};
+
+// ==================== DATASET RESOLUTION ====================
+
+/**
+ * Resolve the dataset versions a request analyses: ?dataset=<version or name>
+ * for both tables, ?prsDataset and ?mdmsDataset for one of them ('current' is
+ * the live table). Resolves to { selection }, null for the live tables, or { errors }.
+ */
+const resolveDatasetSelection = (req) => {
+  const param = (name) => req.body?.[name] ?? req.query[name];
+  return datasetService.resolveSelection({
+    dataset: param('dataset'),
+    prsDataset: param('prsDataset'),
+    mdmsDataset: param('mdmsDataset')
+  });
+};
+
+/**
+ * Send a 400 response for an invalid or unknown dataset
+ */
+const sendDatasetError = (res, errors) => {
+  res.status(400).json({
+    success: false,
+    error: 'Invalid dataset',
+    message: errors.join('; ')
+  });
+};
+
+/**
+ * Run `work` with the analysis services for a dataset selection: the shared
+ * services for the live tables, otherwise services reading the stored versions
+ */
+const withDataset = (selection, work) => selection
+  ? datasetService.withDatasets(selection, work)
+  : work({ discrepancyService, duplicateService, validationRuleService });
+
+// ==================== LIST QUERY PARSING ====================
+
+const LIST_PARAMS = ['coachCode', 'class', 'berthFrom', 'berthTo', 'type', 'sort', 'order', 'pageSize', 'cursor'];
+const DUPLICATE_TYPES = ['WITHIN_PRS', 'WITHIN_MDMS', 'CONFLICT_WITHIN_PRS', 'CONFLICT_WITHIN_MDMS', 'CROSS_TABLE'];
+
+/**
+ * True when a list request asks for filtering or paging. Requests without
+ * these parameters keep the original full, unpaged response.
+ */
+const isListQuery = (req) => LIST_PARAMS.some(param => req.query[param] !== undefined);
+
+/**
+ * Parse list parameters into service options, returning { options } or { errors }.
+ * ?type accepts a comma-separated list.
+ */
+const parseListQuery = (req, { sortColumns, types }) => {
+  const { coachCode, class: coachClass, berthFrom, berthTo, type, sort, order, pageSize, cursor } = req.query;
+  const params = { coachCode, class: coachClass, berthFrom, berthTo, type, sort, order, pageSize, cursor };
+
+  // A repeated parameter (?coachCode=a&coachCode=b) arrives as an array
+  const repeated = Object.keys(params).filter(name => params[name] !== undefined && typeof params[name] !== 'string');
+  if (repeated.length > 0) {
+    return { errors: repeated.map(name => `${name} must be given once, as a single value`) };
+  }
+
+  const errors = [];
+  const options = { coachCode, class: coachClass };
+
+  for (const [name, value] of [['berthFrom', berthFrom], ['berthTo', berthTo]]) {
+    if (value === undefined) continue;
+    if (!/^\d+$/.test(value)) {
+      errors.push(`${name} must be a non-negative integer`);
+    } else {
+      options[name] = Number(value);
+    }
+  }
+
+  if (type !== undefined) {
+    options.types = String(type).split(',').map(t => t.trim()).filter(Boolean);
+    const unknown = options.types.filter(t => !types.includes(t));
+    if (unknown.length > 0) {
+      errors.push(`Unknown type ${unknown.join(', ')}; must be one of: ${types.join(', ')}`);
+    }
+  }
+
+  if (sort !== undefined && !Object.hasOwn(sortColumns, sort)) {
+    errors.push(`sort must be one of: ${Object.keys(sortColumns).join(', ')}`);
+  }
+  if (order !== undefined && !['asc', 'desc'].includes(order)) {
+    errors.push('order must be asc or desc');
+  }
+  options.sort = sort;
+  options.order = order;
+
+  if (pageSize !== undefined) {
+    options.pageSize = Number(pageSize);
+    if (!Number.isInteger(options.pageSize) || options.pageSize < 1 || options.pageSize > MAX_PAGE_SIZE) {
+      errors.push(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  if (cursor !== undefined) {
+    options.offset = decodeCursor(cursor);
+    if (options.offset === null) {
+      errors.push('cursor is not valid');
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { options };
+};
+
+/**
+ * Send a 400 response for invalid list parameters
+ */
+const sendListQueryError = (res, errors) => {
+  res.status(400).json({
+    success: false,
+    error: 'Invalid list parameters',
+    message: errors.join('; ')
+  });
+};
+
+// ==================== STREAMED EXPORTS ====================
+
+const STREAM_FORMATS = ['csv', 'ndjson'];
+
+const DISCREPANCY_EXPORT_COLUMNS = [
+  'discrepancyId', 'serialNo', 'coachCode', 'prsClass', 'mdmsClass', 'berthNumber',
+  'berthType', 'berthQualifier', 'discrepancyType', 'details', 'status', 'assignee', 'comment'
+];
+const RULE_VIOLATION_EXPORT_COLUMNS = [
+  'ruleId', 'severity', 'table', 'rowId', 'serialNo', 'coachCode', 'class',
+  'berthNumber', 'berthType', 'field', 'value', 'details'
+];
+const DUPLICATE_EXPORT_COLUMNS = {
+  duplicateType: 'duplicate_type',
+  coachCode: 'coach_code',
+  class: 'class',
+  berthNumber: 'berth_number',
+  berthType: 'berth_type',
+  berthQualifier: 'berth_qualifier',
+  duplicateCount: 'duplicate_count',
+  prsCount: 'prs_count',
+  mdmsCount: 'mdms_count',
+  prsSerialNumbers: 'prs_serial_numbers',
+  mdmsSerialNumbers: 'mdms_serial_numbers',
+  variantCount: 'variant_count',
+  conflictingValues: 'conflicting_values'
+};
+
+/**
+ * Stream rows to the response as CSV or NDJSON. `run(onBatch)` feeds batches of
+ * rows; `toCsvValues` and `toJson` turn one row into a CSV line or JSON object.
+ * The download headers go out with the first chunk, so an export that fails
+ * before any row is read still gets a JSON error; after that, errors can only
+ * abort the connection.
+ */
+const sendStreamedExport = async (res, { format, fileName, header, run, toCsvValues, toJson }) => {
+  let started = false;
+  const send = async (chunk) => {
+    if (!started) {
+      started = true;
+      res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+      if (format === 'csv') chunk = toCsvLine(header) + chunk;
+    }
+    await writeChunk(res, chunk);
+  };
+
+  try {
+    const rowCount = await run(async (rows) => {
+      if (res.destroyed) return false;
+      const chunk = format === 'csv'
+        ? rows.map(row => toCsvLine(toCsvValues(row))).join('')
+        : rows.map(row => JSON.stringify(toJson(row)) + '\n').join('');
+      await send(chunk);
+      return !res.destroyed;
+    });
+
+    // An empty export is still a file (with just the CSV header)
+    if (!started) await send('');
+    res.end();
+    console.log(`📤 Streamed ${rowCount} rows to ${fileName}.${format}`);
+  } catch (error) {
+    console.error('Error streaming export:', error);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stream export',
+        message: error.message
+      });
+    } else {
+      res.destroy(error);
+    }
+  }
+};
+
 // ==================== DISCREPANCY CONTROLLERS ====================
 
 /**
@@ -340,11 +641,32 @@ export const checkForChanges = async (req, res) => {
  */
 export const getAllDiscrepancies = async (req, res) => {
   try {
-    const result = await discrepancyService.findDiscrepancies();
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    if (isListQuery(req)) {
+      const { options, errors: listErrors } = parseListQuery(req, {
+        sortColumns: DISCREPANCY_SORT_COLUMNS,
+        types: Object.keys(DISCREPANCY_TYPES)
+      });
+      if (listErrors) return sendListQueryError(res, listErrors);
+
+      const page = await withDataset(selection, ({ discrepancyService }) => discrepancyService.listDiscrepancies({ ...options, matchRule }));
+      return res.status(200).json({
+        success: true,
+        data: page,
+        message: `Showing ${page.count} of ${page.totalCount} discrepancies`
+      });
+    }
+
+    const result = await withDataset(selection, ({ discrepancyService }) => discrepancyService.findDiscrepancies({ matchRule }));
     res.status(200).json({
       success: true,
       data: result,
-      message: `Found ${result.totalDiscrepancies} discrepancies`
+      message: `Found ${result.totalDiscrepancies} discrepancies and ${result.totalLayoutIssues} layout issues`
     });
   } catch (error) {
     console.error('Error getting all discrepancies:', error);
@@ -361,7 +683,13 @@ export const getAllDiscrepancies = async (req, res) => {
  */
 export const getDiscrepancySummary = async (req, res) => {
   try {
-    const summary = await discrepancyService.getDiscrepancySummary();
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    const summary = await withDataset(selection, ({ discrepancyService }) => discrepancyService.getDiscrepancySummary({ matchRule }));
     res.status(200).json({
       success: true,
       data: summary,
@@ -383,21 +711,43 @@ export const getDiscrepancySummary = async (req, res) => {
 export const getDiscrepanciesByType = async (req, res) => {
   try {
     const { type } = req.params;
-    if (!['TYPE_MISMATCH', 'MISSING_IN_PRS', 'MISSING_IN_MDMS'].includes(type)) {
+    if (!DISCREPANCY_TYPES[type]) {
       return res.status(400).json({
         success: false,
         error: 'Invalid discrepancy type',
-        message: 'Type must be one of: TYPE_MISMATCH, MISSING_IN_PRS, MISSING_IN_MDMS'
+        message: `Type must be one of: ${Object.keys(DISCREPANCY_TYPES).join(', ')}`
+      });
+    }
+
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    if (isListQuery(req)) {
+      const { options, errors: listErrors } = parseListQuery(req, {
+        sortColumns: DISCREPANCY_SORT_COLUMNS,
+        types: [type]
+      });
+      if (listErrors) return sendListQueryError(res, listErrors);
+
+      const page = await withDataset(selection, ({ discrepancyService }) => discrepancyService.listDiscrepancies({ ...options, types: [type], matchRule }));
+      return res.status(200).json({
+        success: true,
+        data: { type, ...page },
+        message: `Showing ${page.count} of ${page.totalCount} discrepancies of type ${type}`
       });
     }
 
-    const discrepancies = await discrepancyService.getDiscrepanciesByType(type);
+    const { discrepancies, cache } = await withDataset(selection, ({ discrepancyService }) => discrepancyService.getDiscrepanciesByType(type, { matchRule }));
     res.status(200).json({
       success: true,
       data: {
         type,
         count: discrepancies.length,
-        discrepancies
+        discrepancies,
+        cache
       },
       message: `Found ${discrepancies.length} discrepancies of type ${type}`
     });
@@ -425,7 +775,28 @@ export const getDiscrepanciesForCoachCode = async (req, res) => {
       });
     }
 
-    const result = await discrepancyService.getDiscrepanciesForCoachCode(coachCode);
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    if (isListQuery(req)) {
+      const { options, errors: listErrors } = parseListQuery(req, {
+        sortColumns: DISCREPANCY_SORT_COLUMNS,
+        types: Object.keys(DISCREPANCY_TYPES)
+      });
+      if (listErrors) return sendListQueryError(res, listErrors);
+
+      const page = await withDataset(selection, ({ discrepancyService }) => discrepancyService.listDiscrepancies({ ...options, coachCode, matchRule }));
+      return res.status(200).json({
+        success: true,
+        data: { coachCode, ...page },
+        message: `Showing ${page.count} of ${page.totalCount} discrepancies for coach code ${coachCode}`
+      });
+    }
+
+    const result = await withDataset(selection, ({ discrepancyService }) => discrepancyService.getDiscrepanciesForCoachCode(coachCode, { matchRule }));
     res.status(200).json({
       success: true,
       data: result,
@@ -442,205 +813,1936 @@ export const getDiscrepanciesForCoachCode = async (req, res) => {
 };
 
 /**
- * Get detailed discrepancy summary with analytics
+ * Get the coach-level rollup (?status=PARTIALLY_MISSING&includeDiscrepancies=true)
  */
-export const getDetailedSummary = async (req, res) => {
+export const getCoachRollup = async (req, res) => {
   try {
-    const detailedSummary = await discrepancyService.getDetailedSummary();
+    const { status } = req.query;
+    if (status && !COACH_STATUSES[status]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid coach status',
+        message: `Status must be one of: ${Object.keys(COACH_STATUSES).join(', ')}`
+      });
+    }
+
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    const result = await withDataset(selection, ({ discrepancyService }) => discrepancyService.getCoachRollup({
+      matchRule,
+      status,
+      includeDiscrepancies: req.query.includeDiscrepancies === 'true'
+    }));
     res.status(200).json({
       success: true,
-      data: detailedSummary,
-      message: `Detailed analysis complete. Data quality score: ${detailedSummary.overview.dataQualityScore}%`
+      data: result,
+      message: `Rolled up discrepancies for ${result.totalCoaches} coaches`
     });
   } catch (error) {
-    console.error('Error getting detailed summary:', error);
+    console.error('Error getting coach rollup:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve detailed summary',
+      error: 'Failed to build coach rollup',
       message: error.message
     });
   }
 };
 
 /**
- * Export discrepancies to Excel file
+ * List reviewed discrepancies (?status=, ?assignee=)
  */
-export const exportDiscrepanciesToExcel = async (req, res) => {
+export const getDiscrepancyReviews = async (req, res) => {
   try {
-    const includeDetailedSummary = req.query.detailed === 'true';
-    console.log('📊 Generating Excel report...');
-    const fileName = await discrepancyService.exportDiscrepanciesToExcel(includeDetailedSummary);
+    const { status, assignee } = req.query;
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `Status must be one of: ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const reviews = await reviewService.listReviews({ status, assignee });
     res.status(200).json({
       success: true,
-      data: {
-        fileName,
-        downloadUrl: `/api/discrepancies/download/${fileName}`,
-        includeDetailedSummary
-      },
-      message: `Excel report generated successfully: ${fileName}`
+      data: reviews,
+      message: `Found ${reviews.length} reviewed discrepancies`
     });
   } catch (error) {
-    console.error('Error exporting to Excel:', error);
+    console.error('Error listing discrepancy reviews:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to export to Excel',
+      error: 'Failed to retrieve discrepancy reviews',
       message: error.message
     });
   }
 };
 
-// ==================== DUPLICATE CONTROLLERS ====================
-
 /**
- * Get all duplicates in PRS and MDMS tables
+ * Get a discrepancy with its review status and history
  */
-export const getAllDuplicates = async (req, res) => {
+export const getDiscrepancyReview = async (req, res) => {
   try {
-    const result = await duplicateService.findDuplicates();
+    const { discrepancyId } = req.params;
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const discrepancy = await discrepancyService.getDiscrepancyById(discrepancyId, { matchRule });
+    const review = await reviewService.getReview(discrepancyId);
+    if (!discrepancy && !review) {
+      return res.status(404).json({
+        success: false,
+        error: 'Discrepancy not found',
+        message: `No discrepancy with id ${discrepancyId}`
+      });
+    }
+
     res.status(200).json({
       success: true,
-      data: result,
-      message: `Found ${result.summary.totalDuplicateGroups} duplicate groups with ${result.summary.totalDuplicateRecords} total records`
+      data: {
+        discrepancyId,
+        stillPresent: Boolean(discrepancy),
+        discrepancy,
+        status: review ? review.status : 'open',
+        assignee: review ? review.assignee : null,
+        comment: review ? review.comment : null,
+        history: review ? review.history : []
+      },
+      message: `Discrepancy ${discrepancyId} is ${review ? review.status : 'open'}`
     });
   } catch (error) {
-    console.error('Error getting all duplicates:', error);
+    console.error('Error getting discrepancy review:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve duplicates',
+      error: 'Failed to retrieve discrepancy review',
       message: error.message
     });
   }
 };
 
 /**
- * Get duplicate summary statistics only
+ * Change the review status of a discrepancy.
+ * Body: { status, assignee, comment, author }
  */
-export const getDuplicateSummary = async (req, res) => {
+export const updateDiscrepancyReview = async (req, res) => {
   try {
-    const summary = await duplicateService.getDuplicateSummary();
+    const { discrepancyId } = req.params;
+    const { status, assignee, comment, author } = req.body || {};
+
+    if (!status && assignee === undefined && !comment) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update',
+        message: 'Provide a status, assignee or comment'
+      });
+    }
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `Status must be one of: ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    // Discrepancies that no longer occur can still be updated if they were reviewed before
+    const discrepancy = await discrepancyService.getDiscrepancyById(discrepancyId, { matchRule })
+      || await reviewService.getReview(discrepancyId);
+    if (!discrepancy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Discrepancy not found',
+        message: `No discrepancy with id ${discrepancyId}`
+      });
+    }
+
+    const nextAssignee = assignee !== undefined ? assignee : discrepancy.assignee;
+    if ((status || discrepancy.status) === 'assigned' && !nextAssignee) {
+      return res.status(400).json({
+        success: false,
+        error: 'Assignee required',
+        message: "An assignee is required for status 'assigned'"
+      });
+    }
+
+    const review = await reviewService.updateReview({
+      discrepancyId,
+      discrepancyKey: discrepancy.discrepancyKey || buildDiscrepancyKey(discrepancy),
+      discrepancyType: discrepancy.discrepancyType,
+      coachCode: discrepancy.coachCode
+    }, { status, assignee, comment, author });
+
     res.status(200).json({
       success: true,
-      data: summary,
-      message: `Summary: ${summary.totalDuplicateGroups} duplicate groups found`
+      data: review,
+      message: `Discrepancy ${discrepancyId} is now ${review.status}`
     });
   } catch (error) {
-    console.error('Error getting duplicate summary:', error);
+    console.error('Error updating discrepancy review:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve duplicate summary',
+      error: 'Failed to update discrepancy review',
       message: error.message
     });
   }
 };
 
 /**
- * Get detailed duplicate summary with analytics
+ * Suggest coach code pairings for missing records (?minConfidence=0.75&perCode=3)
  */
-export const getDetailedDuplicateSummary = async (req, res) => {
+export const getSuggestedMatches = async (req, res) => {
   try {
-    const detailedSummary = await duplicateService.getDetailedDuplicateSummary();
+    const minConfidence = req.query.minConfidence !== undefined ? Number(req.query.minConfidence) : undefined;
+    const suggestionsPerCode = req.query.perCode !== undefined ? Number(req.query.perCode) : undefined;
+
+    if (minConfidence !== undefined && !(minConfidence >= 0 && minConfidence <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid minConfidence',
+        message: 'minConfidence must be a number between 0 and 1'
+      });
+    }
+    if (suggestionsPerCode !== undefined && !(Number.isInteger(suggestionsPerCode) && suggestionsPerCode >= 1 && suggestionsPerCode <= 20)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid perCode',
+        message: 'perCode must be an integer between 1 and 20'
+      });
+    }
+
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    const result = await withDataset(selection, ({ discrepancyService }) =>
+      discrepancyService.findSuggestedMatches({ matchRule, minConfidence, suggestionsPerCode }));
     res.status(200).json({
       success: true,
-      data: detailedSummary,
-      message: `Detailed duplicate analysis complete. Data integrity score: ${detailedSummary.overview.dataIntegrityScore}%`
+      data: result,
+      message: `Found ${result.count} suggested coach code matches`
     });
   } catch (error) {
-    console.error('Error getting detailed duplicate summary:', error);
+    console.error('Error finding suggested matches:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve detailed duplicate summary',
+      error: 'Failed to find suggested matches',
       message: error.message
     });
   }
 };
 
 /**
- * Get duplicates by type
+ * Get weighted data quality scores overall, per class and per coach
+ * (?weights=completeness:0.4,typeAgreement:0.3,uniqueness:0.2,compositeConsistency:0.1)
  */
-export const getDuplicatesByType = async (req, res) => {
+export const getQualityScores = async (req, res) => {
   try {
-    const { type } = req.params;
-    if (!['WITHIN_PRS', 'WITHIN_MDMS', 'CROSS_TABLE'].includes(type)) {
+    const weights = {};
+    if (req.query.weights !== undefined) {
+      for (const pair of String(req.query.weights).split(',').filter(Boolean)) {
+        const [dimension, weight] = pair.split(':');
+        weights[dimension.trim()] = weight === undefined || weight.trim() === '' ? NaN : Number(weight);
+      }
+    }
+
+    const errors = validateQualityWeights(weights);
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid duplicate type',
-        message: 'Type must be one of: WITHIN_PRS, WITHIN_MDMS, CROSS_TABLE'
+        error: 'Invalid quality weights',
+        message: errors.join('; ')
       });
     }
 
-    const duplicates = await duplicateService.getDuplicatesByType(type);
+    const { matchRule, errors: ruleErrors } = await resolveMatchRule(req);
+    if (ruleErrors) return sendMatchRuleError(res, ruleErrors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    const result = await withDataset(selection, ({ discrepancyService }) => discrepancyService.getQualityScores({ matchRule, weights }));
     res.status(200).json({
       success: true,
-      data: {
-        type,
-        count: duplicates.length,
-        duplicates
-      },
-      message: `Found ${duplicates.length} duplicates of type ${type}`
+      data: { ...result, dimensions: QUALITY_DIMENSIONS },
+      message: `Overall data quality score: ${result.overall.score}%`
     });
   } catch (error) {
-    console.error('Error getting duplicates by type:', error);
+    console.error('Error scoring data quality:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve duplicates by type',
+      error: 'Failed to score data quality',
       message: error.message
     });
   }
 };
 
 /**
- * Get duplicates for a specific coach code
+ * Get the quality trend recorded after seeds and analyses
+ * (?from=2024-01-01&to=2024-01-31&rule=default&coachCode=...)
  */
-export const getDuplicatesForCoachCode = async (req, res) => {
+export const getQualityTrends = async (req, res) => {
   try {
-    const { coachCode } = req.params;
-    if (!coachCode) {
+    const { from, to, coachCode } = req.query;
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const invalidDates = [['from', from], ['to', to]]
+      .filter(([, value]) => value !== undefined && Number.isNaN(Date.parse(value)))
+      .map(([name]) => name);
+    if (invalidDates.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Coach code is required',
-        message: 'Please provide a valid coach code'
+        error: 'Invalid date range',
+        message: `${invalidDates.join(' and ')} must be ISO dates or timestamps`
       });
     }
 
-    const duplicates = await duplicateService.getDuplicatesForCoachCode(coachCode);
-    const totalCount = duplicates.prs.length + duplicates.mdms.length + duplicates.crossTable.length;
+    const trend = coachCode
+      ? await qualityTrendService.getCoachTrend(coachCode, { matchRule, from, to })
+      : await qualityTrendService.getTrend({ matchRule, from, to });
 
     res.status(200).json({
       success: true,
-      data: {
-        coachCode,
-        totalCount,
-        duplicates
-      },
-      message: `Found ${totalCount} duplicate groups for coach code ${coachCode}`
+      data: trend,
+      message: `Found ${trend.count} quality snapshots${coachCode ? ` for coach ${coachCode}` : ''}`
     });
   } catch (error) {
-    console.error('Error getting duplicates for coach code:', error);
+    console.error('Error getting quality trends:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve duplicates for coach code',
+      error: 'Failed to retrieve quality trends',
       message: error.message
     });
   }
 };
 
 /**
- * Export duplicates to Excel file
+ * Get detailed discrepancy summary with analytics
  */
-export const exportDuplicatesToExcel = async (req, res) => {
+export const getDetailedSummary = async (req, res) => {
   try {
-    console.log('📊 Generating duplicate analysis Excel report...');
-    const fileName = await duplicateService.exportDuplicatesToExcel();
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    const detailedSummary = await withDataset(selection, ({ discrepancyService }) => discrepancyService.getDetailedSummary({ matchRule }));
     res.status(200).json({
       success: true,
-      data: {
-        fileName,
-        downloadUrl: `/api/duplicates/download/${fileName}`
-      },
-      message: `Duplicate analysis Excel report generated successfully: ${fileName}`
+      data: detailedSummary,
+      message: `Detailed analysis complete. Data quality score: ${detailedSummary.overview.dataQualityScore}%`
     });
   } catch (error) {
-    console.error('Error exporting duplicates to Excel:', error);
+    console.error('Error getting detailed summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve detailed summary',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Export discrepancies to Excel file
+ */
+export const exportDiscrepanciesToExcel = async (req, res) => {
+  try {
+    const includeDetailedSummary = req.query.detailed === 'true';
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    console.log('📊 Generating Excel report...');
+    const fileName = await withDataset(selection, ({ discrepancyService }) =>
+      discrepancyService.exportDiscrepanciesToExcel(includeDetailedSummary, { matchRule }));
+    res.status(200).json({
+      success: true,
+      data: {
+        fileName,
+        downloadUrl: `/api/discrepancies/download/${fileName}`,
+        includeDetailedSummary,
+        matchRule: matchRule.name,
+        datasets: selection
+      },
+      message: `Excel report generated successfully: ${fileName}`
+    });
+  } catch (error) {
+    console.error('Error exporting to Excel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export to Excel',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Stream discrepancies as CSV or NDJSON (/export/csv, /export/ndjson), with the list filters
+ */
+export const streamDiscrepancyExport = async (req, res) => {
+  try {
+    const { format } = req.params;
+    if (!STREAM_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid export format',
+        message: `Format must be one of: excel, ${STREAM_FORMATS.join(', ')}`
+      });
+    }
+
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const { options, errors: listErrors } = parseListQuery(req, {
+      sortColumns: DISCREPANCY_SORT_COLUMNS,
+      types: Object.keys(DISCREPANCY_TYPES)
+    });
+    if (listErrors) return sendListQueryError(res, listErrors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    await withDataset(selection, ({ discrepancyService }) => sendStreamedExport(res, {
+      format,
+      fileName: `prs-mdms-discrepancies-${discrepancyService.getTimestamp()}`,
+      header: DISCREPANCY_EXPORT_COLUMNS,
+      run: (onBatch) => discrepancyService.streamDiscrepancies({ ...options, matchRule }, onBatch),
+      toCsvValues: (d) => DISCREPANCY_EXPORT_COLUMNS.map(column => d[column]),
+      toJson: (d) => d
+    }));
+  } catch (error) {
+    console.error('Error exporting discrepancies:', error);
+    // After the export started (e.g. a dataset session failing to close), only aborting is left
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export discrepancies',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Validate a per-type source of truth map, returning error messages
+ */
+const validateSourceOfTruth = (sourceOfTruth) => {
+  if (typeof sourceOfTruth !== 'object' || sourceOfTruth === null || Array.isArray(sourceOfTruth)) {
+    return ['sourceOfTruth must be an object keyed by discrepancy type'];
+  }
+  const errors = [];
+  for (const [type, source] of Object.entries(sourceOfTruth)) {
+    if (!DEFAULT_SOURCES_OF_TRUTH[type]) {
+      errors.push(`sourceOfTruth: '${type}' cannot be patched automatically (patchable types: ${Object.keys(DEFAULT_SOURCES_OF_TRUTH).join(', ')})`);
+    } else if (!SOURCE_OF_TRUTH_VALUES.includes(source)) {
+      errors.push(`sourceOfTruth.${type} must be one of: ${SOURCE_OF_TRUTH_VALUES.join(', ')}`);
+    }
+  }
+  return errors;
+};
+
+/**
+ * Generate a SQL patch script fixing the current discrepancies.
+ * Body: { sourceOfTruth: { TYPE_MISMATCH: 'PRS'|'MDMS'|'SKIP', ... }, coachCode, types, allowDeletes, rule | matchRule }
+ */
+export const generatePatchScript = async (req, res) => {
+  try {
+    const { sourceOfTruth = {}, coachCode, types, allowDeletes = false } = req.body || {};
+
+    const errors = validateSourceOfTruth(sourceOfTruth);
+    if (typeof allowDeletes !== 'boolean') {
+      errors.push('allowDeletes must be a boolean');
+    }
+    if (types !== undefined && (!Array.isArray(types) || types.some(type => !DISCREPANCY_TYPES[type]))) {
+      errors.push(`types must be an array of: ${Object.keys(DISCREPANCY_TYPES).join(', ')}`);
+    }
+    if (coachCode !== undefined && typeof coachCode !== 'string') {
+      errors.push('coachCode must be a string');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patch request',
+        message: errors.join('; ')
+      });
+    }
+
+    const { matchRule, errors: ruleErrors } = await resolveMatchRule(req);
+    if (ruleErrors) return sendMatchRuleError(res, ruleErrors);
+
+    const result = await reconciliationService.generatePatchScript({ matchRule, sourceOfTruth, coachCode, types, allowDeletes });
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        downloadUrl: `/api/discrepancies/download/${result.fileName}`
+      },
+      message: `Patch script generated with ${result.statementCount} statements: ${result.fileName}`
+    });
+  } catch (error) {
+    console.error('Error generating patch script:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate patch script',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Apply fixes for a selected set of discrepancies in one transaction.
+ * Body: { discrepancyIds, types, coachCode, sourceOfTruth, allowDeletes, dryRun, appliedBy, allowRemote, rule | matchRule }
+ */
+export const applyDiscrepancyFixes = async (req, res) => {
+  try {
+    const { discrepancyIds, types, coachCode, sourceOfTruth = {}, allowDeletes = false, dryRun = false, appliedBy, allowRemote = false } = req.body || {};
+
+    // Fixes rewrite PRS/MDMS rows, so the remote database needs an explicit override
+    if (process.env.DB_TARGET === 'remote' && allowRemote !== true) {
+      return res.status(403).json({
+        success: false,
+        error: 'Fixes blocked on remote database',
+        message: 'DB_TARGET is remote; pass allowRemote: true to apply fixes anyway'
+      });
+    }
+
+    const errors = [];
+    if (discrepancyIds === undefined && types === undefined && coachCode === undefined) {
+      errors.push('Select the discrepancies to fix with discrepancyIds, types or coachCode');
+    }
+    if (discrepancyIds !== undefined && (!Array.isArray(discrepancyIds) || discrepancyIds.length === 0 || discrepancyIds.some(id => typeof id !== 'string'))) {
+      errors.push('discrepancyIds must be a non-empty array of discrepancy ids');
+    }
+    if (types !== undefined && (!Array.isArray(types) || types.some(type => !DISCREPANCY_TYPES[type]))) {
+      errors.push(`types must be an array of: ${Object.keys(DISCREPANCY_TYPES).join(', ')}`);
+    }
+    if (coachCode !== undefined && typeof coachCode !== 'string') {
+      errors.push('coachCode must be a string');
+    }
+    if (typeof dryRun !== 'boolean') {
+      errors.push('dryRun must be a boolean');
+    }
+    if (typeof allowDeletes !== 'boolean') {
+      errors.push('allowDeletes must be a boolean');
+    }
+    errors.push(...validateSourceOfTruth(sourceOfTruth));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid fix request',
+        message: errors.join('; ')
+      });
+    }
+
+    const { matchRule, errors: ruleErrors } = await resolveMatchRule(req);
+    if (ruleErrors) return sendMatchRuleError(res, ruleErrors);
+
+    const result = await reconciliationService.applyPatch({
+      matchRule, sourceOfTruth, coachCode, types, discrepancyIds, allowDeletes, dryRun, appliedBy
+    });
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: dryRun
+        ? `Dry run: ${result.rowsAffected} rows would change (nothing committed)`
+        : `Fix batch ${result.batchId} applied: ${result.rowsAffected} rows changed`
+    });
+  } catch (error) {
+    console.error('Error applying discrepancy fixes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply discrepancy fixes',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List applied fix batches
+ */
+export const getFixBatches = async (req, res) => {
+  try {
+    const batches = await reconciliationService.listFixBatches();
+    res.status(200).json({
+      success: true,
+      data: batches,
+      count: batches.length,
+      message: `Found ${batches.length} fix batches`
+    });
+  } catch (error) {
+    console.error('Error listing fix batches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve fix batches',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get one fix batch with its before/after audit entries
+ */
+export const getFixBatch = async (req, res) => {
+  try {
+    const batchId = parseInt(req.params.batchId);
+    if (!Number.isInteger(batchId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid batch id',
+        message: 'batchId must be an integer'
+      });
+    }
+
+    const batch = await reconciliationService.getFixBatch(batchId);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fix batch not found',
+        message: `No fix batch with id ${batchId}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: batch,
+      message: `Fix batch ${batchId}: ${batch.changes.length} changes`
+    });
+  } catch (error) {
+    console.error('Error getting fix batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve fix batch',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Run the discrepancy analysis with a rule passed in the request body
+ */
+export const analyzeWithMatchRule = async (req, res) => {
+  try {
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    const result = await withDataset(selection, ({ discrepancyService }) => discrepancyService.findDiscrepancies({ matchRule }));
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: `Found ${result.totalDiscrepancies} discrepancies and ${result.totalLayoutIssues} layout issues using match rule ${result.matchRule}`
+    });
+  } catch (error) {
+    console.error('Error analysing with match rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyse discrepancies',
+      message: error.message
+    });
+  }
+};
+
+// ==================== WORKBOOK COMPARISON CONTROLLERS ====================
+
+/**
+ * Compare uploaded workbooks without touching the shared prs and mdms tables.
+ * The body is either a raw .xlsx file with PRS and MDMS sheets, or JSON with
+ * base64 `workbook`, or `prsWorkbook` and `mdmsWorkbook`, plus optional
+ * `rule`/`matchRule` and `excel: false` to skip the Excel reports.
+ */
+export const compareWorkbooks = async (req, res) => {
+  try {
+    const body = Buffer.isBuffer(req.body) ? { workbook: req.body } : (req.body || {});
+    const uploads = Object.fromEntries(['workbook', 'prsWorkbook', 'mdmsWorkbook']
+      .filter(field => body[field] !== undefined)
+      .map(field => [field, body[field]]));
+
+    const errors = [];
+    if (!uploads.workbook && !(uploads.prsWorkbook && uploads.mdmsWorkbook)) {
+      errors.push('Provide workbook, or both prsWorkbook and mdmsWorkbook');
+    }
+    if (uploads.workbook && (uploads.prsWorkbook || uploads.mdmsWorkbook)) {
+      errors.push('Provide either workbook or prsWorkbook and mdmsWorkbook, not both');
+    }
+    for (const [field, value] of Object.entries(uploads)) {
+      if (!Buffer.isBuffer(value) && typeof value !== 'string') errors.push(`${field} must be a base64 string`);
+    }
+    if (body.excel !== undefined && typeof body.excel !== 'boolean') {
+      errors.push('excel must be a boolean');
+    }
+    const profileName = body.profile ?? req.query.profile;
+    if (profileName !== undefined && typeof profileName !== 'string') {
+      errors.push('profile must be the name of a column mapping profile');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid comparison request',
+        message: errors.join('; ')
+      });
+    }
+
+    const { matchRule, errors: ruleErrors } = await resolveMatchRule(req);
+    if (ruleErrors) return sendMatchRuleError(res, ruleErrors);
+
+    const { profile, errors: profileErrors } = resolveMappingProfile({ profile: profileName });
+    if (profileErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid mapping profile',
+        message: profileErrors.join('; ')
+      });
+    }
+
+    const sources = {};
+    const sourceFields = { workbook: 'source', prsWorkbook: 'prsSource', mdmsWorkbook: 'mdmsSource' };
+    for (const [field, value] of Object.entries(uploads)) {
+      try {
+        sources[sourceFields[field]] = readWorkbookSheets(await loadWorkbook(Buffer.isBuffer(value) ? value : Buffer.from(value, 'base64')));
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid workbook',
+          message: `${field} could not be read as an .xlsx workbook: ${error.message}`
+        });
+      }
+    }
+
+    const { sheets, errors: sheetErrors } = resolveComparisonSheets(sources, profile);
+    if (sheetErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid workbook',
+        message: sheetErrors.join('; ')
+      });
+    }
+
+    const result = await workbookComparisonService.compareSheets(sheets, { matchRule, excel: body.excel !== false });
+    const reports = Object.fromEntries(Object.entries(result.reports).map(([report, fileName]) => [report, {
+      fileName,
+      downloadUrl: `/api/${report === 'duplicateReport' ? 'duplicates' : 'discrepancies'}/download/${fileName}`
+    }]));
+
+    res.status(200).json({
+      success: true,
+      data: { ...result, reports },
+      message: `Found ${result.discrepancies.totalDiscrepancies} discrepancies and ${result.duplicates.summary.totalDuplicateGroups} duplicate groups in the uploaded data`
+    });
+  } catch (error) {
+    console.error('Error comparing workbooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare workbooks',
+      message: error.message
+    });
+  }
+};
+
+// ==================== VALIDATION RULE CONTROLLERS ====================
+
+/**
+ * Parse the rule violation filters (?severity=error&ruleId=...&table=prs), returning { filters } or { errors }
+ */
+const parseViolationFilters = (req) => {
+  const { severity, ruleId, table } = req.query;
+  const errors = [];
+  if (severity !== undefined && !RULE_SEVERITIES.includes(severity)) {
+    errors.push(`severity must be one of: ${RULE_SEVERITIES.join(', ')}`);
+  }
+  if (table !== undefined && !['prs', 'mdms'].includes(String(table).toLowerCase())) {
+    errors.push('table must be prs or mdms');
+  }
+  return errors.length > 0 ? { errors } : { filters: { severity, ruleId, table } };
+};
+
+/**
+ * List the validation rule definitions
+ */
+export const getValidationRules = async (req, res) => {
+  try {
+    const rules = validationRuleService.loadRules();
+    res.status(200).json({
+      success: true,
+      data: rules,
+      count: rules.length,
+      message: `Found ${rules.length} validation rules`
+    });
+  } catch (error) {
+    console.error('Error loading validation rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load validation rules',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the coach layout templates the LAYOUT_* discrepancy checks use
+ */
+export const getCoachLayouts = async (req, res) => {
+  try {
+    const layouts = loadCoachLayouts();
+    res.status(200).json({
+      success: true,
+      data: layouts,
+      count: layouts.length,
+      message: `Found ${layouts.length} coach layout templates`
+    });
+  } catch (error) {
+    console.error('Error loading coach layouts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load coach layouts',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get RULE_VIOLATION entries from the single-table validation rules
+ */
+export const getRuleViolations = async (req, res) => {
+  try {
+    const { filters, errors } = parseViolationFilters(req);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule violation filter',
+        message: errors.join('; ')
+      });
+    }
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    const result = await withDataset(selection, ({ validationRuleService }) => validationRuleService.getViolations(filters));
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: `Found ${result.count} rule violations`
+    });
+  } catch (error) {
+    console.error('Error evaluating validation rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate validation rules',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Stream rule violations as CSV or NDJSON, with the same filters as the list
+ */
+export const streamRuleViolationExport = async (req, res) => {
+  try {
+    const { format } = req.params;
+    if (!STREAM_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid export format',
+        message: `Format must be one of: ${STREAM_FORMATS.join(', ')}`
+      });
+    }
+
+    const { filters, errors } = parseViolationFilters(req);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule violation filter',
+        message: errors.join('; ')
+      });
+    }
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    const { violations } = await withDataset(selection, ({ validationRuleService }) => validationRuleService.getViolations(filters));
+    await sendStreamedExport(res, {
+      format,
+      fileName: `prs-mdms-rule-violations-${discrepancyService.getTimestamp()}`,
+      header: RULE_VIOLATION_EXPORT_COLUMNS,
+      run: async (onBatch) => {
+        await onBatch(violations);
+        return violations.length;
+      },
+      toCsvValues: (v) => RULE_VIOLATION_EXPORT_COLUMNS.map(column => v[column]),
+      toJson: (v) => v
+    });
+  } catch (error) {
+    console.error('Error exporting rule violations:', error);
+    // After the export started (e.g. a dataset session failing to close), only aborting is left
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export rule violations',
+      message: error.message
+    });
+  }
+};
+
+// ==================== MATCH RULE CONTROLLERS ====================
+
+/**
+ * List built-in and stored match rules
+ */
+export const getMatchRules = async (req, res) => {
+  try {
+    const rules = await matchRuleService.listRules();
+    res.status(200).json({
+      success: true,
+      data: rules,
+      message: `Found ${rules.presets.length} preset and ${rules.stored.length} stored match rules`
+    });
+  } catch (error) {
+    console.error('Error listing match rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve match rules',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single match rule by name
+ */
+export const getMatchRule = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const rule = await matchRuleService.getRule(name);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match rule not found',
+        message: `No match rule named ${name}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      message: `Match rule ${name} retrieved`
+    });
+  } catch (error) {
+    console.error('Error getting match rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve match rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create or replace a stored match rule
+ */
+export const saveMatchRule = async (req, res) => {
+  try {
+    const rule = { ...req.body, name: req.params.name };
+    if (!/^[\w-]+$/.test(rule.name) || PRESET_MATCH_RULES[rule.name]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule name',
+        message: 'Rule name must be alphanumeric (dashes and underscores allowed) and must not shadow a preset'
+      });
+    }
+
+    const errors = validateMatchRule(rule);
+    if (errors.length > 0) return sendMatchRuleError(res, errors);
+
+    const saved = await matchRuleService.saveRule(rule);
+    res.status(200).json({
+      success: true,
+      data: saved,
+      message: `Match rule ${saved.name} saved`
+    });
+  } catch (error) {
+    console.error('Error saving match rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save match rule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a stored match rule
+ */
+export const deleteMatchRule = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const deleted = await matchRuleService.deleteRule(name);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match rule not found',
+        message: `No stored match rule named ${name}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Match rule ${name} deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting match rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete match rule',
+      message: error.message
+    });
+  }
+};
+
+// ==================== BERTH TYPE MAPPING CONTROLLERS ====================
+
+/**
+ * List all berth type ↔ berth qualifier mappings
+ */
+export const getBerthTypeMappings = async (req, res) => {
+  try {
+    const mappings = await berthTypeMappingService.listMappings();
+    res.status(200).json({
+      success: true,
+      data: {
+        count: mappings.length,
+        mappings
+      },
+      message: `Found ${mappings.length} berth type mappings`
+    });
+  } catch (error) {
+    console.error('Error getting berth type mappings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve berth type mappings',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single berth type mapping
+ */
+export const getBerthTypeMapping = async (req, res) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    if (id === null) return sendInvalidId(res, 'mapping');
+
+    const mapping = await berthTypeMappingService.getMapping(id);
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mapping not found',
+        message: `No berth type mapping with id ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: mapping,
+      message: 'Berth type mapping retrieved'
+    });
+  } catch (error) {
+    console.error('Error getting berth type mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve berth type mapping',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a berth type mapping
+ */
+export const createBerthTypeMapping = async (req, res) => {
+  try {
+    const { prsBerthType, mdmsBerthQualifier, description } = req.body || {};
+    if (!prsBerthType || !mdmsBerthQualifier) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid mapping',
+        message: 'prsBerthType and mdmsBerthQualifier are required'
+      });
+    }
+
+    const mapping = await berthTypeMappingService.createMapping({ prsBerthType, mdmsBerthQualifier, description });
+    res.status(201).json({
+      success: true,
+      data: mapping,
+      message: `Mapping ${mapping.prsBerthType} ↔ ${mapping.mdmsBerthQualifier} created`
+    });
+  } catch (error) {
+    console.error('Error creating berth type mapping:', error);
+    res.status(error.code === '23505' ? 409 : 500).json({
+      success: false,
+      error: error.code === '23505' ? 'Mapping already exists' : 'Failed to create berth type mapping',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a berth type mapping
+ */
+export const updateBerthTypeMapping = async (req, res) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    if (id === null) return sendInvalidId(res, 'mapping');
+
+    const { prsBerthType, mdmsBerthQualifier, description } = req.body || {};
+    const mapping = await berthTypeMappingService.updateMapping(id, { prsBerthType, mdmsBerthQualifier, description });
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mapping not found',
+        message: `No berth type mapping with id ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: mapping,
+      message: `Mapping ${mapping.prsBerthType} ↔ ${mapping.mdmsBerthQualifier} updated`
+    });
+  } catch (error) {
+    console.error('Error updating berth type mapping:', error);
+    res.status(error.code === '23505' ? 409 : 500).json({
+      success: false,
+      error: error.code === '23505' ? 'Mapping already exists' : 'Failed to update berth type mapping',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a berth type mapping
+ */
+export const deleteBerthTypeMapping = async (req, res) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    if (id === null) return sendInvalidId(res, 'mapping');
+
+    const deleted = await berthTypeMappingService.deleteMapping(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mapping not found',
+        message: `No berth type mapping with id ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Berth type mapping ${id} deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting berth type mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete berth type mapping',
+      message: error.message
+    });
+  }
+};
+
+// ==================== CLASS ALIAS CONTROLLERS ====================
+
+/**
+ * List all class aliases
+ */
+export const getClassAliases = async (req, res) => {
+  try {
+    const aliases = await classAliasService.listAliases();
+    res.status(200).json({
+      success: true,
+      data: {
+        count: aliases.length,
+        aliases
+      },
+      message: `Found ${aliases.length} class aliases`
+    });
+  } catch (error) {
+    console.error('Error getting class aliases:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve class aliases',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List the class values of each table with no counterpart in the other table
+ */
+export const getUnmappedClasses = async (req, res) => {
+  try {
+    const unmapped = await classAliasService.findUnmappedClasses();
+    res.status(200).json({
+      success: true,
+      data: unmapped,
+      message: `Found ${unmapped.count} unmapped class values (${unmapped.prs.length} in PRS, ${unmapped.mdms.length} in MDMS)`
+    });
+  } catch (error) {
+    console.error('Error getting unmapped class values:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve unmapped class values',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a single class alias
+ */
+export const getClassAlias = async (req, res) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    if (id === null) return sendInvalidId(res, 'class alias');
+
+    const alias = await classAliasService.getAlias(id);
+    if (!alias) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class alias not found',
+        message: `No class alias with id ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: alias,
+      message: 'Class alias retrieved'
+    });
+  } catch (error) {
+    console.error('Error getting class alias:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve class alias',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a class alias
+ */
+export const createClassAlias = async (req, res) => {
+  try {
+    const { alias, canonicalClass, description } = req.body || {};
+    if (!alias || !canonicalClass) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid class alias',
+        message: 'alias and canonicalClass are required'
+      });
+    }
+
+    const created = await classAliasService.createAlias({ alias, canonicalClass, description });
+    res.status(201).json({
+      success: true,
+      data: created,
+      message: `Class alias ${created.alias} → ${created.canonicalClass} created`
+    });
+  } catch (error) {
+    console.error('Error creating class alias:', error);
+    res.status(error.code === '23505' ? 409 : error.code === '23514' ? 400 : 500).json({
+      success: false,
+      error: error.code === '23505' ? 'Class alias already exists'
+        : error.code === '23514' ? 'A class cannot be an alias of itself' : 'Failed to create class alias',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Update a class alias
+ */
+export const updateClassAlias = async (req, res) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    if (id === null) return sendInvalidId(res, 'class alias');
+
+    const { alias, canonicalClass, description } = req.body || {};
+    const updated = await classAliasService.updateAlias(id, { alias, canonicalClass, description });
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class alias not found',
+        message: `No class alias with id ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+      message: `Class alias ${updated.alias} → ${updated.canonicalClass} updated`
+    });
+  } catch (error) {
+    console.error('Error updating class alias:', error);
+    res.status(error.code === '23505' ? 409 : error.code === '23514' ? 400 : 500).json({
+      success: false,
+      error: error.code === '23505' ? 'Class alias already exists'
+        : error.code === '23514' ? 'A class cannot be an alias of itself' : 'Failed to update class alias',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a class alias
+ */
+export const deleteClassAlias = async (req, res) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    if (id === null) return sendInvalidId(res, 'class alias');
+
+    const deleted = await classAliasService.deleteAlias(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class alias not found',
+        message: `No class alias with id ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Class alias ${id} deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting class alias:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete class alias',
+      message: error.message
+    });
+  }
+};
+
+// ==================== DATASET CONTROLLERS ====================
+
+/**
+ * List the stored dataset versions
+ */
+export const getDatasets = async (req, res) => {
+  try {
+    const datasets = await datasetService.listDatasets();
+    res.status(200).json({
+      success: true,
+      data: {
+        count: datasets.length,
+        datasets
+      },
+      message: `Found ${datasets.length} dataset versions`
+    });
+  } catch (error) {
+    console.error('Error getting datasets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve datasets',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a dataset version by version number or name
+ */
+export const getDataset = async (req, res) => {
+  try {
+    const dataset = await datasetService.getDataset(req.params.dataset);
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found',
+        message: `No dataset '${req.params.dataset}'`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: dataset,
+      message: 'Dataset retrieved'
+    });
+  } catch (error) {
+    console.error('Error getting dataset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve dataset',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Store the current prs and mdms tables as a new dataset version.
+ * Body: { name, description }
+ */
+export const createDataset = async (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+    const errors = validateDatasetName(name);
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      errors.push('description must be a string');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dataset',
+        message: errors.join('; ')
+      });
+    }
+
+    const dataset = await datasetService.createDataset({ name, description });
+    res.status(201).json({
+      success: true,
+      data: dataset,
+      message: `Dataset version ${dataset.id} created`
+    });
+  } catch (error) {
+    console.error('Error creating dataset:', error);
+    res.status(error.code === '23505' ? 409 : 500).json({
+      success: false,
+      error: error.code === '23505' ? 'Dataset name already exists' : 'Failed to create dataset',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a dataset version and its rows
+ */
+export const deleteDataset = async (req, res) => {
+  try {
+    const dataset = await datasetService.getDataset(req.params.dataset);
+    if (!dataset || !(await datasetService.deleteDataset(dataset.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found',
+        message: `No dataset '${req.params.dataset}'`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Dataset version ${dataset.id} deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting dataset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete dataset',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the ingestion report of a dataset version: rows read, stored and
+ * rejected per table, and the rejected rows and coerced cells with reasons
+ */
+export const getIngestionReport = async (req, res) => {
+  try {
+    const dataset = await datasetService.getDataset(req.params.dataset);
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found',
+        message: `No dataset '${req.params.dataset}'`
+      });
+    }
+
+    const report = await ingestionReportService.getReport(dataset);
+    res.status(200).json({
+      success: true,
+      data: report,
+      message: `Dataset version ${dataset.id}: ${report.totalRejectedRows} rejected rows, ${report.totalCoercedCells} coerced cells`
+    });
+  } catch (error) {
+    console.error('Error getting ingestion report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve ingestion report',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Generate the "Rejected Rows" workbook of a dataset version for download
+ */
+export const exportRejectedRowsToExcel = async (req, res) => {
+  try {
+    const dataset = await datasetService.getDataset(req.params.dataset);
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset not found',
+        message: `No dataset '${req.params.dataset}'`
+      });
+    }
+
+    const fileName = await ingestionReportService.exportRejectedRowsToExcel(dataset);
+    res.status(200).json({
+      success: true,
+      data: {
+        fileName,
+        downloadUrl: `/api/datasets/download/${fileName}`,
+        datasetId: dataset.id
+      },
+      message: `Rejected rows workbook generated successfully: ${fileName}`
+    });
+  } catch (error) {
+    console.error('Error exporting rejected rows:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export rejected rows',
+      message: error.message
+    });
+  }
+};
+
+// ==================== ANALYSIS RUN CONTROLLERS ====================
+
+/**
+ * Run the discrepancy analysis and store it as a run
+ */
+export const createAnalysisRun = async (req, res) => {
+  try {
+    const { matchRule, errors } = await resolveMatchRule(req);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const sourceFiles = smartSeederInstance ? smartSeederInstance.getSourceFileHashes() : null;
+    const run = await analysisRunService.recordRun({ matchRule, sourceFiles, trigger: 'manual' });
+    res.status(201).json({
+      success: true,
+      data: run,
+      message: `Analysis run ${run.runId} stored with ${run.totalDiscrepancies} discrepancies`
+    });
+  } catch (error) {
+    console.error('Error creating analysis run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create analysis run',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List stored analysis runs
+ */
+export const getAnalysisRuns = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const runs = await analysisRunService.listRuns(limit);
+    res.status(200).json({
+      success: true,
+      data: {
+        count: runs.length,
+        runs
+      },
+      message: `Found ${runs.length} analysis runs`
+    });
+  } catch (error) {
+    console.error('Error getting analysis runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve analysis runs',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a stored analysis run with its discrepancies
+ */
+export const getAnalysisRun = async (req, res) => {
+  try {
+    const { runId } = req.params;
+    if (!/^\d+$/.test(runId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid run id',
+        message: 'Run id must be a positive integer'
+      });
+    }
+
+    const run = await analysisRunService.getRun(Number(runId));
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found',
+        message: `No analysis run with id ${runId}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: run,
+      message: `Analysis run ${runId} has ${run.discrepancies.length} discrepancies`
+    });
+  } catch (error) {
+    console.error('Error getting analysis run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve analysis run',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Compare two runs (defaults to the two most recent)
+ */
+export const compareAnalysisRuns = async (req, res) => {
+  try {
+    let { base, target } = req.query;
+    if ((base && !/^\d+$/.test(base)) || (target && !/^\d+$/.test(target))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid run id',
+        message: 'base and target must be positive integers'
+      });
+    }
+
+    if (!base || !target) {
+      const latest = await analysisRunService.getLatestRunPair();
+      if (!latest) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not enough runs',
+          message: 'At least two analysis runs are needed for a comparison'
+        });
+      }
+      base = base || latest.baseRunId;
+      target = target || latest.targetRunId;
+    }
+
+    const comparison = await analysisRunService.compareRuns(Number(base), Number(target), {
+      includePersisting: req.query.includePersisting === 'true'
+    });
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found',
+        message: `Runs ${base} and ${target} must both exist`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: comparison,
+      message: `Run ${base} → ${target}: ${comparison.summary.newCount} new, ${comparison.summary.resolvedCount} resolved, ${comparison.summary.persistingCount} persisting`
+    });
+  } catch (error) {
+    console.error('Error comparing analysis runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare analysis runs',
+      message: error.message
+    });
+  }
+};
+
+// ==================== CACHE CONTROLLERS ====================
+
+/**
+ * Get the current data version and cached analysis results
+ */
+export const getAnalysisCacheStatus = async (req, res) => {
+  try {
+    const dataVersion = await getDataVersion();
+    res.status(200).json({
+      success: true,
+      data: { dataVersion, ...getCacheStatus() },
+      message: `Data version ${dataVersion}`
+    });
+  } catch (error) {
+    console.error('Error getting cache status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve cache status',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Bump the data version, e.g. after editing PRS/MDMS tables outside the API
+ */
+export const invalidateAnalysisCache = async (req, res) => {
+  try {
+    const dataVersion = await bumpDataVersion(req.body?.reason || 'manual');
+    res.status(200).json({
+      success: true,
+      data: { dataVersion },
+      message: `Analysis cache invalidated, data version is now ${dataVersion}`
+    });
+  } catch (error) {
+    console.error('Error invalidating cache:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invalidate cache',
+      message: error.message
+    });
+  }
+};
+
+// ==================== DUPLICATE CONTROLLERS ====================
+
+/**
+ * Get all duplicates in PRS and MDMS tables
+ */
+export const getAllDuplicates = async (req, res) => {
+  try {
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    if (isListQuery(req)) {
+      const { options, errors } = parseListQuery(req, { sortColumns: DUPLICATE_SORT_COLUMNS, types: DUPLICATE_TYPES });
+      if (errors) return sendListQueryError(res, errors);
+
+      const page = await withDataset(selection, ({ duplicateService }) => duplicateService.listDuplicates(options));
+      return res.status(200).json({
+        success: true,
+        data: page,
+        message: `Showing ${page.count} of ${page.totalCount} duplicate groups`
+      });
+    }
+
+    const result = await withDataset(selection, ({ duplicateService }) => duplicateService.findDuplicates());
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: `Found ${result.summary.totalDuplicateGroups} duplicate groups with ${result.summary.totalDuplicateRecords} total records`
+    });
+  } catch (error) {
+    console.error('Error getting all duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve duplicates',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get duplicate summary statistics only
+ */
+export const getDuplicateSummary = async (req, res) => {
+  try {
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    const summary = await withDataset(selection, ({ duplicateService }) => duplicateService.getDuplicateSummary());
+    res.status(200).json({
+      success: true,
+      data: summary,
+      message: `Summary: ${summary.totalDuplicateGroups} duplicate groups found`
+    });
+  } catch (error) {
+    console.error('Error getting duplicate summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve duplicate summary',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get detailed duplicate summary with analytics
+ */
+export const getDetailedDuplicateSummary = async (req, res) => {
+  try {
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    const detailedSummary = await withDataset(selection, ({ duplicateService }) => duplicateService.getDetailedDuplicateSummary());
+    res.status(200).json({
+      success: true,
+      data: detailedSummary,
+      message: `Detailed duplicate analysis complete. Data integrity score: ${detailedSummary.overview.dataIntegrityScore}%`
+    });
+  } catch (error) {
+    console.error('Error getting detailed duplicate summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve detailed duplicate summary',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get duplicates by type
+ */
+export const getDuplicatesByType = async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!DUPLICATE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid duplicate type',
+        message: `Type must be one of: ${DUPLICATE_TYPES.join(', ')}`
+      });
+    }
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    if (isListQuery(req)) {
+      const { options, errors } = parseListQuery(req, { sortColumns: DUPLICATE_SORT_COLUMNS, types: [type] });
+      if (errors) return sendListQueryError(res, errors);
+
+      const page = await withDataset(selection, ({ duplicateService }) => duplicateService.listDuplicates({ ...options, types: [type] }));
+      return res.status(200).json({
+        success: true,
+        data: { type, ...page },
+        message: `Showing ${page.count} of ${page.totalCount} duplicates of type ${type}`
+      });
+    }
+
+    const { duplicates, cache } = await withDataset(selection, ({ duplicateService }) => duplicateService.getDuplicatesByType(type));
+    res.status(200).json({
+      success: true,
+      data: {
+        type,
+        count: duplicates.length,
+        duplicates,
+        cache
+      },
+      message: `Found ${duplicates.length} duplicates of type ${type}`
+    });
+  } catch (error) {
+    console.error('Error getting duplicates by type:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve duplicates by type',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get duplicates for a specific coach code
+ */
+export const getDuplicatesForCoachCode = async (req, res) => {
+  try {
+    const { coachCode } = req.params;
+    if (!coachCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Coach code is required',
+        message: 'Please provide a valid coach code'
+      });
+    }
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    if (isListQuery(req)) {
+      const { options, errors } = parseListQuery(req, { sortColumns: DUPLICATE_SORT_COLUMNS, types: DUPLICATE_TYPES });
+      if (errors) return sendListQueryError(res, errors);
+
+      const page = await withDataset(selection, ({ duplicateService }) => duplicateService.listDuplicates({ ...options, coachCode }));
+      return res.status(200).json({
+        success: true,
+        data: { coachCode, ...page },
+        message: `Showing ${page.count} of ${page.totalCount} duplicate groups for coach code ${coachCode}`
+      });
+    }
+
+    const { cache, ...duplicates } = await withDataset(selection, ({ duplicateService }) => duplicateService.getDuplicatesForCoachCode(coachCode));
+    const totalCount = Object.values(duplicates).reduce((sum, groups) => sum + groups.length, 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coachCode,
+        totalCount,
+        duplicates,
+        cache
+      },
+      message: `Found ${totalCount} duplicate groups for coach code ${coachCode}`
+    });
+  } catch (error) {
+    console.error('Error getting duplicates for coach code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve duplicates for coach code',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get near duplicates: rows within PRS or MDMS whose keys only match once
+ * normalised with a match rule's normalisers (?rule=, 'normalised' by default)
+ */
+export const getNearDuplicates = async (req, res) => {
+  try {
+    const { matchRule, errors } = await resolveMatchRule(req, DEFAULT_NEAR_DUPLICATE_RULE);
+    if (errors) return sendMatchRuleError(res, errors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    const result = await withDataset(selection, ({ duplicateService }) => duplicateService.findNearDuplicates({ matchRule }));
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: `Found ${result.summary.totalNearDuplicateGroups} near-duplicate groups using match rule ${result.matchRule}`
+    });
+  } catch (error) {
+    console.error('Error getting near duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve near duplicates',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Export duplicates to Excel file
+ */
+export const exportDuplicatesToExcel = async (req, res) => {
+  try {
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    console.log('📊 Generating duplicate analysis Excel report...');
+    const fileName = await withDataset(selection, ({ duplicateService }) => duplicateService.exportDuplicatesToExcel());
+    res.status(200).json({
+      success: true,
+      data: {
+        fileName,
+        downloadUrl: `/api/duplicates/download/${fileName}`,
+        datasets: selection
+      },
+      message: `Duplicate analysis Excel report generated successfully: ${fileName}`
+    });
+  } catch (error) {
+    console.error('Error exporting duplicates to Excel:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to export duplicates to Excel',
@@ -649,6 +2751,214 @@ export const exportDuplicatesToExcel = async (req, res) => {
   }
 };
 
+/**
+ * Stream duplicate groups as CSV or NDJSON (/export/csv, /export/ndjson), with the list filters
+ */
+export const streamDuplicateExport = async (req, res) => {
+  try {
+    const { format } = req.params;
+    if (!STREAM_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid export format',
+        message: `Format must be one of: excel, ${STREAM_FORMATS.join(', ')}`
+      });
+    }
+
+    const { options, errors } = parseListQuery(req, { sortColumns: DUPLICATE_SORT_COLUMNS, types: DUPLICATE_TYPES });
+    if (errors) return sendListQueryError(res, errors);
+
+    const { selection, errors: datasetErrors } = await resolveDatasetSelection(req);
+    if (datasetErrors) return sendDatasetError(res, datasetErrors);
+
+    await withDataset(selection, ({ duplicateService }) => sendStreamedExport(res, {
+      format,
+      fileName: `prs-mdms-duplicates-${duplicateService.getTimestamp()}`,
+      header: Object.keys(DUPLICATE_EXPORT_COLUMNS),
+      run: (onBatch) => duplicateService.streamDuplicates(options, onBatch),
+      toCsvValues: (row) => Object.values(DUPLICATE_EXPORT_COLUMNS).map(column => row[column]),
+      toJson: (row) => duplicateService.mapDuplicateRow(row)
+    }));
+  } catch (error) {
+    console.error('Error exporting duplicates:', error);
+    // After the export started (e.g. a dataset session failing to close), only aborting is left
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export duplicates',
+      message: error.message
+    });
+  }
+};
+
+// ==================== DUPLICATE RESOLUTION CONTROLLERS ====================
+
+/**
+ * Validate a resolution request body, returning error messages
+ */
+const validateResolutionRequest = ({ table, key, serialNumbers, type, strategy, survivorSerial, action, preview }) => {
+  const errors = [];
+  if ((serialNumbers === undefined) === (type === undefined)) {
+    errors.push('Pass serialNumbers (with table, coachCode, class and berthNumber) for one group, or type for every exact duplicate group of that type');
+  }
+  if (serialNumbers !== undefined) {
+    if (!['prs', 'mdms'].includes(table)) {
+      errors.push("table must be 'prs' or 'mdms'");
+    }
+    // Serial numbers repeat across berths, so the group's berth key picks the rows
+    if (key.coachCode !== null && typeof key.coachCode !== 'string') {
+      errors.push('coachCode must be the coach code of the duplicate group');
+    }
+    if (key.class !== null && typeof key.class !== 'string') {
+      errors.push('class must be the class of the duplicate group');
+    }
+    if (key.berthNumber !== null && !Number.isInteger(key.berthNumber)) {
+      errors.push('berthNumber must be the integer berth number of the duplicate group');
+    }
+    if (!Array.isArray(serialNumbers) || serialNumbers.length < 2 || serialNumbers.some(serialNo => !Number.isInteger(serialNo))) {
+      errors.push('serialNumbers must be an array of at least two integer serial numbers');
+    }
+  }
+  if (type !== undefined && !BULK_RESOLUTION_TYPES[type]) {
+    errors.push(`type must be one of: ${Object.keys(BULK_RESOLUTION_TYPES).join(', ')}`);
+  }
+  if (!SURVIVOR_STRATEGIES.includes(strategy)) {
+    errors.push(`strategy must be one of: ${SURVIVOR_STRATEGIES.join(', ')}`);
+  }
+  if (strategy === 'explicit') {
+    if (type !== undefined) errors.push("The 'explicit' strategy picks the survivor of one group and cannot be used with type");
+    if (!Number.isInteger(survivorSerial)) errors.push("survivorSerial must be an integer with the 'explicit' strategy");
+  } else if (survivorSerial !== undefined) {
+    errors.push("survivorSerial is only used with the 'explicit' strategy");
+  }
+  if (action !== undefined && !RESOLUTION_ACTIONS.includes(action)) {
+    errors.push(`action must be one of: ${RESOLUTION_ACTIONS.join(', ')}`);
+  }
+  if (preview !== undefined && typeof preview !== 'boolean') {
+    errors.push('preview must be a boolean');
+  }
+  return errors;
+};
+
+/**
+ * Keep one row of a duplicate group, or of every exact group of a type, and
+ * delete or archive the others. preview: true reports the outcome without changes.
+ */
+export const resolveDuplicates = async (req, res) => {
+  try {
+    const { table, coachCode, class: coachClass, berthNumber, serialNumbers, type, strategy, survivorSerial, action, preview, resolvedBy, allowRemote = false } = req.body || {};
+    const key = { coachCode, class: coachClass, berthNumber };
+
+    // Resolving removes PRS/MDMS rows, so the remote database needs an explicit override
+    if (process.env.DB_TARGET === 'remote' && allowRemote !== true) {
+      return res.status(403).json({
+        success: false,
+        error: 'Duplicate resolution blocked on remote database',
+        message: 'DB_TARGET is remote; pass allowRemote: true to resolve duplicates anyway'
+      });
+    }
+
+    const errors = validateResolutionRequest({ table, key, serialNumbers, type, strategy, survivorSerial, action, preview });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid resolution request',
+        message: errors.join('; ')
+      });
+    }
+
+    const result = await duplicateResolutionService.resolveDuplicates({
+      table, key, serialNumbers, type, strategy, survivorSerial, action, preview, resolvedBy
+    });
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid resolution request',
+        message: result.errors.join('; ')
+      });
+    }
+
+    const verb = result.action === 'archive' ? 'archived' : 'deleted';
+    const skipped = result.skippedGroups.length > 0
+      ? `; ${result.skippedGroups.length} groups skipped as their rows differ in other values`
+      : '';
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: result.preview
+        ? `Preview: ${result.rowsRemoved} rows in ${result.groupCount} duplicate groups would be ${verb}${skipped}`
+        : `Resolved ${result.groupCount} duplicate groups, ${result.rowsRemoved} rows ${verb}${skipped}`
+    });
+  } catch (error) {
+    console.error('Error resolving duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve duplicates',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List duplicate resolutions, newest first
+ */
+export const getDuplicateResolutions = async (req, res) => {
+  try {
+    const resolutions = await duplicateResolutionService.listResolutions();
+    res.status(200).json({
+      success: true,
+      data: resolutions,
+      count: resolutions.length,
+      message: `Found ${resolutions.length} duplicate resolutions`
+    });
+  } catch (error) {
+    console.error('Error listing duplicate resolutions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve duplicate resolutions',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get one duplicate resolution with the rows it removed
+ */
+export const getDuplicateResolution = async (req, res) => {
+  try {
+    const resolutionId = parseInt(req.params.resolutionId);
+    if (!Number.isInteger(resolutionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid resolution id',
+        message: 'resolutionId must be an integer'
+      });
+    }
+
+    const resolution = await duplicateResolutionService.getResolution(resolutionId);
+    if (!resolution) {
+      return res.status(404).json({
+        success: false,
+        error: 'Duplicate resolution not found',
+        message: `No duplicate resolution with id ${resolutionId}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: resolution,
+      message: `Duplicate resolution ${resolutionId}: ${resolution.removedRows.length} rows removed`
+    });
+  } catch (error) {
+    console.error('Error getting duplicate resolution:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve duplicate resolution',
+      message: error.message
+    });
+  }
+};
+
 // ==================== SIMULATION CONTROLLERS ====================
 
 /**
@@ -696,18 +3006,18 @@ export const restoreData = async (req, res) => {
 // ==================== UTILITY CONTROLLERS ====================
 
 /**
- * Download the generated excel file
+ * Download a generated Excel report or SQL patch script
  */
 export const downloadExcel = async (req, res) => {
   try {
     const { fileName } = req.params;
     
     // Validate filename to prevent path traversal attacks
-    if (!fileName || !/^[\w\-. ]+\.xlsx$/.test(fileName)) {
+    if (!fileName || !/^[\w\-. ]+\.(xlsx|sql)$/.test(fileName)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid filename',
-        message: 'Filename must be a valid Excel file'
+        message: 'Filename must be a valid Excel or SQL patch file'
       });
     }
 
@@ -724,7 +3034,9 @@ export const downloadExcel = async (req, res) => {
     }
 
     // Set headers for file download
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Type', fileName.endsWith('.sql')
+      ? 'application/sql'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
     res.setHeader('Cache-Control', 'no-cache');
     
@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import {
+    // Dataset controllers
+    getDatasets,
+    getDataset,
+    createDataset,
+    deleteDataset,
+    getIngestionReport,
+    exportRejectedRowsToExcel,
+    // Utility controllers
+    downloadExcel
+} from '../controllers/prsMdmsController.js';
+
+const router = Router();
+
+// ==================== DATASET ROUTES ====================
+router.get('/', getDatasets);
+router.post('/', createDataset);
+router.get('/:dataset', getDataset);
+router.delete('/:dataset', deleteDataset);
+
+// ==================== INGESTION REPORT ROUTES ====================
+router.get('/:dataset/ingestion-report', getIngestionReport);
+router.get('/:dataset/ingestion-report/export/excel', exportRejectedRowsToExcel);
+
+// ==================== UTILITY ROUTES ====================
+router.get('/download/:fileName', downloadExcel);
+
+export default router;
@@ -1,18 +1,65 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import {
     // Discrepancy controllers only
     getAllDiscrepancies,
     getDiscrepancySummary,
     getDetailedSummary,
+    getQualityScores,
+    getQualityTrends,
     getDiscrepanciesByType,
     getDiscrepanciesForCoachCode,
+    getCoachRollup,
+    getDiscrepancyReviews,
+    getDiscrepancyReview,
+    updateDiscrepancyReview,
+    getSuggestedMatches,
     exportDiscrepanciesToExcel,
+    streamDiscrepancyExport,
+    generatePatchScript,
+    applyDiscrepancyFixes,
+    getFixBatches,
+    getFixBatch,
+    analyzeWithMatchRule,
+    // Workbook comparison controllers
+    compareWorkbooks,
+    // Validation rule controllers
+    getValidationRules,
+    getCoachLayouts,
+    getRuleViolations,
+    streamRuleViolationExport,
+    // Match rule controllers
+    getMatchRules,
+    getMatchRule,
+    saveMatchRule,
+    deleteMatchRule,
+    // Berth type mapping controllers
+    getBerthTypeMappings,
+    getBerthTypeMapping,
+    createBerthTypeMapping,
+    updateBerthTypeMapping,
+    deleteBerthTypeMapping,
+    // Class alias controllers
+    getClassAliases,
+    getUnmappedClasses,
+    getClassAlias,
+    createClassAlias,
+    updateClassAlias,
+    deleteClassAlias,
+    // Analysis run controllers
+    createAnalysisRun,
+    getAnalysisRuns,
+    getAnalysisRun,
+    compareAnalysisRuns,
+    // Cache controllers
+    getAnalysisCacheStatus,
+    invalidateAnalysisCache,
     // Simulation controllers
     simulateChanges,
     restoreData,
     // Utility controllers
     downloadExcel
 } from '../controllers/prsMdmsController.js';
+import { WORKBOOK_UPLOAD_LIMIT, XLSX_CONTENT_TYPE } from '../services/workbookComparison.js';
 
 const router = Router();
 
@@ -23,14 +70,83 @@ router.get('/', (req, res) => {
         message: 'PRS vs MDMS Discrepancy Analysis API',
         version: '2.0.0',
         features: ['Discrepancy Analysis', 'Data Export', 'Simulation Testing'],
+        listParameters: {
+            appliesTo: ['GET /api/discrepancies/all', 'GET /api/discrepancies/type/:type', 'GET /api/discrepancies/coach/:coachCode', 'GET /api/discrepancies/export/:format'],
+            filters: ['coachCode', 'class', 'berthFrom', 'berthTo', 'type (comma-separated)'],
+            sorting: ['sort', 'order=asc|desc'],
+            paging: ['pageSize (max 1000, default 100)', 'cursor (nextCursor from the previous page)']
+        },
+        datasetParameters: {
+            appliesTo: ['every analysis, list and export endpoint except reviews, fixes and runs'],
+            parameters: ['dataset (version or name, for both tables)', 'prsDataset', 'mdmsDataset', "'current' for the live table"]
+        },
         availableEndpoints: {
             discrepancies: [
                 'GET /api/discrepancies/summary',
                 'GET /api/discrepancies/all',
                 'GET /api/discrepancies/detailed-summary',
+                'GET /api/discrepancies/quality?weights=completeness:0.4,typeAgreement:0.3,uniqueness:0.2,compositeConsistency:0.1',
+                'GET /api/discrepancies/trends?rule=:name&from=:date&to=:date&coachCode=:coachCode',
                 'GET /api/discrepancies/type/:type',
                 'GET /api/discrepancies/coach/:coachCode',
-                'GET /api/discrepancies/export/excel'
+                'GET /api/discrepancies/rollup?status=:coachStatus&includeDiscrepancies=true',
+                'GET /api/discrepancies/suggested-matches?minConfidence=0.75&perCode=3',
+                'GET /api/discrepancies/export/excel',
+                'GET /api/discrepancies/export/csv',
+                'GET /api/discrepancies/export/ndjson',
+                'POST /api/discrepancies/analyze'
+            ],
+            reconciliation: [
+                'POST /api/discrepancies/patch-script',
+                'POST /api/discrepancies/apply',
+                'GET /api/discrepancies/fixes',
+                'GET /api/discrepancies/fixes/:batchId'
+            ],
+            reviews: [
+                'GET /api/discrepancies/reviews?status=:status&assignee=:assignee',
+                'GET /api/discrepancies/review/:discrepancyId',
+                'PATCH /api/discrepancies/review/:discrepancyId'
+            ],
+            workbookComparison: [
+                'POST /api/discrepancies/compare-workbooks (raw .xlsx with PRS and MDMS sheets, or JSON { workbook | prsWorkbook + mdmsWorkbook (base64), rule, excel, profile }); ?profile= picks the column mapping profile'
+            ],
+            validationRules: [
+                'GET /api/discrepancies/validation-rules',
+                'GET /api/discrepancies/layouts',
+                'GET /api/discrepancies/rule-violations?severity=:severity&ruleId=:ruleId&table=prs|mdms',
+                'GET /api/discrepancies/rule-violations/export/csv',
+                'GET /api/discrepancies/rule-violations/export/ndjson'
+            ],
+            matchRules: [
+                'GET /api/discrepancies/rules',
+                'GET /api/discrepancies/rules/:name',
+                'PUT /api/discrepancies/rules/:name',
+                'DELETE /api/discrepancies/rules/:name'
+            ],
+            mappings: [
+                'GET /api/discrepancies/mappings',
+                'GET /api/discrepancies/mappings/:id',
+                'POST /api/discrepancies/mappings',
+                'PUT /api/discrepancies/mappings/:id',
+                'DELETE /api/discrepancies/mappings/:id'
+            ],
+            classAliases: [
+                'GET /api/discrepancies/class-aliases',
+                'GET /api/discrepancies/class-aliases/unmapped',
+                'GET /api/discrepancies/class-aliases/:id',
+                'POST /api/discrepancies/class-aliases',
+                'PUT /api/discrepancies/class-aliases/:id',
+                'DELETE /api/discrepancies/class-aliases/:id'
+            ],
+            runs: [
+                'POST /api/discrepancies/runs',
+                'GET /api/discrepancies/runs',
+                'GET /api/discrepancies/runs/compare?base=:runId&target=:runId',
+                'GET /api/discrepancies/runs/:runId'
+            ],
+            cache: [
+                'GET /api/discrepancies/cache',
+                'POST /api/discrepancies/cache/invalidate'
             ],
             simulation: [
                 'POST /api/discrepancies/simulate',
@@ -46,10 +162,65 @@ router.get('/', (req, res) => {
 // ==================== DISCREPANCY ROUTES ONLY ====================
 router.get('/summary', getDiscrepancySummary);
 router.get('/detailed-summary', getDetailedSummary);
+router.get('/quality', getQualityScores);
+router.get('/trends', getQualityTrends);
 router.get('/all', getAllDiscrepancies);
 router.get('/export/excel', exportDiscrepanciesToExcel);
+router.get('/export/:format', streamDiscrepancyExport);
 router.get('/type/:type', getDiscrepanciesByType);
 router.get('/coach/:coachCode', getDiscrepanciesForCoachCode);
+router.get('/rollup', getCoachRollup);
+router.get('/suggested-matches', getSuggestedMatches);
+router.get('/reviews', getDiscrepancyReviews);
+router.get('/review/:discrepancyId', getDiscrepancyReview);
+router.patch('/review/:discrepancyId', updateDiscrepancyReview);
+router.post('/analyze', analyzeWithMatchRule);
+
+// ==================== RECONCILIATION ROUTES ====================
+router.post('/patch-script', generatePatchScript);
+router.post('/apply', applyDiscrepancyFixes);
+router.get('/fixes', getFixBatches);
+router.get('/fixes/:batchId', getFixBatch);
+
+// ==================== WORKBOOK COMPARISON ROUTES ====================
+router.post('/compare-workbooks', express.raw({ type: XLSX_CONTENT_TYPE, limit: WORKBOOK_UPLOAD_LIMIT }), compareWorkbooks);
+
+// ==================== VALIDATION RULE ROUTES ====================
+router.get('/validation-rules', getValidationRules);
+router.get('/layouts', getCoachLayouts);
+router.get('/rule-violations', getRuleViolations);
+router.get('/rule-violations/export/:format', streamRuleViolationExport);
+
+// ==================== MATCH RULE ROUTES ====================
+router.get('/rules', getMatchRules);
+router.get('/rules/:name', getMatchRule);
+router.put('/rules/:name', saveMatchRule);
+router.delete('/rules/:name', deleteMatchRule);
+
+// ==================== BERTH TYPE MAPPING ROUTES ====================
+router.get('/mappings', getBerthTypeMappings);
+router.get('/mappings/:id', getBerthTypeMapping);
+router.post('/mappings', createBerthTypeMapping);
+router.put('/mappings/:id', updateBerthTypeMapping);
+router.delete('/mappings/:id', deleteBerthTypeMapping);
+
+// ==================== CLASS ALIAS ROUTES ====================
+router.get('/class-aliases', getClassAliases);
+router.get('/class-aliases/unmapped', getUnmappedClasses);
+router.get('/class-aliases/:id', getClassAlias);
+router.post('/class-aliases', createClassAlias);
+router.put('/class-aliases/:id', updateClassAlias);
+router.delete('/class-aliases/:id', deleteClassAlias);
+
+// ==================== ANALYSIS RUN ROUTES ====================
+router.post('/runs', createAnalysisRun);
+router.get('/runs', getAnalysisRuns);
+router.get('/runs/compare', compareAnalysisRuns);
+router.get('/runs/:runId', getAnalysisRun);
+
+// ==================== CACHE ROUTES ====================
+router.get('/cache', getAnalysisCacheStatus);
+router.post('/cache/invalidate', invalidateAnalysisCache);
 
 // ==================== SIMULATION ROUTES ====================
 router.post('/simulate', simulateChanges);
@@ -6,7 +6,13 @@ import {
     getDetailedDuplicateSummary,
     getDuplicatesByType,
     getDuplicatesForCoachCode,
+    getNearDuplicates,
     exportDuplicatesToExcel,
+    streamDuplicateExport,
+    // Duplicate resolution controllers
+    resolveDuplicates,
+    getDuplicateResolutions,
+    getDuplicateResolution,
     // Utility controllers
     downloadExcel
 } from '../controllers/prsMdmsController.js';
@@ -19,7 +25,35 @@ router.get('/', (req, res) => {
         success: true,
         message: 'PRS vs MDMS Duplicate Analysis API',
         version: '2.0.0',
-        features: ['Duplicate Detection', 'Data Export'],
+        features: ['Duplicate Detection', 'Conflicting Duplicate Detection', 'Near-Duplicate Detection', 'Duplicate Resolution', 'Data Export'],
+        duplicateTypes: {
+            WITHIN_PRS: 'identical PRS rows',
+            WITHIN_MDMS: 'identical MDMS rows',
+            CONFLICT_WITHIN_PRS: 'PRS rows sharing a berth key with differing attributes',
+            CONFLICT_WITHIN_MDMS: 'MDMS rows sharing a berth key with differing attributes',
+            CROSS_TABLE: 'berths present in both PRS and MDMS'
+        },
+        nearDuplicateParameters: {
+            appliesTo: ['GET /api/duplicates/near'],
+            parameters: ["rule (match rule whose key normalisers group the rows, default 'normalised')"],
+            normalisers: ['trim', 'case=lower|upper', 'stripWhitespace', 'stripPunctuation', 'classAliases', 'cast=int|text']
+        },
+        listParameters: {
+            appliesTo: ['GET /api/duplicates/all', 'GET /api/duplicates/type/:type', 'GET /api/duplicates/coach/:coachCode', 'GET /api/duplicates/export/:format'],
+            filters: ['coachCode', 'class', 'berthFrom', 'berthTo', 'type (comma-separated)'],
+            sorting: ['sort', 'order=asc|desc'],
+            paging: ['pageSize (max 1000, default 100)', 'cursor (nextCursor from the previous page)']
+        },
+        datasetParameters: {
+            appliesTo: ['every duplicate endpoint'],
+            parameters: ['dataset (version or name, for both tables)', 'prsDataset', 'mdmsDataset', "'current' for the live table"]
+        },
+        resolveParameters: {
+            appliesTo: ['POST /api/duplicates/resolve'],
+            oneGroup: ['table (prs|mdms)', 'coachCode, class, berthNumber (the group\'s berth)', 'serialNumbers'],
+            bulk: ['type (WITHIN_PRS|WITHIN_MDMS, every listed group whose rows are identical; the others come back in skippedGroups)'],
+            options: ['strategy (lowest_serial|latest|explicit)', 'survivorSerial (explicit only)', 'action (archive|delete, default archive)', 'preview', 'resolvedBy']
+        },
         availableEndpoints: {
             duplicates: [
                 'GET /api/duplicates/summary',
@@ -27,7 +61,15 @@ router.get('/', (req, res) => {
                 'GET /api/duplicates/detailed-summary',
                 'GET /api/duplicates/type/:type',
                 'GET /api/duplicates/coach/:coachCode',
-                'GET /api/duplicates/export/excel'
+                'GET /api/duplicates/near',
+                'GET /api/duplicates/export/excel',
+                'GET /api/duplicates/export/csv',
+                'GET /api/duplicates/export/ndjson'
+            ],
+            resolution: [
+                'POST /api/duplicates/resolve',
+                'GET /api/duplicates/resolutions',
+                'GET /api/duplicates/resolutions/:resolutionId'
             ],
             utility: [
                 'GET /api/duplicates/download/:fileName'
@@ -41,8 +83,15 @@ router.get('/summary', getDuplicateSummary);
 router.get('/detailed-summary', getDetailedDuplicateSummary);
 router.get('/all', getAllDuplicates);
 router.get('/export/excel', exportDuplicatesToExcel);
+router.get('/export/:format', streamDuplicateExport);
 router.get('/type/:type', getDuplicatesByType);
 router.get('/coach/:coachCode', getDuplicatesForCoachCode);
+router.get('/near', getNearDuplicates);
+
+// ==================== DUPLICATE RESOLUTION ROUTES ====================
+router.post('/resolve', resolveDuplicates);
+router.get('/resolutions', getDuplicateResolutions);
+router.get('/resolutions/:resolutionId', getDuplicateResolution);
 
 // ==================== UTILITY ROUTES ====================
 router.get('/download/:fileName', downloadExcel);
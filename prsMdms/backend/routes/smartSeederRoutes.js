@@ -4,6 +4,7 @@ import {
   forceSeeding,
   resetFileHashes,
   getSeederConfig,
+  getColumnMappings,
   getSeedingHistory,
   stopSeeder,
   startSeeder,
@@ -24,11 +25,13 @@ router.get('/', (req, res) => {
       'Whitespace Cleanup',
       'Manual Control',
       'Configuration Management',
-      'Hash-based Change Detection'
+      'Hash-based Change Detection',
+      'Header-based Column Mapping'
     ],
     availableEndpoints: {
       status: 'GET /api/seeder/status',
       config: 'GET /api/seeder/config',
+      mappings: 'GET /api/seeder/mappings',
       history: 'GET /api/seeder/history',
       actions: {
         forceSeeding: 'POST /api/seeder/force',
@@ -49,6 +52,9 @@ router.get('/status', getSeederStatus);
 // Get configuration
 router.get('/config', getSeederConfig);
 
+// Get column mapping profiles
+router.get('/mappings', getColumnMappings);
+
 // Get seeding history
 router.get('/history', getSeedingHistory);
 
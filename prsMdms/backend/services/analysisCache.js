@@ -0,0 +1,83 @@
+import { query } from '../../database/config/db.js';
+
+// Analysis results kept in memory, keyed on the data version stored in the
+// data_version table. Anything that changes PRS/MDMS data (seeding, simulation,
+// berth type mapping edits) bumps the version, which invalidates every entry.
+
+const MAX_ENTRIES = 20;
+const entries = new Map();
+
+/**
+ * Get the current data version (0 before the first bump)
+ */
+export async function getDataVersion() {
+  const result = await query('SELECT version FROM data_version WHERE id = TRUE');
+  return result.rows.length > 0 ? Number(result.rows[0].version) : 0;
+}
+
+/**
+ * Increment the data version after a change to the analysed data. Changes made
+ * in a transaction pass its executor, so the bump commits or rolls back with them.
+ */
+export async function bumpDataVersion(reason, executor = query) {
+  const result = await executor(`
+    INSERT INTO data_version (id, version, reason, updated_at)
+    VALUES (TRUE, 1, $1, NOW())
+    ON CONFLICT (id) DO UPDATE SET version = data_version.version + 1, reason = EXCLUDED.reason, updated_at = NOW()
+    RETURNING version
+  `, [reason]);
+
+  entries.clear();
+  const version = Number(result.rows[0].version);
+  console.log(`🔁 Data version ${version} (${reason}), analysis cache cleared`);
+  return version;
+}
+
+/**
+ * Return the cached value for a key at the current data version, computing and
+ * storing it on a miss. Resolves to { value, cache: { status, dataVersion, cachedAt } }.
+ * Analyses of data outside the shared tables pass their own Map as `scope`:
+ * entries then live only as long as that Map and ignore the data version.
+ * Analyses of stored dataset versions pass a `namespace` that prefixes their keys.
+ */
+export async function getOrCompute(key, compute, { scope, namespace } = {}) {
+  if (namespace) key = `${namespace}:${key}`;
+  if (scope) {
+    if (!scope.has(key)) {
+      scope.set(key, { value: await compute(), cachedAt: new Date().toISOString() });
+      return { value: scope.get(key).value, cache: { status: 'MISS', dataVersion: null, cachedAt: scope.get(key).cachedAt } };
+    }
+    const entry = scope.get(key);
+    return { value: entry.value, cache: { status: 'HIT', dataVersion: null, cachedAt: entry.cachedAt } };
+  }
+
+  const dataVersion = await getDataVersion();
+  const entry = entries.get(key);
+
+  if (entry && entry.dataVersion === dataVersion) {
+    return { value: entry.value, cache: { status: 'HIT', dataVersion, cachedAt: entry.cachedAt } };
+  }
+
+  const value = await compute();
+  const cachedAt = new Date().toISOString();
+
+  entries.delete(key);
+  entries.set(key, { dataVersion, value, cachedAt });
+  // Map keeps insertion order, so the first key is the oldest entry
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+
+  return { value, cache: { status: 'MISS', dataVersion, cachedAt } };
+}
+
+/**
+ * Describe the cache contents for status endpoints
+ */
+export function getCacheStatus() {
+  return {
+    entries: entries.size,
+    maxEntries: MAX_ENTRIES,
+    keys: [...entries.entries()].map(([key, entry]) => ({ key, dataVersion: entry.dataVersion, cachedAt: entry.cachedAt }))
+  };
+}
@@ -0,0 +1,212 @@
+import { query, getPool } from '../../database/config/db.js';
+import { DiscrepancyService, DISCREPANCY_TYPES, buildDiscrepancyKey } from './prsMdms.js';
+
+// Source file hashes stored with runs that analyses record on their own; the
+// app points this at the smart seeder
+let sourceFilesProvider = () => null;
+
+/**
+ * Set where analysis runs get their source file hashes from
+ */
+export function setRunSourceFilesProvider(provider) {
+  sourceFilesProvider = provider;
+}
+
+export class AnalysisRunService {
+
+  constructor({ discrepancyService } = {}) {
+    // DiscrepancyService passes itself, as it stores a run for each fresh analysis
+    this.discrepancyService = discrepancyService || new DiscrepancyService();
+  }
+
+  mapRunRow(row) {
+    return {
+      runId: row.id,
+      createdAt: row.created_at,
+      trigger: row.triggered_by,
+      matchRule: row.match_rule,
+      sourceFiles: row.source_files,
+      totalDiscrepancies: row.total_discrepancies,
+      counts: row.counts
+    };
+  }
+
+  /**
+   * Run the discrepancy analysis and store it as a new run
+   */
+  async recordRun({ matchRule, sourceFiles, trigger = 'manual' } = {}) {
+    try {
+      console.log(`🗂️ Recording analysis run (trigger: ${trigger})...`);
+      const result = await this.discrepancyService.findDiscrepancies({ matchRule, trendTrigger: trigger, sourceFiles });
+      // A fresh analysis has stored its run already; a cached one is stored again
+      return result.run ?? await this.storeRun(result, { trigger, sourceFiles });
+    } catch (error) {
+      console.error('❌ Error recording analysis run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a discrepancy analysis (a findDiscrepancies result) as a new run
+   */
+  async storeRun(analysis, { trigger = 'analysis', sourceFiles } = {}) {
+    const files = sourceFiles ?? sourceFilesProvider();
+    const counts = {};
+    for (const { countKey } of Object.values(DISCREPANCY_TYPES)) {
+      counts[countKey] = analysis[countKey];
+    }
+
+    // Run and rows are written on one client so they commit together
+    const client = await getPool().connect();
+    try {
+      await client.query('BEGIN');
+      const runResult = await client.query(`
+        INSERT INTO analysis_runs (triggered_by, match_rule, source_files, total_discrepancies, counts)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [trigger, analysis.matchRule, files ? JSON.stringify(files) : null, analysis.totalDiscrepancies, JSON.stringify(counts)]);
+
+      const run = runResult.rows[0];
+      const records = analysis.discrepancies.map(d => ({
+        discrepancy_key: buildDiscrepancyKey(d),
+        discrepancy_type: d.discrepancyType,
+        coach_code: d.coachCode,
+        payload: d
+      }));
+
+      // One statement per run: rows are expanded server-side from a JSON array
+      await client.query(`
+        INSERT INTO analysis_run_discrepancies (run_id, discrepancy_key, discrepancy_type, coach_code, payload)
+        SELECT $1, r.discrepancy_key, r.discrepancy_type, r.coach_code, r.payload
+        FROM jsonb_to_recordset($2::jsonb) AS r(discrepancy_key TEXT, discrepancy_type TEXT, coach_code TEXT, payload JSONB)
+      `, [run.id, JSON.stringify(records)]);
+
+      await client.query('COMMIT');
+      console.log(`✅ Analysis run ${run.id} stored with ${records.length} discrepancies (trigger: ${trigger})`);
+      return this.mapRunRow(run);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List stored runs, newest first
+   */
+  async listRuns(limit = 50) {
+    try {
+      const result = await query('SELECT * FROM analysis_runs ORDER BY id DESC LIMIT $1', [limit]);
+      return result.rows.map(row => this.mapRunRow(row));
+    } catch (error) {
+      console.error('Error listing analysis runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a run with its discrepancy rows, or null if it does not exist
+   */
+  async getRun(runId) {
+    const runResult = await query('SELECT * FROM analysis_runs WHERE id = $1', [runId]);
+    if (runResult.rows.length === 0) {
+      return null;
+    }
+
+    const rowsResult = await query(
+      'SELECT payload FROM analysis_run_discrepancies WHERE run_id = $1 ORDER BY id',
+      [runId]
+    );
+
+    return {
+      ...this.mapRunRow(runResult.rows[0]),
+      discrepancies: rowsResult.rows.map(row => row.payload)
+    };
+  }
+
+  /**
+   * Get the ids of the two most recent runs as { baseRunId, targetRunId }
+   */
+  async getLatestRunPair() {
+    const result = await query('SELECT id FROM analysis_runs ORDER BY id DESC LIMIT 2');
+    if (result.rows.length < 2) {
+      return null;
+    }
+    return { baseRunId: result.rows[1].id, targetRunId: result.rows[0].id };
+  }
+
+  /**
+   * Compare two runs, listing discrepancies introduced in the target run,
+   * resolved since the base run, and open in both. Rows sharing a key are
+   * paired in order, so a key found three times in the base run and twice in
+   * the target counts as one resolved and two persisting.
+   */
+  async compareRuns(baseRunId, targetRunId, { includePersisting = false } = {}) {
+    try {
+      const runsResult = await query('SELECT * FROM analysis_runs WHERE id = ANY($1::int[])', [[baseRunId, targetRunId]]);
+      const baseRun = runsResult.rows.find(row => row.id === Number(baseRunId));
+      const targetRun = runsResult.rows.find(row => row.id === Number(targetRunId));
+      if (!baseRun || !targetRun) {
+        return null;
+      }
+
+      const diffResult = await query(`
+        SELECT
+          CASE
+            WHEN b.discrepancy_key IS NULL THEN 'NEW'
+            WHEN t.discrepancy_key IS NULL THEN 'RESOLVED'
+            ELSE 'PERSISTING'
+          END as change,
+          COALESCE(t.discrepancy_type, b.discrepancy_type) as discrepancy_type,
+          COALESCE(t.payload, b.payload) as payload
+        FROM (
+          SELECT *, ROW_NUMBER() OVER (PARTITION BY discrepancy_key ORDER BY id) as occurrence
+          FROM analysis_run_discrepancies WHERE run_id = $1
+        ) b
+        FULL OUTER JOIN (
+          SELECT *, ROW_NUMBER() OVER (PARTITION BY discrepancy_key ORDER BY id) as occurrence
+          FROM analysis_run_discrepancies WHERE run_id = $2
+        ) t ON b.discrepancy_key = t.discrepancy_key AND b.occurrence = t.occurrence
+      `, [baseRunId, targetRunId]);
+
+      const newlyIntroduced = [];
+      const resolved = [];
+      const persisting = [];
+      const byType = {};
+
+      for (const row of diffResult.rows) {
+        byType[row.discrepancy_type] = byType[row.discrepancy_type] || { new: 0, resolved: 0, persisting: 0 };
+
+        if (row.change === 'NEW') {
+          newlyIntroduced.push(row.payload);
+          byType[row.discrepancy_type].new++;
+        } else if (row.change === 'RESOLVED') {
+          resolved.push(row.payload);
+          byType[row.discrepancy_type].resolved++;
+        } else {
+          persisting.push(row.payload);
+          byType[row.discrepancy_type].persisting++;
+        }
+      }
+
+      return {
+        baseRun: this.mapRunRow(baseRun),
+        targetRun: this.mapRunRow(targetRun),
+        summary: {
+          newCount: newlyIntroduced.length,
+          resolvedCount: resolved.length,
+          persistingCount: persisting.length,
+          byType
+        },
+        newlyIntroduced,
+        resolved,
+        ...(includePersisting ? { persisting } : {})
+      };
+
+    } catch (error) {
+      console.error('Error comparing analysis runs:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import { query } from '../../database/config/db.js';
+import { bumpDataVersion } from './analysisCache.js';
+
+/**
+ * Mapping codes are stored trimmed and upper-cased so lookups from the
+ * discrepancy queries can compare against UPPER(TRIM(...)) directly
+ */
+export function normaliseBerthCode(value) {
+  return typeof value === 'string' ? value.trim().toUpperCase() : value;
+}
+
+/**
+ * Build the SQL condition that is true when a PRS berth type and an MDMS
+ * berth qualifier are declared equivalent in berth_type_mappings
+ */
+export function buildBerthTypeEquivalence(prsExpr, mdmsExpr) {
+  return `EXISTS (
+    SELECT 1 FROM berth_type_mappings btm
+    WHERE btm.prs_berth_type = UPPER(TRIM(${prsExpr}))
+      AND btm.mdms_berth_qualifier = UPPER(TRIM(${mdmsExpr}))
+  )`;
+}
+
+export class BerthTypeMappingService {
+
+  mapRow(row) {
+    return {
+      id: row.id,
+      prsBerthType: row.prs_berth_type,
+      mdmsBerthQualifier: row.mdms_berth_qualifier,
+      description: row.description,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Get all berth type mappings
+   */
+  async listMappings() {
+    try {
+      const result = await query('SELECT * FROM berth_type_mappings ORDER BY prs_berth_type, mdms_berth_qualifier');
+      return result.rows.map(row => this.mapRow(row));
+    } catch (error) {
+      console.error('Error listing berth type mappings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single mapping by id
+   */
+  async getMapping(id) {
+    const result = await query('SELECT * FROM berth_type_mappings WHERE id = $1', [id]);
+    return result.rows.length > 0 ? this.mapRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Create a mapping declaring a PRS berth type equivalent to an MDMS berth qualifier
+   */
+  async createMapping({ prsBerthType, mdmsBerthQualifier, description = null }) {
+    try {
+      const result = await query(`
+        INSERT INTO berth_type_mappings (prs_berth_type, mdms_berth_qualifier, description)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [normaliseBerthCode(prsBerthType), normaliseBerthCode(mdmsBerthQualifier), description]);
+
+      console.log(`✅ Created berth type mapping: ${prsBerthType} ↔ ${mdmsBerthQualifier}`);
+      await bumpDataVersion('berth type mapping created');
+      return this.mapRow(result.rows[0]);
+    } catch (error) {
+      console.error('Error creating berth type mapping:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing mapping, returning null if it does not exist. Omitted
+   * fields are kept; an explicit null or empty description clears it.
+   */
+  async updateMapping(id, { prsBerthType, mdmsBerthQualifier, description }) {
+    try {
+      const result = await query(`
+        UPDATE berth_type_mappings SET
+          prs_berth_type = COALESCE($2, prs_berth_type),
+          mdms_berth_qualifier = COALESCE($3, mdms_berth_qualifier),
+          description = CASE WHEN $5 THEN $4 ELSE description END,
+          updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [id, normaliseBerthCode(prsBerthType) ?? null, normaliseBerthCode(mdmsBerthQualifier) ?? null, description || null, description !== undefined]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await bumpDataVersion('berth type mapping updated');
+      return this.mapRow(result.rows[0]);
+    } catch (error) {
+      console.error('Error updating berth type mapping:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a mapping, returning true if it existed
+   */
+  async deleteMapping(id) {
+    const result = await query('DELETE FROM berth_type_mappings WHERE id = $1', [id]);
+    if (result.rowCount > 0) {
+      await bumpDataVersion('berth type mapping deleted');
+    }
+    return result.rowCount > 0;
+  }
+}
@@ -0,0 +1,195 @@
+import { query } from '../../database/config/db.js';
+import { bumpDataVersion } from './analysisCache.js';
+
+/**
+ * Class codes are stored trimmed and upper-cased, like berth type mappings
+ */
+export function normaliseClassCode(value) {
+  return typeof value === 'string' ? value.trim().toUpperCase() : value;
+}
+
+/**
+ * Build the SQL expression resolving a single class value through
+ * class_aliases: the canonical class when the value is a known alias,
+ * otherwise the value itself. Queries over whole tables use
+ * buildClassAliasSource instead, which resolves every row once.
+ */
+export function buildClassAliasExpression(expr) {
+  return `COALESCE((
+    SELECT ca.canonical_class FROM class_aliases ca
+    WHERE ca.alias = UPPER(TRIM(${expr}))
+  ), ${expr})`;
+}
+
+/**
+ * Name of the column buildClassAliasSource adds with a class column's canonical class
+ */
+export function canonicalClassColumn(column) {
+  return `${column}_canonical`;
+}
+
+/**
+ * Build the FROM source of a table with its class columns resolved through
+ * class_aliases by one LEFT JOIN each: every row, plus a <column>_canonical
+ * column holding the canonical class (or the value itself when it is not an
+ * alias). Returns the plain table when no column is resolved.
+ */
+export function buildClassAliasSource(table, columns) {
+  const resolved = [...new Set(columns)];
+  if (resolved.length === 0) return table;
+
+  const canonical = resolved.map((column, i) => `COALESCE(ca${i}.canonical_class, t.${column}) as ${canonicalClassColumn(column)}`);
+  const joins = resolved.map((column, i) => `LEFT JOIN class_aliases ca${i} ON ca${i}.alias = UPPER(TRIM(t.${column}))`);
+  return `(
+  SELECT t.*, ${canonical.join(', ')}
+  FROM ${table} t
+  ${joins.join('\n  ')}
+)`;
+}
+
+export class ClassAliasService {
+
+  mapRow(row) {
+    return {
+      id: row.id,
+      alias: row.alias,
+      canonicalClass: row.canonical_class,
+      description: row.description,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Get all class aliases
+   */
+  async listAliases() {
+    try {
+      const result = await query('SELECT * FROM class_aliases ORDER BY canonical_class, alias');
+      return result.rows.map(row => this.mapRow(row));
+    } catch (error) {
+      console.error('Error listing class aliases:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single alias by id
+   */
+  async getAlias(id) {
+    try {
+      const result = await query('SELECT * FROM class_aliases WHERE id = $1', [id]);
+      return result.rows.length > 0 ? this.mapRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error getting class alias:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an alias resolving a class code to its canonical class
+   */
+  async createAlias({ alias, canonicalClass, description = null }) {
+    try {
+      const result = await query(`
+        INSERT INTO class_aliases (alias, canonical_class, description)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [normaliseClassCode(alias), normaliseClassCode(canonicalClass), description]);
+
+      console.log(`✅ Created class alias: ${alias} → ${canonicalClass}`);
+      await bumpDataVersion('class alias created');
+      return this.mapRow(result.rows[0]);
+    } catch (error) {
+      console.error('Error creating class alias:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing alias, returning null if it does not exist
+   */
+  async updateAlias(id, { alias, canonicalClass, description }) {
+    try {
+      const result = await query(`
+        UPDATE class_aliases SET
+          alias = COALESCE($2, alias),
+          canonical_class = COALESCE($3, canonical_class),
+          description = COALESCE($4, description),
+          updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [id, normaliseClassCode(alias) ?? null, normaliseClassCode(canonicalClass) ?? null, description ?? null]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await bumpDataVersion('class alias updated');
+      return this.mapRow(result.rows[0]);
+    } catch (error) {
+      console.error('Error updating class alias:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an alias, returning true if it existed
+   */
+  async deleteAlias(id) {
+    try {
+      const result = await query('DELETE FROM class_aliases WHERE id = $1', [id]);
+      if (result.rowCount > 0) {
+        await bumpDataVersion('class alias deleted');
+      }
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting class alias:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the class values of each table that, after alias resolution, never
+   * occur in the other table. These are the values to add aliases for.
+   */
+  async findUnmappedClasses() {
+    try {
+      const result = await query(`
+        WITH class_values AS (
+          SELECT 'PRS' as source, UPPER(TRIM(class)) as class_value, COUNT(*)::INT as row_count
+          FROM prs
+          WHERE NULLIF(NULLIF(TRIM(class), ''), 'NULL') IS NOT NULL
+          GROUP BY 2
+          UNION ALL
+          SELECT 'MDMS' as source, UPPER(TRIM(coach_class)) as class_value, COUNT(*)::INT as row_count
+          FROM mdms
+          WHERE NULLIF(NULLIF(TRIM(coach_class), ''), 'NULL') IS NOT NULL
+          GROUP BY 2
+        ),
+        resolved AS (
+          SELECT v.*, UPPER(TRIM(${buildClassAliasExpression('v.class_value')})) as resolved_class
+          FROM class_values v
+        )
+        SELECT r.* FROM resolved r
+        WHERE NOT EXISTS (
+          SELECT 1 FROM resolved o
+          WHERE o.source <> r.source AND o.resolved_class = r.resolved_class
+        )
+        ORDER BY r.source DESC, r.row_count DESC, r.class_value
+      `);
+
+      const toEntry = (row) => ({
+        classValue: row.class_value,
+        resolvedClass: row.resolved_class,
+        aliased: row.resolved_class !== row.class_value,
+        rowCount: row.row_count
+      });
+      const prs = result.rows.filter(row => row.source === 'PRS').map(toEntry);
+      const mdms = result.rows.filter(row => row.source === 'MDMS').map(toEntry);
+      return { count: prs.length + mdms.length, prs, mdms };
+    } catch (error) {
+      console.error('Error finding unmapped class values:', error);
+      throw error;
+    }
+  }
+}
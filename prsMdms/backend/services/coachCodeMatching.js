@@ -0,0 +1,145 @@
+// Fuzzy matching of coach codes left unmatched by the discrepancy analysis.
+// Codes such as 'CC-73' / 'CC073' / 'cc73' usually name the same coach, so
+// MISSING_IN_PRS and MISSING_IN_MDMS records for them are suggested as pairs.
+
+export const DEFAULT_MIN_CONFIDENCE = 0.75;
+export const DEFAULT_SUGGESTIONS_PER_CODE = 3;
+
+// Share of the confidence taken by the code similarity; the rest comes from
+// how many of the unmatched berth numbers the two codes have in common.
+const CODE_WEIGHT = 0.8;
+
+/**
+ * Normalise a coach code for comparison: upper case, separators removed
+ * and leading zeros stripped from numeric tokens ('cc-073' → 'CC73')
+ */
+export function normaliseCoachCode(code) {
+  return String(code ?? '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/(^|[A-Z])0+(?=\d)/g, '$1');
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score how alike two coach codes are, returning { score, method, editDistance }.
+ * Score is 1 for codes equal after normalisation and falls towards 0 as they differ.
+ */
+export function scoreCoachCodes(prsCode, mdmsCode) {
+  const a = normaliseCoachCode(prsCode);
+  const b = normaliseCoachCode(mdmsCode);
+  const distance = editDistance(a, b);
+  const longer = Math.max(a.length, b.length);
+
+  if (longer === 0) {
+    return { score: 0, method: 'none', editDistance: distance };
+  }
+  if (a === b) {
+    return { score: 1, method: 'normalised', editDistance: 0 };
+  }
+
+  let score = 1 - distance / longer;
+  let method = 'edit distance';
+
+  // One code extending the other ('ACCW' / 'ACCW46') is likelier than the edit distance suggests
+  const shorter = a.length <= b.length ? a : b;
+  const other = shorter === a ? b : a;
+  if (shorter.length >= 3) {
+    const affixScore = 0.6 + 0.3 * (shorter.length / longer);
+    if (other.startsWith(shorter) && affixScore > score) {
+      score = affixScore;
+      method = 'prefix';
+    } else if (other.endsWith(shorter) && affixScore > score) {
+      score = affixScore;
+      method = 'suffix';
+    }
+  }
+
+  return { score, method, editDistance: distance };
+}
+
+/**
+ * Group unmatched discrepancy records by coach code, collecting their berth numbers.
+ * Blank and literal 'NULL' codes are left out, as they cannot be paired by name.
+ */
+function groupUnmatchedByCoach(discrepancies, discrepancyType) {
+  const groups = new Map();
+  for (const d of discrepancies) {
+    if (d.discrepancyType !== discrepancyType) continue;
+    const code = d.coachCode === null || d.coachCode === undefined ? '' : String(d.coachCode).trim();
+    if (code === '' || code.toUpperCase() === 'NULL') continue;
+
+    if (!groups.has(code)) {
+      groups.set(code, { coachCode: code, classes: new Set(), berths: new Set() });
+    }
+    const group = groups.get(code);
+    if (d.prsClass ?? d.mdmsClass) group.classes.add(String(d.prsClass ?? d.mdmsClass).trim());
+    if (d.berthNumber !== null && d.berthNumber !== undefined) group.berths.add(Number(d.berthNumber));
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Propose MDMS counterparts for PRS coach codes with MISSING_IN_MDMS records,
+ * drawn from the coach codes with MISSING_IN_PRS records
+ */
+export function buildSuggestedMatches(discrepancies, {
+  minConfidence = DEFAULT_MIN_CONFIDENCE,
+  suggestionsPerCode = DEFAULT_SUGGESTIONS_PER_CODE
+} = {}) {
+  const prsGroups = groupUnmatchedByCoach(discrepancies, 'MISSING_IN_MDMS');
+  const mdmsGroups = groupUnmatchedByCoach(discrepancies, 'MISSING_IN_PRS');
+  const suggestions = [];
+
+  for (const prs of prsGroups) {
+    const candidates = [];
+
+    for (const mdms of mdmsGroups) {
+      // Identical codes are unmatched on class or berth, not on the code itself
+      if (prs.coachCode.toLowerCase() === mdms.coachCode.toLowerCase()) continue;
+
+      const { score, method, editDistance: distance } = scoreCoachCodes(prs.coachCode, mdms.coachCode);
+      const sharedBerths = [...prs.berths].filter(berth => mdms.berths.has(berth)).length;
+      const berthOverlap = sharedBerths / Math.max(1, Math.min(prs.berths.size, mdms.berths.size));
+      const confidence = Math.round((CODE_WEIGHT * score + (1 - CODE_WEIGHT) * berthOverlap) * 100) / 100;
+
+      if (confidence < minConfidence) continue;
+
+      candidates.push({
+        prsCoachCode: prs.coachCode,
+        mdmsCoachCode: mdms.coachCode,
+        confidence,
+        method,
+        editDistance: distance,
+        prsClasses: [...prs.classes].join(', '),
+        mdmsClasses: [...mdms.classes].join(', '),
+        prsUnmatchedBerths: prs.berths.size,
+        mdmsUnmatchedBerths: mdms.berths.size,
+        sharedBerths
+      });
+    }
+
+    candidates.sort((x, y) => y.confidence - x.confidence);
+    suggestions.push(...candidates.slice(0, suggestionsPerCode));
+  }
+
+  return suggestions.sort((x, y) => y.confidence - x.confidence || x.prsCoachCode.localeCompare(y.prsCoachCode));
+}
@@ -0,0 +1,225 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { buildBerthTypeEquivalence } from './berthTypeMappings.js';
+import { buildClassAliasSource, canonicalClassColumn } from './classAliases.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LAYOUTS_PATH = path.join(__dirname, '../../database/config/coachLayouts.json');
+
+/**
+ * Layout checks, keyed by discrepancy type
+ */
+export const LAYOUT_ISSUES = {
+  LAYOUT_GAP: 'gap',
+  LAYOUT_EXTRA_BERTH: 'extra',
+  LAYOUT_PATTERN_BREAK: 'pattern'
+};
+
+/**
+ * Validate a list of coach layout templates, returning error messages
+ */
+export function validateCoachLayouts(layouts) {
+  if (!Array.isArray(layouts)) return ['Coach layouts must be a JSON array'];
+
+  const errors = [];
+  const ids = new Set();
+  layouts.forEach((layout, i) => {
+    const where = layout?.id ? `layout ${layout.id}` : `layouts[${i}]`;
+    if (!layout || typeof layout !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof layout.id !== 'string' || !/^[A-Z0-9_]+$/.test(layout.id)) {
+      errors.push(`${where}: id must be UPPER_SNAKE_CASE`);
+    } else if (ids.has(layout.id)) {
+      errors.push(`${where}: duplicate id`);
+    }
+    ids.add(layout.id);
+
+    if (!Array.isArray(layout.classes) || layout.classes.length === 0 || layout.classes.some(c => typeof c !== 'string' || !c.trim())) {
+      errors.push(`${where}: classes must be a non-empty array of class codes`);
+    }
+    if (!Number.isInteger(layout.berthCount) || layout.berthCount < 1) {
+      errors.push(`${where}: berthCount must be a positive integer`);
+    }
+    const isBerthTypeList = (list) => Array.isArray(list) && list.every(t => typeof t === 'string' && t.trim());
+    if (!isBerthTypeList(layout.sequence) || layout.sequence.length === 0) {
+      errors.push(`${where}: sequence must be a non-empty array of berth types`);
+      return;
+    }
+    const trailing = layout.trailing ?? [];
+    if (!isBerthTypeList(trailing) || trailing.length >= layout.sequence.length) {
+      errors.push(`${where}: trailing must be an array of berth types shorter than the sequence`);
+    } else if (Number.isInteger(layout.berthCount)) {
+      // The sequence repeats bay by bay; only `trailing` may fill a partial last bay
+      const bays = (layout.berthCount - trailing.length) / layout.sequence.length;
+      if (!Number.isInteger(bays) || bays < 1) {
+        errors.push(`${where}: berthCount ${layout.berthCount} is not a whole number of ${layout.sequence.length}-berth sequences`
+          + (trailing.length > 0 ? ` plus ${trailing.length} trailing berths` : ''));
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Read and validate the templates from database/config/coachLayouts.json
+ */
+function readCoachLayouts() {
+  let layouts;
+  try {
+    layouts = JSON.parse(fs.readFileSync(LAYOUTS_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read coach layouts: ${error.message}`);
+  }
+  const errors = validateCoachLayouts(layouts);
+  if (errors.length > 0) {
+    throw new Error(`Invalid coach layouts: ${errors.join('; ')}`);
+  }
+  return layouts.filter(layout => layout.enabled !== false);
+}
+
+// Read once when the module loads, so a broken file fails at startup; edits need a restart
+const COACH_LAYOUTS = readCoachLayouts();
+
+/**
+ * Get the enabled coach layout templates
+ */
+export function loadCoachLayouts() {
+  return COACH_LAYOUTS;
+}
+
+const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+/**
+ * Expected berth type of every berth of a template, in berth order: the
+ * sequence repeated bay by bay, then the trailing berths
+ */
+function expandTemplate(layout) {
+  const bays = (layout.berthCount - (layout.trailing?.length ?? 0)) / layout.sequence.length;
+  return [...Array.from({ length: bays }, () => layout.sequence).flat(), ...(layout.trailing ?? [])]
+    .map(t => t.trim().toUpperCase());
+}
+
+/**
+ * Inline the templates as a VALUES list with one row per template and class
+ */
+function buildTemplateRows(layouts) {
+  const rows = layouts.flatMap(layout => layout.classes.map(className =>
+    `(${literal(layout.id)}, ${literal(className.trim().toUpperCase())}, ${layout.berthCount}, ARRAY[${expandTemplate(layout).map(literal).join(', ')}]::TEXT[])`
+  ));
+  if (rows.length === 0) {
+    return 'SELECT NULL::TEXT as template_id, NULL::TEXT as class, NULL::INT as berth_count, NULL::TEXT[] as pattern WHERE FALSE';
+  }
+  return `SELECT * FROM (VALUES\n  ${rows.join(',\n  ')}\n) t(template_id, class, berth_count, pattern)`;
+}
+
+/**
+ * Build the CTEs that fit each coach of one table to a template and list its
+ * berths that break it. A coach is fitted to the template of its class whose
+ * berth count is closest to its highest berth number. Coaches carrying more
+ * than one class (composite coaches) have no single layout and are skipped.
+ * Classes are resolved through class_aliases before picking the template.
+ */
+function buildSideCtes(prefix, table, issue) {
+  const columns = table === 'prs'
+    ? { coach: 'coach_code', class: 'class', berth: 'berth_number', type: 'berth_type' }
+    : { coach: 'prs_coach_code', class: 'coach_class', berth: 'berth_no', type: 'berth_qualifier' };
+  // The pattern lists every berth of the template, so berth n expects pattern[n]
+  const expected = `f.pattern[b.berth_number]`;
+  // MDMS qualifiers also fit the pattern when mapped to the expected PRS berth type
+  const fits = table === 'prs'
+    ? `b.berth_type = ${expected}`
+    : `(b.berth_type = ${expected} OR ${buildBerthTypeEquivalence(expected, 'b.berth_type')})`;
+
+  const issues = {
+    gap: `
+  SELECT f.coach_key, f.coach_code, f.class, n as berth_number, NULL::INT as serial_no, NULL::TEXT as actual_type,
+    f.pattern[n] as expected_type, f.template_id, f.berth_count
+  FROM ${prefix}_fitted f
+  CROSS JOIN generate_series(1, f.berth_count) n
+  WHERE NOT EXISTS (SELECT 1 FROM ${prefix}_berths b WHERE b.coach_key = f.coach_key AND b.berth_number = n)`,
+    extra: `
+  SELECT f.coach_key, f.coach_code, f.class, b.berth_number, b.serial_no, b.berth_type as actual_type,
+    NULL::TEXT as expected_type, f.template_id, f.berth_count
+  FROM ${prefix}_berths b
+  INNER JOIN ${prefix}_fitted f ON f.coach_key = b.coach_key
+  WHERE b.berth_number < 1 OR b.berth_number > f.berth_count`,
+    pattern: `
+  SELECT f.coach_key, f.coach_code, f.class, b.berth_number, b.serial_no, b.berth_type as actual_type,
+    ${expected} as expected_type, f.template_id, f.berth_count
+  FROM ${prefix}_berths b
+  INNER JOIN ${prefix}_fitted f ON f.coach_key = b.coach_key
+  WHERE b.berth_number BETWEEN 1 AND f.berth_count
+    AND NOT COALESCE(${fits}, FALSE)`
+  };
+
+  return `
+${prefix}_berths AS (
+  SELECT DISTINCT ON (LOWER(TRIM(${columns.coach})), ${columns.berth})
+    LOWER(TRIM(${columns.coach})) as coach_key, TRIM(${columns.coach}) as coach_code,
+    UPPER(TRIM(${canonicalClassColumn(columns.class)})) as class, ${columns.berth} as berth_number, serial_no,
+    UPPER(TRIM(${columns.type})) as berth_type
+  FROM ${buildClassAliasSource(table, [columns.class])} t
+  WHERE ${columns.berth} IS NOT NULL
+    -- Rows without a coach code belong to no coach, so have no layout
+    AND NULLIF(NULLIF(TRIM(${columns.coach}), ''), 'NULL') IS NOT NULL
+  ORDER BY LOWER(TRIM(${columns.coach})), ${columns.berth}, serial_no
+),
+${prefix}_fitted AS (
+  SELECT DISTINCT ON (c.coach_key) c.*, t.template_id, t.berth_count, t.pattern
+  FROM (
+    SELECT coach_key, MIN(coach_code) as coach_code, MIN(class) as class, MAX(berth_number) as max_berth
+    FROM ${prefix}_berths
+    GROUP BY coach_key
+    HAVING COUNT(DISTINCT class) = 1
+  ) c
+  INNER JOIN layout_templates t ON t.class = c.class
+  ORDER BY c.coach_key, ABS(t.berth_count - c.max_berth), t.berth_count DESC
+),
+${prefix}_issues AS (${issues[issue]}
+)`;
+}
+
+/**
+ * Build the SELECT for each layout check, keyed by discrepancy type, in the
+ * discrepancy column layout.
+ * PRS and MDMS findings for the same coach and berth are joined into one row,
+ * so an error both systems share is reported once with both sides filled in:
+ * berth_type holds the PRS berth type and berth_qualifier the MDMS qualifier.
+ */
+export function buildLayoutQueries(layouts) {
+  const sides = `CASE WHEN p.coach_key IS NOT NULL AND m.coach_key IS NOT NULL THEN 'PRS and MDMS'
+      WHEN p.coach_key IS NOT NULL THEN 'PRS' ELSE 'MDMS' END`;
+  const layoutRef = `' (layout ', COALESCE(p.template_id, m.template_id), ', ', COALESCE(p.berth_count, m.berth_count), ' berths)'`;
+  const details = {
+    gap: `CONCAT('Berth ', COALESCE(p.berth_number, m.berth_number), ' of coach ', COALESCE(p.coach_code, m.coach_code),
+    ' is missing in ', ${sides}, ${layoutRef})`,
+    extra: `CONCAT('Berth ', COALESCE(p.berth_number, m.berth_number), ' of coach ', COALESCE(p.coach_code, m.coach_code),
+    ' in ', ${sides}, ' is outside the layout', ${layoutRef})`,
+    pattern: `CONCAT('Berth ', COALESCE(p.berth_number, m.berth_number), ' of coach ', COALESCE(p.coach_code, m.coach_code),
+    ' should be ', COALESCE(p.expected_type, m.expected_type), ${layoutRef}, ' but ',
+    CONCAT_WS(' and ', CASE WHEN p.coach_key IS NOT NULL THEN CONCAT('PRS has ', COALESCE(p.actual_type, 'no type')) END,
+      CASE WHEN m.coach_key IS NOT NULL THEN CONCAT('MDMS has ', COALESCE(m.actual_type, 'no type')) END))`
+  };
+  const templates = buildTemplateRows(layouts);
+
+  return Object.fromEntries(Object.entries(LAYOUT_ISSUES).map(([type, issue]) => [type, `
+WITH layout_templates AS (
+${templates}
+),${buildSideCtes('prs', 'prs', issue)},${buildSideCtes('mdms', 'mdms', issue)}
+SELECT
+  COALESCE(p.serial_no, m.serial_no) as serial_no,
+  COALESCE(p.coach_code, m.coach_code) as coach_code,
+  p.class as prs_class,
+  m.class as mdms_class,
+  COALESCE(p.berth_number, m.berth_number) as berth_number,
+  COALESCE(p.actual_type, 'N/A') as berth_type,
+  COALESCE(m.actual_type, 'N/A') as berth_qualifier,
+  '${type}' as discrepancy_type,
+  ${details[issue]} as details
+FROM prs_issues p
+FULL OUTER JOIN mdms_issues m
+  ON p.coach_key = m.coach_key AND p.berth_number = m.berth_number`]));
+}
@@ -0,0 +1,131 @@
+import { query } from '../../database/config/db.js';
+
+/**
+ * Coach-level statuses, most severe first. A coach takes the first status that applies.
+ */
+export const COACH_STATUSES = {
+  FULLY_MISSING_IN_MDMS: 'Coach has PRS berths but none in MDMS',
+  FULLY_MISSING_IN_PRS: 'Coach has MDMS berths but none in PRS',
+  PARTIALLY_MISSING: 'Some berths are missing from one side',
+  TYPE_MISMATCHED: 'All berths match but some berth types differ',
+  LAYOUT_ISSUES: 'Berths match but break the coach layout template',
+  COMPOSITE_ISSUES: 'Only composite flag or class problems',
+  CLEAN: 'No discrepancies'
+};
+
+const coachKey = (code) => (code === null || code === undefined ? '' : String(code).trim().toLowerCase());
+
+/**
+ * Collapse berth numbers into ranges, e.g. [1, 2, 3, 7, 9, 10] → '1-3, 7, 9-10'
+ */
+export function formatBerthRanges(berthNumbers) {
+  const sorted = [...new Set(berthNumbers.map(Number).filter(n => Number.isFinite(n)))].sort((a, b) => a - b);
+  const ranges = [];
+  let start = null;
+  let end = null;
+
+  for (const n of sorted) {
+    if (start !== null && n === end + 1) {
+      end = n;
+      continue;
+    }
+    if (start !== null) ranges.push(start === end ? `${start}` : `${start}-${end}`);
+    start = n;
+    end = n;
+  }
+  if (start !== null) ranges.push(start === end ? `${start}` : `${start}-${end}`);
+
+  return ranges.join(', ');
+}
+
+/**
+ * Count berths and collect classes per coach code in both tables
+ * (`executor` runs the SQL, defaulting to the shared pool)
+ */
+export async function loadCoachBerthCounts(executor = query) {
+  const result = await executor(`
+    SELECT 'PRS' as source, TRIM(coach_code) as coach_code, COUNT(*)::INT as berths,
+      STRING_AGG(DISTINCT TRIM(class), ', ') as classes
+    FROM prs
+    GROUP BY TRIM(coach_code)
+    UNION ALL
+    SELECT 'MDMS' as source, TRIM(prs_coach_code) as coach_code, COUNT(*)::INT as berths,
+      STRING_AGG(DISTINCT TRIM(coach_class), ', ') as classes
+    FROM mdms
+    GROUP BY TRIM(prs_coach_code)
+  `);
+  return result.rows;
+}
+
+/**
+ * Roll berth-level discrepancies up to one entry per coach code.
+ * `coachCounts` are the rows returned by loadCoachBerthCounts().
+ */
+export function buildCoachRollup(discrepancies, coachCounts) {
+  const coaches = new Map();
+  const getCoach = (code) => {
+    const key = coachKey(code);
+    if (!coaches.has(key)) {
+      coaches.set(key, {
+        coachCode: code === null || code === undefined ? null : String(code).trim(),
+        status: 'CLEAN',
+        prsBerths: 0,
+        mdmsBerths: 0,
+        prsClasses: null,
+        mdmsClasses: null,
+        discrepancyCount: 0,
+        counts: {},
+        missingInMdmsBerths: [],
+        missingInPrsBerths: [],
+        discrepancies: []
+      });
+    }
+    return coaches.get(key);
+  };
+
+  for (const row of coachCounts) {
+    const coach = getCoach(row.coach_code);
+    if (row.source === 'PRS') {
+      coach.prsBerths += row.berths;
+      coach.prsClasses = row.classes;
+    } else {
+      coach.mdmsBerths += row.berths;
+      coach.mdmsClasses = row.classes;
+    }
+  }
+
+  for (const d of discrepancies) {
+    const coach = getCoach(d.coachCode);
+    coach.discrepancyCount++;
+    coach.counts[d.discrepancyType] = (coach.counts[d.discrepancyType] || 0) + 1;
+    coach.discrepancies.push(d);
+    if (d.discrepancyType === 'MISSING_IN_MDMS') coach.missingInMdmsBerths.push(d.berthNumber);
+    if (d.discrepancyType === 'MISSING_IN_PRS') coach.missingInPrsBerths.push(d.berthNumber);
+  }
+
+  const rollup = [...coaches.values()].map(coach => {
+    const { missingInMdmsBerths, missingInPrsBerths, ...rest } = coach;
+    let status = 'CLEAN';
+    if (coach.prsBerths > 0 && coach.mdmsBerths === 0) status = 'FULLY_MISSING_IN_MDMS';
+    else if (coach.mdmsBerths > 0 && coach.prsBerths === 0) status = 'FULLY_MISSING_IN_PRS';
+    else if (missingInMdmsBerths.length > 0 || missingInPrsBerths.length > 0) status = 'PARTIALLY_MISSING';
+    else if (coach.counts.TYPE_MISMATCH) status = 'TYPE_MISMATCHED';
+    else if (Object.keys(coach.counts).some(type => type.startsWith('LAYOUT_'))) status = 'LAYOUT_ISSUES';
+    else if (coach.discrepancyCount > 0) status = 'COMPOSITE_ISSUES';
+
+    return {
+      ...rest,
+      status,
+      missingInMdmsCount: missingInMdmsBerths.length,
+      missingInPrsCount: missingInPrsBerths.length,
+      missingInMdmsRanges: formatBerthRanges(missingInMdmsBerths),
+      missingInPrsRanges: formatBerthRanges(missingInPrsBerths)
+    };
+  });
+
+  const statusOrder = Object.keys(COACH_STATUSES);
+  return rollup.sort((a, b) =>
+    statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status)
+    || String(a.coachCode).localeCompare(String(b.coachCode))
+  );
+}
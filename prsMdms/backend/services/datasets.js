@@ -0,0 +1,138 @@
+import { query } from '../../database/config/db.js';
+import { PRS_MDMS_COLUMNS, recordDataset } from '../../database/ingestion/prsMdmsExcelProcessor.js';
+import { runIsolated } from './workbookComparison.js';
+import { DiscrepancyService } from './prsMdms.js';
+
+// Dataset reference for the live prs and mdms tables
+export const CURRENT_DATASET = 'current';
+
+/**
+ * Validate a dataset name, returning error messages. Names are optional, but
+ * must not be mistaken for a version number or the current tables.
+ */
+export function validateDatasetName(name) {
+  if (name === undefined || name === null) return [];
+  if (typeof name !== 'string' || !name.trim()) return ['name must be a non-empty string'];
+  if (/^\d+$/.test(name.trim())) return ['name cannot be a number, numbers refer to dataset versions'];
+  if (name.trim().toLowerCase() === CURRENT_DATASET) return [`name '${CURRENT_DATASET}' is reserved for the current tables`];
+  return [];
+}
+
+/**
+ * Create views named prs and mdms over the selected dataset versions for the
+ * current transaction. Like the temporary tables of a workbook comparison they
+ * hide the shared tables from unqualified queries; a side without a version
+ * keeps reading its current table.
+ */
+async function createDatasetViews(executor, selection) {
+  for (const table of ['prs', 'mdms']) {
+    if (!selection[table]) continue;
+    const columns = ['id', ...PRS_MDMS_COLUMNS[table]].join(', ');
+    await executor(`CREATE TEMP VIEW ${table} AS SELECT ${columns} FROM public.dataset_${table} WHERE dataset_id = ${Number(selection[table].id)}`);
+  }
+}
+
+export class DatasetService {
+
+  mapRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      sourceFile: row.source_file,
+      prsRowCount: row.prs_row_count,
+      mdmsRowCount: row.mdms_row_count,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Get all dataset versions, newest first
+   */
+  async listDatasets() {
+    try {
+      const result = await query('SELECT * FROM datasets ORDER BY id DESC');
+      return result.rows.map(row => this.mapRow(row));
+    } catch (error) {
+      console.error('Error listing datasets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a dataset version by id or name
+   */
+  async getDataset(ref) {
+    const value = String(ref).trim();
+    const result = /^\d+$/.test(value)
+      ? await query('SELECT * FROM datasets WHERE id = $1', [Number(value)])
+      : await query('SELECT * FROM datasets WHERE name = $1', [value]);
+    return result.rows.length > 0 ? this.mapRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Store the current prs and mdms tables as a new dataset version, e.g. after fixes
+   */
+  async createDataset({ name = null, description = null } = {}) {
+    try {
+      const dataset = await recordDataset(query, { name: name?.trim() ?? null, description });
+      return this.mapRow(dataset);
+    } catch (error) {
+      console.error('Error creating dataset:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a dataset version and its rows, returning true if it existed
+   */
+  async deleteDataset(id) {
+    const result = await query('DELETE FROM datasets WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Resolve dataset references into a selection of PRS and MDMS versions.
+   * `dataset` applies to both sides, `prsDataset` and `mdmsDataset` override
+   * one side, and 'current' picks the live table. Resolves to { selection },
+   * null when only the current tables are read, or { errors }.
+   */
+  async resolveSelection({ dataset, prsDataset, mdmsDataset } = {}) {
+    const refs = { prs: prsDataset ?? dataset, mdms: mdmsDataset ?? dataset };
+    const selection = { prs: null, mdms: null };
+    const errors = [];
+
+    for (const [table, ref] of Object.entries(refs)) {
+      if (ref === undefined || ref === null || String(ref).trim().toLowerCase() === CURRENT_DATASET) continue;
+      if (typeof ref !== 'string' && !Number.isInteger(ref)) {
+        errors.push(`${table === 'prs' ? 'PRS' : 'MDMS'} dataset must be a dataset id or name`);
+        continue;
+      }
+      selection[table] = await this.getDataset(ref);
+      if (!selection[table]) errors.push(`Unknown ${table === 'prs' ? 'PRS' : 'MDMS'} dataset '${ref}'`);
+    }
+
+    if (errors.length > 0) return { errors };
+    return { selection: selection.prs || selection.mdms ? selection : null };
+  }
+
+  /**
+   * Run `work` with stateless analysis services that read the selected dataset
+   * versions instead of the shared tables. Stored versions never change, so
+   * their results share the analysis cache under a namespace for the selection.
+   */
+  async withDatasets(selection, work) {
+    const cacheNamespace = `dataset:prs=${selection.prs?.id ?? CURRENT_DATASET}:mdms=${selection.mdms?.id ?? CURRENT_DATASET}`;
+    return runIsolated(
+      (executor) => createDatasetViews(executor, selection),
+      (executor) => {
+        const discrepancyService = new DiscrepancyService({ executor, stateless: true, cacheNamespace });
+        return work({
+          discrepancyService,
+          duplicateService: discrepancyService.duplicateService,
+          validationRuleService: discrepancyService.validationRuleService
+        });
+      }
+    );
+  }
+}
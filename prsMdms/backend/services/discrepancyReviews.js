@@ -0,0 +1,157 @@
+import { query, getPool } from '../../database/config/db.js';
+
+export const REVIEW_STATUSES = ['open', 'acknowledged', 'assigned', 'resolved', 'waived'];
+
+export class DiscrepancyReviewService {
+
+  mapReviewRow(row) {
+    return {
+      discrepancyId: row.discrepancy_id,
+      discrepancyKey: row.discrepancy_key,
+      discrepancyType: row.discrepancy_type,
+      coachCode: row.coach_code,
+      status: row.status,
+      assignee: row.assignee,
+      comment: row.comment,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Add status, assignee and latest comment to each discrepancy. Discrepancies
+   * nobody has reviewed yet are 'open'.
+   */
+  async attachReviews(discrepancies) {
+    const result = await query(
+      'SELECT discrepancy_id, status, assignee, comment FROM discrepancy_reviews WHERE discrepancy_id = ANY($1::text[])',
+      [discrepancies.map(d => d.discrepancyId)]
+    );
+    const reviews = new Map(result.rows.map(row => [row.discrepancy_id, row]));
+
+    for (const discrepancy of discrepancies) {
+      const review = reviews.get(discrepancy.discrepancyId);
+      discrepancy.status = review ? review.status : 'open';
+      discrepancy.assignee = review ? review.assignee : null;
+      discrepancy.comment = review ? review.comment : null;
+    }
+    return discrepancies;
+  }
+
+  /**
+   * List reviewed discrepancies, optionally filtered by status or assignee
+   */
+  async listReviews({ status, assignee } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+      if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+      }
+      if (assignee) {
+        params.push(assignee);
+        conditions.push(`assignee = $${params.length}`);
+      }
+
+      const result = await query(`
+        SELECT * FROM discrepancy_reviews
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY updated_at DESC
+      `, params);
+      return result.rows.map(row => this.mapReviewRow(row));
+    } catch (error) {
+      console.error('Error listing discrepancy reviews:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the review record and its history for a discrepancy, or null if it was never reviewed
+   */
+  async getReview(discrepancyId) {
+    const reviewResult = await query('SELECT * FROM discrepancy_reviews WHERE discrepancy_id = $1', [discrepancyId]);
+    if (reviewResult.rows.length === 0) {
+      return null;
+    }
+
+    const historyResult = await query(
+      'SELECT * FROM discrepancy_review_history WHERE discrepancy_id = $1 ORDER BY id',
+      [discrepancyId]
+    );
+
+    return {
+      ...this.mapReviewRow(reviewResult.rows[0]),
+      history: historyResult.rows.map(row => ({
+        statusFrom: row.status_from,
+        statusTo: row.status_to,
+        assignee: row.assignee,
+        comment: row.comment,
+        author: row.author,
+        createdAt: row.created_at
+      }))
+    };
+  }
+
+  /**
+   * Move a discrepancy to a new status and record the change in its history.
+   * Omitted fields keep their current value; a comment also becomes the
+   * review's current comment.
+   */
+  async updateReview(discrepancy, { status, assignee, comment, author }) {
+    const client = await getPool().connect();
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT status, assignee, comment FROM discrepancy_reviews WHERE discrepancy_id = $1 FOR UPDATE',
+        [discrepancy.discrepancyId]
+      );
+      const previous = existing.rows[0] || { status: 'open', assignee: null, comment: null };
+      const nextStatus = status || previous.status;
+      const nextAssignee = assignee !== undefined ? assignee : previous.assignee;
+      const nextComment = comment || previous.comment;
+
+      if (nextStatus === 'assigned' && !nextAssignee) {
+        throw new Error("An assignee is required for status 'assigned'");
+      }
+
+      const result = await client.query(`
+        INSERT INTO discrepancy_reviews (discrepancy_id, discrepancy_key, discrepancy_type, coach_code, status, assignee, comment, updated_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (discrepancy_id) DO UPDATE SET
+          status = EXCLUDED.status,
+          assignee = EXCLUDED.assignee,
+          comment = EXCLUDED.comment,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = NOW()
+        RETURNING *
+      `, [
+        discrepancy.discrepancyId,
+        discrepancy.discrepancyKey,
+        discrepancy.discrepancyType,
+        discrepancy.coachCode,
+        nextStatus,
+        nextAssignee,
+        nextComment,
+        author || null
+      ]);
+
+      await client.query(`
+        INSERT INTO discrepancy_review_history (discrepancy_id, status_from, status_to, assignee, comment, author)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [discrepancy.discrepancyId, previous.status, nextStatus, nextAssignee, comment || null, author || null]);
+
+      await client.query('COMMIT');
+      console.log(`📝 Discrepancy ${discrepancy.discrepancyId}: ${previous.status} → ${nextStatus}`);
+      return this.mapReviewRow(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error updating discrepancy review:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
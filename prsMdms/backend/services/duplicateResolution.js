@@ -0,0 +1,268 @@
+import { query, getPool } from '../../database/config/db.js';
+import { PRS_MDMS_COLUMNS } from '../../database/ingestion/prsMdmsExcelProcessor.js';
+import { bumpDataVersion } from './analysisCache.js';
+import { DUPLICATE_SOURCES } from './prsMdms.js';
+
+export const SURVIVOR_STRATEGIES = ['lowest_serial', 'latest', 'explicit'];
+export const RESOLUTION_ACTIONS = ['archive', 'delete'];
+
+// Bulk mode only resolves exact duplicates: which of two conflicting rows is right needs a person
+export const BULK_RESOLUTION_TYPES = { WITHIN_PRS: 'prs', WITHIN_MDMS: 'mdms' };
+
+const bySerialThenId = (a, b) => (a.serial_no ?? Infinity) - (b.serial_no ?? Infinity) || a.id - b.id;
+
+/**
+ * Pick the row a duplicate group keeps. 'lowest_serial' keeps the row with the
+ * lowest serial number, 'latest' the most recently loaded row (highest id) and
+ * 'explicit' the row with `survivorSerial`. Returns undefined if no row qualifies.
+ */
+function pickSurvivor(rows, strategy, survivorSerial) {
+  if (strategy === 'latest') return rows.reduce((latest, row) => (row.id > latest.id ? row : latest));
+  const candidates = strategy === 'explicit' ? rows.filter(row => row.serial_no === survivorSerial) : rows;
+  return [...candidates].sort(bySerialThenId)[0];
+}
+
+export class DuplicateResolutionService {
+
+  /**
+   * Build the berth key of a row, e.g. { coachCode, class, berthNumber } for PRS
+   */
+  groupKey(source, row) {
+    return Object.fromEntries(Object.entries(source.key).map(([field, column]) => [field, row[column]]));
+  }
+
+  /**
+   * Load the rows of one group by its berth key (e.g. { coachCode, class,
+   * berthNumber } for PRS) and serial numbers. Serial numbers are not unique
+   * across berths, so only rows of that berth are selected. Resolves to
+   * { rows } or { errors } when serial numbers are missing from the berth.
+   */
+  async loadGroup(client, source, key, serialNumbers) {
+    const columns = Object.values(source.key);
+    const values = Object.keys(source.key).map(field => key[field]);
+    const result = await client.query(`
+      SELECT * FROM ${source.table}
+      WHERE ${columns.map((column, i) => `${column} IS NOT DISTINCT FROM $${i + 1}`).join(' AND ')}
+        AND serial_no = ANY($${columns.length + 1}::int[])
+      ORDER BY id
+    `, [...values, serialNumbers]);
+    const errors = [];
+
+    const found = new Set(result.rows.map(row => row.serial_no));
+    const missing = serialNumbers.filter(serialNo => !found.has(serialNo));
+    if (missing.length > 0) {
+      errors.push(`No ${source.label} rows of coach ${key.coachCode}, class ${key.class}, berth ${key.berthNumber} with serial numbers ${missing.join(', ')}`);
+    }
+    if (errors.length === 0 && result.rows.length < 2) {
+      errors.push('A duplicate group needs at least two rows');
+    }
+
+    return errors.length > 0 ? { errors } : { rows: result.rows };
+  }
+
+  /**
+   * Load the duplicate groups of a table as the WITHIN_PRS / WITHIN_MDMS lists
+   * report them: rows sharing a berth key and berth type (PRS) or berth
+   * qualifier (MDMS). Groups whose rows also agree on every other attribute are
+   * returned in `groups`; the rest are in `skipped`, with the attributes that
+   * differ, since removing their rows would lose those values.
+   */
+  async loadExactGroups(client, source) {
+    const groupColumns = [...Object.values(source.key), source.attributes[source.exactAttribute]].join(', ');
+    const result = await client.query(`
+      SELECT JSONB_AGG(TO_JSONB(t) ORDER BY t.id) as rows
+      FROM ${source.table} t
+      GROUP BY ${groupColumns}
+      HAVING COUNT(*) > 1
+      ORDER BY MIN(t.id)
+    `);
+
+    const groups = [];
+    const skipped = [];
+    for (const { rows } of result.rows) {
+      const differing = Object.entries(source.attributes)
+        .filter(([, column]) => new Set(rows.map(row => JSON.stringify(row[column]))).size > 1)
+        .map(([field]) => field);
+      if (differing.length === 0) {
+        groups.push(rows);
+      } else {
+        skipped.push({
+          ...this.groupKey(source, rows[0]),
+          serialNumbers: rows.map(row => row.serial_no),
+          reason: `rows differ in ${differing.join(', ')}; resolve the group on its own to choose the row to keep`
+        });
+      }
+    }
+    return { groups, skipped };
+  }
+
+  /**
+   * Keep one row of each duplicate group and delete or archive the rest, inside
+   * one transaction that also records every removed row in the audit table.
+   * Either `key` and `serialNumbers` (rows of one berth of `table`) or `type`
+   * (every exact group of WITHIN_PRS or WITHIN_MDMS, listing the reported
+   * groups it leaves alone in skippedGroups) selects the groups. A
+   * preview rolls everything back and only reports what would be removed.
+   * Resolves to the outcome, or to { errors } when the request does not match the data.
+   */
+  async resolveDuplicates({ table, key, serialNumbers, type, strategy, survivorSerial, action = 'archive', preview = false, resolvedBy } = {}) {
+    const tableName = type ? BULK_RESOLUTION_TYPES[type] : table;
+    const source = DUPLICATE_SOURCES[tableName];
+
+    const client = await getPool().connect();
+    try {
+      console.log(`🧹 Resolving ${type ? `all ${type} groups` : `${source.label} group ${serialNumbers.join(', ')} of coach ${key.coachCode}, class ${key.class}, berth ${key.berthNumber}`}${preview ? ' (preview)' : ''}...`);
+      await client.query('BEGIN');
+      // Writers wait until the groups are resolved, so no new copy slips past the survivor
+      // choice; a preview is rolled back, so it does not hold writers up
+      if (!preview) {
+        await client.query(`LOCK TABLE ${source.table} IN SHARE ROW EXCLUSIVE MODE`);
+      }
+
+      let groupRows;
+      let skippedGroups = [];
+      if (type) {
+        ({ groups: groupRows, skipped: skippedGroups } = await this.loadExactGroups(client, source));
+      } else {
+        const group = await this.loadGroup(client, source, key, serialNumbers);
+        if (group.errors) {
+          await client.query('ROLLBACK');
+          return { errors: group.errors };
+        }
+        groupRows = [group.rows];
+      }
+
+      const groups = [];
+      for (const rows of groupRows) {
+        const survivor = pickSurvivor(rows, strategy, survivorSerial);
+        if (!survivor) {
+          await client.query('ROLLBACK');
+          return { errors: [`Serial number ${survivorSerial} is not part of the duplicate group`] };
+        }
+        groups.push({ key: this.groupKey(source, rows[0]), survivor, removed: rows.filter(row => row.id !== survivor.id) });
+      }
+      const removedIds = groups.flatMap(group => group.removed.map(row => row.id));
+
+      let resolutionId = null;
+      if (groups.length > 0) {
+        const resolution = await client.query(`
+          INSERT INTO duplicate_resolutions (resolved_by, table_name, duplicate_type, strategy, action, group_count, rows_removed)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING id
+        `, [resolvedBy || null, source.table, type || null, strategy, action, groups.length, removedIds.length]);
+        resolutionId = resolution.rows[0].id;
+
+        if (action === 'archive') {
+          const columns = ['id', ...PRS_MDMS_COLUMNS[source.table]].join(', ');
+          await client.query(`
+            INSERT INTO duplicate_archive_${source.table} (resolution_id, ${columns})
+            SELECT $1, ${columns} FROM ${source.table} WHERE id = ANY($2::int[])
+          `, [resolutionId, removedIds]);
+        }
+        await client.query(`DELETE FROM ${source.table} WHERE id = ANY($1::int[])`, [removedIds]);
+
+        await client.query(`
+          INSERT INTO duplicate_resolution_audit (resolution_id, group_key, survivor_row_id, survivor_serial_no, row_id, serial_no, row_values)
+          SELECT $1, a.group_key, a.survivor_row_id, a.survivor_serial_no, a.row_id, a.serial_no, a.row_values
+          FROM jsonb_to_recordset($2::jsonb) AS a(group_key JSONB, survivor_row_id INT, survivor_serial_no INT,
+            row_id INT, serial_no INT, row_values JSONB)
+        `, [resolutionId, JSON.stringify(groups.flatMap(group => group.removed.map(row => ({
+          group_key: group.key,
+          survivor_row_id: group.survivor.id,
+          survivor_serial_no: group.survivor.serial_no,
+          row_id: row.id,
+          serial_no: row.serial_no,
+          row_values: row
+        }))))]);
+      }
+
+      if (preview) {
+        await client.query('ROLLBACK');
+        resolutionId = null;
+      } else {
+        // Bumped in the transaction, so cached results never outlive the rows they describe
+        if (removedIds.length > 0) {
+          await bumpDataVersion('duplicates resolved', (text, values) => client.query(text, values));
+        }
+        await client.query('COMMIT');
+        console.log(`✅ Duplicate resolution ${resolutionId ?? '(nothing to do)'}: ${removedIds.length} ${source.label} rows ${action === 'archive' ? 'archived' : 'deleted'}`);
+      }
+
+      return {
+        resolutionId,
+        preview,
+        committed: !preview,
+        table: source.label,
+        type: type || null,
+        strategy,
+        action,
+        groupCount: groups.length,
+        rowsRemoved: removedIds.length,
+        groups: groups.map(group => ({
+          ...group.key,
+          survivor: { rowId: group.survivor.id, serialNo: group.survivor.serial_no },
+          removed: group.removed.map(row => ({ rowId: row.id, serialNo: row.serial_no }))
+        })),
+        skippedGroups
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error resolving duplicates:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  mapResolutionRow(row) {
+    return {
+      resolutionId: row.id,
+      resolvedAt: row.resolved_at,
+      resolvedBy: row.resolved_by,
+      table: row.table_name.toUpperCase(),
+      type: row.duplicate_type,
+      strategy: row.strategy,
+      action: row.action,
+      groupCount: row.group_count,
+      rowsRemoved: row.rows_removed
+    };
+  }
+
+  /**
+   * List duplicate resolutions, newest first
+   */
+  async listResolutions() {
+    try {
+      const result = await query('SELECT * FROM duplicate_resolutions ORDER BY id DESC');
+      return result.rows.map(row => this.mapResolutionRow(row));
+    } catch (error) {
+      console.error('Error listing duplicate resolutions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a duplicate resolution with the rows it removed, or null if it does not exist
+   */
+  async getResolution(resolutionId) {
+    try {
+      const resolution = await query('SELECT * FROM duplicate_resolutions WHERE id = $1', [resolutionId]);
+      if (resolution.rows.length === 0) return null;
+
+      const audit = await query('SELECT * FROM duplicate_resolution_audit WHERE resolution_id = $1 ORDER BY id', [resolutionId]);
+      return {
+        ...this.mapResolutionRow(resolution.rows[0]),
+        removedRows: audit.rows.map(row => ({
+          groupKey: row.group_key,
+          survivor: { rowId: row.survivor_row_id, serialNo: row.survivor_serial_no },
+          rowId: row.row_id,
+          serialNo: row.serial_no,
+          values: row.row_values
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting duplicate resolution:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,152 @@
+import JSZip from 'jszip';
+
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CHART_NS = 'http://schemas.openxmlformats.org/drawingml/2006/chart';
+const DRAWING_NS = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const SHEET_DRAWING_NS = 'http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing';
+
+// Worksheet elements a <drawing> must follow, per the SpreadsheetML schema order
+const ELEMENTS_BEFORE_DRAWING = [
+  'pageMargins', 'pageSetup', 'headerFooter', 'rowBreaks', 'colBreaks',
+  'customProperties', 'cellWatches', 'ignoredErrors', 'smartTags'
+];
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Turn an A1 range on a sheet ('D2:D9') into the absolute formula charts expect ('Sheet'!$D$2:$D$9)
+ */
+export function sheetRange(sheetName, range) {
+  const absolute = range.replace(/([A-Z]+)(\d+)/g, '$$$1$$$2');
+  return `'${sheetName.replace(/'/g, "''")}'!${absolute}`;
+}
+
+/**
+ * Build the DrawingML part of a line chart: one line per series, categories
+ * along the bottom formatted as dates
+ */
+export function buildLineChartXml(sheetName, { title, categories, series }) {
+  const lines = series.map(({ name, values }, i) => `<c:ser><c:idx val="${i}"/><c:order val="${i}"/>`
+    + `<c:tx><c:strRef><c:f>${escapeXml(sheetRange(sheetName, name))}</c:f></c:strRef></c:tx>`
+    + '<c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>'
+    + `<c:cat><c:numRef><c:f>${escapeXml(sheetRange(sheetName, categories))}</c:f></c:numRef></c:cat>`
+    + `<c:val><c:numRef><c:f>${escapeXml(sheetRange(sheetName, values))}</c:f></c:numRef></c:val>`
+    + '<c:smooth val="0"/></c:ser>').join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + `<c:chartSpace xmlns:c="${CHART_NS}" xmlns:a="${DRAWING_NS}" xmlns:r="${RELATIONSHIPS_NS}">`
+    + '<c:roundedCorners val="0"/><c:chart>'
+    + `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>${escapeXml(title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>`
+    + '<c:autoTitleDeleted val="0"/><c:plotArea><c:layout/>'
+    + `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${lines}<c:marker val="1"/><c:axId val="1"/><c:axId val="2"/></c:lineChart>`
+    + '<c:catAx><c:axId val="1"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/><c:axPos val="b"/>'
+    + '<c:numFmt formatCode="yyyy-mm-dd hh:mm" sourceLinked="0"/><c:tickLblPos val="nextTo"/><c:crossAx val="2"/>'
+    + '<c:crosses val="autoZero"/><c:auto val="0"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/></c:catAx>'
+    + '<c:valAx><c:axId val="2"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/><c:axPos val="l"/>'
+    + '<c:majorGridlines/><c:numFmt formatCode="General" sourceLinked="1"/><c:tickLblPos val="nextTo"/><c:crossAx val="1"/>'
+    + '<c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>'
+    + '</c:plotArea><c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend>'
+    + '<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart></c:chartSpace>';
+}
+
+/**
+ * Build a drawing part anchoring one chart per entry between its `from` and
+ * `to` cells (zero-based { col, row }); chart i is relationship rId<i + 1>
+ */
+function buildDrawingXml(charts) {
+  const anchor = (tag, { col, row }) => `<xdr:${tag}><xdr:col>${col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:${tag}>`;
+  const frames = charts.map((chart, i) => `<xdr:twoCellAnchor>${anchor('from', chart.from)}${anchor('to', chart.to)}`
+    + `<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="${i + 2}" name="${escapeXml(chart.title)}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>`
+    + '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>'
+    + `<a:graphic><a:graphicData uri="${CHART_NS}"><c:chart xmlns:c="${CHART_NS}" xmlns:r="${RELATIONSHIPS_NS}" r:id="rId${i + 1}"/></a:graphicData></a:graphic>`
+    + '</xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor>').join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + `<xdr:wsDr xmlns:xdr="${SHEET_DRAWING_NS}" xmlns:a="${DRAWING_NS}">${frames}</xdr:wsDr>`;
+}
+
+const buildRelationshipsXml = (relationships) => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + relationships.map(({ id, type, target }) => `<Relationship Id="${id}" Type="${RELATIONSHIPS_NS}/${type}" Target="${target}"/>`).join('')
+  + '</Relationships>';
+
+/**
+ * Find the part path of a worksheet by its name, e.g. 'xl/worksheets/sheet3.xml'
+ */
+async function findSheetPath(zip, sheetName) {
+  const workbookXml = await zip.file('xl/workbook.xml').async('string');
+  const sheet = [...workbookXml.matchAll(/<sheet\b[^>]*>/g)]
+    .map(([tag]) => ({ name: /\bname="([^"]*)"/.exec(tag)?.[1], relId: /\br:id="([^"]*)"/.exec(tag)?.[1] }))
+    .find(({ name }) => name === escapeXml(sheetName));
+  if (!sheet) {
+    throw new Error(`Worksheet '${sheetName}' not found in workbook`);
+  }
+
+  const relsXml = await zip.file('xl/_rels/workbook.xml.rels').async('string');
+  const relationship = [...relsXml.matchAll(/<Relationship\b[^>]*>/g)]
+    .map(([tag]) => ({ id: /\bId="([^"]*)"/.exec(tag)?.[1], target: /\bTarget="([^"]*)"/.exec(tag)?.[1] }))
+    .find(({ id }) => id === sheet.relId);
+  return relationship.target.startsWith('/') ? relationship.target.slice(1) : `xl/${relationship.target}`;
+}
+
+/**
+ * Insert a <drawing> reference into worksheet XML after the elements the schema puts before it
+ */
+function insertDrawingReference(sheetXml, relId) {
+  let at = -1;
+  for (const element of ELEMENTS_BEFORE_DRAWING) {
+    const match = new RegExp(`<${element}\\b(?:[^>]*/>|[\\s\\S]*?</${element}>)`).exec(sheetXml);
+    if (match) at = Math.max(at, match.index + match[0].length);
+  }
+  if (at === -1) at = sheetXml.lastIndexOf('</worksheet>');
+  return `${sheetXml.slice(0, at)}<drawing r:id="${relId}"/>${sheetXml.slice(at)}`;
+}
+
+/**
+ * Add line charts to a worksheet of an .xlsx file written by ExcelJS, which
+ * cannot write charts itself. Each chart is { title, categories, series, from, to }:
+ * categories and each series' values are A1 ranges on the sheet, each series'
+ * name the cell holding its label, and from/to the zero-based { col, row }
+ * cells the chart spans. Resolves to the updated file contents.
+ */
+export async function addLineCharts(buffer, sheetName, charts) {
+  const zip = await JSZip.loadAsync(buffer);
+  const sheetPath = await findSheetPath(zip, sheetName);
+  const slash = sheetPath.lastIndexOf('/');
+  const sheetRelsPath = `${sheetPath.slice(0, slash)}/_rels/${sheetPath.slice(slash + 1)}.rels`;
+
+  // Number the new parts after any the workbook already has
+  const partCount = (folder) => zip.file(new RegExp(`^xl/${folder}/[^/]+\\.xml$`)).length;
+  const drawingNo = partCount('drawings') + 1;
+  const firstChartNo = partCount('charts') + 1;
+
+  charts.forEach((chart, i) => {
+    zip.file(`xl/charts/chart${firstChartNo + i}.xml`, buildLineChartXml(sheetName, chart));
+  });
+  zip.file(`xl/drawings/drawing${drawingNo}.xml`, buildDrawingXml(charts));
+  zip.file(`xl/drawings/_rels/drawing${drawingNo}.xml.rels`, buildRelationshipsXml(charts.map((chart, i) => ({
+    id: `rId${i + 1}`, type: 'chart', target: `../charts/chart${firstChartNo + i}.xml`
+  }))));
+
+  // The sheet gains a relationship to the drawing, keeping any it has (hyperlinks, comments)
+  const drawingRelId = `rIdDrawing${drawingNo}`;
+  const drawingRel = `<Relationship Id="${drawingRelId}" Type="${RELATIONSHIPS_NS}/drawing" Target="../drawings/drawing${drawingNo}.xml"/>`;
+  const sheetRels = zip.file(sheetRelsPath)
+    ? (await zip.file(sheetRelsPath).async('string')).replace('</Relationships>', `${drawingRel}</Relationships>`)
+    : buildRelationshipsXml([{ id: drawingRelId, type: 'drawing', target: `../drawings/drawing${drawingNo}.xml` }]);
+  zip.file(sheetRelsPath, sheetRels);
+  zip.file(sheetPath, insertDrawingReference(await zip.file(sheetPath).async('string'), drawingRelId));
+
+  const overrides = [
+    `<Override PartName="/xl/drawings/drawing${drawingNo}.xml" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/>`,
+    ...charts.map((chart, i) => `<Override PartName="/xl/charts/chart${firstChartNo + i}.xml" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"/>`)
+  ];
+  const contentTypes = await zip.file('[Content_Types].xml').async('string');
+  zip.file('[Content_Types].xml', contentTypes.replace('</Types>', `${overrides.join('')}</Types>`));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
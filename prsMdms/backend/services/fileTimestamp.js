@@ -0,0 +1,7 @@
+/**
+ * Local date and time for export file names, e.g. 2025-06-28_00-23-34
+ */
+export function fileTimestamp(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+}
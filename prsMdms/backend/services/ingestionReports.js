@@ -0,0 +1,164 @@
+import ExcelJS from 'exceljs';
+import path from 'path';
+import fs from 'fs';
+import { query } from '../../database/config/db.js';
+import { PRS_MDMS_COLUMNS, TABLE_LABELS } from '../../database/ingestion/columnMappings.js';
+import { fileTimestamp } from './fileTimestamp.js';
+
+const styleHeader = (sheet) => {
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+};
+
+export class IngestionReportService {
+
+  mapIssueRow(row) {
+    return {
+      table: TABLE_LABELS[row.table_name],
+      sheet: row.sheet_name,
+      rowNumber: row.row_number,
+      column: row.column_name,
+      value: row.raw_value,
+      action: row.action,
+      reason: row.reason
+    };
+  }
+
+  /**
+   * Build the ingestion report of a dataset version (as returned by
+   * DatasetService.getDataset): how many rows each table stored, rejected and
+   * had coerced, the issue counts per column, and the quarantined rows
+   */
+  async getReport(dataset) {
+    try {
+      // table_name DESC lists prs before mdms
+      const result = await query(
+        'SELECT * FROM ingestion_quarantine WHERE dataset_id = $1 ORDER BY table_name DESC, row_number, id',
+        [dataset.id]
+      );
+
+      const tables = {};
+      const byColumn = new Map();
+      const rejectedRows = new Map();
+      const coercedCells = [];
+      for (const table of Object.keys(PRS_MDMS_COLUMNS)) {
+        tables[table] = { storedRows: dataset[`${table}RowCount`], rejectedRows: 0, coercedRows: 0, coercedCells: 0 };
+      }
+      const coercedRowKeys = new Set();
+
+      for (const row of result.rows) {
+        const issue = this.mapIssueRow(row);
+        const countKey = `${row.table_name}:${row.column_name}:${row.action}`;
+        const count = byColumn.get(countKey) || { table: issue.table, column: issue.column, action: issue.action, count: 0 };
+        count.count++;
+        byColumn.set(countKey, count);
+
+        const rowKey = `${row.table_name}:${row.sheet_name}:${row.row_number}`;
+        if (row.action === 'rejected') {
+          if (!rejectedRows.has(rowKey)) {
+            rejectedRows.set(rowKey, { table: issue.table, sheet: issue.sheet, rowNumber: issue.rowNumber, reasons: [], values: row.row_values });
+            tables[row.table_name].rejectedRows++;
+          }
+          rejectedRows.get(rowKey).reasons.push({ column: issue.column, value: issue.value, reason: issue.reason });
+        } else {
+          coercedCells.push(issue);
+          tables[row.table_name].coercedCells++;
+          if (!coercedRowKeys.has(rowKey)) tables[row.table_name].coercedRows++;
+          coercedRowKeys.add(rowKey);
+        }
+      }
+
+      for (const counts of Object.values(tables)) {
+        counts.readRows = counts.storedRows + counts.rejectedRows;
+      }
+
+      return {
+        dataset,
+        tables,
+        totalRejectedRows: rejectedRows.size,
+        totalCoercedCells: coercedCells.length,
+        byColumn: [...byColumn.values()].sort((a, b) => b.count - a.count),
+        rejectedRows: [...rejectedRows.values()],
+        coercedCells
+      };
+    } catch (error) {
+      console.error('Error building ingestion report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write the "Rejected Rows" workbook of a dataset version for the data
+   * owners: the rejected rows with their original values and reasons, ready to
+   * be corrected and ingested again, plus the coerced cells. Returns the file
+   * name in exports/.
+   */
+  async exportRejectedRowsToExcel(dataset) {
+    try {
+      console.log(`📊 Generating rejected rows workbook for dataset ${dataset.id}...`);
+      const report = await this.getReport(dataset);
+      const workbook = new ExcelJS.Workbook();
+
+      const summarySheet = workbook.addWorksheet('Summary');
+      summarySheet.columns = [
+        { header: 'Metric', key: 'metric', width: 30 },
+        { header: 'Value', key: 'value', width: 40 }
+      ];
+      styleHeader(summarySheet);
+      summarySheet.addRow({ metric: 'Dataset', value: dataset.name ? `${dataset.id} (${dataset.name})` : dataset.id });
+      summarySheet.addRow({ metric: 'Source File', value: dataset.sourceFile ?? '' });
+      summarySheet.addRow({ metric: 'Ingested At', value: dataset.createdAt });
+      for (const [table, counts] of Object.entries(report.tables)) {
+        summarySheet.addRow({ metric: `${TABLE_LABELS[table]} Rows Read`, value: counts.readRows });
+        summarySheet.addRow({ metric: `${TABLE_LABELS[table]} Rows Stored`, value: counts.storedRows });
+        summarySheet.addRow({ metric: `${TABLE_LABELS[table]} Rows Rejected`, value: counts.rejectedRows });
+        summarySheet.addRow({ metric: `${TABLE_LABELS[table]} Cells Coerced`, value: counts.coercedCells });
+      }
+
+      // One sheet per table with the table's columns as headers, so corrected rows can be
+      // ingested again; the blank column ends the header block before the row's origin
+      for (const [table, columns] of Object.entries(PRS_MDMS_COLUMNS)) {
+        const sheet = workbook.addWorksheet(`Rejected ${TABLE_LABELS[table]} Rows`);
+        sheet.columns = [
+          ...columns.map(column => ({ header: column, key: column, width: 18 })),
+          { header: '', key: 'gap', width: 4 },
+          { header: 'Sheet', key: 'sheet', width: 16 },
+          { header: 'Row Number', key: 'rowNumber', width: 12 },
+          { header: 'Reasons', key: 'reasons', width: 60 }
+        ];
+        styleHeader(sheet);
+        report.rejectedRows
+          .filter(row => row.table === TABLE_LABELS[table])
+          .forEach(row => sheet.addRow({
+            ...row.values,
+            sheet: row.sheet,
+            rowNumber: row.rowNumber,
+            reasons: row.reasons.map(reason => `${reason.column}: ${reason.reason}`).join('; ')
+          }));
+      }
+
+      const coercedSheet = workbook.addWorksheet('Coerced Values');
+      coercedSheet.columns = [
+        { header: 'Table', key: 'table', width: 8 },
+        { header: 'Sheet', key: 'sheet', width: 16 },
+        { header: 'Row Number', key: 'rowNumber', width: 12 },
+        { header: 'Column', key: 'column', width: 20 },
+        { header: 'Value', key: 'value', width: 20 },
+        { header: 'Reason', key: 'reason', width: 60 }
+      ];
+      styleHeader(coercedSheet);
+      report.coercedCells.forEach(cell => coercedSheet.addRow(cell));
+
+      const exportsDir = path.join(process.cwd(), 'exports');
+      if (!fs.existsSync(exportsDir)) fs.mkdirSync(exportsDir, { recursive: true });
+
+      const fileName = `prs-mdms-rejected-rows-dataset-${dataset.id}-${fileTimestamp()}.xlsx`;
+      await workbook.xlsx.writeFile(path.join(exportsDir, fileName));
+      console.log(`✅ Rejected rows workbook saved: ${fileName}`);
+      return fileName;
+    } catch (error) {
+      console.error('Error exporting rejected rows:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,106 @@
+// Filtering, sorting and paging for the discrepancy and duplicate lists.
+// The list query is wrapped as a subquery so filters, ORDER BY and LIMIT run in SQL
+// and only one page of rows leaves the database.
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Encode the offset of the next page as an opaque cursor token
+ */
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+/**
+ * Decode a cursor token, returning the offset or null if the token is not valid
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the WHERE clause for list filters against the columns of a list query.
+ * `columns` names the subquery columns: { coach, classes: [...], berth, type }.
+ */
+export function buildListFilters(filters, columns, params = []) {
+  const conditions = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.coachCode) {
+    conditions.push(`LOWER(TRIM(${columns.coach})) = LOWER(TRIM(${addParam(filters.coachCode)}))`);
+  }
+  if (filters.class) {
+    const classParam = addParam(filters.class);
+    conditions.push(`(${columns.classes.map(column => `LOWER(TRIM(${column})) = LOWER(TRIM(${classParam}))`).join(' OR ')})`);
+  }
+  if (filters.berthFrom !== undefined) {
+    conditions.push(`${columns.berth} >= ${addParam(filters.berthFrom)}`);
+  }
+  if (filters.berthTo !== undefined) {
+    conditions.push(`${columns.berth} <= ${addParam(filters.berthTo)}`);
+  }
+  if (filters.types && filters.types.length > 0) {
+    conditions.push(`${columns.type} = ANY(${addParam(filters.types)}::text[])`);
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Wrap a list query with filters and sorting, without paging (used by exports)
+ */
+export function buildFilteredQuery(sourceSql, { filters = {}, columns, orderBy, tiebreak = [] }) {
+  const { where, params } = buildListFilters(filters, columns);
+
+  const sql = `
+SELECT l.*
+FROM (${sourceSql}
+) l
+${where}
+ORDER BY ${[orderBy, ...tiebreak].join(', ')}`;
+
+  return { sql, params };
+}
+
+/**
+ * Wrap a list query with filters, sorting and LIMIT/OFFSET. The total row count
+ * after filtering comes back on every row as total_count.
+ */
+export function buildPagedQuery(sourceSql, { filters = {}, columns, orderBy, tiebreak = [], pageSize = DEFAULT_PAGE_SIZE, offset = 0 }) {
+  const { where, params } = buildListFilters(filters, columns);
+  params.push(pageSize + 1, offset);
+
+  const sql = `
+SELECT l.*, COUNT(*) OVER () as total_count
+FROM (${sourceSql}
+) l
+${where}
+ORDER BY ${[orderBy, ...tiebreak].join(', ')}
+LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+  return { sql, params };
+}
+
+/**
+ * Turn the rows of a paged query into { totalCount, pageSize, nextCursor, rows }.
+ * One row past the page is fetched to know whether a next page exists.
+ */
+export function toPage(rows, { pageSize = DEFAULT_PAGE_SIZE, offset = 0 }) {
+  const hasMore = rows.length > pageSize;
+  const pageRows = hasMore ? rows.slice(0, pageSize) : rows;
+  return {
+    totalCount: rows.length > 0 ? parseInt(rows[0].total_count) : 0,
+    pageSize,
+    nextCursor: hasMore ? encodeCursor(offset + pageSize) : null,
+    rows: pageRows
+  };
+}
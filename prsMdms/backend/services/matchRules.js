@@ -0,0 +1,325 @@
+import crypto from 'crypto';
+import { query } from '../../database/config/db.js';
+import { buildBerthTypeEquivalence } from './berthTypeMappings.js';
+import { buildClassAliasExpression, buildClassAliasSource, canonicalClassColumn } from './classAliases.js';
+
+// Columns a match rule may reference. Rules are turned into SQL, so anything
+// outside these lists is rejected rather than interpolated.
+export const PRS_COLUMNS = ['serial_no', 'coach_code', 'composite_flag', 'class', 'berth_number', 'berth_type'];
+export const MDMS_COLUMNS = [
+  'serial_no', 'layout_variant_no', 'composite_flag', 'coach_class_first', 'coach_class_second',
+  'prs_coach_code', 'coach_class', 'berth_no', 'berth_qualifier'
+];
+
+const KEY_ROLES = ['coach', 'class', 'berth'];
+const CASE_MODES = ['lower', 'upper', 'none'];
+const CAST_TYPES = ['int', 'text', 'none'];
+
+/**
+ * Built-in rules. `default` reproduces the original hard-coded join:
+ * coach code and class compared with TRIM(LOWER()), berth number cast to INT,
+ * with classes first resolved through the class_aliases dictionary (an empty
+ * dictionary leaves them as they are). Every preset resolves class aliases.
+ */
+export const PRESET_MATCH_RULES = {
+  default: {
+    name: 'default',
+    description: 'Coach code + class + berth number, berth type compared to berth qualifier',
+    keys: [
+      { role: 'coach', prs: 'coach_code', mdms: 'prs_coach_code', normalise: { trim: true, case: 'lower' } },
+      { role: 'class', prs: 'class', mdms: 'coach_class', normalise: { classAliases: true, trim: true, case: 'lower' } },
+      { role: 'berth', prs: 'berth_number', mdms: 'berth_no', normalise: { cast: 'int' } }
+    ],
+    compare: [
+      { label: 'berth type', mdmsLabel: 'berth qualifier', prs: 'berth_type', mdms: 'berth_qualifier', useBerthTypeMappings: true }
+    ]
+  },
+  classAgnostic: {
+    name: 'classAgnostic',
+    description: 'Coach code + berth number only, ignoring class differences',
+    keys: [
+      { role: 'coach', prs: 'coach_code', mdms: 'prs_coach_code', normalise: { trim: true, case: 'lower' } },
+      { role: 'berth', prs: 'berth_number', mdms: 'berth_no', normalise: { cast: 'int' } }
+    ],
+    compare: [
+      { label: 'berth type', mdmsLabel: 'berth qualifier', prs: 'berth_type', mdms: 'berth_qualifier', useBerthTypeMappings: true },
+      { label: 'class', prs: 'class', mdms: 'coach_class', normalise: { classAliases: true, trim: true, case: 'lower' } }
+    ]
+  },
+  compositeAware: {
+    name: 'compositeAware',
+    description: 'Default keys, also comparing the composite flag',
+    keys: [
+      { role: 'coach', prs: 'coach_code', mdms: 'prs_coach_code', normalise: { trim: true, case: 'lower' } },
+      { role: 'class', prs: 'class', mdms: 'coach_class', normalise: { classAliases: true, trim: true, case: 'lower' } },
+      { role: 'berth', prs: 'berth_number', mdms: 'berth_no', normalise: { cast: 'int' } }
+    ],
+    compare: [
+      { label: 'berth type', mdmsLabel: 'berth qualifier', prs: 'berth_type', mdms: 'berth_qualifier', useBerthTypeMappings: true },
+      { label: 'composite flag', prs: 'composite_flag', mdms: 'composite_flag' }
+    ]
+  },
+  normalised: {
+    name: 'normalised',
+    description: 'Default keys, with coach codes and classes compared ignoring case, whitespace and punctuation',
+    keys: [
+      { role: 'coach', prs: 'coach_code', mdms: 'prs_coach_code', normalise: { stripWhitespace: true, stripPunctuation: true, case: 'lower' } },
+      { role: 'class', prs: 'class', mdms: 'coach_class', normalise: { classAliases: true, stripWhitespace: true, stripPunctuation: true, case: 'lower' } },
+      { role: 'berth', prs: 'berth_number', mdms: 'berth_no', normalise: { cast: 'int' } }
+    ],
+    compare: [
+      { label: 'berth type', mdmsLabel: 'berth qualifier', prs: 'berth_type', mdms: 'berth_qualifier', useBerthTypeMappings: true }
+    ]
+  }
+};
+
+export const DEFAULT_MATCH_RULE = PRESET_MATCH_RULES.default;
+
+// JSON with object keys sorted, so a rule read back from JSONB hashes like the one saved
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Hash of a rule's name, keys and comparisons, identifying the rule in stored
+ * history (quality snapshots) even when several rules share a name
+ */
+export function hashMatchRule(rule) {
+  const { name = 'custom', keys = [], compare = [] } = rule;
+  return crypto.createHash('md5').update(canonicalJson({ name, keys, compare })).digest('hex').slice(0, 12);
+}
+
+/**
+ * Validate a match rule definition, returning a list of problems (empty when valid)
+ */
+export function validateMatchRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return ['Match rule must be an object'];
+  }
+
+  const checkColumn = (table, column, allowed, where) => {
+    if (!allowed.includes(column)) {
+      errors.push(`${where}: unknown ${table} column '${column}'`);
+    }
+  };
+
+  const checkNormalise = (normalise, where) => {
+    if (normalise === undefined) return;
+    if (typeof normalise !== 'object' || normalise === null) {
+      errors.push(`${where}: normalise must be an object`);
+      return;
+    }
+    if (normalise.case !== undefined && !CASE_MODES.includes(normalise.case)) {
+      errors.push(`${where}: case must be one of ${CASE_MODES.join(', ')}`);
+    }
+    if (normalise.cast !== undefined && !CAST_TYPES.includes(normalise.cast)) {
+      errors.push(`${where}: cast must be one of ${CAST_TYPES.join(', ')}`);
+    }
+    for (const flag of ['classAliases', 'trim', 'stripWhitespace', 'stripPunctuation']) {
+      if (normalise[flag] !== undefined && typeof normalise[flag] !== 'boolean') {
+        errors.push(`${where}: ${flag} must be a boolean`);
+      }
+    }
+  };
+
+  if (!Array.isArray(rule.keys) || rule.keys.length === 0) {
+    errors.push('keys must be a non-empty array');
+  } else {
+    rule.keys.forEach((key, i) => {
+      const where = `keys[${i}]`;
+      checkColumn('PRS', key.prs, PRS_COLUMNS, where);
+      checkColumn('MDMS', key.mdms, MDMS_COLUMNS, where);
+      checkNormalise(key.normalise, where);
+      if (key.role !== undefined && !KEY_ROLES.includes(key.role)) {
+        errors.push(`${where}: role must be one of ${KEY_ROLES.join(', ')}`);
+      }
+    });
+    if (!rule.keys.some(key => key.role === 'coach')) {
+      errors.push('keys must include a key with role \'coach\'');
+    }
+  }
+
+  if (rule.compare !== undefined && !Array.isArray(rule.compare)) {
+    errors.push('compare must be an array');
+  } else {
+    (rule.compare || []).forEach((pair, i) => {
+      const where = `compare[${i}]`;
+      checkColumn('PRS', pair.prs, PRS_COLUMNS, where);
+      checkColumn('MDMS', pair.mdms, MDMS_COLUMNS, where);
+      checkNormalise(pair.normalise, where);
+      for (const field of ['label', 'mdmsLabel']) {
+        if (pair[field] !== undefined && typeof pair[field] !== 'string') {
+          errors.push(`${where}: ${field} must be a string`);
+        }
+      }
+      if (pair.useBerthTypeMappings !== undefined && typeof pair.useBerthTypeMappings !== 'boolean') {
+        errors.push(`${where}: useBerthTypeMappings must be a boolean`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Wrap a column reference in the SQL for the requested normalisation.
+ * classAliases reads the column's canonical class, which the query's source
+ * must provide (see buildRuleSource); with aliasLookup the value is looked up
+ * in class_aliases directly instead, for literals and single-row statements.
+ * stripWhitespace removes all whitespace, including the non-breaking spaces
+ * TRIM leaves behind, and stripPunctuation removes everything but letters,
+ * digits and whitespace ('CC-73' → 'CC73').
+ */
+export function normaliseExpression(column, normalise = {}, { aliasLookup = false } = {}) {
+  let expr = column;
+  if (normalise.classAliases) expr = aliasLookup ? buildClassAliasExpression(column) : canonicalClassColumn(column);
+  if (normalise.stripWhitespace) expr = `REGEXP_REPLACE(${expr}::TEXT, '[[:space:]\\u00a0\\u200b\\ufeff]+', '', 'g')`;
+  if (normalise.stripPunctuation) expr = `REGEXP_REPLACE(${expr}::TEXT, '[^[:alnum:][:space:]]+', '', 'g')`;
+  if (normalise.case === 'lower') expr = `LOWER(${expr})`;
+  if (normalise.case === 'upper') expr = `UPPER(${expr})`;
+  if (normalise.trim) expr = `TRIM(${expr})`;
+  if (normalise.cast === 'int') expr = `${expr}::INT`;
+  if (normalise.cast === 'text') expr = `${expr}::TEXT`;
+  return expr;
+}
+
+/**
+ * Build the FROM source of one side of a rule ('prs' or 'mdms'): the table,
+ * with the canonical class of every column the rule (or `extraColumns`)
+ * resolves through class_aliases joined on once per row
+ */
+export function buildRuleSource(rule, side, extraColumns = []) {
+  const aliased = [...rule.keys, ...(rule.compare || [])]
+    .filter(pair => pair.normalise?.classAliases)
+    .map(pair => pair[side]);
+  return buildClassAliasSource(side, [...aliased, ...extraColumns]);
+}
+
+/**
+ * Get the key with the given role ('coach', 'class' or 'berth'), if the rule has one
+ */
+export function getKeyByRole(rule, role) {
+  return rule.keys.find(key => key.role === role) || null;
+}
+
+/**
+ * Build the ON clause joining PRS to MDMS for a rule. Rules resolving class
+ * aliases need both sides read from buildRuleSource.
+ */
+export function buildJoinCondition(rule, prsAlias = 'p', mdmsAlias = 'm') {
+  return rule.keys
+    .map(key =>
+      `${normaliseExpression(`${prsAlias}.${key.prs}`, key.normalise)} = ${normaliseExpression(`${mdmsAlias}.${key.mdms}`, key.normalise)}`
+    )
+    .join('\n  AND ');
+}
+
+/**
+ * Build the SQL condition that is true when a single compared pair differs.
+ * Pairs with useBerthTypeMappings treat codes listed in berth_type_mappings as equal.
+ */
+function buildPairDiffers(pair, prsAlias, mdmsAlias) {
+  const prsExpr = normaliseExpression(`${prsAlias}.${pair.prs}`, pair.normalise);
+  const mdmsExpr = normaliseExpression(`${mdmsAlias}.${pair.mdms}`, pair.normalise);
+  const differs = `${prsExpr} != ${mdmsExpr}`;
+
+  if (!pair.useBerthTypeMappings) return differs;
+  return `${differs} AND NOT ${buildBerthTypeEquivalence(`${prsAlias}.${pair.prs}`, `${mdmsAlias}.${pair.mdms}`)}`;
+}
+
+/**
+ * Build the SQL condition that is true when any compared field pair differs.
+ * Returns FALSE when the rule compares nothing.
+ */
+export function buildMismatchCondition(rule, prsAlias = 'p', mdmsAlias = 'm') {
+  const pairs = rule.compare || [];
+  if (pairs.length === 0) return 'FALSE';
+
+  return pairs
+    .map(pair => `(${buildPairDiffers(pair, prsAlias, mdmsAlias)})`)
+    .join(' OR ');
+}
+
+/**
+ * Build the SQL expression describing which compared pairs differ
+ */
+export function buildMismatchDetails(rule, prsAlias = 'p', mdmsAlias = 'm') {
+  const pairs = rule.compare || [];
+  if (pairs.length === 0) return `''`;
+
+  const parts = pairs.map(pair => {
+    const label = (pair.label || pair.prs).replace(/'/g, "''");
+    const mdmsLabel = (pair.mdmsLabel || pair.label || pair.mdms).replace(/'/g, "''");
+    return `CASE WHEN ${buildPairDiffers(pair, prsAlias, mdmsAlias)} THEN CONCAT('PRS ${label} ''', ${prsAlias}.${pair.prs}, ''' doesn''t match MDMS ${mdmsLabel} ''', ${mdmsAlias}.${pair.mdms}, '''') END`;
+  });
+
+  return `CONCAT_WS('; ', ${parts.join(', ')})`;
+}
+
+export class MatchRuleService {
+
+  /**
+   * Get all stored rules together with the built-in presets
+   */
+  async listRules() {
+    try {
+      const result = await query('SELECT name, definition, updated_at FROM match_rules ORDER BY name');
+      return {
+        presets: Object.values(PRESET_MATCH_RULES),
+        stored: result.rows.map(row => ({ ...row.definition, name: row.name, updatedAt: row.updated_at }))
+      };
+    } catch (error) {
+      console.error('Error listing match rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a rule by name, looking at presets first and stored rules second
+   */
+  async getRule(name) {
+    if (PRESET_MATCH_RULES[name]) {
+      return PRESET_MATCH_RULES[name];
+    }
+
+    const result = await query('SELECT name, definition FROM match_rules WHERE name = $1', [name]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+    return { ...result.rows[0].definition, name: result.rows[0].name };
+  }
+
+  /**
+   * Create or replace a stored rule
+   */
+  async saveRule(rule) {
+    try {
+      const result = await query(`
+        INSERT INTO match_rules (name, definition, updated_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (name) DO UPDATE SET definition = EXCLUDED.definition, updated_at = NOW()
+        RETURNING name, definition, updated_at
+      `, [rule.name, JSON.stringify(rule)]);
+
+      console.log(`✅ Saved match rule: ${rule.name}`);
+      return { ...result.rows[0].definition, name: result.rows[0].name, updatedAt: result.rows[0].updated_at };
+    } catch (error) {
+      console.error('Error saving match rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a stored rule, returning true if it existed
+   */
+  async deleteRule(name) {
+    const result = await query('DELETE FROM match_rules WHERE name = $1', [name]);
+    return result.rowCount > 0;
+  }
+}
@@ -2,143 +2,537 @@ import { query } from '../../database/config/db.js';
 import ExcelJS from 'exceljs';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
+import {
+  DEFAULT_MATCH_RULE,
+  PRESET_MATCH_RULES,
+  buildJoinCondition,
+  buildMismatchCondition,
+  buildMismatchDetails,
+  buildRuleSource,
+  getKeyByRole,
+  normaliseExpression
+} from './matchRules.js';
+import { BerthTypeMappingService } from './berthTypeMappings.js';
+import { ClassAliasService, canonicalClassColumn } from './classAliases.js';
+import { DiscrepancyReviewService } from './discrepancyReviews.js';
+import { buildSuggestedMatches } from './coachCodeMatching.js';
+import { COACH_STATUSES, buildCoachRollup, loadCoachBerthCounts } from './coachRollup.js';
+import { buildFilteredQuery, buildPagedQuery, toPage } from './listQuery.js';
+import { streamQuery } from './streamExport.js';
+import { getOrCompute } from './analysisCache.js';
+import { DEFAULT_QUALITY_WEIGHTS, buildQualityScores, loadQualityCounts } from './qualityScoring.js';
+import { QualityTrendService } from './qualityTrends.js';
+import { AnalysisRunService } from './analysisRuns.js';
+import { ValidationRuleService } from './validationRules.js';
+import { LAYOUT_ISSUES, buildLayoutQueries, loadCoachLayouts } from './coachLayouts.js';
+import { fileTimestamp } from './fileTimestamp.js';
+import { addLineCharts } from './excelCharts.js';
+
+/**
+ * Discrepancy types produced by DiscrepancyService, in report order.
+ * `queryKey` names the query built for the type and `countKey` its count in analysis results.
+ */
+export const DISCREPANCY_TYPES = {
+  TYPE_MISMATCH: { queryKey: 'typeMismatch', countKey: 'typeMismatchCount', label: 'Type Mismatches' },
+  MISSING_IN_MDMS: { queryKey: 'missingInMdms', countKey: 'missingInMdmsCount', label: 'Missing in MDMS' },
+  MISSING_IN_PRS: { queryKey: 'missingInPrs', countKey: 'missingInPrsCount', label: 'Missing in PRS' },
+  COMPOSITE_FLAG_MISMATCH: { queryKey: 'compositeFlagMismatch', countKey: 'compositeFlagMismatchCount', label: 'Composite Flag Mismatches' },
+  COMPOSITE_BERTH_CLASS: { queryKey: 'compositeBerthClass', countKey: 'compositeBerthClassCount', label: 'Composite Berth Classes' },
+  COMPOSITE_CLASS_CONFLICT: { queryKey: 'compositeClassConflict', countKey: 'compositeClassConflictCount', label: 'Composite Class Conflicts' },
+  LAYOUT_GAP: { queryKey: 'layoutGap', countKey: 'layoutGapCount', label: 'Layout Gaps' },
+  LAYOUT_EXTRA_BERTH: { queryKey: 'layoutExtraBerth', countKey: 'layoutExtraBerthCount', label: 'Layout Extra Berths' },
+  LAYOUT_PATTERN_BREAK: { queryKey: 'layoutPatternBreak', countKey: 'layoutPatternBreakCount', label: 'Layout Pattern Breaks' }
+};
+
+const COMPOSITE_TYPES = ['COMPOSITE_FLAG_MISMATCH', 'COMPOSITE_BERTH_CLASS', 'COMPOSITE_CLASS_CONFLICT'];
+const LAYOUT_TYPES = Object.keys(LAYOUT_ISSUES);
+
+/**
+ * Sort keys accepted by the paged discrepancy list, mapped to list query columns
+ */
+export const DISCREPANCY_SORT_COLUMNS = {
+  serialNo: 'serial_no',
+  coachCode: 'coach_code',
+  class: 'COALESCE(prs_class, mdms_class)',
+  berthNumber: 'berth_number',
+  discrepancyType: 'discrepancy_type'
+};
+
+/**
+ * Sort keys accepted by the paged duplicate list
+ */
+export const DUPLICATE_SORT_COLUMNS = {
+  coachCode: 'coach_code',
+  class: 'class',
+  berthNumber: 'berth_number',
+  duplicateCount: 'duplicate_count',
+  duplicateType: 'duplicate_type'
+};
+
+/**
+ * Berth keys and compared attributes of the duplicate checks. Rows sharing a
+ * berth key and berth type (PRS) or qualifier (MDMS) are exact duplicates
+ * (WITHIN_PRS, WITHIN_MDMS); rows sharing a berth key with any differing
+ * attribute are conflicting duplicates (CONFLICT_WITHIN_PRS, CONFLICT_WITHIN_MDMS).
+ */
+export const DUPLICATE_SOURCES = {
+  prs: {
+    table: 'prs',
+    label: 'PRS',
+    conflictType: 'CONFLICT_WITHIN_PRS',
+    key: { coachCode: 'coach_code', class: 'class', berthNumber: 'berth_number' },
+    exactAttribute: 'berthType',
+    attributes: { berthType: 'berth_type', compositeFlag: 'composite_flag' }
+  },
+  mdms: {
+    table: 'mdms',
+    label: 'MDMS',
+    conflictType: 'CONFLICT_WITHIN_MDMS',
+    key: { coachCode: 'prs_coach_code', class: 'coach_class', berthNumber: 'berth_no' },
+    exactAttribute: 'berthQualifier',
+    attributes: {
+      berthQualifier: 'berth_qualifier',
+      compositeFlag: 'composite_flag',
+      layoutVariantNo: 'layout_variant_no',
+      coachClassFirst: 'coach_class_first',
+      coachClassSecond: 'coach_class_second'
+    }
+  }
+};
+
+/**
+ * Build the query listing the conflicting duplicate groups of one table: berth
+ * keys whose rows carry more than one combination of attribute values. Each
+ * group lists its variants (the distinct combinations, with their row counts
+ * and serial numbers) and, in conflicting_values, the differing values side by side.
+ */
+export function buildConflictingDuplicatesQuery({ table, key, attributes }) {
+  const keyColumns = Object.values(key);
+  const attributeEntries = Object.entries(attributes);
+  const variantJson = attributeEntries.map(([field, column]) => `'${field}', ${column}`).join(', ');
+  const conflictingValues = attributeEntries.map(([field, column]) => `
+    CASE WHEN COUNT(DISTINCT COALESCE(${column}::TEXT, 'NULL')) > 1
+      THEN CONCAT('${field}: ', STRING_AGG(COALESCE(${column}::TEXT, 'NULL'), ' | ' ORDER BY variant_no)) END`).join(',');
+  const groupColumns = [...keyColumns, ...Object.values(attributes)].join(', ');
+
+  return `
+WITH variants AS (
+  SELECT ${groupColumns},
+    COUNT(*)::INT as row_count,
+    ARRAY_AGG(serial_no ORDER BY serial_no) as serial_numbers,
+    ROW_NUMBER() OVER (PARTITION BY ${keyColumns.join(', ')} ORDER BY MIN(serial_no), ${groupColumns}) as variant_no
+  FROM ${table}
+  GROUP BY ${groupColumns}
+)
+SELECT
+  ${keyColumns.join(', ')},
+  SUM(row_count)::INT as duplicate_count,
+  COUNT(*)::INT as variant_count,
+  JSONB_AGG(JSONB_BUILD_OBJECT(${variantJson}, 'rowCount', row_count, 'serialNumbers', serial_numbers)
+    ORDER BY variant_no) as variants,
+  CONCAT_WS('; ',${conflictingValues}) as conflicting_values
+FROM variants
+GROUP BY ${keyColumns.join(', ')}
+HAVING COUNT(*) > 1`;
+}
+
+/**
+ * Count the rows of conflicting duplicate groups that are not also in an exact
+ * duplicate group, i.e. whose berth type (PRS) or qualifier (MDMS) no other
+ * row of the group shares
+ */
+export function countRowsOutsideExactGroups(source, groups) {
+  const { exactAttribute } = DUPLICATE_SOURCES[source];
+  return groups.reduce((sum, group) => {
+    const rowsByValue = new Map();
+    for (const variant of group.variants) {
+      const value = String(variant[exactAttribute]);
+      rowsByValue.set(value, (rowsByValue.get(value) ?? 0) + variant.rowCount);
+    }
+    return sum + [...rowsByValue.values()].filter(count => count === 1).length;
+  }, 0);
+}
+
+// Match rule whose key normalisers near-duplicate detection uses unless told otherwise
+export const DEFAULT_NEAR_DUPLICATE_RULE = PRESET_MATCH_RULES.normalised;
+
+/**
+ * Describe the keys of a match rule for one table ('prs' or 'mdms'): the
+ * result field, raw column and normalised SQL expression of each key
+ */
+function describeNearDuplicateKeys(source, matchRule) {
+  const { key } = DUPLICATE_SOURCES[source];
+  return matchRule.keys.map((ruleKey, i) => ({
+    field: Object.keys(key).find(field => key[field] === ruleKey[source]) ?? ruleKey[source],
+    column: ruleKey[source],
+    expression: normaliseExpression(ruleKey[source], ruleKey.normalise),
+    alias: `key_${i}`
+  }));
+}
+
+/**
+ * Build the query listing near duplicates within one table: rows whose match
+ * rule keys agree once normalised but whose raw key values differ, such as
+ * 'CC-73' and 'cc 73'. The normalisers are those of the discrepancy matcher,
+ * and each group lists its raw variants with their row counts and serial numbers.
+ */
+export function buildNearDuplicatesQuery(source, matchRule) {
+  const keys = describeNearDuplicateKeys(source, matchRule);
+  const aliases = keys.map(k => k.alias).join(', ');
+  const rawColumns = [...new Set(keys.map(k => k.column))].join(', ');
+  const variantJson = keys.map(k => `'${k.field}', ${k.column}`).join(', ');
+
+  return `
+WITH normalised AS (
+  SELECT serial_no, ${rawColumns},
+    ${keys.map(k => `${k.expression} as ${k.alias}`).join(',\n    ')}
+  FROM ${buildRuleSource(matchRule, DUPLICATE_SOURCES[source].table)} t
+),
+raw_variants AS (
+  SELECT ${aliases}, ${rawColumns},
+    COUNT(*)::INT as row_count,
+    ARRAY_AGG(serial_no ORDER BY serial_no) as serial_numbers
+  FROM normalised
+  GROUP BY ${aliases}, ${rawColumns}
+)
+SELECT ${aliases},
+  SUM(row_count)::INT as row_count,
+  COUNT(*)::INT as variant_count,
+  JSONB_AGG(JSONB_BUILD_OBJECT(${variantJson}, 'rowCount', row_count, 'serialNumbers', serial_numbers)
+    ORDER BY serial_numbers[1]) as variants
+FROM raw_variants
+GROUP BY ${aliases}
+HAVING COUNT(*) > 1
+ORDER BY ${aliases}`;
+}
+
+/**
+ * Number the rows of a discrepancy query that agree on every reported column
+ * (MDMS duplicates yield the same finding more than once), so each row gets
+ * its own discrepancy id. Serial numbers order the copies.
+ */
+export function numberDiscrepancyRows(sql) {
+  return `
+SELECT findings.*, ROW_NUMBER() OVER (
+  PARTITION BY discrepancy_type, coach_code, prs_class, mdms_class, berth_number, berth_type, berth_qualifier
+  ORDER BY serial_no, details
+)::INT as occurrence
+FROM (${sql}
+) findings`;
+}
+
+/**
+ * Build the identity of a discrepancy from its type and match key (coach, class, berth),
+ * followed by the raw values as reported and the occurrence among identical rows,
+ * which tell apart findings that share a match key.
+ * The same problem found by two analyses gets the same key, so runs can be compared.
+ */
+export function buildDiscrepancyKey(discrepancy) {
+  const part = (value) => (value === null || value === undefined ? '' : String(value).trim().toLowerCase());
+  const raw = JSON.stringify([
+    discrepancy.coachCode ?? null,
+    discrepancy.prsClass ?? null,
+    discrepancy.mdmsClass ?? null,
+    discrepancy.berthType ?? null,
+    discrepancy.berthQualifier ?? null
+  ]);
+  return [
+    discrepancy.discrepancyType,
+    part(discrepancy.coachCode),
+    part(discrepancy.prsClass ?? discrepancy.mdmsClass),
+    part(discrepancy.berthNumber),
+    raw,
+    discrepancy.occurrence ?? 1
+  ].join('|');
+}
+
+/**
+ * Build a short, URL-safe discrepancy id from its key. Reseeding the tables
+ * changes serial numbers and row ids but not the key, so the id stays stable.
+ */
+export function buildDiscrepancyId(discrepancy) {
+  return crypto.createHash('md5').update(buildDiscrepancyKey(discrepancy)).digest('hex').slice(0, 16);
+}
 
 export class DiscrepancyService {
 
   /**
-   * Generate SQL files for all discrepancy types
+   * `executor` runs the analysis SQL (defaults to the shared pool). A stateless
+   * service analyses data outside the shared tables, such as an ad-hoc workbook
+   * comparison: it skips reviews, quality snapshots and SQL files, and its
+   * results are cached only for the service's lifetime unless `cacheNamespace`
+   * names immutable data (a stored dataset version) they can be shared under.
    */
-  async generateDiscrepancySQL() {
-    try {
-      console.log('📝 Generating SQL files for discrepancies...');
+  constructor({ executor = query, stateless = false, cacheNamespace } = {}) {
+    this.executor = executor;
+    this.stateless = stateless;
+    this.cacheOptions = stateless && !cacheNamespace ? { scope: new Map() } : { namespace: cacheNamespace };
+    this.berthTypeMappingService = new BerthTypeMappingService();
+    this.classAliasService = new ClassAliasService();
+    this.reviewService = new DiscrepancyReviewService();
+    this.duplicateService = new DuplicateService({ executor, stateless, cacheNamespace });
+    this.trendService = new QualityTrendService();
+    this.runService = new AnalysisRunService({ discrepancyService: this });
+    this.validationRuleService = new ValidationRuleService({ executor, stateless, cacheNamespace });
+  }
 
-      const sqlQueries = {
-        typeMismatch: `
--- Type Mismatch Discrepancies
--- Records where berth type in PRS doesn't match berth qualifier in MDMS
+  /**
+   * Build the SELECT for each discrepancy type under a match rule and the
+   * coach layout templates. Every query returns the same columns so they can
+   * be combined with UNION ALL.
+   */
+  buildDiscrepancyQueries(matchRule = DEFAULT_MATCH_RULE, layouts = loadCoachLayouts()) {
+    const join = buildJoinCondition(matchRule);
+    const layoutQueries = Object.entries(buildLayoutQueries(layouts))
+      .map(([type, sql]) => [DISCREPANCY_TYPES[type].queryKey, sql]);
+
+    return {
+      ...this.buildCoreQueries(matchRule, join),
+      ...this.buildCompositeQueries(matchRule),
+      ...Object.fromEntries(layoutQueries)
+    };
+  }
+
+  /**
+   * Build the SELECTs for type mismatches and records missing on either side
+   */
+  buildCoreQueries(matchRule, join) {
+    const prsSource = buildRuleSource(matchRule, 'prs');
+    const mdmsSource = buildRuleSource(matchRule, 'mdms');
+    return {
+      typeMismatch: `
 SELECT 
   p.serial_no,
   p.coach_code,
   p.class as prs_class,
+  m.coach_class as mdms_class,
   p.berth_number,
   p.berth_type,
   m.berth_qualifier,
-  m.coach_class as mdms_class,
   'TYPE_MISMATCH' as discrepancy_type,
-  CONCAT('PRS berth type ''', p.berth_type, ''' doesn''t match MDMS berth qualifier ''', m.berth_qualifier, '''') as details
-FROM prs p
-INNER JOIN mdms m
-  ON TRIM(LOWER(p.coach_code)) = TRIM(LOWER(m.prs_coach_code))
-  AND TRIM(LOWER(p.class)) = TRIM(LOWER(m.coach_class))
-  AND p.berth_number::INT = m.berth_no
-WHERE p.berth_type != m.berth_qualifier
-ORDER BY p.coach_code, p.berth_number;
-`,
+  ${buildMismatchDetails(matchRule)} as details
+FROM ${prsSource} p
+INNER JOIN ${mdmsSource} m
+  ON ${join}
+WHERE ${buildMismatchCondition(matchRule)}`,
 
-        missingInMdms: `
--- Missing in MDMS
--- Records that exist in PRS but not in MDMS
+      missingInMdms: `
 SELECT 
   p.serial_no,
   p.coach_code,
   p.class as prs_class,
+  NULL as mdms_class,
   p.berth_number,
   p.berth_type,
   'N/A' as berth_qualifier,
   'MISSING_IN_MDMS' as discrepancy_type,
   CONCAT('PRS record (', p.coach_code, ', class ', p.class, ', berth ', p.berth_number, ') not found in MDMS') as details
-FROM prs p
-LEFT JOIN mdms m 
-  ON TRIM(LOWER(p.coach_code)) = TRIM(LOWER(m.prs_coach_code))
-  AND TRIM(LOWER(p.class)) = TRIM(LOWER(m.coach_class))
-  AND p.berth_number::INT = m.berth_no
-WHERE m.serial_no IS NULL
-ORDER BY p.coach_code, p.berth_number;
-`,
+FROM ${prsSource} p
+LEFT JOIN ${mdmsSource} m
+  ON ${join}
+WHERE m.id IS NULL`,
 
-        missingInPrs: `
--- Missing in PRS
--- Records that exist in MDMS but not in PRS
+      missingInPrs: `
 SELECT 
   m.serial_no,
   m.prs_coach_code as coach_code,
+  NULL as prs_class,
   m.coach_class as mdms_class,
   m.berth_no as berth_number,
   'N/A' as berth_type,
   m.berth_qualifier,
   'MISSING_IN_PRS' as discrepancy_type,
   CONCAT('MDMS record (', m.prs_coach_code, ', class ', m.coach_class, ', berth ', m.berth_no, ') not found in PRS') as details
-FROM mdms m
-LEFT JOIN prs p 
-  ON TRIM(LOWER(m.prs_coach_code)) = TRIM(LOWER(p.coach_code))
-  AND TRIM(LOWER(m.coach_class)) = TRIM(LOWER(p.class))
-  AND m.berth_no = p.berth_number::INT
-WHERE p.serial_no IS NULL
+FROM ${mdmsSource} m
+LEFT JOIN ${prsSource} p
+  ON ${join}
+WHERE p.id IS NULL`
+    };
+  }
+
+  /**
+   * Build the SELECTs for the composite coach checks, in the same column
+   * layout as buildDiscrepancyQueries
+   */
+  buildCompositeQueries(matchRule = DEFAULT_MATCH_RULE) {
+    const coachKey = getKeyByRole(matchRule, 'coach');
+    const { classAliases, ...classNormalise } = getKeyByRole(matchRule, 'class')?.normalise || { trim: true, case: 'lower' };
+    const prsCoach = normaliseExpression(`p.${coachKey.prs}`, coachKey.normalise);
+    const mdmsCoach = normaliseExpression(`m.${coachKey.mdms}`, coachKey.normalise);
+    // With class aliases, classes are compared by the canonical columns the sources add
+    const classColumns = { prs: ['class'], mdms: ['coach_class', 'coach_class_first', 'coach_class_second'] };
+    const prsSource = buildRuleSource(matchRule, 'prs', classAliases ? classColumns.prs : []);
+    const mdmsSource = buildRuleSource(matchRule, 'mdms', classAliases ? classColumns.mdms : []);
+    const resolved = (column) => (classAliases ? canonicalClassColumn(column) : column);
+    // Excel exports carry empty cells and the literal text NULL for a missing second class
+    const blankToNull = (column) => `NULLIF(NULLIF(TRIM(${column}), ''), 'NULL')`;
+    const normClass = (column) => normaliseExpression(blankToNull(resolved(column)), classNormalise);
+    // An MDMS coach's composite classes as rows of c.class (and its canonical class)
+    const compositeClasses = classAliases
+      ? `(VALUES (m.coach_class_first, ${resolved('m.coach_class_first')}), (m.coach_class_second, ${resolved('m.coach_class_second')})) AS c(class, ${resolved('class')})`
+      : '(VALUES (m.coach_class_first), (m.coach_class_second)) AS c(class)';
+    // A missing flag counts as not composite, but is described as missing
+    const flagPhrase = (flag) => `CASE WHEN ${flag} THEN 'marks it as composite' WHEN NOT ${flag} THEN 'marks it as not composite' ELSE 'has no composite flag for it' END`;
+
+    return {
+      compositeFlagMismatch: `
+SELECT 
+  NULL::INT as serial_no,
+  pc.coach_code,
+  pc.classes as prs_class,
+  mc.classes as mdms_class,
+  NULL::INT as berth_number,
+  'N/A' as berth_type,
+  'N/A' as berth_qualifier,
+  'COMPOSITE_FLAG_MISMATCH' as discrepancy_type,
+  CONCAT('Coach ', pc.coach_code, ': PRS ', ${flagPhrase('pc.composite_flag')}, ' but MDMS ', ${flagPhrase('mc.composite_flag')}) as details
+FROM (
+  SELECT ${prsCoach} as coach_key, MIN(p.coach_code) as coach_code,
+    BOOL_OR(p.composite_flag) as composite_flag, STRING_AGG(DISTINCT p.class, ', ') as classes
+  FROM ${prsSource} p
+  GROUP BY 1
+) pc
+INNER JOIN (
+  SELECT ${mdmsCoach} as coach_key,
+    BOOL_OR(m.composite_flag) as composite_flag, STRING_AGG(DISTINCT m.coach_class, ', ') as classes
+  FROM ${mdmsSource} m
+  GROUP BY 1
+) mc ON pc.coach_key = mc.coach_key
+WHERE COALESCE(pc.composite_flag, FALSE) <> COALESCE(mc.composite_flag, FALSE)`,
+
+      compositeBerthClass: `
+SELECT 
+  p.serial_no,
+  p.coach_code,
+  p.class as prs_class,
+  mc.classes as mdms_class,
+  p.berth_number,
+  p.berth_type,
+  'N/A' as berth_qualifier,
+  'COMPOSITE_BERTH_CLASS' as discrepancy_type,
+  CONCAT('PRS berth ', p.berth_number, ' of composite coach ', p.coach_code, ' has class ', p.class,
+    ', which is not one of its MDMS composite classes (', COALESCE(mc.classes, 'none'), ')') as details
+FROM ${prsSource} p
+INNER JOIN (
+  -- One row per coach, whatever the number of its MDMS berths, so PRS berths are reported once
+  SELECT ${mdmsCoach} as coach_key,
+    STRING_AGG(DISTINCT ${blankToNull('c.class')}, '/') as classes,
+    ARRAY_AGG(DISTINCT ${normClass('c.class')}) FILTER (WHERE ${blankToNull('c.class')} IS NOT NULL) as class_keys
+  FROM ${mdmsSource} m
+  CROSS JOIN LATERAL ${compositeClasses}
+  WHERE m.composite_flag = TRUE
+  GROUP BY 1
+) mc ON ${prsCoach} = mc.coach_key
+WHERE NOT COALESCE(${normClass('p.class')} = ANY(mc.class_keys), FALSE)`,
+
+      compositeClassConflict: `
+SELECT 
+  m.serial_no,
+  m.prs_coach_code as coach_code,
+  NULL as prs_class,
+  m.coach_class as mdms_class,
+  m.berth_no as berth_number,
+  'N/A' as berth_type,
+  m.berth_qualifier,
+  'COMPOSITE_CLASS_CONFLICT' as discrepancy_type,
+  CONCAT('MDMS coach_class ''', m.coach_class, ''' is neither coach_class_first ''', COALESCE(${blankToNull('m.coach_class_first')}, 'N/A'),
+    ''' nor coach_class_second ''', COALESCE(${blankToNull('m.coach_class_second')}, 'N/A'), '''') as details
+FROM ${mdmsSource} m
+WHERE (${blankToNull('m.coach_class_first')} IS NOT NULL OR ${blankToNull('m.coach_class_second')} IS NOT NULL)
+  AND ${normClass('m.coach_class')} IS DISTINCT FROM ${normClass('m.coach_class_first')}
+  AND ${normClass('m.coach_class')} IS DISTINCT FROM ${normClass('m.coach_class_second')}`
+    };
+  }
+
+  /**
+   * Generate SQL files for all discrepancy types
+   */
+  async generateDiscrepancySQL(matchRule = DEFAULT_MATCH_RULE, layouts = loadCoachLayouts()) {
+    try {
+      console.log('📝 Generating SQL files for discrepancies...');
+
+      const queries = this.buildDiscrepancyQueries(matchRule, layouts);
+      const ruleComment = `-- Match rule: ${matchRule.name || 'custom'}`;
+
+      const sqlQueries = {
+        typeMismatch: `
+-- Type Mismatch Discrepancies
+-- Records where compared fields in PRS don't match MDMS
+${ruleComment}
+${queries.typeMismatch.trim()}
+ORDER BY p.coach_code, p.berth_number;
+`,
+
+        missingInMdms: `
+-- Missing in MDMS
+-- Records that exist in PRS but not in MDMS
+${ruleComment}
+${queries.missingInMdms.trim()}
+ORDER BY p.coach_code, p.berth_number;
+`,
+
+        missingInPrs: `
+-- Missing in PRS
+-- Records that exist in MDMS but not in PRS
+${ruleComment}
+${queries.missingInPrs.trim()}
+ORDER BY m.prs_coach_code, m.berth_no;
+`,
+
+        compositeFlagMismatch: `
+-- Composite Flag Mismatches
+-- Coaches whose composite flag differs between PRS and MDMS
+${ruleComment}
+${queries.compositeFlagMismatch.trim()}
+ORDER BY coach_code;
+`,
+
+        compositeBerthClass: `
+-- Composite Berth Classes
+-- PRS berths of composite coaches whose class is neither composite class
+${ruleComment}
+${queries.compositeBerthClass.trim()}
+ORDER BY p.coach_code, p.berth_number;
+`,
+
+        compositeClassConflict: `
+-- Composite Class Conflicts
+-- MDMS records whose coach_class is neither coach_class_first nor coach_class_second
+${ruleComment}
+${queries.compositeClassConflict.trim()}
 ORDER BY m.prs_coach_code, m.berth_no;
+`,
+
+        layoutGap: `
+-- Layout Gaps
+-- Berth numbers a coach's layout template expects but PRS and/or MDMS lack
+${ruleComment}
+${queries.layoutGap.trim()}
+ORDER BY coach_code, berth_number;
+`,
+
+        layoutExtraBerth: `
+-- Layout Extra Berths
+-- PRS and/or MDMS berths numbered beyond the coach's layout template
+${ruleComment}
+${queries.layoutExtraBerth.trim()}
+ORDER BY coach_code, berth_number;
+`,
+
+        layoutPatternBreak: `
+-- Layout Pattern Breaks
+-- PRS and/or MDMS berth types that differ from the layout template's sequence
+${ruleComment}
+${queries.layoutPatternBreak.trim()}
+ORDER BY coach_code, berth_number;
 `,
 
         allDiscrepancies: `
 -- All Discrepancies Combined
 -- Union of all discrepancy types
-WITH type_mismatches AS (
-  SELECT 
-    p.serial_no,
-    p.coach_code,
-    p.class as prs_class,
-    m.coach_class as mdms_class,
-    p.berth_number,
-    p.berth_type,
-    m.berth_qualifier,
-    'TYPE_MISMATCH' as discrepancy_type,
-    CONCAT('PRS berth type ''', p.berth_type, ''' doesn''t match MDMS berth qualifier ''', m.berth_qualifier, '''') as details
-  FROM prs p
-  INNER JOIN mdms m
-    ON TRIM(LOWER(p.coach_code)) = TRIM(LOWER(m.prs_coach_code))
-    AND TRIM(LOWER(p.class)) = TRIM(LOWER(m.coach_class))
-    AND p.berth_number::INT = m.berth_no
-  WHERE p.berth_type != m.berth_qualifier
-),
-missing_in_mdms AS (
-  SELECT 
-    p.serial_no,
-    p.coach_code,
-    p.class as prs_class,
-    NULL as mdms_class,
-    p.berth_number,
-    p.berth_type,
-    'N/A' as berth_qualifier,
-    'MISSING_IN_MDMS' as discrepancy_type,
-    CONCAT('PRS record (', p.coach_code, ', class ', p.class, ', berth ', p.berth_number, ') not found in MDMS') as details
-  FROM prs p
-  LEFT JOIN mdms m 
-    ON TRIM(LOWER(p.coach_code)) = TRIM(LOWER(m.prs_coach_code))
-    AND TRIM(LOWER(p.class)) = TRIM(LOWER(m.coach_class))
-    AND p.berth_number::INT = m.berth_no
-  WHERE m.serial_no IS NULL
-),
-missing_in_prs AS (
-  SELECT 
-    m.serial_no,
-    m.prs_coach_code as coach_code,
-    NULL as prs_class,
-    m.coach_class as mdms_class,
-    m.berth_no as berth_number,
-    'N/A' as berth_type,
-    m.berth_qualifier,
-    'MISSING_IN_PRS' as discrepancy_type,
-    CONCAT('MDMS record (', m.prs_coach_code, ', class ', m.coach_class, ', berth ', m.berth_no, ') not found in PRS') as details
-  FROM mdms m
-  LEFT JOIN prs p 
-    ON TRIM(LOWER(m.prs_coach_code)) = TRIM(LOWER(p.coach_code))
-    AND TRIM(LOWER(m.coach_class)) = TRIM(LOWER(p.class))
-    AND m.berth_no = p.berth_number::INT
-  WHERE p.serial_no IS NULL
-)
-SELECT * FROM type_mismatches
-UNION ALL
-SELECT * FROM missing_in_mdms
-UNION ALL
-SELECT * FROM missing_in_prs
+${ruleComment}
+${Object.values(DISCREPANCY_TYPES).map(({ queryKey }) => `SELECT * FROM (${queries[queryKey]}\n) ${queryKey}`).join('\nUNION ALL\n')}
 ORDER BY discrepancy_type, coach_code, berth_number;
 `
       };
@@ -172,128 +566,131 @@ ORDER BY discrepancy_type, coach_code, berth_number;
    * Generate timestamp for file naming
    */
   getTimestamp() {
-    const now = new Date();
-    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
+    return fileTimestamp();
   }
 
+  /**
+   * Map a discrepancy query row to the API shape
+   */
+  mapDiscrepancyRow(row) {
+    const discrepancy = {
+      serialNo: row.serial_no,
+      coachCode: row.coach_code,
+      prsClass: row.prs_class,
+      mdmsClass: row.mdms_class,
+      berthNumber: row.berth_number,
+      berthType: row.berth_type,
+      berthQualifier: row.berth_qualifier,
+      discrepancyType: row.discrepancy_type,
+      details: row.details,
+      occurrence: row.occurrence
+    };
+    return { discrepancyId: buildDiscrepancyId(discrepancy), ...discrepancy };
+  }
 
   /**
    * Find all discrepancies between PRS and MDMS tables
+   * (options.matchRule selects the join keys and compared fields).
+   * Results are cached per match rule and layout templates until the data version changes;
+   * review statuses are attached fresh on every call. Every fresh analysis
+   * records a quality snapshot and an analysis run (returned as `run`), both
+   * labelled with options.trendTrigger.
+   */
+  async findDiscrepancies(options = {}) {
+    const matchRule = options.matchRule || DEFAULT_MATCH_RULE;
+    const layouts = loadCoachLayouts();
+    const ruleHash = crypto.createHash('md5').update(JSON.stringify({ matchRule, layouts })).digest('hex').slice(0, 12);
+
+    const { value, cache } = await getOrCompute(
+      `discrepancies:${matchRule.name || 'custom'}:${ruleHash}`,
+      () => this.runDiscrepancyAnalysis(matchRule, layouts),
+      this.cacheOptions
+    );
+
+    let run = null;
+    if (cache.status === 'MISS' && !this.stateless) {
+      await this.recordQualitySnapshot(options.trendTrigger || 'analysis', matchRule, value, cache.dataVersion);
+      run = await this.recordAnalysisRun(options.trendTrigger || 'analysis', value, options.sourceFiles);
+    }
+
+    // Callers get their own copies so the cached rows stay untouched
+    const copies = value.discrepancies.map(d => ({ ...d }));
+    const discrepancies = this.stateless ? copies : await this.reviewService.attachReviews(copies);
+    return { ...value, discrepancies, cache, ...(run ? { run } : {}) };
+  }
+
+  /**
+   * Store a fresh analysis as an analysis run, so run history follows normal
+   * use. Failures are logged and swallowed like quality snapshot failures.
+   */
+  async recordAnalysisRun(trigger, analysis, sourceFiles) {
+    try {
+      return await this.runService.storeRun(analysis, { trigger, sourceFiles });
+    } catch (error) {
+      console.error('⚠️ Analysis run not recorded:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the quality trend metrics for a fresh analysis. Failures are logged
+   * and swallowed so they never fail the analysis itself.
+   */
+  async recordQualitySnapshot(trigger, matchRule, analysis, dataVersion) {
+    try {
+      const duplicateResult = await this.duplicateService.findDuplicates();
+      const quality = await this.getQualityScores({ matchRule });
+
+      const discrepancyCounts = {};
+      for (const { countKey } of Object.values(DISCREPANCY_TYPES)) {
+        discrepancyCounts[countKey] = analysis[countKey];
+      }
+
+      await this.trendService.recordSnapshot({
+        trigger,
+        dataVersion,
+        matchRule,
+        discrepancyCounts,
+        totalDiscrepancies: analysis.totalDiscrepancies,
+        duplicateCounts: duplicateResult.summary,
+        quality
+      });
+    } catch (error) {
+      console.error('⚠️ Quality snapshot not recorded:', error.message);
+    }
+  }
+
+  /**
+   * Run the discrepancy queries for a match rule, writing their SQL to sql_exports/
    */
-  async findDiscrepancies() {
+  async runDiscrepancyAnalysis(matchRule, layouts = loadCoachLayouts()) {
     try {
-      console.log('🔍 Starting improved discrepancy analysis...');
+      console.log(`🔍 Starting improved discrepancy analysis (match rule: ${matchRule.name || 'custom'})...`);
 
       // Generate SQL files first
-      await this.generateDiscrepancySQL();
+      if (!this.stateless) await this.generateDiscrepancySQL(matchRule, layouts);
 
+      const queries = this.buildDiscrepancyQueries(matchRule, layouts);
       const discrepancies = [];
+      const counts = {};
 
-      // Query 1: Type Mismatch
-      const typeMismatchQuery = `
-      SELECT 
-        p.serial_no,
-        p.coach_code,
-        p.class,
-        p.berth_number,
-        p.berth_type,
-        m.berth_qualifier,
-        m.coach_class
-      FROM prs p
-      INNER JOIN mdms m
-        ON TRIM(LOWER(p.coach_code)) = TRIM(LOWER(m.prs_coach_code))
-        AND TRIM(LOWER(p.class)) = TRIM(LOWER(m.coach_class))
-        AND p.berth_number::INT = m.berth_no
-      WHERE p.berth_type != m.berth_qualifier
-    `;
-
-      const typeMismatchResult = await query(typeMismatchQuery);
-      console.log(`⚠️ Found ${typeMismatchResult.rows.length} type mismatches`);
-
-      for (const row of typeMismatchResult.rows) {
-        discrepancies.push({
-          serialNo: row.serial_no,
-          coachCode: row.coach_code,
-          prsClass: row.class,
-          mdmsClass: row.coach_class,
-          berthNumber: row.berth_number,
-          berthType: row.berth_type,
-          berthQualifier: row.berth_qualifier,
-          discrepancyType: 'TYPE_MISMATCH',
-          details: `PRS berth type '${row.berth_type}' doesn't match MDMS berth qualifier '${row.berth_qualifier}'`
-        });
-      }
-
-      // Query 2: Missing in MDMS
-      const missingInMdmsQuery = `
-      SELECT 
-        p.serial_no,
-        p.coach_code,
-        p.class,
-        p.berth_number,
-        p.berth_type
-      FROM prs p
-      LEFT JOIN mdms m 
-        ON TRIM(LOWER(p.coach_code)) = TRIM(LOWER(m.prs_coach_code))
-        AND TRIM(LOWER(p.class)) = TRIM(LOWER(m.coach_class))
-        AND p.berth_number::INT = m.berth_no
-      WHERE m.serial_no IS NULL
-    `;
-
-      const missingInMdmsResult = await query(missingInMdmsQuery);
-      console.log(`🚫 Found ${missingInMdmsResult.rows.length} records missing in MDMS`);
-
-      for (const row of missingInMdmsResult.rows) {
-        discrepancies.push({
-          serialNo: row.serial_no,
-          coachCode: row.coach_code,
-          prsClass: row.class,
-          berthNumber: row.berth_number,
-          berthType: row.berth_type,
-          berthQualifier: 'N/A',
-          discrepancyType: 'MISSING_IN_MDMS',
-          details: `PRS record (${row.coach_code}, class ${row.class}, berth ${row.berth_number}) not found in MDMS`
-        });
+      for (const { queryKey, countKey, label } of Object.values(DISCREPANCY_TYPES)) {
+        const result = await this.executor(numberDiscrepancyRows(queries[queryKey]));
+        console.log(`⚠️ Found ${result.rows.length} ${label.toLowerCase()}`);
+        counts[countKey] = result.rows.length;
+        discrepancies.push(...result.rows.map(row => this.mapDiscrepancyRow(row)));
       }
 
-      // Query 3: Missing in PRS
-      const missingInPrsQuery = `
-      SELECT 
-        m.serial_no,
-        p.coach_code,
-        m.coach_class,
-        m.berth_no AS berth_number,
-        m.berth_qualifier
-      FROM mdms m
-      LEFT JOIN prs p 
-        ON TRIM(LOWER(m.prs_coach_code)) = TRIM(LOWER(p.coach_code))
-        AND TRIM(LOWER(m.coach_class)) = TRIM(LOWER(p.class))
-        AND m.berth_no = p.berth_number::INT
-      WHERE p.serial_no IS NULL
-    `;
-
-      const missingInPrsResult = await query(missingInPrsQuery);
-      console.log(`🚫 Found ${missingInPrsResult.rows.length} records missing in PRS`);
-
-      for (const row of missingInPrsResult.rows) {
-        discrepancies.push({
-          serialNo: row.serial_no,
-          coachCode: row.coach_code,
-          mdmsClass: row.coach_class,
-          berthNumber: row.berth_number,
-          berthType: 'N/A',
-          berthQualifier: row.berth_qualifier,
-          discrepancyType: 'MISSING_IN_PRS',
-          details: `MDMS record (${row.coach_code}, class ${row.coach_class}, berth ${row.berth_number}) not found in PRS`
-        });
-      }
+      // Layout template findings are listed with the discrepancies but counted apart,
+      // so totalDiscrepancies keeps meaning PRS/MDMS disagreements
+      const totalLayoutIssues = LAYOUT_TYPES.reduce((sum, type) => sum + counts[DISCREPANCY_TYPES[type].countKey], 0);
 
       console.log('✅ Discrepancy analysis complete');
       return {
-        totalDiscrepancies: discrepancies.length,
-        typeMismatchCount: typeMismatchResult.rows.length,
-        missingInMdmsCount: missingInMdmsResult.rows.length,
-        missingInPrsCount: missingInPrsResult.rows.length,
+        matchRule: matchRule.name || 'custom',
+        totalDiscrepancies: discrepancies.length - totalLayoutIssues,
+        totalLayoutIssues,
+        ...counts,
         discrepancies
       };
 
@@ -304,19 +701,94 @@ ORDER BY discrepancy_type, coach_code, berth_number;
   }
 
 
+  /**
+   * Build the source query, filter columns and ordering shared by the paged
+   * list and the streamed exports
+   */
+  buildDiscrepancyListSpec(options = {}) {
+    const matchRule = options.matchRule || DEFAULT_MATCH_RULE;
+    const queries = this.buildDiscrepancyQueries(matchRule);
+
+    // Only the requested types are part of the union
+    const types = Object.entries(DISCREPANCY_TYPES)
+      .filter(([type]) => !options.types || options.types.length === 0 || options.types.includes(type));
+    const sourceSql = types
+      .map(([, { queryKey }]) => `SELECT * FROM (${numberDiscrepancyRows(queries[queryKey])}\n) ${queryKey}`)
+      .join('\nUNION ALL\n');
+
+    const order = options.order === 'desc' ? 'DESC' : 'ASC';
+    return {
+      matchRule,
+      sourceSql,
+      filters: options,
+      columns: { coach: 'coach_code', classes: ['prs_class', 'mdms_class'], berth: 'berth_number', type: 'discrepancy_type' },
+      orderBy: `${DISCREPANCY_SORT_COLUMNS[Object.hasOwn(DISCREPANCY_SORT_COLUMNS, options.sort) ? options.sort : 'discrepancyType']} ${order} NULLS LAST`,
+      tiebreak: ['discrepancy_type', 'coach_code', 'berth_number', 'serial_no', 'details']
+    };
+  }
+
+  /**
+   * Get one page of discrepancies with filtering and sorting done in SQL.
+   * options: matchRule, coachCode, class, berthFrom, berthTo, types, sort, order, pageSize, offset
+   */
+  async listDiscrepancies(options = {}) {
+    try {
+      const { matchRule, sourceSql, ...spec } = this.buildDiscrepancyListSpec(options);
+      const { sql, params } = buildPagedQuery(sourceSql, {
+        ...spec,
+        pageSize: options.pageSize,
+        offset: options.offset
+      });
+
+      const result = await this.executor(sql, params);
+      const page = toPage(result.rows, options);
+      const rows = page.rows.map(row => this.mapDiscrepancyRow(row));
+      const discrepancies = this.stateless ? rows : await this.reviewService.attachReviews(rows);
+
+      return {
+        matchRule: matchRule.name || 'custom',
+        totalCount: page.totalCount,
+        count: discrepancies.length,
+        pageSize: page.pageSize,
+        nextCursor: page.nextCursor,
+        discrepancies
+      };
+    } catch (error) {
+      console.error('Error listing discrepancies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream discrepancies matching the list filters through a database cursor,
+   * calling onBatch with each batch of mapped rows. Resolves to the row count.
+   */
+  async streamDiscrepancies(options, onBatch) {
+    const { sourceSql, filters, columns, orderBy, tiebreak } = this.buildDiscrepancyListSpec(options);
+    const { sql, params } = buildFilteredQuery(sourceSql, { filters, columns, orderBy, tiebreak });
+
+    return streamQuery(sql, params, async (rows) => {
+      const mapped = rows.map(row => this.mapDiscrepancyRow(row));
+      return onBatch(this.stateless ? mapped : await this.reviewService.attachReviews(mapped));
+    }, { executor: this.stateless ? this.executor : undefined });
+  }
+
   /**
    * Get discrepancies by type
    */
-  async getDiscrepanciesByType(type) {
-    const allDiscrepancies = await this.findDiscrepancies();
-    return allDiscrepancies.discrepancies.filter(d => d.discrepancyType === type);
+  async getDiscrepanciesByType(type, options = {}) {
+    const allDiscrepancies = await this.findDiscrepancies(options);
+    return {
+      discrepancies: allDiscrepancies.discrepancies.filter(d => d.discrepancyType === type),
+      cache: allDiscrepancies.cache
+    };
   }
 
   /**
  * Get discrepancies for a specific coach code
  */
-  async getDiscrepanciesForCoachCode(coachCode) {
-    const allDiscrepancies = await this.findDiscrepancies();
+  async getDiscrepanciesForCoachCode(coachCode, options = {}) {
+    const allDiscrepancies = await this.findDiscrepancies(options);
 
     // Filter discrepancies for the specified coach code (case-insensitive)
     const filteredDiscrepancies = allDiscrepancies.discrepancies.filter(d =>
@@ -329,46 +801,112 @@ ORDER BY discrepancy_type, coach_code, berth_number;
       discrepancies: filteredDiscrepancies,
       message: filteredDiscrepancies.length === 0
         ? `No discrepancies found for coach code ${coachCode}`
-        : `Found ${filteredDiscrepancies.length} discrepancies for coach code ${coachCode}`
+        : `Found ${filteredDiscrepancies.length} discrepancies for coach code ${coachCode}`,
+      cache: allDiscrepancies.cache
+    };
+  }
+
+  /**
+   * Suggest coach code pairings for missing records whose codes are near-identical
+   * (options.minConfidence and options.suggestionsPerCode tune the similarity pass)
+   */
+  async findSuggestedMatches(options = {}) {
+    const allDiscrepancies = await this.findDiscrepancies(options);
+    const suggestions = buildSuggestedMatches(allDiscrepancies.discrepancies, options);
+    return {
+      matchRule: allDiscrepancies.matchRule,
+      count: suggestions.length,
+      suggestions,
+      cache: allDiscrepancies.cache
     };
   }
 
+  /**
+   * Roll discrepancies up to one entry per coach code, classified as fully missing,
+   * partially missing, type mismatched or clean
+   * (options.status filters by coach status, options.includeDiscrepancies keeps the berth rows)
+   */
+  async getCoachRollup(options = {}) {
+    try {
+      const allDiscrepancies = await this.findDiscrepancies(options);
+      let coaches = buildCoachRollup(allDiscrepancies.discrepancies, await loadCoachBerthCounts(this.executor));
+
+      const statusCounts = Object.fromEntries(Object.keys(COACH_STATUSES).map(status => [status, 0]));
+      coaches.forEach(coach => statusCounts[coach.status]++);
+
+      if (options.status) {
+        coaches = coaches.filter(coach => coach.status === options.status);
+      }
+      if (!options.includeDiscrepancies) {
+        coaches = coaches.map(({ discrepancies, ...coach }) => coach);
+      }
+
+      return {
+        matchRule: allDiscrepancies.matchRule,
+        totalCoaches: Object.values(statusCounts).reduce((sum, n) => sum + n, 0),
+        statusCounts,
+        coaches,
+        cache: allDiscrepancies.cache
+      };
+    } catch (error) {
+      console.error('Error building coach rollup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a discrepancy in the current analysis by its stable id, or null if it no longer occurs
+   */
+  async getDiscrepancyById(discrepancyId, options = {}) {
+    const allDiscrepancies = await this.findDiscrepancies(options);
+    return allDiscrepancies.discrepancies.find(d => d.discrepancyId === discrepancyId) || null;
+  }
+
   /**
    * Get summary statistics only
    */
-  async getDiscrepancySummary() {
-    const result = await this.findDiscrepancies();
+  async getDiscrepancySummary(options = {}) {
+    const result = await this.findDiscrepancies(options);
     return {
+      matchRule: result.matchRule,
       totalDiscrepancies: result.totalDiscrepancies,
       typeMismatchCount: result.typeMismatchCount,
       missingInPrsCount: result.missingInPrsCount,
-      missingInMdmsCount: result.missingInMdmsCount
+      missingInMdmsCount: result.missingInMdmsCount,
+      compositeFlagMismatchCount: result.compositeFlagMismatchCount,
+      compositeBerthClassCount: result.compositeBerthClassCount,
+      compositeClassConflictCount: result.compositeClassConflictCount,
+      totalLayoutIssues: result.totalLayoutIssues,
+      layoutGapCount: result.layoutGapCount,
+      layoutExtraBerthCount: result.layoutExtraBerthCount,
+      layoutPatternBreakCount: result.layoutPatternBreakCount,
+      cache: result.cache
     };
   }
 
   /**
    * Get detailed summary with analytics
    */
-  async getDetailedSummary() {
+  async getDetailedSummary(options = {}) {
     try {
-      const discrepancyResult = await this.findDiscrepancies();
+      const discrepancyResult = await this.findDiscrepancies(options);
+      const quality = await this.getQualityScores(options);
 
       // Get total record counts
-      const prsCountResult = await query('SELECT COUNT(*) as count FROM prs');
-      const mdmsCountResult = await query('SELECT COUNT(*) as count FROM mdms');
+      const prsCountResult = await this.executor('SELECT COUNT(*) as count FROM prs');
+      const mdmsCountResult = await this.executor('SELECT COUNT(*) as count FROM mdms');
 
       const totalPrsRecords = parseInt(prsCountResult.rows[0].count);
       const totalMdmsRecords = parseInt(mdmsCountResult.rows[0].count);
-      const totalPossibleMatches = Math.max(totalPrsRecords, totalMdmsRecords);
-      const matchingRecords = totalPossibleMatches - discrepancyResult.totalDiscrepancies;
-      const dataQualityScore = (matchingRecords / totalPossibleMatches) * 100;
 
       return {
         overview: {
+          matchRule: discrepancyResult.matchRule,
           totalPrsRecords,
           totalMdmsRecords,
           totalDiscrepancies: discrepancyResult.totalDiscrepancies,
-          dataQualityScore: Math.round(dataQualityScore * 100) / 100
+          dataQualityScore: quality.overall.score,
+          qualityDimensions: quality.overall.dimensions
         },
         discrepancyBreakdown: {
           typeMismatchCount: discrepancyResult.typeMismatchCount,
@@ -377,7 +915,19 @@ ORDER BY discrepancy_type, coach_code, berth_number;
           typeMismatchPercentage: Math.round((discrepancyResult.typeMismatchCount / discrepancyResult.totalDiscrepancies) * 10000) / 100,
           missingInPrsPercentage: Math.round((discrepancyResult.missingInPrsCount / discrepancyResult.totalDiscrepancies) * 10000) / 100,
           missingInMdmsPercentage: Math.round((discrepancyResult.missingInMdmsCount / discrepancyResult.totalDiscrepancies) * 10000) / 100
-        }
+        },
+        compositeBreakdown: {
+          compositeFlagMismatchCount: discrepancyResult.compositeFlagMismatchCount,
+          compositeBerthClassCount: discrepancyResult.compositeBerthClassCount,
+          compositeClassConflictCount: discrepancyResult.compositeClassConflictCount
+        },
+        layoutBreakdown: {
+          totalLayoutIssues: discrepancyResult.totalLayoutIssues,
+          layoutGapCount: discrepancyResult.layoutGapCount,
+          layoutExtraBerthCount: discrepancyResult.layoutExtraBerthCount,
+          layoutPatternBreakCount: discrepancyResult.layoutPatternBreakCount
+        },
+        cache: discrepancyResult.cache
       };
 
     } catch (error) {
@@ -386,13 +936,39 @@ ORDER BY discrepancy_type, coach_code, berth_number;
     }
   }
 
+  /**
+   * Score data quality per coach code, per class and overall
+   * (options.weights overrides the per-dimension weights)
+   */
+  async getQualityScores(options = {}) {
+    try {
+      const discrepancyResult = await this.findDiscrepancies(options);
+      const duplicateResult = await this.duplicateService.findDuplicates();
+      const rowCounts = await loadQualityCounts(this.executor);
+
+      return {
+        matchRule: discrepancyResult.matchRule,
+        ...buildQualityScores({
+          discrepancies: discrepancyResult.discrepancies,
+          duplicates: duplicateResult.duplicates,
+          rowCounts,
+          weights: { ...DEFAULT_QUALITY_WEIGHTS, ...options.weights }
+        }),
+        cache: discrepancyResult.cache
+      };
+    } catch (error) {
+      console.error('Error scoring data quality:', error);
+      throw error;
+    }
+  }
+
   /**
    * Export discrepancies to Excel file
-   */  async exportDiscrepanciesToExcel(includeDetailedSummary = true) {
+   */  async exportDiscrepanciesToExcel(includeDetailedSummary = true, options = {}) {
     try {
       console.log('📊 Generating Excel report...');
       const workbook = new ExcelJS.Workbook();
-      const discrepancyData = await this.findDiscrepancies();
+      const discrepancyData = await this.findDiscrepancies(options);
 
       // Summary Sheet
       const summarySheet = workbook.addWorksheet('Summary');
@@ -408,6 +984,7 @@ ORDER BY discrepancy_type, coach_code, berth_number;
         fgColor: { argb: 'FFE0E0E0' }
       };
 
+      summarySheet.addRow({ metric: 'Match Rule', value: discrepancyData.matchRule, percentage: '' });
       summarySheet.addRow({ metric: 'Total Discrepancies', value: discrepancyData.totalDiscrepancies, percentage: '100%' });
       summarySheet.addRow({
         metric: 'Type Mismatches',
@@ -424,6 +1001,34 @@ ORDER BY discrepancy_type, coach_code, berth_number;
         value: discrepancyData.missingInMdmsCount,
         percentage: `${Math.round((discrepancyData.missingInMdmsCount / discrepancyData.totalDiscrepancies) * 100)}%`
       });
+      for (const type of COMPOSITE_TYPES) {
+        const { countKey, label } = DISCREPANCY_TYPES[type];
+        summarySheet.addRow({
+          metric: label,
+          value: discrepancyData[countKey],
+          percentage: `${Math.round((discrepancyData[countKey] / discrepancyData.totalDiscrepancies) * 100)}%`
+        });
+      }
+
+      // Layout issues are counted apart from the total, as percentages of the layout issues
+      summarySheet.addRow({ metric: 'Layout Issues', value: discrepancyData.totalLayoutIssues, percentage: '' });
+      for (const type of LAYOUT_TYPES) {
+        const { countKey, label } = DISCREPANCY_TYPES[type];
+        summarySheet.addRow({
+          metric: label,
+          value: discrepancyData[countKey],
+          percentage: discrepancyData.totalLayoutIssues > 0
+            ? `${Math.round((discrepancyData[countKey] / discrepancyData.totalLayoutIssues) * 100)}%`
+            : ''
+        });
+      }
+
+      // Rule violations are single-table checks, counted apart from the cross-table discrepancies
+      const ruleViolations = await this.validationRuleService.findViolations();
+      summarySheet.addRow({ metric: 'Rule Violations', value: ruleViolations.totalViolations, percentage: '' });
+      for (const [severity, count] of Object.entries(ruleViolations.bySeverity)) {
+        summarySheet.addRow({ metric: `Rule Violations (${severity})`, value: count, percentage: '' });
+      }
 
       // All Discrepancies Sheet
       const allSheet = workbook.addWorksheet('All Discrepancies');
@@ -436,7 +1041,11 @@ ORDER BY discrepancy_type, coach_code, berth_number;
         { header: 'PRS Berth Type', key: 'berthType', width: 15 },
         { header: 'MDMS Berth Qualifier', key: 'berthQualifier', width: 20 },
         { header: 'Discrepancy Type', key: 'discrepancyType', width: 20 },
-        { header: 'Details', key: 'details', width: 60 }
+        { header: 'Details', key: 'details', width: 60 },
+        { header: 'Status', key: 'status', width: 14 },
+        { header: 'Assignee', key: 'assignee', width: 18 },
+        { header: 'Review Comment', key: 'comment', width: 40 },
+        { header: 'Discrepancy ID', key: 'discrepancyId', width: 20 }
       ];
       allSheet.getRow(1).font = { bold: true };
       allSheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
@@ -524,18 +1133,242 @@ ORDER BY discrepancy_type, coach_code, berth_number;
           });
         });
 
+      // Sheets: Composite coach checks
+      for (const type of COMPOSITE_TYPES) {
+        const compositeSheet = workbook.addWorksheet(DISCREPANCY_TYPES[type].label);
+        compositeSheet.columns = [
+          { header: 'Serial No', key: 'serialNo', width: 12 },
+          { header: 'Coach Code', key: 'coachCode', width: 15 },
+          { header: 'PRS Class', key: 'prsClass', width: 15 },
+          { header: 'MDMS Class', key: 'mdmsClass', width: 15 },
+          { header: 'Berth Number', key: 'berthNumber', width: 12 },
+          { header: 'Details', key: 'details', width: 80 }
+        ];
+        compositeSheet.getRow(1).font = { bold: true };
+        compositeSheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+        discrepancyData.discrepancies
+          .filter(d => d.discrepancyType === type)
+          .forEach(d => {
+            compositeSheet.addRow({
+              serialNo: d.serialNo,
+              coachCode: d.coachCode,
+              prsClass: d.prsClass,
+              mdmsClass: d.mdmsClass,
+              berthNumber: d.berthNumber,
+              details: d.details
+            });
+          });
+      }
+
+      // Sheets: Coach layout checks, with the berth type found on each side
+      for (const type of LAYOUT_TYPES) {
+        const layoutSheet = workbook.addWorksheet(DISCREPANCY_TYPES[type].label);
+        layoutSheet.columns = [
+          { header: 'Serial No', key: 'serialNo', width: 12 },
+          { header: 'Coach Code', key: 'coachCode', width: 15 },
+          { header: 'PRS Class', key: 'prsClass', width: 12 },
+          { header: 'MDMS Class', key: 'mdmsClass', width: 12 },
+          { header: 'Berth Number', key: 'berthNumber', width: 12 },
+          { header: 'PRS Berth Type', key: 'berthType', width: 15 },
+          { header: 'MDMS Berth Qualifier', key: 'berthQualifier', width: 20 },
+          { header: 'Details', key: 'details', width: 80 }
+        ];
+        layoutSheet.getRow(1).font = { bold: true };
+        layoutSheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+        discrepancyData.discrepancies
+          .filter(d => d.discrepancyType === type)
+          .forEach(d => layoutSheet.addRow(d));
+      }
+
+      // Sheet: Rule Violations from the single-table validation rules
+      const violationSheet = workbook.addWorksheet('Rule Violations');
+      violationSheet.columns = [
+        { header: 'Rule ID', key: 'ruleId', width: 28 },
+        { header: 'Severity', key: 'severity', width: 10 },
+        { header: 'Table', key: 'table', width: 8 },
+        { header: 'Serial No', key: 'serialNo', width: 12 },
+        { header: 'Coach Code', key: 'coachCode', width: 15 },
+        { header: 'Class', key: 'class', width: 10 },
+        { header: 'Berth Number', key: 'berthNumber', width: 12 },
+        { header: 'Berth Type', key: 'berthType', width: 12 },
+        { header: 'Field', key: 'field', width: 14 },
+        { header: 'Value', key: 'value', width: 14 },
+        { header: 'Details', key: 'details', width: 60 }
+      ];
+      violationSheet.getRow(1).font = { bold: true };
+      violationSheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+      ruleViolations.violations.forEach(v => violationSheet.addRow(v));
+
+      // Sheet: Quality, weighted scores overall, per class and per coach (lowest first)
+      const quality = await this.getQualityScores(options);
+      const qualitySheet = workbook.addWorksheet('Quality');
+      qualitySheet.columns = [
+        { header: 'Scope', key: 'scope', width: 10 },
+        { header: 'Name', key: 'name', width: 18 },
+        { header: 'Score', key: 'score', width: 10 },
+        { header: 'Completeness', key: 'completeness', width: 14 },
+        { header: 'Type Agreement', key: 'typeAgreement', width: 15 },
+        { header: 'Uniqueness', key: 'uniqueness', width: 12 },
+        { header: 'Composite Consistency', key: 'compositeConsistency', width: 22 },
+        { header: 'PRS Rows', key: 'prsRows', width: 10 },
+        { header: 'MDMS Rows', key: 'mdmsRows', width: 11 }
+      ];
+      qualitySheet.getRow(1).font = { bold: true };
+      qualitySheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+      const addQualityRow = (scope, name, entry) => qualitySheet.addRow({
+        scope,
+        name,
+        score: entry.score,
+        ...entry.dimensions,
+        prsRows: entry.counts.prsRows,
+        mdmsRows: entry.counts.mdmsRows
+      });
+      addQualityRow('Overall', 'All coaches', quality.overall).font = { bold: true };
+      addQualityRow('Weights', '', { score: null, dimensions: quality.weights, counts: {} });
+      quality.byClass.forEach(entry => addQualityRow('Class', entry.class, entry));
+      quality.byCoach.forEach(entry => addQualityRow('Coach', entry.coachCode, entry));
+
+      // Sheet: Quality Trend, one row per snapshot, charted beside the table.
+      // Snapshots describe the shared tables, so a stateless analysis has none.
+      const trend = this.stateless
+        ? { series: [] }
+        : await this.trendService.getTrend({ matchRule: options.matchRule || DEFAULT_MATCH_RULE });
+      const trendSheet = workbook.addWorksheet('Quality Trend');
+      trendSheet.columns = [
+        { header: 'Recorded At', key: 'recordedAt', width: 22 },
+        { header: 'Trigger', key: 'trigger', width: 10 },
+        { header: 'Data Version', key: 'dataVersion', width: 12 },
+        { header: 'Quality Score', key: 'qualityScore', width: 24 },
+        { header: 'Total Discrepancies', key: 'totalDiscrepancies', width: 24 },
+        ...Object.values(DISCREPANCY_TYPES).map(({ countKey, label }) => ({ header: label, key: countKey, width: 16 })),
+        { header: 'Duplicate Groups', key: 'duplicateGroups', width: 16 }
+      ];
+      trendSheet.getRow(1).font = { bold: true };
+      trendSheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+      trend.series.forEach(point => trendSheet.addRow({
+        ...point,
+        ...point.discrepancyCounts,
+        duplicateGroups: point.duplicateCounts?.totalDuplicateGroups
+      }));
+      trendSheet.getColumn('recordedAt').numFmt = 'yyyy-mm-dd hh:mm:ss';
+
+      const trendCharts = [];
+      if (trend.series.length > 0) {
+        const lastRow = trend.series.length + 1;
+        const column = (key) => trendSheet.getColumn(key).letter;
+        const line = (key) => ({ name: `${column(key)}1`, values: `${column(key)}2:${column(key)}${lastRow}` });
+        const categories = `${column('recordedAt')}2:${column('recordedAt')}${lastRow}`;
+        const left = trendSheet.columnCount + 1;
+        trendCharts.push(
+          { title: 'Quality Score', categories, series: [line('qualityScore')], from: { col: left, row: 0 }, to: { col: left + 10, row: 18 } },
+          {
+            title: 'Discrepancies and Duplicates',
+            categories,
+            series: [line('totalDiscrepancies'), line('duplicateGroups')],
+            from: { col: left, row: 19 },
+            to: { col: left + 10, row: 37 }
+          }
+        );
+      }
+
+      // Sheet: Coach Rollup, one summary row per coach with its berth rows grouped underneath
+      const rollup = buildCoachRollup(discrepancyData.discrepancies, await loadCoachBerthCounts(this.executor));
+      const rollupSheet = workbook.addWorksheet('Coach Rollup', {
+        properties: { outlineProperties: { summaryBelow: false } }
+      });
+      rollupSheet.columns = [
+        { header: 'Coach Code', key: 'coachCode', width: 18 },
+        { header: 'Coach Status', key: 'status', width: 24 },
+        { header: 'PRS Berths', key: 'prsBerths', width: 11 },
+        { header: 'MDMS Berths', key: 'mdmsBerths', width: 12 },
+        { header: 'Missing in MDMS', key: 'missingInMdmsRanges', width: 24 },
+        { header: 'Missing in PRS', key: 'missingInPrsRanges', width: 24 },
+        { header: 'Discrepancies', key: 'discrepancyCount', width: 13 },
+        { header: 'Berth Number', key: 'berthNumber', width: 12 },
+        { header: 'Discrepancy Type', key: 'discrepancyType', width: 24 },
+        { header: 'Details', key: 'details', width: 60 },
+        { header: 'Review Status', key: 'reviewStatus', width: 14 }
+      ];
+      rollupSheet.getRow(1).font = { bold: true };
+      rollupSheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+      rollup.forEach(coach => {
+        const coachRow = rollupSheet.addRow(coach);
+        coachRow.font = { bold: true };
+
+        coach.discrepancies.forEach(d => {
+          const berthRow = rollupSheet.addRow({
+            coachCode: d.coachCode,
+            berthNumber: d.berthNumber,
+            discrepancyType: d.discrepancyType,
+            details: d.details,
+            reviewStatus: d.status
+          });
+          berthRow.outlineLevel = 1;
+          berthRow.hidden = true;
+        });
+      });
+
+      // Sheet: Suggested Matches for missing records with near-identical coach codes
+      const suggestedSheet = workbook.addWorksheet('Suggested Matches');
+      suggestedSheet.columns = [
+        { header: 'PRS Coach Code', key: 'prsCoachCode', width: 18 },
+        { header: 'MDMS Coach Code', key: 'mdmsCoachCode', width: 18 },
+        { header: 'Confidence', key: 'confidence', width: 12 },
+        { header: 'Method', key: 'method', width: 15 },
+        { header: 'Edit Distance', key: 'editDistance', width: 13 },
+        { header: 'PRS Classes', key: 'prsClasses', width: 14 },
+        { header: 'MDMS Classes', key: 'mdmsClasses', width: 14 },
+        { header: 'PRS Unmatched Berths', key: 'prsUnmatchedBerths', width: 20 },
+        { header: 'MDMS Unmatched Berths', key: 'mdmsUnmatchedBerths', width: 22 },
+        { header: 'Shared Berth Numbers', key: 'sharedBerths', width: 20 }
+      ];
+      suggestedSheet.getRow(1).font = { bold: true };
+      suggestedSheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+      buildSuggestedMatches(discrepancyData.discrepancies, options).forEach(s => suggestedSheet.addRow(s));
+      suggestedSheet.getColumn('confidence').numFmt = '0%';
+
+      // Sheet: Berth Type Mappings applied to the type comparison
+      const mappings = await this.berthTypeMappingService.listMappings();
+      const mappingSheet = workbook.addWorksheet('Berth Type Mappings');
+      mappingSheet.columns = [
+        { header: 'PRS Berth Type', key: 'prsBerthType', width: 15 },
+        { header: 'MDMS Berth Qualifier', key: 'mdmsBerthQualifier', width: 20 },
+        { header: 'Description', key: 'description', width: 40 }
+      ];
+      mappingSheet.getRow(1).font = { bold: true };
+      mappingSheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+      mappings.forEach(m => mappingSheet.addRow(m));
+
+      // Sheet: Class Aliases applied to the class comparison
+      const aliases = await this.classAliasService.listAliases();
+      const aliasSheet = workbook.addWorksheet('Class Aliases');
+      aliasSheet.columns = [
+        { header: 'Alias', key: 'alias', width: 12 },
+        { header: 'Canonical Class', key: 'canonicalClass', width: 16 },
+        { header: 'Description', key: 'description', width: 40 }
+      ];
+      aliasSheet.getRow(1).font = { bold: true };
+      aliasSheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+      aliases.forEach(a => aliasSheet.addRow(a));
+
       // Create exports dir if needed
       const exportsDir = path.join(process.cwd(), 'exports');
       if (!fs.existsSync(exportsDir)) fs.mkdirSync(exportsDir, { recursive: true });
 
       // Timestamped filename
-      const now = new Date();
-      const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
-
-      const fileName = `prs-mdms-discrepancy-report-${timestamp}.xlsx`;
+      const fileName = `prs-mdms-discrepancy-report-${fileTimestamp()}.xlsx`;
       const filePath = path.join(exportsDir, fileName);
 
-      await workbook.xlsx.writeFile(filePath);
+      if (trendCharts.length > 0) {
+        // ExcelJS cannot write charts, so they are added to the written workbook
+        fs.writeFileSync(filePath, await addLineCharts(await workbook.xlsx.writeBuffer(), 'Quality Trend', trendCharts));
+      } else {
+        await workbook.xlsx.writeFile(filePath);
+      }
       console.log(`✅ Excel report saved: ${fileName}`);
       return fileName;
 
@@ -548,6 +1381,15 @@ ORDER BY discrepancy_type, coach_code, berth_number;
 
 export class DuplicateService {
 
+  /**
+   * `executor`, `stateless` and `cacheNamespace` as for DiscrepancyService
+   */
+  constructor({ executor = query, stateless = false, cacheNamespace } = {}) {
+    this.executor = executor;
+    this.stateless = stateless;
+    this.cacheOptions = stateless && !cacheNamespace ? { scope: new Map() } : { namespace: cacheNamespace };
+  }
+
   /**
  * Generate SQL files for all duplicate types
  */
@@ -590,6 +1432,20 @@ FROM mdms
 GROUP BY prs_coach_code, coach_class, berth_no, berth_qualifier
 HAVING COUNT(*) > 1
 ORDER BY prs_coach_code, berth_no;
+`,
+
+        prsConflictingDuplicates: `
+-- PRS Conflicting Duplicates
+-- Berths that appear multiple times within the PRS table with different values
+${buildConflictingDuplicatesQuery(DUPLICATE_SOURCES.prs)}
+ORDER BY coach_code, berth_number;
+`,
+
+        mdmsConflictingDuplicates: `
+-- MDMS Conflicting Duplicates
+-- Berths that appear multiple times within the MDMS table with different values
+${buildConflictingDuplicatesQuery(DUPLICATE_SOURCES.mdms)}
+ORDER BY prs_coach_code, berth_no;
 `,
 
         crossTableDuplicates: `
@@ -607,11 +1463,9 @@ SELECT
   ARRAY_AGG(DISTINCT m.serial_no ORDER BY m.serial_no) as mdms_serial_numbers,
   'CROSS_TABLE' as duplicate_type,
   CONCAT('Coach ', p.coach_code, ', Class ', p.class, ', Berth ', p.berth_number, ' has ', COUNT(DISTINCT p.serial_no), ' entries in PRS and ', COUNT(DISTINCT m.serial_no), ' entries in MDMS') as details
-FROM prs p
-FULL OUTER JOIN mdms m 
-  ON TRIM(LOWER(p.coach_code)) = TRIM(LOWER(m.prs_coach_code))
-  AND TRIM(LOWER(p.class)) = TRIM(LOWER(m.coach_class))
-  AND p.berth_number::INT = m.berth_no
+FROM ${buildRuleSource(DEFAULT_MATCH_RULE, 'prs')} p
+FULL OUTER JOIN ${buildRuleSource(DEFAULT_MATCH_RULE, 'mdms')} m 
+  ON ${buildJoinCondition(DEFAULT_MATCH_RULE)}
 GROUP BY p.coach_code, p.class, p.berth_number, p.berth_type, m.berth_qualifier
 HAVING COUNT(DISTINCT p.serial_no) > 1 OR COUNT(DISTINCT m.serial_no) > 1
 ORDER BY (COUNT(DISTINCT p.serial_no) + COUNT(DISTINCT m.serial_no)) DESC;
@@ -682,8 +1536,7 @@ ORDER BY duplicate_type, coach_code, berth_number;
    * Generate timestamp for file naming
    */
   getTimestamp() {
-    const now = new Date();
-    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}-${String(now.getSeconds()).padStart(2, '0')}`;
+    return fileTimestamp();
   }
 
 
@@ -691,15 +1544,25 @@ ORDER BY duplicate_type, coach_code, berth_number;
    * Find all duplicate entries in PRS and MDMS tables
    */
   async findDuplicates() {
+    const { value, cache } = await getOrCompute('duplicates', () => this.runDuplicateAnalysis(), this.cacheOptions);
+    return { ...value, cache };
+  }
+
+  /**
+   * Run the duplicate queries, writing their SQL to sql_exports/
+   */
+  async runDuplicateAnalysis() {
     try {
       console.log('🔍 Starting duplicate analysis...');
 
       // Generate SQL files first
-      await this.generateDuplicateSQL();
+      if (!this.stateless) await this.generateDuplicateSQL();
 
       const duplicates = {
         prs: [],
         mdms: [],
+        prsConflicts: [],
+        mdmsConflicts: [],
         crossTable: []
       };
 
@@ -718,7 +1581,7 @@ ORDER BY duplicate_type, coach_code, berth_number;
         ORDER BY coach_code, berth_number
       `;
 
-      const prsDuplicatesResult = await query(prsDuplicatesQuery);
+      const prsDuplicatesResult = await this.executor(prsDuplicatesQuery);
       console.log(`🔄 Found ${prsDuplicatesResult.rows.length} duplicate groups in PRS`);
 
       for (const row of prsDuplicatesResult.rows) {
@@ -750,7 +1613,7 @@ ORDER BY duplicate_type, coach_code, berth_number;
         ORDER BY prs_coach_code, berth_no
       `;
 
-      const mdmsDuplicatesResult = await query(mdmsDuplicatesQuery);
+      const mdmsDuplicatesResult = await this.executor(mdmsDuplicatesQuery);
       console.log(`🔄 Found ${mdmsDuplicatesResult.rows.length} duplicate groups in MDMS`);
 
       for (const row of mdmsDuplicatesResult.rows) {
@@ -767,7 +1630,14 @@ ORDER BY duplicate_type, coach_code, berth_number;
         });
       }
 
-      // Query 3: Find potential cross-table duplicates (same coach, class, berth in both tables)
+      // Query 3: Find conflicting duplicates (same berth within a table, different values)
+      for (const [source, target] of [['prs', 'prsConflicts'], ['mdms', 'mdmsConflicts']]) {
+        const conflictsResult = await this.executor(buildConflictingDuplicatesQuery(DUPLICATE_SOURCES[source]));
+        console.log(`🔄 Found ${conflictsResult.rows.length} conflicting duplicate groups in ${DUPLICATE_SOURCES[source].label}`);
+        duplicates[target] = conflictsResult.rows.map(row => this.mapConflictRow(source, row));
+      }
+
+      // Query 4: Find potential cross-table duplicates (same coach, class, berth in both tables)
       const crossTableDuplicatesQuery = `
         SELECT 
           p.coach_code,
@@ -779,17 +1649,15 @@ ORDER BY duplicate_type, coach_code, berth_number;
           COUNT(DISTINCT m.serial_no) as mdms_count,
           ARRAY_AGG(DISTINCT p.serial_no ORDER BY p.serial_no) as prs_serial_numbers,
           ARRAY_AGG(DISTINCT m.serial_no ORDER BY m.serial_no) as mdms_serial_numbers
-        FROM prs p
-        FULL OUTER JOIN mdms m 
-          ON TRIM(LOWER(p.coach_code)) = TRIM(LOWER(m.prs_coach_code))
-          AND TRIM(LOWER(p.class)) = TRIM(LOWER(m.coach_class))
-          AND p.berth_number::INT = m.berth_no
+        FROM ${buildRuleSource(DEFAULT_MATCH_RULE, 'prs')} p
+        FULL OUTER JOIN ${buildRuleSource(DEFAULT_MATCH_RULE, 'mdms')} m 
+          ON ${buildJoinCondition(DEFAULT_MATCH_RULE)}
         GROUP BY p.coach_code, p.class, p.berth_number, p.berth_type, m.berth_qualifier
         HAVING COUNT(DISTINCT p.serial_no) > 1 OR COUNT(DISTINCT m.serial_no) > 1
         ORDER BY (COUNT(DISTINCT p.serial_no) + COUNT(DISTINCT m.serial_no)) DESC
       `;
 
-      const crossTableDuplicatesResult = await query(crossTableDuplicatesQuery);
+      const crossTableDuplicatesResult = await this.executor(crossTableDuplicatesQuery);
       console.log(`🔄 Found ${crossTableDuplicatesResult.rows.length} cross-table duplicate groups`);
 
       for (const row of crossTableDuplicatesResult.rows) {
@@ -808,10 +1676,13 @@ ORDER BY duplicate_type, coach_code, berth_number;
         });
       }
 
-      const totalDuplicateGroups = duplicates.prs.length + duplicates.mdms.length + duplicates.crossTable.length;
+      const totalDuplicateGroups = duplicates.prs.length + duplicates.mdms.length +
+        duplicates.prsConflicts.length + duplicates.mdmsConflicts.length + duplicates.crossTable.length;
       const totalDuplicateRecords =
         duplicates.prs.reduce((sum, dup) => sum + dup.duplicateCount, 0) +
         duplicates.mdms.reduce((sum, dup) => sum + dup.duplicateCount, 0) +
+        countRowsOutsideExactGroups('prs', duplicates.prsConflicts) +
+        countRowsOutsideExactGroups('mdms', duplicates.mdmsConflicts) +
         duplicates.crossTable.reduce((sum, dup) => sum + dup.prsCount + dup.mdmsCount, 0);
 
       console.log('✅ Duplicate analysis complete');
@@ -821,6 +1692,8 @@ ORDER BY duplicate_type, coach_code, berth_number;
           totalDuplicateRecords,
           prsInternalDuplicates: duplicates.prs.length,
           mdmsInternalDuplicates: duplicates.mdms.length,
+          prsConflictingDuplicates: duplicates.prsConflicts.length,
+          mdmsConflictingDuplicates: duplicates.mdmsConflicts.length,
           crossTableDuplicates: duplicates.crossTable.length
         },
         duplicates
@@ -833,20 +1706,333 @@ ORDER BY duplicate_type, coach_code, berth_number;
   }
 
   /**
-   * Get duplicates by type (WITHIN_PRS, WITHIN_MDMS, CROSS_TABLE)
+   * Find rows within PRS and within MDMS that are duplicates once their keys
+   * are normalised, using the key normalisers of options.matchRule (the
+   * 'normalised' preset by default). Cached per rule until the data version changes.
+   */
+  async findNearDuplicates(options = {}) {
+    const matchRule = options.matchRule || DEFAULT_NEAR_DUPLICATE_RULE;
+    const ruleHash = crypto.createHash('md5').update(JSON.stringify(matchRule.keys)).digest('hex').slice(0, 12);
+
+    const { value, cache } = await getOrCompute(
+      `near-duplicates:${matchRule.name || 'custom'}:${ruleHash}`,
+      () => this.runNearDuplicateAnalysis(matchRule),
+      this.cacheOptions
+    );
+    return { ...value, cache };
+  }
+
+  /**
+   * Run the near-duplicate queries for both tables
+   */
+  async runNearDuplicateAnalysis(matchRule) {
+    try {
+      console.log(`🔍 Starting near-duplicate analysis with match rule: ${matchRule.name || 'custom'}...`);
+
+      const nearDuplicates = {};
+      for (const source of Object.keys(DUPLICATE_SOURCES)) {
+        const result = await this.executor(buildNearDuplicatesQuery(source, matchRule));
+        nearDuplicates[source] = result.rows.map(row => this.mapNearDuplicateRow(source, matchRule, row));
+      }
+
+      const summary = {
+        prsNearDuplicates: nearDuplicates.prs.length,
+        mdmsNearDuplicates: nearDuplicates.mdms.length,
+        totalNearDuplicateGroups: nearDuplicates.prs.length + nearDuplicates.mdms.length,
+        totalNearDuplicateRecords: [...nearDuplicates.prs, ...nearDuplicates.mdms].reduce((sum, group) => sum + group.rowCount, 0)
+      };
+      console.log(`✅ Near-duplicate analysis completed: ${summary.totalNearDuplicateGroups} groups`);
+
+      return {
+        matchRule: matchRule.name || 'custom',
+        normalisers: matchRule.keys.map(key => ({ prs: key.prs, mdms: key.mdms, normalise: key.normalise || {} })),
+        nearDuplicates,
+        summary
+      };
+    } catch (error) {
+      console.error('❌ Error in near-duplicate analysis:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map a near-duplicate group. `normalisedKey` holds the key values the
+   * variants share once normalised and `differingFields` the raw fields that differ.
+   */
+  mapNearDuplicateRow(source, matchRule, row) {
+    const { label } = DUPLICATE_SOURCES[source];
+    const keys = describeNearDuplicateKeys(source, matchRule);
+    const variants = row.variants;
+    const differingFields = keys.map(k => k.field)
+      .filter(field => new Set(variants.map(v => String(v[field]))).size > 1);
+    const spell = (variant) => keys.map(k => variant[k.field]).join(' / ');
+
+    return {
+      normalisedKey: Object.fromEntries(keys.map(k => [k.field, row[k.alias]])),
+      rowCount: row.row_count,
+      variantCount: row.variant_count,
+      differingFields,
+      variants,
+      serialNumbers: variants.flatMap(v => v.serialNumbers).sort((a, b) => a - b),
+      table: label,
+      duplicateType: `NEAR_WITHIN_${label}`,
+      details: `${row.row_count} ${label} rows share a normalised key but are written ${row.variant_count} ways: ${variants.map(spell).join(' | ')}`
+    };
+  }
+
+  /**
+   * Map a conflicting duplicate group of the prs or mdms table. `differingFields`
+   * names the attributes whose values differ across the group's variants.
+   */
+  mapConflictRow(source, row) {
+    const { label, conflictType, key, attributes } = DUPLICATE_SOURCES[source];
+    const variants = row.variants;
+    const differingFields = Object.keys(attributes)
+      .filter(field => new Set(variants.map(v => String(v[field]))).size > 1);
+    const group = Object.fromEntries(Object.entries(key).map(([field, column]) => [field, row[column]]));
+
+    return {
+      ...group,
+      duplicateCount: row.duplicate_count,
+      variantCount: row.variant_count,
+      differingFields,
+      variants,
+      serialNumbers: variants.flatMap(v => v.serialNumbers).sort((a, b) => a - b),
+      table: label,
+      duplicateType: conflictType,
+      details: `Coach ${group.coachCode}, Class ${group.class}, Berth ${group.berthNumber} appears ${row.duplicate_count} times in ${label} with conflicting ${row.conflicting_values}`
+    };
+  }
+
+  /**
+   * Build one query returning every duplicate group in a shared column layout
+   */
+  buildDuplicateListQuery() {
+    const conflictSerials = `ARRAY(
+    SELECT serial::INT FROM JSONB_ARRAY_ELEMENTS(variants) v, JSONB_ARRAY_ELEMENTS_TEXT(v->'serialNumbers') serial ORDER BY 1
+  )`;
+    return `
+SELECT
+  'WITHIN_PRS' as duplicate_type,
+  coach_code,
+  class,
+  berth_number,
+  berth_type,
+  NULL as berth_qualifier,
+  COUNT(*)::INT as duplicate_count,
+  COUNT(*)::INT as prs_count,
+  0 as mdms_count,
+  ARRAY_AGG(serial_no ORDER BY serial_no) as prs_serial_numbers,
+  NULL::INT[] as mdms_serial_numbers,
+  NULL::INT as variant_count,
+  NULL::JSONB as variants,
+  NULL as conflicting_values
+FROM prs
+GROUP BY coach_code, class, berth_number, berth_type
+HAVING COUNT(*) > 1
+UNION ALL
+SELECT
+  'WITHIN_MDMS' as duplicate_type,
+  prs_coach_code as coach_code,
+  coach_class as class,
+  berth_no as berth_number,
+  NULL as berth_type,
+  berth_qualifier,
+  COUNT(*)::INT as duplicate_count,
+  0 as prs_count,
+  COUNT(*)::INT as mdms_count,
+  NULL::INT[] as prs_serial_numbers,
+  ARRAY_AGG(serial_no ORDER BY serial_no) as mdms_serial_numbers,
+  NULL::INT as variant_count,
+  NULL::JSONB as variants,
+  NULL as conflicting_values
+FROM mdms
+GROUP BY prs_coach_code, coach_class, berth_no, berth_qualifier
+HAVING COUNT(*) > 1
+UNION ALL
+SELECT
+  'CONFLICT_WITHIN_PRS' as duplicate_type,
+  coach_code,
+  class,
+  berth_number,
+  NULL as berth_type,
+  NULL as berth_qualifier,
+  duplicate_count,
+  duplicate_count as prs_count,
+  0 as mdms_count,
+  ${conflictSerials} as prs_serial_numbers,
+  NULL::INT[] as mdms_serial_numbers,
+  variant_count,
+  variants,
+  conflicting_values
+FROM (${buildConflictingDuplicatesQuery(DUPLICATE_SOURCES.prs)}
+) prs_conflicts
+UNION ALL
+SELECT
+  'CONFLICT_WITHIN_MDMS' as duplicate_type,
+  prs_coach_code as coach_code,
+  coach_class as class,
+  berth_no as berth_number,
+  NULL as berth_type,
+  NULL as berth_qualifier,
+  duplicate_count,
+  0 as prs_count,
+  duplicate_count as mdms_count,
+  NULL::INT[] as prs_serial_numbers,
+  ${conflictSerials} as mdms_serial_numbers,
+  variant_count,
+  variants,
+  conflicting_values
+FROM (${buildConflictingDuplicatesQuery(DUPLICATE_SOURCES.mdms)}
+) mdms_conflicts
+UNION ALL
+SELECT
+  'CROSS_TABLE' as duplicate_type,
+  p.coach_code,
+  p.class,
+  p.berth_number,
+  p.berth_type,
+  m.berth_qualifier,
+  (COUNT(DISTINCT p.serial_no) + COUNT(DISTINCT m.serial_no))::INT as duplicate_count,
+  COUNT(DISTINCT p.serial_no)::INT as prs_count,
+  COUNT(DISTINCT m.serial_no)::INT as mdms_count,
+  ARRAY_AGG(DISTINCT p.serial_no ORDER BY p.serial_no) as prs_serial_numbers,
+  ARRAY_AGG(DISTINCT m.serial_no ORDER BY m.serial_no) as mdms_serial_numbers,
+  NULL::INT as variant_count,
+  NULL::JSONB as variants,
+  NULL as conflicting_values
+FROM ${buildRuleSource(DEFAULT_MATCH_RULE, 'prs')} p
+FULL OUTER JOIN ${buildRuleSource(DEFAULT_MATCH_RULE, 'mdms')} m
+  ON ${buildJoinCondition(DEFAULT_MATCH_RULE)}
+GROUP BY p.coach_code, p.class, p.berth_number, p.berth_type, m.berth_qualifier
+HAVING COUNT(DISTINCT p.serial_no) > 1 OR COUNT(DISTINCT m.serial_no) > 1`;
+  }
+
+  /**
+   * Map a row of the duplicate list query to the shape findDuplicates() uses for its type
+   */
+  mapDuplicateRow(row) {
+    const conflictSource = Object.keys(DUPLICATE_SOURCES).find(source => DUPLICATE_SOURCES[source].conflictType === row.duplicate_type);
+    if (conflictSource) {
+      const [coachColumn, classColumn, berthColumn] = Object.values(DUPLICATE_SOURCES[conflictSource].key);
+      return this.mapConflictRow(conflictSource, {
+        ...row,
+        [coachColumn]: row.coach_code,
+        [classColumn]: row.class,
+        [berthColumn]: row.berth_number
+      });
+    }
+    if (row.duplicate_type === 'WITHIN_PRS') {
+      return {
+        coachCode: row.coach_code,
+        class: row.class,
+        berthNumber: row.berth_number,
+        berthType: row.berth_type,
+        duplicateCount: row.duplicate_count,
+        serialNumbers: row.prs_serial_numbers,
+        table: 'PRS',
+        duplicateType: 'WITHIN_PRS',
+        details: `Coach ${row.coach_code}, Class ${row.class}, Berth ${row.berth_number} appears ${row.duplicate_count} times in PRS`
+      };
+    }
+    if (row.duplicate_type === 'WITHIN_MDMS') {
+      return {
+        coachCode: row.coach_code,
+        coachClass: row.class,
+        berthNumber: row.berth_number,
+        berthQualifier: row.berth_qualifier,
+        duplicateCount: row.duplicate_count,
+        serialNumbers: row.mdms_serial_numbers,
+        table: 'MDMS',
+        duplicateType: 'WITHIN_MDMS',
+        details: `Coach ${row.coach_code}, Class ${row.class}, Berth ${row.berth_number} appears ${row.duplicate_count} times in MDMS`
+      };
+    }
+    return {
+      coachCode: row.coach_code,
+      class: row.class,
+      berthNumber: row.berth_number,
+      berthType: row.berth_type,
+      berthQualifier: row.berth_qualifier,
+      prsCount: row.prs_count,
+      mdmsCount: row.mdms_count,
+      prsSerialNumbers: row.prs_serial_numbers,
+      mdmsSerialNumbers: row.mdms_serial_numbers,
+      duplicateType: 'CROSS_TABLE',
+      details: `Coach ${row.coach_code}, Class ${row.class}, Berth ${row.berth_number} has ${row.prs_count} entries in PRS and ${row.mdms_count} entries in MDMS`
+    };
+  }
+
+  /**
+   * Build the filter columns and ordering shared by the paged duplicate list and exports
+   */
+  buildDuplicateListSpec(options = {}) {
+    const order = options.order === 'desc' ? 'DESC' : 'ASC';
+    return {
+      filters: options,
+      columns: { coach: 'coach_code', classes: ['class'], berth: 'berth_number', type: 'duplicate_type' },
+      orderBy: `${DUPLICATE_SORT_COLUMNS[Object.hasOwn(DUPLICATE_SORT_COLUMNS, options.sort) ? options.sort : 'duplicateType']} ${order} NULLS LAST`,
+      tiebreak: ['duplicate_type', 'coach_code', 'class', 'berth_number', 'berth_type', 'berth_qualifier']
+    };
+  }
+
+  /**
+   * Get one page of duplicate groups with filtering and sorting done in SQL.
+   * options: coachCode, class, berthFrom, berthTo, types, sort, order, pageSize, offset
+   */
+  async listDuplicates(options = {}) {
+    try {
+      const { sql, params } = buildPagedQuery(this.buildDuplicateListQuery(), {
+        ...this.buildDuplicateListSpec(options),
+        pageSize: options.pageSize,
+        offset: options.offset
+      });
+
+      const result = await this.executor(sql, params);
+      const page = toPage(result.rows, options);
+      const duplicates = page.rows.map(row => this.mapDuplicateRow(row));
+
+      return {
+        totalCount: page.totalCount,
+        count: duplicates.length,
+        pageSize: page.pageSize,
+        nextCursor: page.nextCursor,
+        duplicates
+      };
+    } catch (error) {
+      console.error('Error listing duplicates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream duplicate groups matching the list filters through a database cursor,
+   * calling onBatch with each batch of raw list rows. Resolves to the row count.
+   */
+  async streamDuplicates(options, onBatch) {
+    const { sql, params } = buildFilteredQuery(this.buildDuplicateListQuery(), this.buildDuplicateListSpec(options));
+    return streamQuery(sql, params, onBatch, { executor: this.stateless ? this.executor : undefined });
+  }
+
+  /**
+   * Get duplicates by type (WITHIN_PRS, WITHIN_MDMS, CONFLICT_WITHIN_PRS, CONFLICT_WITHIN_MDMS, CROSS_TABLE)
    */
   async getDuplicatesByType(type) {
     const allDuplicates = await this.findDuplicates();
 
     switch (type) {
       case 'WITHIN_PRS':
-        return allDuplicates.duplicates.prs;
+        return { duplicates: allDuplicates.duplicates.prs, cache: allDuplicates.cache };
       case 'WITHIN_MDMS':
-        return allDuplicates.duplicates.mdms;
+        return { duplicates: allDuplicates.duplicates.mdms, cache: allDuplicates.cache };
+      case 'CONFLICT_WITHIN_PRS':
+        return { duplicates: allDuplicates.duplicates.prsConflicts, cache: allDuplicates.cache };
+      case 'CONFLICT_WITHIN_MDMS':
+        return { duplicates: allDuplicates.duplicates.mdmsConflicts, cache: allDuplicates.cache };
       case 'CROSS_TABLE':
-        return allDuplicates.duplicates.crossTable;
+        return { duplicates: allDuplicates.duplicates.crossTable, cache: allDuplicates.cache };
       default:
-        throw new Error('Invalid duplicate type. Must be one of: WITHIN_PRS, WITHIN_MDMS, CROSS_TABLE');
+        throw new Error('Invalid duplicate type. Must be one of: WITHIN_PRS, WITHIN_MDMS, CONFLICT_WITHIN_PRS, CONFLICT_WITHIN_MDMS, CROSS_TABLE');
     }
   }
 
@@ -859,7 +2045,10 @@ ORDER BY duplicate_type, coach_code, berth_number;
     return {
       prs: allDuplicates.duplicates.prs.filter(d => d.coachCode === coachCode),
       mdms: allDuplicates.duplicates.mdms.filter(d => d.coachCode === coachCode),
-      crossTable: allDuplicates.duplicates.crossTable.filter(d => d.coachCode === coachCode)
+      prsConflicts: allDuplicates.duplicates.prsConflicts.filter(d => d.coachCode === coachCode),
+      mdmsConflicts: allDuplicates.duplicates.mdmsConflicts.filter(d => d.coachCode === coachCode),
+      crossTable: allDuplicates.duplicates.crossTable.filter(d => d.coachCode === coachCode),
+      cache: allDuplicates.cache
     };
   }
 
@@ -868,7 +2057,7 @@ ORDER BY duplicate_type, coach_code, berth_number;
    */
   async getDuplicateSummary() {
     const result = await this.findDuplicates();
-    return result.summary;
+    return { ...result.summary, cache: result.cache };
   }
 
   /**
@@ -879,15 +2068,17 @@ ORDER BY duplicate_type, coach_code, berth_number;
       const duplicateResult = await this.findDuplicates();
 
       // Get total record counts for context
-      const prsCountResult = await query('SELECT COUNT(*) as count FROM prs');
-      const mdmsCountResult = await query('SELECT COUNT(*) as count FROM mdms');
+      const prsCountResult = await this.executor('SELECT COUNT(*) as count FROM prs');
+      const mdmsCountResult = await this.executor('SELECT COUNT(*) as count FROM mdms');
 
       const totalPrsRecords = parseInt(prsCountResult.rows[0].count);
       const totalMdmsRecords = parseInt(mdmsCountResult.rows[0].count);
 
       // Calculate impact percentages
-      const prsDuplicateImpact = duplicateResult.duplicates.prs.reduce((sum, dup) => sum + dup.duplicateCount, 0);
-      const mdmsDuplicateImpact = duplicateResult.duplicates.mdms.reduce((sum, dup) => sum + dup.duplicateCount, 0);
+      const prsDuplicateImpact = duplicateResult.duplicates.prs.reduce((sum, dup) => sum + dup.duplicateCount, 0)
+        + countRowsOutsideExactGroups('prs', duplicateResult.duplicates.prsConflicts);
+      const mdmsDuplicateImpact = duplicateResult.duplicates.mdms.reduce((sum, dup) => sum + dup.duplicateCount, 0)
+        + countRowsOutsideExactGroups('mdms', duplicateResult.duplicates.mdmsConflicts);
 
       return {
         overview: {
@@ -900,12 +2091,15 @@ ORDER BY duplicate_type, coach_code, berth_number;
         duplicateBreakdown: {
           prsInternalDuplicates: duplicateResult.summary.prsInternalDuplicates,
           mdmsInternalDuplicates: duplicateResult.summary.mdmsInternalDuplicates,
+          prsConflictingDuplicates: duplicateResult.summary.prsConflictingDuplicates,
+          mdmsConflictingDuplicates: duplicateResult.summary.mdmsConflictingDuplicates,
           crossTableDuplicates: duplicateResult.summary.crossTableDuplicates,
           prsDuplicateImpact,
           mdmsDuplicateImpact,
           prsImpactPercentage: Math.round((prsDuplicateImpact / totalPrsRecords) * 10000) / 100,
           mdmsImpactPercentage: Math.round((mdmsDuplicateImpact / totalMdmsRecords) * 10000) / 100
-        }
+        },
+        cache: duplicateResult.cache
       };
 
     } catch (error) {
@@ -952,12 +2146,22 @@ ORDER BY duplicate_type, coach_code, berth_number;
       summarySheet.addRow({
         metric: 'PRS Internal Duplicates',
         value: duplicateData.summary.prsInternalDuplicates,
-        details: 'Duplicate groups within PRS table'
+        details: 'Groups of identical rows within PRS table'
       });
       summarySheet.addRow({
         metric: 'MDMS Internal Duplicates',
         value: duplicateData.summary.mdmsInternalDuplicates,
-        details: 'Duplicate groups within MDMS table'
+        details: 'Groups of identical rows within MDMS table'
+      });
+      summarySheet.addRow({
+        metric: 'PRS Conflicting Duplicates',
+        value: duplicateData.summary.prsConflictingDuplicates,
+        details: 'Berths listed more than once in PRS with different values'
+      });
+      summarySheet.addRow({
+        metric: 'MDMS Conflicting Duplicates',
+        value: duplicateData.summary.mdmsConflictingDuplicates,
+        details: 'Berths listed more than once in MDMS with different values'
       });
       summarySheet.addRow({
         metric: 'Cross-Table Duplicates',
@@ -1026,6 +2230,53 @@ ORDER BY duplicate_type, coach_code, berth_number;
         });
       }
 
+      // Conflicting Duplicates Sheets: one column per attribute, values of the variants side by side
+      for (const [source, groups] of [['prs', duplicateData.duplicates.prsConflicts], ['mdms', duplicateData.duplicates.mdmsConflicts]]) {
+        if (groups.length === 0) continue;
+        const { label, attributes } = DUPLICATE_SOURCES[source];
+        const conflictSheet = workbook.addWorksheet(`${label} Conflicting Duplicates`);
+        conflictSheet.columns = [
+          { header: 'Coach Code', key: 'coachCode', width: 15 },
+          { header: 'Class', key: 'class', width: 10 },
+          { header: 'Berth Number', key: 'berthNumber', width: 12 },
+          { header: 'Row Count', key: 'duplicateCount', width: 10 },
+          { header: 'Variants', key: 'variantCount', width: 10 },
+          { header: 'Differing Fields', key: 'differingFields', width: 25 },
+          ...Object.keys(attributes).map(field => ({
+            header: field.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase()),
+            key: field,
+            width: 20
+          })),
+          { header: 'Serial Numbers', key: 'serialNumbers', width: 30 },
+          { header: 'Details', key: 'details', width: 60 }
+        ];
+
+        conflictSheet.getRow(1).font = { bold: true };
+        conflictSheet.getRow(1).fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFE0E0E0' }
+        };
+
+        groups.forEach(group => {
+          const row = conflictSheet.addRow({
+            coachCode: group.coachCode,
+            class: group.class,
+            berthNumber: group.berthNumber,
+            duplicateCount: group.duplicateCount,
+            variantCount: group.variantCount,
+            differingFields: group.differingFields.join(', '),
+            ...Object.fromEntries(Object.keys(attributes).map(field => [field, group.variants.map(v => v[field] ?? 'NULL').join(' | ')])),
+            serialNumbers: group.variants.map(v => v.serialNumbers.join(', ')).join(' | '),
+            details: group.details
+          });
+          // Highlight the attributes that differ
+          group.differingFields.forEach(field => {
+            row.getCell(field).font = { bold: true, color: { argb: 'FFC00000' } };
+          });
+        });
+      }
+
       // Cross-Table Duplicates Sheet
       if (duplicateData.duplicates.crossTable.length > 0) {
         const crossTableSheet = workbook.addWorksheet('Cross-Table Duplicates');
@@ -1065,17 +2316,7 @@ ORDER BY duplicate_type, coach_code, berth_number;
       }
 
       // Save file in exports directory
-      const now = new Date();
-
-      const localTimestamp =
-        now.getFullYear() +
-        '-' + String(now.getMonth() + 1).padStart(2, '0') +
-        '-' + String(now.getDate()).padStart(2, '0') +
-        '_' + String(now.getHours()).padStart(2, '0') +
-        '-' + String(now.getMinutes()).padStart(2, '0') +
-        '-' + String(now.getSeconds()).padStart(2, '0');
-
-      const fileName = `prs-mdms-duplicates-report-${localTimestamp}.xlsx`;
+      const fileName = `prs-mdms-duplicates-report-${fileTimestamp()}.xlsx`;
       const filePath = path.join(exportsDir, fileName);
 
       await workbook.xlsx.writeFile(filePath);
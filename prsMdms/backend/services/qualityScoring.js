@@ -0,0 +1,196 @@
+import { query } from '../../database/config/db.js';
+
+/**
+ * Quality dimensions, each scored as the share of rows (or berths) without that kind of problem
+ */
+export const QUALITY_DIMENSIONS = {
+  completeness: 'Berth positions present in both PRS and MDMS',
+  typeAgreement: 'Matched berths whose berth types agree',
+  uniqueness: 'Rows that are not extra copies of a duplicated berth',
+  compositeConsistency: 'Rows free of composite flag and class problems'
+};
+
+export const DEFAULT_QUALITY_WEIGHTS = {
+  completeness: 0.4,
+  typeAgreement: 0.3,
+  uniqueness: 0.2,
+  compositeConsistency: 0.1
+};
+
+/**
+ * Validate a partial weights object, returning error messages
+ */
+export function validateQualityWeights(weights) {
+  const errors = [];
+  for (const [dimension, weight] of Object.entries(weights)) {
+    if (!QUALITY_DIMENSIONS[dimension]) {
+      errors.push(`Unknown quality dimension '${dimension}' (expected one of: ${Object.keys(QUALITY_DIMENSIONS).join(', ')})`);
+    } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      errors.push(`Weight for ${dimension} must be a non-negative number`);
+    }
+  }
+  const merged = { ...DEFAULT_QUALITY_WEIGHTS, ...weights };
+  if (errors.length === 0 && Object.values(merged).every(weight => weight === 0)) {
+    errors.push('At least one weight must be greater than zero');
+  }
+  return errors;
+}
+
+/**
+ * Count rows per coach code and class in both tables
+ * (`executor` runs the SQL, defaulting to the shared pool)
+ */
+export async function loadQualityCounts(executor = query) {
+  const result = await executor(`
+    SELECT 'PRS' as source, TRIM(coach_code) as coach_code, TRIM(class) as class, COUNT(*)::INT as row_count
+    FROM prs
+    GROUP BY TRIM(coach_code), TRIM(class)
+    UNION ALL
+    SELECT 'MDMS' as source, TRIM(prs_coach_code) as coach_code, TRIM(coach_class) as class, COUNT(*)::INT as row_count
+    FROM mdms
+    GROUP BY TRIM(prs_coach_code), TRIM(coach_class)
+  `);
+  return result.rows;
+}
+
+const coachKey = (code) => (code === null || code === undefined ? '' : String(code).trim().toLowerCase());
+const classKey = (value) => (value === null || value === undefined ? '' : String(value).trim().toUpperCase());
+const round = (value) => Math.round(value * 100) / 100;
+
+// Share of `good` in `total`, clamped to 0..1. An empty group has nothing wrong with it.
+const ratio = (good, total) => (total > 0 ? Math.max(0, Math.min(1, good / total)) : 1);
+
+const emptyCounts = () => ({
+  prsRows: 0,
+  mdmsRows: 0,
+  missingInMdms: 0,
+  missingInPrs: 0,
+  typeMismatches: 0,
+  duplicateRows: 0,
+  compositeIssues: 0
+});
+
+const addCounts = (target, source) => {
+  for (const key of Object.keys(target)) target[key] += source[key];
+  return target;
+};
+
+/**
+ * Score one group of counts: each dimension as a percentage plus the weighted score
+ */
+export function scoreCounts(counts, weights = DEFAULT_QUALITY_WEIGHTS) {
+  const totalRows = counts.prsRows + counts.mdmsRows;
+  const matchedPrsRows = counts.prsRows - counts.missingInMdms;
+
+  const dimensions = {
+    completeness: ratio(matchedPrsRows, counts.prsRows + counts.missingInPrs),
+    typeAgreement: ratio(matchedPrsRows - counts.typeMismatches, matchedPrsRows),
+    uniqueness: ratio(totalRows - counts.duplicateRows, totalRows),
+    compositeConsistency: ratio(totalRows - counts.compositeIssues, totalRows)
+  };
+
+  const totalWeight = Object.keys(dimensions).reduce((sum, d) => sum + weights[d], 0);
+  const score = Object.keys(dimensions).reduce((sum, d) => sum + dimensions[d] * weights[d], 0) / totalWeight;
+
+  return {
+    score: round(score * 100),
+    dimensions: Object.fromEntries(Object.entries(dimensions).map(([d, value]) => [d, round(value * 100)])),
+    counts
+  };
+}
+
+/**
+ * Score data quality per coach code, per class and overall.
+ * `duplicates` is DuplicateService.findDuplicates().duplicates and `rowCounts`
+ * the rows returned by loadQualityCounts().
+ */
+export function buildQualityScores({ discrepancies, duplicates, rowCounts, weights = DEFAULT_QUALITY_WEIGHTS }) {
+  // Counts are gathered per coach and class, then summed into the reported groups
+  const cells = new Map();
+  const getCell = (coachCode, className) => {
+    const key = `${coachKey(coachCode)}|${classKey(className)}`;
+    if (!cells.has(key)) {
+      cells.set(key, {
+        coachKey: coachKey(coachCode),
+        coachCode: coachCode === null || coachCode === undefined ? null : String(coachCode).trim(),
+        class: classKey(className) || null,
+        counts: emptyCounts()
+      });
+    }
+    return cells.get(key);
+  };
+
+  for (const row of rowCounts) {
+    const cell = getCell(row.coach_code, row.class);
+    if (row.source === 'PRS') cell.counts.prsRows += row.row_count;
+    else cell.counts.mdmsRows += row.row_count;
+  }
+
+  const flagMismatchCoaches = new Set();
+  for (const d of discrepancies) {
+    switch (d.discrepancyType) {
+      case 'TYPE_MISMATCH':
+        getCell(d.coachCode, d.prsClass).counts.typeMismatches++;
+        break;
+      case 'MISSING_IN_MDMS':
+        getCell(d.coachCode, d.prsClass).counts.missingInMdms++;
+        break;
+      case 'MISSING_IN_PRS':
+        getCell(d.coachCode, d.mdmsClass).counts.missingInPrs++;
+        break;
+      case 'COMPOSITE_BERTH_CLASS':
+        getCell(d.coachCode, d.prsClass).counts.compositeIssues++;
+        break;
+      case 'COMPOSITE_CLASS_CONFLICT':
+        getCell(d.coachCode, d.mdmsClass).counts.compositeIssues++;
+        break;
+      case 'COMPOSITE_FLAG_MISMATCH':
+        flagMismatchCoaches.add(coachKey(d.coachCode));
+        break;
+    }
+  }
+
+  // A disputed composite flag puts every row of the coach in question
+  for (const cell of cells.values()) {
+    if (flagMismatchCoaches.has(cell.coachKey)) {
+      cell.counts.compositeIssues = cell.counts.prsRows + cell.counts.mdmsRows;
+    }
+  }
+
+  // Every copy beyond the first in a duplicate group counts against uniqueness
+  for (const group of duplicates.prs || []) {
+    getCell(group.coachCode, group.class).counts.duplicateRows += group.duplicateCount - 1;
+  }
+  for (const group of duplicates.mdms || []) {
+    getCell(group.coachCode, group.coachClass).counts.duplicateRows += group.duplicateCount - 1;
+  }
+  // Copies sharing a berth type (qualifier) are counted above, so a conflict adds one row per extra type
+  const extraTypes = (group, field) => new Set(group.variants.map(v => String(v[field]))).size - 1;
+  for (const group of duplicates.prsConflicts || []) {
+    getCell(group.coachCode, group.class).counts.duplicateRows += extraTypes(group, 'berthType');
+  }
+  for (const group of duplicates.mdmsConflicts || []) {
+    getCell(group.coachCode, group.class).counts.duplicateRows += extraTypes(group, 'berthQualifier');
+  }
+
+  const groupBy = (keyOf, describe) => {
+    const groups = new Map();
+    for (const cell of cells.values()) {
+      const key = keyOf(cell);
+      if (!groups.has(key)) groups.set(key, { ...describe(cell), counts: emptyCounts() });
+      addCounts(groups.get(key).counts, cell.counts);
+    }
+    return [...groups.values()]
+      .map(({ counts, ...group }) => ({ ...group, ...scoreCounts(counts, weights) }))
+      .sort((a, b) => a.score - b.score || String(a.coachCode ?? a.class).localeCompare(String(b.coachCode ?? b.class)));
+  };
+
+  const overallCounts = [...cells.values()].reduce((sum, cell) => addCounts(sum, cell.counts), emptyCounts());
+
+  return {
+    weights,
+    overall: scoreCounts(overallCounts, weights),
+    byCoach: groupBy(cell => cell.coachKey, cell => ({ coachCode: cell.coachCode })),
+    byClass: groupBy(cell => cell.class, cell => ({ class: cell.class }))
+  };
+}
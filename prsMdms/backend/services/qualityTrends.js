@@ -0,0 +1,185 @@
+import { query, getPool } from '../../database/config/db.js';
+import { DEFAULT_MATCH_RULE, hashMatchRule } from './matchRules.js';
+
+/**
+ * Build the recorded_at conditions for a date range. A bare date (YYYY-MM-DD)
+ * as `to` includes that whole day.
+ */
+function buildDateRange({ from, to }, params) {
+  const conditions = [];
+  if (from) {
+    params.push(from);
+    conditions.push(`s.recorded_at >= $${params.length}::timestamptz`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(to)
+      ? `s.recorded_at < $${params.length}::date + 1`
+      : `s.recorded_at <= $${params.length}::timestamptz`);
+  }
+  return conditions;
+}
+
+/**
+ * Difference between the first and last point of a series, or null for fewer than two points
+ */
+function buildChange(series, fields) {
+  if (series.length < 2) return null;
+  const first = series[0];
+  const last = series[series.length - 1];
+  return Object.fromEntries(fields.map(field => [field, Math.round((last[field] - first[field]) * 100) / 100]));
+}
+
+export class QualityTrendService {
+
+  mapSnapshotRow(row) {
+    return {
+      snapshotId: row.id,
+      recordedAt: row.recorded_at,
+      trigger: row.triggered_by,
+      dataVersion: Number(row.data_version),
+      matchRule: row.match_rule,
+      matchRuleHash: row.match_rule_hash,
+      qualityScore: Number(row.quality_score),
+      qualityDimensions: row.quality_dimensions,
+      totalDiscrepancies: row.total_discrepancies,
+      discrepancyCounts: row.discrepancy_counts,
+      duplicateCounts: row.duplicate_counts
+    };
+  }
+
+  /**
+   * Store the metrics of one analysis under its match rule (the rule object).
+   * Only the first snapshot per data version and rule definition is kept, so
+   * re-running an analysis on unchanged data adds nothing. Resolves to the
+   * snapshot id, or null when one already existed.
+   */
+  async recordSnapshot({ trigger, dataVersion, matchRule, discrepancyCounts, totalDiscrepancies, duplicateCounts, quality }) {
+    const client = await getPool().connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`
+        INSERT INTO quality_snapshots (triggered_by, data_version, match_rule, match_rule_hash, quality_score,
+          quality_dimensions, total_discrepancies, discrepancy_counts, duplicate_counts)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (data_version, match_rule_hash) DO NOTHING
+        RETURNING id
+      `, [
+        trigger,
+        dataVersion,
+        matchRule.name || 'custom',
+        hashMatchRule(matchRule),
+        quality.overall.score,
+        JSON.stringify(quality.overall.dimensions),
+        totalDiscrepancies,
+        JSON.stringify(discrepancyCounts),
+        JSON.stringify(duplicateCounts)
+      ]);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const snapshotId = result.rows[0].id;
+      await client.query(`
+        INSERT INTO quality_snapshot_coaches (snapshot_id, coach_code, quality_score, quality_dimensions, counts)
+        SELECT $1, c.coach_code, c.quality_score, c.quality_dimensions, c.counts
+        FROM jsonb_to_recordset($2::jsonb) AS c(coach_code TEXT, quality_score NUMERIC, quality_dimensions JSONB, counts JSONB)
+      `, [snapshotId, JSON.stringify(quality.byCoach.map(coach => ({
+        coach_code: coach.coachCode,
+        quality_score: coach.score,
+        quality_dimensions: coach.dimensions,
+        counts: coach.counts
+      })))]);
+
+      await client.query('COMMIT');
+      console.log(`📈 Quality snapshot ${snapshotId} recorded (trigger: ${trigger}, score ${quality.overall.score}%)`);
+      return snapshotId;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error recording quality snapshot:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the overall metric series for a match rule (the rule object), oldest first
+   */
+  async getTrend({ matchRule = DEFAULT_MATCH_RULE, from, to } = {}) {
+    try {
+      const params = [hashMatchRule(matchRule)];
+      const conditions = ['s.match_rule_hash = $1', ...buildDateRange({ from, to }, params)];
+
+      const result = await query(`
+        SELECT s.* FROM quality_snapshots s
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY s.recorded_at, s.id
+      `, params);
+
+      const series = result.rows.map(row => this.mapSnapshotRow(row));
+      return {
+        matchRule: matchRule.name || 'custom',
+        matchRuleHash: params[0],
+        from: from || null,
+        to: to || null,
+        count: series.length,
+        change: buildChange(series, ['qualityScore', 'totalDiscrepancies']),
+        series
+      };
+    } catch (error) {
+      console.error('Error getting quality trend:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one coach's score series for a match rule, oldest first. Snapshots taken
+   * while the coach had no rows in either table are left out.
+   */
+  async getCoachTrend(coachCode, { matchRule = DEFAULT_MATCH_RULE, from, to } = {}) {
+    try {
+      const params = [hashMatchRule(matchRule), coachCode];
+      const conditions = [
+        's.match_rule_hash = $1',
+        'LOWER(TRIM(c.coach_code)) = LOWER(TRIM($2))',
+        ...buildDateRange({ from, to }, params)
+      ];
+
+      const result = await query(`
+        SELECT s.id, s.recorded_at, s.triggered_by, s.data_version,
+          c.coach_code, c.quality_score, c.quality_dimensions, c.counts
+        FROM quality_snapshots s
+        INNER JOIN quality_snapshot_coaches c ON c.snapshot_id = s.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY s.recorded_at, s.id
+      `, params);
+
+      const series = result.rows.map(row => ({
+        snapshotId: row.id,
+        recordedAt: row.recorded_at,
+        trigger: row.triggered_by,
+        dataVersion: Number(row.data_version),
+        coachCode: row.coach_code,
+        qualityScore: Number(row.quality_score),
+        qualityDimensions: row.quality_dimensions,
+        counts: row.counts
+      }));
+      return {
+        matchRule: matchRule.name || 'custom',
+        matchRuleHash: params[0],
+        coachCode,
+        from: from || null,
+        to: to || null,
+        count: series.length,
+        change: buildChange(series, ['qualityScore']),
+        series
+      };
+    } catch (error) {
+      console.error('Error getting coach quality trend:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,475 @@
+import path from 'path';
+import fs from 'fs';
+import { query, getPool } from '../../database/config/db.js';
+import { bumpDataVersion } from './analysisCache.js';
+import { DiscrepancyService } from './prsMdms.js';
+import { DEFAULT_MATCH_RULE, getKeyByRole, normaliseExpression } from './matchRules.js';
+import { fileTimestamp } from './fileTimestamp.js';
+
+/**
+ * Discrepancy types a patch can fix, and the system taken as correct for each
+ * unless the caller says otherwise. MDMS is the master data system, so by
+ * default PRS is brought in line with it. Fixes that delete a record (e.g.
+ * MISSING_IN_MDMS with MDMS as source of truth) are skipped unless the caller
+ * passes allowDeletes.
+ */
+export const DEFAULT_SOURCES_OF_TRUTH = {
+  TYPE_MISMATCH: 'MDMS',
+  MISSING_IN_MDMS: 'MDMS',
+  MISSING_IN_PRS: 'MDMS',
+  COMPOSITE_FLAG_MISMATCH: 'MDMS'
+};
+
+export const SOURCE_OF_TRUTH_VALUES = ['PRS', 'MDMS', 'SKIP'];
+
+// Waived discrepancies are accepted differences and never patched
+const EXCLUDED_REVIEW_STATUSES = ['waived'];
+
+/**
+ * Render a value as a SQL literal
+ */
+export function sqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number') return String(value);
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+const oneLine = (text) => String(text ?? '').replace(/\s+/g, ' ').trim();
+// Every value in a script comment goes through here, so data cannot end the comment
+const sqlComment = (text) => `-- ${oneLine(text)}`;
+const sourceRowKey = (serialNo, coachCode, berthNumber) =>
+  `${serialNo}|${String(coachCode ?? '').trim().toLowerCase()}|${berthNumber}`;
+
+const updateStatement = (table, set, where) => ({ action: 'UPDATE', table, set, where, sql: `UPDATE ${table} SET ${set} WHERE ${where}` });
+const deleteStatement = (table, where) => ({ action: 'DELETE', table, where, sql: `DELETE FROM ${table} WHERE ${where}` });
+
+export class ReconciliationService {
+
+  constructor() {
+    this.discrepancyService = new DiscrepancyService();
+  }
+
+  /**
+   * Build the WHERE condition locating a discrepancy's record on one side,
+   * using the match rule keys ('prs' or 'mdms' columns)
+   */
+  buildRecordCondition(matchRule, side, discrepancy) {
+    const values = {
+      coach: discrepancy.coachCode,
+      class: side === 'prs' ? (discrepancy.prsClass ?? discrepancy.mdmsClass) : (discrepancy.mdmsClass ?? discrepancy.prsClass),
+      berth: discrepancy.berthNumber
+    };
+
+    return matchRule.keys
+      .filter(key => values[key.role] !== undefined)
+      .map(key =>
+        `${normaliseExpression(key[side], key.normalise, { aliasLookup: true })} IS NOT DISTINCT FROM ${normaliseExpression(sqlLiteral(values[key.role]), key.normalise, { aliasLookup: true })}`
+      )
+      .join(' AND ');
+  }
+
+  /**
+   * Load berth type mappings as lookups in both directions (first mapping wins)
+   */
+  async loadBerthTypeLookups() {
+    const mappings = await this.discrepancyService.berthTypeMappingService.listMappings();
+    const prsToMdms = new Map();
+    const mdmsToPrs = new Map();
+    for (const m of mappings) {
+      if (!prsToMdms.has(m.prsBerthType)) prsToMdms.set(m.prsBerthType, m.mdmsBerthQualifier);
+      if (!mdmsToPrs.has(m.mdmsBerthQualifier)) mdmsToPrs.set(m.mdmsBerthQualifier, m.prsBerthType);
+    }
+    const translate = (lookup, code) => {
+      const key = code === null || code === undefined ? null : String(code).trim().toUpperCase();
+      return lookup.get(key) ?? code;
+    };
+    return {
+      toMdms: (berthType) => translate(prsToMdms, berthType),
+      toPrs: (berthQualifier) => translate(mdmsToPrs, berthQualifier)
+    };
+  }
+
+  /**
+   * Fetch the full source rows behind missing-record discrepancies, keyed by
+   * serial number, coach code and berth (serial numbers alone are not unique)
+   */
+  async loadSourceRows(table, discrepancies) {
+    if (discrepancies.length === 0) return new Map();
+    const [coachColumn, berthColumn] = table === 'prs' ? ['coach_code', 'berth_number'] : ['prs_coach_code', 'berth_no'];
+    const result = await query(
+      `SELECT * FROM ${table} WHERE serial_no = ANY($1::int[]) ORDER BY id`,
+      [[...new Set(discrepancies.map(d => d.serialNo))]]
+    );
+    const rows = new Map();
+    for (const row of result.rows) {
+      const key = sourceRowKey(row.serial_no, row[coachColumn], row[berthColumn]);
+      if (!rows.has(key)) rows.set(key, row);
+    }
+    return rows;
+  }
+
+  /**
+   * Build the statements fixing a single discrepancy, or null when the type
+   * has no automatic fix. Updates and deletes keep their SET and WHERE parts
+   * so applyPatch can read the rows they touch.
+   */
+  buildStatements(discrepancy, sourceOfTruth, { matchRule, lookups, prsRows, mdmsRows }) {
+    const prsWhere = () => this.buildRecordCondition(matchRule, 'prs', discrepancy);
+    const mdmsWhere = () => this.buildRecordCondition(matchRule, 'mdms', discrepancy);
+    const coachKey = getKeyByRole(matchRule, 'coach');
+    const coachCondition = (side, alias = '') =>
+      `${normaliseExpression(`${alias}${coachKey[side]}`, coachKey.normalise, { aliasLookup: true })} = ${normaliseExpression(sqlLiteral(discrepancy.coachCode), coachKey.normalise, { aliasLookup: true })}`;
+    const sourceRow = (rows) => rows.get(sourceRowKey(discrepancy.serialNo, discrepancy.coachCode, discrepancy.berthNumber));
+
+    switch (discrepancy.discrepancyType) {
+      case 'TYPE_MISMATCH':
+        return sourceOfTruth === 'MDMS'
+          ? [updateStatement('prs', `berth_type = ${sqlLiteral(lookups.toPrs(discrepancy.berthQualifier))}`,
+            `serial_no = ${sqlLiteral(discrepancy.serialNo)} AND ${prsWhere()}`)]
+          : [updateStatement('mdms', `berth_qualifier = ${sqlLiteral(lookups.toMdms(discrepancy.berthType))}`, mdmsWhere())];
+
+      case 'MISSING_IN_MDMS': {
+        if (sourceOfTruth === 'MDMS') {
+          return [deleteStatement('prs', `serial_no = ${sqlLiteral(discrepancy.serialNo)} AND ${prsWhere()}`)];
+        }
+        const row = sourceRow(prsRows);
+        if (!row) return null;
+        return [{
+          action: 'INSERT',
+          table: 'mdms',
+          sql: `INSERT INTO mdms (serial_no, composite_flag, prs_coach_code, coach_class, berth_no, berth_qualifier) ` +
+            `SELECT COALESCE(MAX(serial_no), 0) + 1, ${sqlLiteral(row.composite_flag)}, ${sqlLiteral(row.coach_code)}, ` +
+            `${sqlLiteral(row.class)}, ${sqlLiteral(row.berth_number)}, ${sqlLiteral(lookups.toMdms(row.berth_type))} FROM mdms`
+        }];
+      }
+
+      case 'MISSING_IN_PRS': {
+        if (sourceOfTruth === 'PRS') {
+          return [deleteStatement('mdms', `serial_no = ${sqlLiteral(discrepancy.serialNo)} AND ${mdmsWhere()}`)];
+        }
+        const row = sourceRow(mdmsRows);
+        if (!row) return null;
+        return [{
+          action: 'INSERT',
+          table: 'prs',
+          sql: `INSERT INTO prs (serial_no, coach_code, composite_flag, class, berth_number, berth_type) ` +
+            `SELECT COALESCE(MAX(serial_no), 0) + 1, ${sqlLiteral(row.prs_coach_code)}, ${sqlLiteral(row.composite_flag)}, ` +
+            `${sqlLiteral(row.coach_class)}, ${sqlLiteral(row.berth_no)}, ${sqlLiteral(lookups.toPrs(row.berth_qualifier))} FROM prs`
+        }];
+      }
+
+      case 'COMPOSITE_FLAG_MISMATCH':
+        // The flag is copied from the other table when the statement runs
+        return sourceOfTruth === 'MDMS'
+          ? [updateStatement('prs', `composite_flag = (SELECT BOOL_OR(m.composite_flag) FROM mdms m WHERE ${coachCondition('mdms', 'm.')})`, coachCondition('prs'))]
+          : [updateStatement('mdms', `composite_flag = (SELECT BOOL_OR(p.composite_flag) FROM prs p WHERE ${coachCondition('prs', 'p.')})`, coachCondition('mdms'))];
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build patch statements for the current discrepancies.
+   * options: matchRule, sourceOfTruth (per type: PRS, MDMS or SKIP), coachCode, types, discrepancyIds,
+   * allowDeletes (without it, fixes that delete records are skipped)
+   */
+  async buildPatch(options = {}) {
+    try {
+      const matchRule = options.matchRule || DEFAULT_MATCH_RULE;
+      const sourcesOfTruth = { ...DEFAULT_SOURCES_OF_TRUTH, ...(options.sourceOfTruth || {}) };
+      const { discrepancies } = await this.discrepancyService.findDiscrepancies({ matchRule });
+
+      const selected = discrepancies.filter(d =>
+        (!options.types || options.types.length === 0 || options.types.includes(d.discrepancyType))
+        && (!options.coachCode || String(d.coachCode ?? '').trim().toLowerCase() === String(options.coachCode).trim().toLowerCase())
+        && (!options.discrepancyIds || options.discrepancyIds.includes(d.discrepancyId))
+      );
+
+      // Source rows are only needed where a missing record gets inserted
+      const insertsFrom = (type, source) => sourcesOfTruth[type] === source
+        ? selected.filter(d => d.discrepancyType === type && d.serialNo !== null)
+        : [];
+      const context = {
+        matchRule,
+        lookups: await this.loadBerthTypeLookups(),
+        prsRows: await this.loadSourceRows('prs', insertsFrom('MISSING_IN_MDMS', 'PRS')),
+        mdmsRows: await this.loadSourceRows('mdms', insertsFrom('MISSING_IN_PRS', 'MDMS'))
+      };
+
+      const statements = [];
+      const skipped = [];
+      // Composite flag fixes are per coach, so one statement covers every berth of it
+      const seen = new Set();
+
+      for (const d of selected) {
+        const sourceOfTruth = sourcesOfTruth[d.discrepancyType] || 'SKIP';
+        let reason = null;
+        if (EXCLUDED_REVIEW_STATUSES.includes(d.status)) reason = `review status is ${d.status}`;
+        else if (!DEFAULT_SOURCES_OF_TRUTH[d.discrepancyType]) reason = 'no automatic fix, needs manual review';
+        else if (sourceOfTruth === 'SKIP') reason = 'skipped by request';
+
+        let built = reason ? null : this.buildStatements(d, sourceOfTruth, context);
+        const deletion = built?.find(statement => statement.action === 'DELETE');
+        if (deletion && options.allowDeletes !== true) {
+          reason = `would delete the ${deletion.table} record; pass allowDeletes to include deletes`;
+          built = null;
+        }
+        if (!built) {
+          skipped.push({ discrepancyId: d.discrepancyId, discrepancyType: d.discrepancyType, coachCode: d.coachCode, reason: reason || 'source record not found' });
+          continue;
+        }
+
+        for (const statement of built) {
+          if (seen.has(statement.sql)) continue;
+          seen.add(statement.sql);
+          statements.push({
+            discrepancyId: d.discrepancyId,
+            discrepancyType: d.discrepancyType,
+            sourceOfTruth,
+            comment: `[${d.discrepancyId}] ${d.discrepancyType}: ${d.details}`,
+            ...statement
+          });
+        }
+      }
+
+      return {
+        matchRule: matchRule.name || 'custom',
+        sourcesOfTruth,
+        allowDeletes: options.allowDeletes === true,
+        statements,
+        skipped
+      };
+    } catch (error) {
+      console.error('Error building reconciliation patch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write the patch as a SQL script in exports/, returning the file name and counts
+   */
+  async generatePatchScript(options = {}) {
+    try {
+      console.log('🩹 Generating reconciliation patch script...');
+      const patch = await this.buildPatch(options);
+
+      const byAction = {};
+      for (const s of patch.statements) {
+        byAction[s.action] = (byAction[s.action] || 0) + 1;
+      }
+
+      const lines = [
+        sqlComment('PRS/MDMS reconciliation patch'),
+        sqlComment(`Generated: ${new Date().toISOString()}`),
+        sqlComment(`Match rule: ${patch.matchRule}`),
+        sqlComment(`Source of truth: ${Object.entries(patch.sourcesOfTruth).map(([type, source]) => `${type}=${source}`).join(', ')}`),
+        sqlComment(`Deletes: ${patch.allowDeletes ? 'included' : 'skipped (not requested)'}`),
+        sqlComment(`Statements: ${patch.statements.length} (${Object.entries(byAction).map(([action, n]) => `${n} ${action}`).join(', ') || 'none'})`),
+        sqlComment(`Skipped discrepancies: ${patch.skipped.length}`),
+        '',
+        'BEGIN;',
+        ''
+      ];
+      for (const s of patch.statements) {
+        lines.push(sqlComment(s.comment), `${s.sql};`, '');
+      }
+      lines.push('COMMIT;', '');
+      if (patch.skipped.length > 0) {
+        lines.push(sqlComment('Not patched:'));
+        for (const d of patch.skipped) {
+          lines.push(sqlComment(`[${d.discrepancyId}] ${d.discrepancyType} (coach ${d.coachCode ?? 'N/A'}): ${d.reason}`));
+        }
+        lines.push('');
+      }
+
+      const exportsDir = path.join(process.cwd(), 'exports');
+      if (!fs.existsSync(exportsDir)) fs.mkdirSync(exportsDir, { recursive: true });
+
+      const fileName = `prs-mdms-patch-${fileTimestamp()}.sql`;
+      fs.writeFileSync(path.join(exportsDir, fileName), lines.join('\n'));
+      console.log(`✅ Patch script saved: ${fileName}`);
+
+      return {
+        fileName,
+        matchRule: patch.matchRule,
+        sourcesOfTruth: patch.sourcesOfTruth,
+        allowDeletes: patch.allowDeletes,
+        statementCount: patch.statements.length,
+        byAction,
+        skippedCount: patch.skipped.length,
+        skipped: patch.skipped
+      };
+    } catch (error) {
+      console.error('Error generating patch script:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run patch statements inside one transaction, recording every changed row
+   * with its before/after values. A dry run rolls everything back and only
+   * reports the changes. options: as buildPatch, plus dryRun and appliedBy.
+   */
+  async applyPatch(options = {}) {
+    const dryRun = options.dryRun === true;
+    const patch = await this.buildPatch(options);
+
+    const client = await getPool().connect();
+    try {
+      console.log(`🛠️ Applying ${patch.statements.length} fix statements${dryRun ? ' (dry run)' : ''}...`);
+      await client.query('BEGIN');
+
+      const changes = [];
+      // The audit keeps the SQL that actually ran, with its parameters
+      const run = async (sql, params = []) => ({ sql, params, rows: (await client.query(sql, params)).rows });
+      const record = (statement, executed, before, after) => changes.push({
+        discrepancyId: statement.discrepancyId,
+        discrepancyType: statement.discrepancyType,
+        action: statement.action,
+        table: statement.table,
+        rowId: (before || after).id,
+        before,
+        after,
+        statement: executed.sql,
+        params: executed.params
+      });
+
+      for (const statement of patch.statements) {
+        if (statement.action === 'UPDATE') {
+          const before = await client.query(`SELECT * FROM ${statement.table} WHERE ${statement.where} ORDER BY id FOR UPDATE`);
+          if (before.rows.length === 0) continue;
+          const updated = await run(
+            `UPDATE ${statement.table} SET ${statement.set} WHERE id = ANY($1::int[]) RETURNING *`,
+            [before.rows.map(row => row.id)]
+          );
+          const afterById = new Map(updated.rows.map(row => [row.id, row]));
+          before.rows.forEach(row => record(statement, updated, row, afterById.get(row.id)));
+        } else if (statement.action === 'DELETE') {
+          const deleted = await run(`${statement.sql} RETURNING *`);
+          deleted.rows.forEach(row => record(statement, deleted, row, null));
+        } else {
+          const inserted = await run(`${statement.sql} RETURNING *`);
+          inserted.rows.forEach(row => record(statement, inserted, null, row));
+        }
+      }
+
+      const byAction = {};
+      for (const change of changes) {
+        byAction[change.action] = (byAction[change.action] || 0) + 1;
+      }
+
+      let batchId = null;
+      if (dryRun) {
+        await client.query('ROLLBACK');
+      } else {
+        const batch = await client.query(`
+          INSERT INTO discrepancy_fix_batches (match_rule, sources_of_truth, applied_by, statement_count, rows_affected)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING id
+        `, [patch.matchRule, JSON.stringify(patch.sourcesOfTruth), options.appliedBy || null, patch.statements.length, changes.length]);
+        batchId = batch.rows[0].id;
+
+        await client.query(`
+          INSERT INTO discrepancy_fix_audit (batch_id, discrepancy_id, discrepancy_type, action, table_name, row_id, before_values, after_values, statement, statement_params)
+          SELECT $1, a.discrepancy_id, a.discrepancy_type, a.action, a.table_name, a.row_id, a.before_values, a.after_values, a.statement, a.statement_params
+          FROM jsonb_to_recordset($2::jsonb) AS a(discrepancy_id TEXT, discrepancy_type TEXT, action TEXT, table_name TEXT,
+            row_id INT, before_values JSONB, after_values JSONB, statement TEXT, statement_params JSONB)
+        `, [batchId, JSON.stringify(changes.map(change => ({
+          discrepancy_id: change.discrepancyId,
+          discrepancy_type: change.discrepancyType,
+          action: change.action,
+          table_name: change.table,
+          row_id: change.rowId,
+          before_values: change.before,
+          after_values: change.after,
+          statement: change.statement,
+          statement_params: change.params
+        })))]);
+
+        // Bumped in the same transaction, so a committed batch always invalidates cached analyses
+        if (changes.length > 0) {
+          await bumpDataVersion('discrepancy fixes applied', (text, values) => client.query(text, values));
+        }
+
+        await client.query('COMMIT');
+        console.log(`✅ Fix batch ${batchId} applied: ${changes.length} rows changed`);
+      }
+
+      return {
+        batchId,
+        dryRun,
+        committed: !dryRun,
+        matchRule: patch.matchRule,
+        sourcesOfTruth: patch.sourcesOfTruth,
+        statementCount: patch.statements.length,
+        rowsAffected: changes.length,
+        byAction,
+        skippedCount: patch.skipped.length,
+        skipped: patch.skipped,
+        changes
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error applying discrepancy fixes:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  mapBatchRow(row) {
+    return {
+      batchId: row.id,
+      appliedAt: row.applied_at,
+      appliedBy: row.applied_by,
+      matchRule: row.match_rule,
+      sourcesOfTruth: row.sources_of_truth,
+      statementCount: row.statement_count,
+      rowsAffected: row.rows_affected
+    };
+  }
+
+  /**
+   * List applied fix batches, newest first
+   */
+  async listFixBatches() {
+    try {
+      const result = await query('SELECT * FROM discrepancy_fix_batches ORDER BY id DESC');
+      return result.rows.map(row => this.mapBatchRow(row));
+    } catch (error) {
+      console.error('Error listing fix batches:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a fix batch with its audit entries, or null if it does not exist
+   */
+  async getFixBatch(batchId) {
+    try {
+      const batch = await query('SELECT * FROM discrepancy_fix_batches WHERE id = $1', [batchId]);
+      if (batch.rows.length === 0) return null;
+
+      const audit = await query('SELECT * FROM discrepancy_fix_audit WHERE batch_id = $1 ORDER BY id', [batchId]);
+      return {
+        ...this.mapBatchRow(batch.rows[0]),
+        changes: audit.rows.map(row => ({
+          discrepancyId: row.discrepancy_id,
+          discrepancyType: row.discrepancy_type,
+          action: row.action,
+          table: row.table_name,
+          rowId: row.row_id,
+          before: row.before_values,
+          after: row.after_values,
+          statement: row.statement,
+          params: row.statement_params
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting fix batch:', error);
+      throw error;
+    }
+  }
+}
@@ -1,4 +1,6 @@
 import { query } from '../../database/config/db.js';
+import { DEFAULT_MATCH_RULE, buildJoinCondition, buildRuleSource } from './matchRules.js';
+import { bumpDataVersion } from './analysisCache.js';
 
 export class SimulationService {
   
@@ -25,6 +27,7 @@ export class SimulationService {
         crossTableDuplicates: await this.simulateCrossTableDuplicates()
       };
       
+      await bumpDataVersion('simulation');
       console.log('✅ Comprehensive simulation complete:', changes);
       return changes;
       
@@ -263,11 +266,9 @@ export class SimulationService {
           p.berth_number,
           p.berth_type,
           m.berth_qualifier
-        FROM prs p
-        INNER JOIN mdms m 
-          ON TRIM(LOWER(p.coach_code)) = TRIM(LOWER(m.prs_coach_code))
-          AND TRIM(LOWER(p.class)) = TRIM(LOWER(m.coach_class))
-          AND p.berth_number::INT = m.berth_no
+        FROM ${buildRuleSource(DEFAULT_MATCH_RULE, 'prs')} p
+        INNER JOIN ${buildRuleSource(DEFAULT_MATCH_RULE, 'mdms')} m 
+          ON ${buildJoinCondition(DEFAULT_MATCH_RULE)}
         ORDER BY RANDOM()
         LIMIT 2
       `;
@@ -356,6 +357,7 @@ export class SimulationService {
         newRecords: await this.simulateNewRecords()
       };
       
+      await bumpDataVersion('simulation');
       console.log('✅ Discrepancy simulation complete:', changes);
       return changes;
       
@@ -378,6 +380,7 @@ export class SimulationService {
         crossTableDuplicates: await this.simulateCrossTableDuplicates()
       };
       
+      await bumpDataVersion('simulation');
       console.log('✅ Duplicate simulation complete:', changes);
       return changes;
       
@@ -402,6 +405,7 @@ export class SimulationService {
       // Restore backed up records
       await this.restoreBackedUpRecords();
       
+      await bumpDataVersion('restore');
       console.log('✅ Original data restored');
       return { 
         success: true, 
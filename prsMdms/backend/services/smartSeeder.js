@@ -1,18 +1,26 @@
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
 import { query } from '../../database/config/db.js';
+import { bumpDataVersion } from './analysisCache.js';
+import { detectFileType, INGESTION_FILE_PATTERN } from '../../database/ingestion/ingestionReaders.js';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Ingestion files are only seeded when their name matches, so other CSV or JSON
+// files left in the watch directory are ignored; SEED_NAME_PATTERN overrides it
+export const DEFAULT_SEED_NAME_PATTERN = /prs|mdms/i;
 
 export class SmartSeeder {
     constructor(config) {
         this.config = {
             watchDirectory: config.watchDirectory || './data/excel',
             seederPath: config.seederPath || 'database/ingestion/prsMdmsDataSeeder.js',
-            filePattern: config.filePattern || /\.(xlsx|xls)$/i,
+            filePattern: config.filePattern || INGESTION_FILE_PATTERN,
+            namePattern: config.namePattern ||
+                (process.env.SEED_NAME_PATTERN ? new RegExp(process.env.SEED_NAME_PATTERN, 'i') : DEFAULT_SEED_NAME_PATTERN),
             debounceTime: config.debounceTime || 3000,
             hashFile: config.hashFile || '.file_hashes.json',
             ...config
@@ -45,7 +53,7 @@ export class SmartSeeder {
                     console.log('📉 Database was empty — seeding triggered');
                 }
                 else {
-                    console.log('🔄 Changes detected in Excel files, seeding with whitespace cleanup...')
+                    console.log('🔄 Changes detected in ingestion files, seeding with whitespace cleanup...')
                 }
                 await this.seedWithWhitespaceCleanup();
             } else {
@@ -102,6 +110,14 @@ export class SmartSeeder {
         }
     }
 
+    /**
+     * Whether a file in the watch directory is one to seed from: an ingestion
+     * file type (filePattern) whose name matches namePattern
+     */
+    isSeedFile(file) {
+        return this.config.filePattern.test(file) && this.config.namePattern.test(path.basename(file));
+    }
+
     async checkForChanges() {
         const watchDir = this.config.watchDirectory;
 
@@ -111,11 +127,11 @@ export class SmartSeeder {
         }
 
         const files = fs.readdirSync(watchDir)
-            .filter(file => this.config.filePattern.test(file))
+            .filter(file => this.isSeedFile(file))
             .map(file => path.join(watchDir, file));
 
         if (files.length === 0) {
-            console.log('📂 No Excel files found in watch directory');
+            console.log('📂 No ingestion files found in watch directory');
             return false;
         }
 
@@ -172,11 +188,35 @@ export class SmartSeeder {
         }
     };
 
+    /**
+     * Pick the files to seed from: the most recently modified seed file (see
+     * isSeedFile) in the watch directory decides the type. CSV files hold one
+     * table each, so every CSV seed file is seeded together (e.g. PRS.csv and
+     * MDMS.csv); a workbook or JSON file holds both tables and is seeded alone.
+     * Returns [] when there is nothing to seed from, leaving the seeder's default.
+     */
+    selectSeedFiles() {
+        const watchDir = this.config.watchDirectory;
+        if (!fs.existsSync(watchDir)) return [];
+
+        const files = fs.readdirSync(watchDir)
+            .filter(file => this.isSeedFile(file) && detectFileType(file))
+            .map(file => path.join(watchDir, file))
+            .map(filePath => ({ filePath, modified: fs.statSync(filePath).mtimeMs }));
+        if (files.length === 0) return [];
+
+        const latest = files.reduce((newest, file) => (file.modified > newest.modified ? file : newest));
+        const fileType = detectFileType(latest.filePath);
+        return fileType === 'csv'
+            ? files.filter(file => detectFileType(file.filePath) === 'csv').map(file => file.filePath).sort()
+            : [latest.filePath];
+    }
+
     startWatching() {
         const watchDir = this.config.watchDirectory;
 
         const watcher = fs.watch(watchDir, { recursive: true }, (eventType, filename) => {
-            if (!filename || !this.config.filePattern.test(filename)) {
+            if (!filename || !this.isSeedFile(filename)) {
                 return;
             }
 
@@ -216,13 +256,16 @@ export class SmartSeeder {
 
             const startTime = Date.now();
 
-            // Add debugging lines here
-            console.log(`🔧 Executing seeder command: node ${this.config.seederPath}`);
+            const seedFiles = this.selectSeedFiles();
+            const seederArgs = [this.config.seederPath, ...seedFiles];
+            console.log(`🔧 Executing seeder command: node ${seederArgs.join(' ')}`);
             console.log(`📁 Working directory: ${process.cwd()}`);
-            console.log(`📄 Expected Excel file path: ${path.join(process.cwd(), 'database/excel/MDMS_PRS_Differences_BerthQualifier.xlsx')}`);
+            if (seedFiles.length > 0) {
+                console.log(`📄 Ingesting ${seedFiles.map(file => `${path.basename(file)} (${detectFileType(file)})`).join(', ')}`);
+            }
 
             // Step 1: Run the seeder with enhanced whitespace trimming
-            const result = await execAsync(`node ${this.config.seederPath}`);
+            const result = await execFileAsync(process.execPath, seederArgs);
 
             // Add result debugging
             console.log('📊 Seeder stdout:', result.stdout);
@@ -231,6 +274,9 @@ export class SmartSeeder {
             // Step 2: Clean any remaining whitespace after seeding
             await this.cleanExistingWhitespace();
 
+            // Step 3: Invalidate cached analysis results for the old data
+            await bumpDataVersion('seed');
+
             const endTime = Date.now();
 
             console.log(`✅ Smart seeding completed in ${endTime - startTime}ms`);
@@ -239,6 +285,15 @@ export class SmartSeeder {
             this.fileHashes._lastSeedTime = Date.now();
             await this.saveFileHashes();
 
+            // Let the application react to fresh data (e.g. record an analysis run)
+            if (typeof this.config.onSeedComplete === 'function') {
+                try {
+                    await this.config.onSeedComplete(this);
+                } catch (hookError) {
+                    console.error('⚠️ Post-seed hook failed:', hookError.message);
+                }
+            }
+
         } catch (error) {
             console.error('❌ Smart seeding failed:', error);
             console.error('❌ Error details:', error.message);
@@ -249,6 +304,21 @@ export class SmartSeeder {
         }
     }
 
+    getSourceFileHashes() {
+        const files = {};
+        for (const [filePath, hash] of Object.entries(this.fileHashes)) {
+            if (filePath !== '_lastSeedTime') {
+                files[filePath] = hash;
+            }
+        }
+        return {
+            files,
+            lastSeedTime: this.fileHashes._lastSeedTime
+                ? new Date(this.fileHashes._lastSeedTime).toISOString()
+                : null
+        };
+    }
+
     async cleanExistingWhitespace() {
         try {
             console.log('🧹 Cleaning whitespace from database...');
@@ -307,7 +377,7 @@ export class SmartSeeder {
         try {
             const watchDir = this.config.watchDirectory;
             const files = fs.existsSync(watchDir)
-                ? fs.readdirSync(watchDir).filter(file => this.config.filePattern.test(file))
+                ? fs.readdirSync(watchDir).filter(file => this.isSeedFile(file))
                 : [];
 
             return {
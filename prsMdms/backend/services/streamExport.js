@@ -0,0 +1,82 @@
+import { getPool } from '../../database/config/db.js';
+
+export const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Fetch a declared cursor's rows a batch at a time, resolving to the number of rows read
+ */
+async function fetchInBatches(executor, sql, params, onBatch, batchSize) {
+  let rowCount = 0;
+  await executor(`DECLARE export_cursor NO SCROLL CURSOR FOR ${sql}`, params);
+
+  while (true) {
+    const result = await executor(`FETCH FORWARD ${batchSize} FROM export_cursor`);
+    if (result.rows.length === 0) break;
+
+    rowCount += result.rows.length;
+    if (await onBatch(result.rows) === false) break;
+  }
+
+  await executor('CLOSE export_cursor');
+  return rowCount;
+}
+
+/**
+ * Run a query through a server-side cursor, handing rows to `onBatch` a batch at a time.
+ * Returning false from `onBatch` stops the export early (e.g. the client went away).
+ * An `executor` for a session already inside a transaction (see runIsolated) is
+ * used as is; otherwise a pooled client is checked out. Resolves to the number of rows read.
+ */
+export async function streamQuery(sql, params, onBatch, { batchSize = EXPORT_BATCH_SIZE, executor } = {}) {
+  if (executor) {
+    return fetchInBatches(executor, sql, params, onBatch, batchSize);
+  }
+
+  // Cursors only live inside a transaction, so the export holds one client throughout
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN READ ONLY');
+    const rowCount = await fetchInBatches((text, values) => client.query(text, values), sql, params, onBatch, batchSize);
+    await client.query('COMMIT');
+    return rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Format one CSV line, quoting values that contain commas, quotes or line breaks.
+ * Text starting with =, +, -, @, a tab or a carriage return is prefixed with a
+ * single quote, so spreadsheets and BI tools show it instead of running it as
+ * a formula; numbers are written as they are.
+ */
+export function toCsvLine(values) {
+  return values.map(value => {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join(' ') : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\n';
+}
+
+/**
+ * Write a chunk to a writable stream, waiting for 'drain' when its buffer is full.
+ * Also settles on 'close' so a dropped connection cannot stall the export.
+ */
+export function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.once('drain', done);
+    stream.once('close', done);
+  });
+}
@@ -0,0 +1,339 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { query } from '../../database/config/db.js';
+import { PRS_COLUMNS, MDMS_COLUMNS } from './matchRules.js';
+import { getOrCompute } from './analysisCache.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RULES_PATH = path.join(__dirname, '../../database/config/validationRules.json');
+
+export const RULE_SEVERITIES = ['error', 'warning', 'info'];
+export const RULE_CHECK_TYPES = ['notNull', 'allowedValues', 'range', 'pattern', 'unique'];
+const RULE_TABLES = ['prs', 'mdms'];
+
+/**
+ * Logical fields rules can refer to, mapped to each table's column. Rules may
+ * also name a table's own columns directly.
+ */
+export const RULE_FIELDS = {
+  serialNo: { prs: 'serial_no', mdms: 'serial_no' },
+  coachCode: { prs: 'coach_code', mdms: 'prs_coach_code' },
+  class: { prs: 'class', mdms: 'coach_class' },
+  berthNumber: { prs: 'berth_number', mdms: 'berth_no' },
+  berthType: { prs: 'berth_type', mdms: 'berth_qualifier' },
+  compositeFlag: { prs: 'composite_flag', mdms: 'composite_flag' }
+};
+
+const TABLE_COLUMNS = { prs: PRS_COLUMNS, mdms: MDMS_COLUMNS };
+
+// berth_type_mappings column holding each table's berth codes
+const MAPPED_BERTH_COLUMNS = { prs: 'prs_berth_type', mdms: 'mdms_berth_qualifier' };
+
+// Escapes that mean the same in JavaScript and PostgreSQL regular expressions.
+// Others differ (\b is a word boundary in JS but a backspace in PostgreSQL) or
+// exist in only one of them (\y, \A, \p{...}), as do named groups and lookbehinds.
+const SHARED_REGEX_ESCAPES = 'dDwWsSnt123456789';
+const SHARED_REGEX_GROUPS = ['(?:', '(?=', '(?!'];
+
+/**
+ * Find syntax in a pattern that PostgreSQL and JavaScript read differently,
+ * returning a description of the first such construct or null. Patterns are
+ * checked in JS but run with PostgreSQL's `~`, so they are limited to the
+ * syntax both share.
+ */
+export function findUnsharedRegexSyntax(pattern) {
+  let inBracket = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const next = pattern[i + 1];
+    if (char === '\\') {
+      if (/[a-zA-Z0-9]/.test(next ?? '') && !SHARED_REGEX_ESCAPES.includes(next)) return `escape \\${next}`;
+      // PostgreSQL rejects the negated classes inside brackets
+      if (inBracket && 'DSW'.includes(next)) return `escape \\${next} inside brackets`;
+      i++;
+    } else if (inBracket) {
+      if (char === '[' && [':', '.', '='].includes(next)) return `bracket expression [${next}`;
+      if (char === ']') inBracket = false;
+    } else if (char === '[') {
+      inBracket = true;
+      if (next === '^') i++;
+      // A leading ] is a literal in PostgreSQL but closes an empty class in JavaScript
+      if (pattern[i + 1] === ']') return 'a bracket expression starting with ]';
+    } else if (char === '(' && next === '?' && !SHARED_REGEX_GROUPS.includes(pattern.slice(i, i + 3))) {
+      return `group ${pattern.slice(i, i + 3)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a rule field to a column of the table, or null if the table has no such column
+ */
+function resolveColumn(table, field) {
+  if (RULE_FIELDS[field]) return RULE_FIELDS[field][table];
+  return TABLE_COLUMNS[table].includes(field) ? field : null;
+}
+
+/**
+ * Validate a list of rule definitions, returning error messages
+ */
+export function validateValidationRules(rules) {
+  if (!Array.isArray(rules)) return ['Validation rules must be a JSON array'];
+
+  const errors = [];
+  const ids = new Set();
+  rules.forEach((rule, i) => {
+    const where = rule?.id ? `rule ${rule.id}` : `rules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof rule.id !== 'string' || !/^[A-Z0-9_]+$/.test(rule.id)) {
+      errors.push(`${where}: id must be UPPER_SNAKE_CASE`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${where}: duplicate id`);
+    }
+    ids.add(rule.id);
+
+    if (!RULE_SEVERITIES.includes(rule.severity)) {
+      errors.push(`${where}: severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+    }
+    if (!Array.isArray(rule.tables) || rule.tables.length === 0 || rule.tables.some(t => !RULE_TABLES.includes(t))) {
+      errors.push(`${where}: tables must be a non-empty array of ${RULE_TABLES.join(', ')}`);
+      return;
+    }
+
+    const checkField = (field, label) => {
+      for (const table of rule.tables) {
+        if (typeof field !== 'string' || !resolveColumn(table, field)) {
+          errors.push(`${where}: ${label} '${field}' is not a field of ${table}`);
+        }
+      }
+    };
+
+    const check = rule.check || {};
+    if (!RULE_CHECK_TYPES.includes(check.type)) {
+      errors.push(`${where}: check.type must be one of ${RULE_CHECK_TYPES.join(', ')}`);
+    } else if (check.type === 'unique') {
+      if (!Array.isArray(check.fields) || check.fields.length === 0) {
+        errors.push(`${where}: unique checks need a non-empty fields array`);
+      } else {
+        check.fields.forEach(field => checkField(field, 'check field'));
+      }
+    } else {
+      checkField(check.field, 'check field');
+    }
+    if (check.type === 'allowedValues') {
+      if (check.includeMappedBerthTypes !== undefined && typeof check.includeMappedBerthTypes !== 'boolean') {
+        errors.push(`${where}: includeMappedBerthTypes must be a boolean`);
+      } else if (check.includeMappedBerthTypes && check.field !== 'berthType') {
+        errors.push(`${where}: includeMappedBerthTypes only applies to the berthType field`);
+      }
+      const values = check.values ?? (check.includeMappedBerthTypes ? [] : undefined);
+      if (!Array.isArray(values) || (values.length === 0 && !check.includeMappedBerthTypes)) {
+        errors.push(`${where}: allowedValues checks need a non-empty values array`);
+      }
+    }
+    if (check.type === 'range') {
+      const bounds = [check.min, check.max].filter(bound => bound !== undefined);
+      if (bounds.length === 0 || bounds.some(bound => typeof bound !== 'number')) {
+        errors.push(`${where}: range checks need a numeric min and/or max`);
+      }
+    }
+    if (check.type === 'pattern') {
+      let unshared = null;
+      try {
+        new RegExp(check.pattern);
+        unshared = findUnsharedRegexSyntax(check.pattern);
+      } catch {
+        errors.push(`${where}: pattern must be a valid regular expression`);
+      }
+      if (unshared) {
+        errors.push(`${where}: pattern uses ${unshared}, which PostgreSQL and JavaScript regular expressions read differently`);
+      }
+    }
+
+    if (rule.where !== undefined) {
+      checkField(rule.where.field, 'where field');
+      if (!Array.isArray(rule.where.in) || rule.where.in.length === 0) {
+        errors.push(`${where}: where.in must be a non-empty array`);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Compile one rule against one table into a parameterised SELECT returning the
+ * violating rows
+ */
+export function buildRuleQuery(rule, table) {
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const col = (field) => `r.${resolveColumn(table, field)}`;
+  const check = rule.check;
+  const conditions = [];
+
+  if (rule.where) {
+    conditions.push(`UPPER(TRIM(${col(rule.where.field)}::TEXT)) = ANY(${addParam(rule.where.in.map(v => String(v).toUpperCase()))}::text[])`);
+  }
+
+  let source = table;
+  let field = check.field;
+  switch (check.type) {
+    case 'notNull':
+      // Excel exports leave empty cells and the literal text NULL for missing values
+      conditions.push(`NULLIF(NULLIF(TRIM(${col(field)}::TEXT), ''), 'NULL') IS NULL`);
+      break;
+    case 'allowedValues':
+      conditions.push(`${col(field)} IS NOT NULL`);
+      conditions.push(`UPPER(TRIM(${col(field)}::TEXT)) <> ALL(${addParam((check.values ?? []).map(v => String(v).toUpperCase()))}::text[])`);
+      if (check.includeMappedBerthTypes) {
+        // Codes berth_type_mappings maps are known codes of their table too
+        conditions.push(`NOT EXISTS (
+    SELECT 1 FROM berth_type_mappings btm WHERE btm.${MAPPED_BERTH_COLUMNS[table]} = UPPER(TRIM(${col(field)}::TEXT))
+  )`);
+      }
+      break;
+    case 'range': {
+      const outside = [];
+      if (check.min !== undefined) outside.push(`${col(field)}::NUMERIC < ${addParam(check.min)}`);
+      if (check.max !== undefined) outside.push(`${col(field)}::NUMERIC > ${addParam(check.max)}`);
+      conditions.push(`${col(field)} IS NOT NULL`);
+      conditions.push(`(${outside.join(' OR ')})`);
+      break;
+    }
+    case 'pattern':
+      conditions.push(`${col(field)} IS NOT NULL`);
+      conditions.push(`${col(field)}::TEXT !~ ${addParam(check.pattern)}`);
+      break;
+    case 'unique': {
+      const columns = check.fields.map(f => resolveColumn(table, f));
+      source = `(SELECT t.*, COUNT(*) OVER (PARTITION BY ${columns.map(c => `t.${c}`).join(', ')}) as group_count FROM ${table} t)`;
+      conditions.push(`r.group_count > 1`);
+      field = check.fields[0];
+      break;
+    }
+  }
+
+  const sql = `
+SELECT
+  r.id as row_id,
+  r.serial_no,
+  r.${RULE_FIELDS.coachCode[table]} as coach_code,
+  r.${RULE_FIELDS.class[table]} as class,
+  r.${RULE_FIELDS.berthNumber[table]} as berth_number,
+  r.${RULE_FIELDS.berthType[table]} as berth_type,
+  ${col(field)}::TEXT as value
+FROM ${source} r
+WHERE ${conditions.join('\n  AND ')}
+ORDER BY r.serial_no, r.id`;
+
+  return { sql, params };
+}
+
+export class ValidationRuleService {
+
+  /**
+   * `executor` runs the SQL (defaults to the shared pool). A stateless service
+   * checks data outside the shared tables and caches only for its own lifetime,
+   * or under `cacheNamespace` for a stored dataset version.
+   */
+  constructor({ executor = query, stateless = false, cacheNamespace } = {}) {
+    this.executor = executor;
+    this.cacheOptions = stateless && !cacheNamespace ? { scope: new Map() } : { namespace: cacheNamespace };
+  }
+
+  /**
+   * Read and validate the rule definitions from database/config/validationRules.json
+   */
+  loadRules() {
+    let rules;
+    try {
+      rules = JSON.parse(fs.readFileSync(RULES_PATH, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read validation rules: ${error.message}`);
+    }
+    const errors = validateValidationRules(rules);
+    if (errors.length > 0) {
+      throw new Error(`Invalid validation rules: ${errors.join('; ')}`);
+    }
+    return rules.filter(rule => rule.enabled !== false);
+  }
+
+  mapViolationRow(rule, table, row) {
+    const field = rule.check.type === 'unique' ? rule.check.fields.join(', ') : rule.check.field;
+    return {
+      ruleId: rule.id,
+      severity: rule.severity,
+      table: table.toUpperCase(),
+      rowId: row.row_id,
+      serialNo: row.serial_no,
+      coachCode: row.coach_code,
+      class: row.class,
+      berthNumber: row.berth_number,
+      berthType: row.berth_type,
+      field,
+      value: row.value,
+      discrepancyType: 'RULE_VIOLATION',
+      details: `${rule.description} (${table.toUpperCase()} ${field} = ${row.value === null ? 'NULL' : `'${row.value}'`})`
+    };
+  }
+
+  /**
+   * Evaluate every enabled rule against prs and mdms. Results are cached until
+   * the data version or the rule file changes.
+   */
+  async findViolations() {
+    const rules = this.loadRules();
+    const rulesHash = crypto.createHash('md5').update(JSON.stringify(rules)).digest('hex').slice(0, 12);
+
+    const { value, cache } = await getOrCompute(`rule-violations:${rulesHash}`, async () => {
+      try {
+        console.log(`📏 Evaluating ${rules.length} validation rules...`);
+        const violations = [];
+        const byRule = [];
+
+        for (const rule of rules) {
+          let count = 0;
+          for (const table of rule.tables) {
+            const { sql, params } = buildRuleQuery(rule, table);
+            const result = await this.executor(sql, params);
+            violations.push(...result.rows.map(row => this.mapViolationRow(rule, table, row)));
+            count += result.rows.length;
+          }
+          byRule.push({ ruleId: rule.id, description: rule.description, severity: rule.severity, tables: rule.tables, count });
+        }
+
+        const bySeverity = Object.fromEntries(RULE_SEVERITIES.map(severity =>
+          [severity, violations.filter(v => v.severity === severity).length]
+        ));
+        console.log(`✅ Found ${violations.length} rule violations`);
+        return { rulesEvaluated: rules.length, totalViolations: violations.length, bySeverity, byRule, violations };
+      } catch (error) {
+        console.error('❌ Error evaluating validation rules:', error);
+        throw error;
+      }
+    }, this.cacheOptions);
+
+    return { ...value, cache };
+  }
+
+  /**
+   * Get rule violations filtered by severity, rule id or table (PRS or MDMS)
+   */
+  async getViolations({ severity, ruleId, table } = {}) {
+    const result = await this.findViolations();
+    const violations = result.violations.filter(v =>
+      (!severity || v.severity === severity)
+      && (!ruleId || v.ruleId === ruleId)
+      && (!table || v.table === table.toUpperCase())
+    );
+    return { ...result, count: violations.length, violations };
+  }
+}
@@ -0,0 +1,126 @@
+import { getPool } from '../../database/config/db.js';
+import {
+  extractSheetRows,
+  extractSourceRows,
+  findMappedSheet,
+  insertPrsMdmsRows
+} from '../../database/ingestion/prsMdmsExcelProcessor.js';
+import { DiscrepancyService } from './prsMdms.js';
+import { DEFAULT_MATCH_RULE } from './matchRules.js';
+
+// Uploaded workbooks are far larger than ordinary JSON request bodies
+export const WORKBOOK_UPLOAD_LIMIT = process.env.WORKBOOK_UPLOAD_LIMIT || '50mb';
+export const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Run `work` on a dedicated connection inside a transaction that is always
+ * rolled back. `setup` creates session tables named prs and mdms; PostgreSQL
+ * searches the session's temporary schema before public, so every unqualified
+ * query `work` runs reads them instead of the shared tables. Lookup tables
+ * such as berth_type_mappings and class_aliases still resolve to the shared ones.
+ */
+export async function runIsolated(setup, work) {
+  const client = await getPool().connect();
+  const executor = (sql, params = []) => client.query(sql, params);
+  try {
+    await client.query('BEGIN');
+    await setup(executor);
+    return await work(executor);
+  } finally {
+    try {
+      await client.query('ROLLBACK');
+      client.release();
+    } catch (error) {
+      // A connection that cannot roll back is not handed back to the pool
+      client.release(error);
+    }
+  }
+}
+
+/**
+ * Create empty temporary copies of prs and mdms for the current transaction
+ */
+export async function createTemporaryTables(executor) {
+  for (const table of ['prs', 'mdms']) {
+    await executor(`CREATE TEMP TABLE ${table} (LIKE public.${table} INCLUDING INDEXES) ON COMMIT DROP`);
+    // Own id sequence, so the shared table's sequence is never advanced
+    await executor(`ALTER TABLE pg_temp.${table} ALTER COLUMN id ADD GENERATED BY DEFAULT AS IDENTITY`);
+  }
+}
+
+/**
+ * Read the PRS and MDMS rows to compare with a column mapping profile, from
+ * the sheets of one source or of separate PRS and MDMS sources (as read by
+ * ingestionReaders.js). One source must have sheets matching the profile's PRS
+ * and MDMS sheet patterns; with two, a source without a matching sheet
+ * contributes its first sheet. Resolves to { sheets: { prs, mdms } } with each
+ * sheet's name, rows and validation issues, or { errors }.
+ */
+export function resolveComparisonSheets({ source, prsSource, mdmsSource }, profile) {
+  if (source) return extractSourceRows(source, profile);
+
+  const sheets = {};
+  const errors = [];
+  for (const [table, sourceSheets] of Object.entries({ prs: prsSource, mdms: mdmsSource })) {
+    const found = findMappedSheet(sourceSheets, table, profile, { fallbackToFirst: true });
+    const extracted = found.errors ? found : extractSheetRows(found.sheet, table, profile);
+    if (extracted.errors) errors.push(...extracted.errors);
+    else sheets[table] = { name: found.sheet.name, rows: extracted.rows, issues: extracted.issues };
+  }
+  return errors.length > 0 ? { errors } : { sheets };
+}
+
+// The session's results are private to one comparison, so their cache status says nothing
+const withoutCache = ({ cache, ...result }) => result;
+
+export class WorkbookComparisonService {
+
+  /**
+   * Run the discrepancy and duplicate analyses on two sheets' rows (as read by
+   * resolveComparisonSheets) without touching the shared prs and mdms tables.
+   * Results have the shapes of the /all endpoints; options.excel also writes
+   * both Excel reports to exports/.
+   */
+  async compareSheets(sheets, { matchRule = DEFAULT_MATCH_RULE, excel = true } = {}) {
+    const rows = { prs: sheets.prs.rows, mdms: sheets.mdms.rows };
+    console.log(`🧪 Comparing sheets '${sheets.prs.name}' (${rows.prs.length} PRS rows) and '${sheets.mdms.name}' (${rows.mdms.length} MDMS rows) in an isolated session...`);
+
+    try {
+      return await runIsolated(
+        async (executor) => {
+          await createTemporaryTables(executor);
+          await insertPrsMdmsRows(executor, rows);
+        },
+        async (executor) => {
+          const discrepancyService = new DiscrepancyService({ executor, stateless: true });
+          const discrepancies = withoutCache(await discrepancyService.findDiscrepancies({ matchRule }));
+          const duplicates = withoutCache(await discrepancyService.duplicateService.findDuplicates());
+
+          const reports = {};
+          if (excel) {
+            reports.discrepancyReport = await discrepancyService.exportDiscrepanciesToExcel(true, { matchRule });
+            reports.duplicateReport = await discrepancyService.duplicateService.exportDuplicatesToExcel();
+          }
+
+          console.log(`✅ Workbook comparison complete: ${discrepancies.totalDiscrepancies} discrepancies, ${duplicates.summary.totalDuplicateGroups} duplicate groups`);
+          return {
+            sources: {
+              prsSheet: sheets.prs.name,
+              mdmsSheet: sheets.mdms.name,
+              prsRows: rows.prs.length,
+              mdmsRows: rows.mdms.length,
+              // Rows rejected and cells coerced by the ingestion schema, as a seed would quarantine them
+              validationIssues: [...sheets.prs.issues, ...sheets.mdms.issues].map(({ rowValues, ...issue }) => issue)
+            },
+            discrepancies,
+            duplicates,
+            reports
+          };
+        }
+      );
+    } catch (error) {
+      console.error('❌ Error comparing workbooks:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,241 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MAPPINGS_PATH = path.join(__dirname, '../config/columnMappings.json');
+
+// Data columns of the prs and mdms tables, in table order
+export const PRS_MDMS_COLUMNS = {
+  prs: ['serial_no', 'coach_code', 'composite_flag', 'class', 'berth_number', 'berth_type'],
+  mdms: ['serial_no', 'layout_variant_no', 'composite_flag', 'coach_class_first', 'coach_class_second', 'prs_coach_code', 'coach_class', 'berth_no', 'berth_qualifier']
+};
+
+export const TABLE_LABELS = { prs: 'PRS', mdms: 'MDMS' };
+
+// The header row is looked for among a sheet's first rows, below any titles or blank lines
+export const HEADER_SEARCH_ROWS = 10;
+
+/**
+ * Normalise a header for matching, ignoring case, spacing and punctuation ('S. No.' → 'sno')
+ */
+export function normaliseHeader(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+const isPattern = (pattern) => {
+  try {
+    new RegExp(pattern, 'i');
+    return typeof pattern === 'string' && pattern.length > 0;
+  } catch {
+    return false;
+  }
+};
+
+// Column letter for a 1-based column number (28 → 'AB')
+const columnLetter = (number) => {
+  let letters = '';
+  for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+/**
+ * Map every accepted header of a sheet mapping, normalised, to its column.
+ * A column's own name is always accepted, so 'berth_no' also matches 'Berth No'.
+ */
+function buildHeaderLookup(sheetMapping) {
+  const lookup = new Map();
+  for (const [column, aliases] of Object.entries(sheetMapping.columns)) {
+    for (const alias of [column, ...aliases]) {
+      lookup.set(normaliseHeader(alias), column);
+    }
+  }
+  return lookup;
+}
+
+/**
+ * Validate the column mapping configuration, returning error messages
+ */
+export function validateColumnMappings(config) {
+  if (!config || typeof config !== 'object' || !Array.isArray(config.profiles) || config.profiles.length === 0) {
+    return ['Column mappings must be an object with a non-empty profiles array'];
+  }
+
+  const errors = [];
+  const names = new Set();
+  config.profiles.forEach((profile, i) => {
+    const where = profile?.name ? `profile ${profile.name}` : `profiles[${i}]`;
+    if (!profile || typeof profile !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof profile.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(profile.name)) {
+      errors.push(`${where}: name must contain only letters, digits, '-' and '_'`);
+    } else if (names.has(profile.name)) {
+      errors.push(`${where}: duplicate name`);
+    }
+    names.add(profile.name);
+    if (profile.filePattern !== undefined && !isPattern(profile.filePattern)) {
+      errors.push(`${where}: filePattern must be a regular expression`);
+    }
+
+    for (const table of Object.keys(PRS_MDMS_COLUMNS)) {
+      const sheet = profile.sheets?.[table];
+      const sheetWhere = `${where}, ${table} sheet`;
+      if (!sheet || typeof sheet !== 'object') {
+        errors.push(`${sheetWhere}: missing`);
+        continue;
+      }
+      if (!isPattern(sheet.sheetPattern)) {
+        errors.push(`${sheetWhere}: sheetPattern must be a regular expression`);
+      }
+      if (!sheet.columns || typeof sheet.columns !== 'object') {
+        errors.push(`${sheetWhere}: columns must map every table column to its header aliases`);
+        continue;
+      }
+
+      const missing = PRS_MDMS_COLUMNS[table].filter(column => !(column in sheet.columns));
+      if (missing.length > 0) errors.push(`${sheetWhere}: no headers for ${missing.join(', ')}`);
+      const unknown = Object.keys(sheet.columns).filter(column => !PRS_MDMS_COLUMNS[table].includes(column));
+      if (unknown.length > 0) errors.push(`${sheetWhere}: unknown columns ${unknown.join(', ')}`);
+
+      const claimed = new Map();
+      for (const [column, aliases] of Object.entries(sheet.columns)) {
+        if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !normaliseHeader(alias))) {
+          errors.push(`${sheetWhere}: headers of ${column} must be an array of non-empty strings`);
+          continue;
+        }
+        for (const alias of [column, ...aliases]) {
+          const owner = claimed.get(normaliseHeader(alias));
+          if (owner && owner !== column) errors.push(`${sheetWhere}: header '${alias}' is used by both ${owner} and ${column}`);
+          claimed.set(normaliseHeader(alias), column);
+        }
+      }
+
+      for (const field of ['optional', 'ignoreHeaders']) {
+        if (sheet[field] !== undefined && (!Array.isArray(sheet[field]) || sheet[field].some(value => typeof value !== 'string'))) {
+          errors.push(`${sheetWhere}: ${field} must be an array of strings`);
+        }
+      }
+      const badOptional = (sheet.optional || []).filter(column => !PRS_MDMS_COLUMNS[table].includes(column));
+      if (badOptional.length > 0) errors.push(`${sheetWhere}: unknown optional columns ${badOptional.join(', ')}`);
+    }
+  });
+
+  if (!names.has(config.defaultProfile)) {
+    errors.push('defaultProfile must name one of the profiles');
+  }
+  return errors;
+}
+
+/**
+ * Read and validate the mapping profiles from database/config/columnMappings.json
+ */
+export function loadColumnMappings() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(MAPPINGS_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read column mappings: ${error.message}`);
+  }
+  const errors = validateColumnMappings(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid column mappings: ${errors.join('; ')}`);
+  }
+  return config;
+}
+
+/**
+ * Pick the mapping profile for a file: the profile named by `profile`, else
+ * the first whose filePattern matches the file name, else the default
+ * profile. Resolves to { profile } or { errors } for an unknown name.
+ */
+export function resolveMappingProfile({ profile, fileName } = {}, config = loadColumnMappings()) {
+  if (profile !== undefined && profile !== null) {
+    const named = config.profiles.find(candidate => candidate.name === profile);
+    return named
+      ? { profile: named }
+      : { errors: [`Unknown mapping profile '${profile}' (profiles: ${config.profiles.map(p => p.name).join(', ')})`] };
+  }
+
+  const baseName = fileName ? path.basename(fileName) : null;
+  const matched = baseName && config.profiles.find(candidate => candidate.filePattern && new RegExp(candidate.filePattern, 'i').test(baseName));
+  return { profile: matched || config.profiles.find(candidate => candidate.name === config.defaultProfile) };
+}
+
+/**
+ * Locate the header row among `rawRows` ({ rowNumber, cells }, cells in column
+ * order) and map its headers to table columns. The table's headers run from
+ * the first filled cell to the next empty one; notes beyond a blank column are
+ * not part of it. Resolves to { headerRowNumber, columns } (column → cell
+ * index) or { errors } naming missing, unknown or repeated headers.
+ */
+export function mapHeaderRow(rawRows, table, profile, sourceName) {
+  const sheetMapping = profile.sheets[table];
+  const lookup = buildHeaderLookup(sheetMapping);
+  const ignored = new Set((sheetMapping.ignoreHeaders || []).map(normaliseHeader));
+  const where = `${TABLE_LABELS[table]} sheet '${sourceName}' (mapping profile '${profile.name}')`;
+
+  let best = null;
+  for (const { rowNumber, cells } of rawRows.slice(0, HEADER_SEARCH_ROWS)) {
+    const start = cells.findIndex(cell => normaliseHeader(cell));
+    if (start === -1) continue;
+    let end = start;
+    while (end < cells.length && normaliseHeader(cells[end])) end++;
+
+    const headers = cells.slice(start, end).map((text, i) => ({ text: String(text).trim(), index: start + i }));
+    const known = headers.filter(header => lookup.has(normaliseHeader(header.text))).length;
+    if (known > 0 && (!best || known > best.known)) best = { rowNumber, headers, known };
+  }
+  if (!best) {
+    return { errors: [`${where}: no header row found in the first ${HEADER_SEARCH_ROWS} rows`] };
+  }
+
+  const errors = [];
+  const columns = {};
+  for (const { text, index } of best.headers) {
+    const column = lookup.get(normaliseHeader(text));
+    const cell = `column ${columnLetter(index + 1)}`;
+    if (!column) {
+      if (!ignored.has(normaliseHeader(text))) errors.push(`${where}: unknown header '${text}' in ${cell}`);
+    } else if (column in columns) {
+      errors.push(`${where}: headers '${best.headers.find(h => h.index === columns[column]).text}' and '${text}' (${cell}) both map to ${column}`);
+    } else {
+      columns[column] = index;
+    }
+  }
+
+  const optional = new Set(sheetMapping.optional || []);
+  for (const column of PRS_MDMS_COLUMNS[table]) {
+    if (column in columns || optional.has(column)) continue;
+    const expected = sheetMapping.columns[column].length > 0 ? sheetMapping.columns[column] : [column];
+    errors.push(`${where}: missing column ${column} (expected a header such as ${expected.map(alias => `'${alias}'`).join(', ')})`);
+  }
+
+  return errors.length > 0 ? { errors } : { headerRowNumber: best.rowNumber, columns };
+}
+
+/**
+ * Turn raw rows into rows keyed by table column, using the header row found by
+ * mapHeaderRow. Rows with nothing in the table's columns (blank lines, notes
+ * beside the table) are skipped; every other row is kept with its row number
+ * for validation. Resolves to { rows: [{ rowNumber, values }] } or { errors }.
+ */
+export function mapRawRows(rawRows, table, profile, sourceName) {
+  const header = mapHeaderRow(rawRows, table, profile, sourceName);
+  if (header.errors) return header;
+
+  const rows = [];
+  for (const { rowNumber, cells } of rawRows) {
+    if (rowNumber <= header.headerRowNumber) continue;
+    const values = Object.fromEntries(PRS_MDMS_COLUMNS[table].map(column => [
+      column,
+      column in header.columns ? cells[header.columns[column]] ?? null : null
+    ]));
+    if (Object.values(values).every(value => value === null || String(value).trim() === '')) continue;
+    rows.push({ rowNumber, values });
+  }
+  return { rows };
+}
@@ -0,0 +1,214 @@
+import ExcelJS from 'exceljs';
+import fs from 'fs';
+import path from 'path';
+
+// Ingestion sources are read into sheets: { name, rawRows: [{ rowNumber, cells }] }
+// with cells in column order. Sheets are then matched to PRS and MDMS by the
+// sheet patterns of a column mapping profile and read by header, whatever the
+// file type they came from.
+
+/**
+ * Load a workbook from a file path or an in-memory buffer (e.g. an upload)
+ */
+export async function loadWorkbook(source) {
+  const workbook = new ExcelJS.Workbook();
+  if (Buffer.isBuffer(source)) {
+    await workbook.xlsx.load(source);
+  } else {
+    if (!fs.existsSync(source)) throw new Error(`File not found: ${source}`);
+    await workbook.xlsx.readFile(source);
+  }
+  return workbook;
+}
+
+/**
+ * Plain value of an ExcelJS cell: the text of rich text and hyperlinks, the result of formulas
+ */
+function cellValue(value) {
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return value.result;
+  if ('text' in value) return value.text;
+  return value;
+}
+
+/**
+ * Read every worksheet of a loaded workbook into a sheet
+ */
+export function readWorkbookSheets(workbook) {
+  return workbook.worksheets.map(worksheet => {
+    const rawRows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      // row.values is 1-based and sparse; cells are 0-based with empty cells as undefined
+      rawRows.push({ rowNumber, cells: Array.from(row.values.slice(1), cellValue) });
+    });
+    return { name: worksheet.name, rawRows };
+  });
+}
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+// Lines (and characters) of a CSV file sampled to detect its delimiter
+const DELIMITER_SAMPLE_LINES = 10;
+const DELIMITER_SAMPLE_LENGTH = 65536;
+
+/**
+ * Pick the CSV delimiter from the first lines, outside quotes: the one that
+ * splits the most lines into as many cells as the header, then the one used
+ * most. A single line can mislead, e.g. a header without any delimiter-like
+ * character in its titles but commas in its values.
+ */
+function detectDelimiter(text) {
+  // Quoted values may hold delimiters and line breaks, so they are dropped first
+  const lines = text.slice(0, DELIMITER_SAMPLE_LENGTH)
+    .replace(/"(?:[^"]|"")*"?/g, '')
+    .split(/\r?\n|\r/)
+    .filter(line => line.trim() !== '')
+    .slice(0, DELIMITER_SAMPLE_LINES);
+
+  const scores = CSV_DELIMITERS.map(delimiter => {
+    const counts = lines.map(line => line.split(delimiter).length - 1);
+    return {
+      delimiter,
+      consistentLines: counts.filter(count => count > 0 && count === counts[0]).length,
+      total: counts.reduce((sum, count) => sum + count, 0)
+    };
+  });
+  return scores.reduce((best, candidate) => (
+    candidate.consistentLines > best.consistentLines ||
+    (candidate.consistentLines === best.consistentLines && candidate.total > best.total) ? candidate : best
+  )).delimiter;
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting, CRLF or LF line ends).
+ * Empty cells are null, like empty Excel cells.
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell === '' ? null : cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some(value => value !== null)) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted value');
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+const numberRows = (rows) => rows.map((cells, i) => ({ rowNumber: i + 1, cells }));
+
+/**
+ * Turn JSON records into raw rows: a header row of the record keys (in order
+ * of first appearance) followed by one row per record. Arrays of arrays are
+ * taken as rows already, headers first.
+ */
+function recordsToRawRows(records, where) {
+  if (!Array.isArray(records)) throw new Error(`${where} must be an array of records`);
+  if (records.every(Array.isArray)) return numberRows(records);
+  if (!records.every(record => record && typeof record === 'object' && !Array.isArray(record))) {
+    throw new Error(`${where} must contain only objects, or only arrays`);
+  }
+
+  const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return numberRows([headers, ...records.map(record => headers.map(header => record[header] ?? null))]);
+}
+
+const stemOf = (filePath) => path.basename(filePath, path.extname(filePath));
+
+/**
+ * Readers by file type. Each reads a file into sheets; a new file type only
+ * needs an entry here with its extensions.
+ */
+export const INGESTION_READERS = {
+  excel: {
+    // ExcelJS only reads the OOXML format, so legacy .xls workbooks are rejected by readSourceSheets
+    extensions: ['.xlsx'],
+    // Each worksheet is a sheet
+    read: async (filePath) => readWorkbookSheets(await loadWorkbook(filePath))
+  },
+  csv: {
+    extensions: ['.csv'],
+    // One table per file, so the file name (e.g. PRS.csv) is the sheet name
+    read: async (filePath) => [{ name: stemOf(filePath), rawRows: numberRows(parseCsv(await fs.promises.readFile(filePath, 'utf8'))) }]
+  },
+  json: {
+    extensions: ['.json'],
+    // { "PRS": [...], "MDMS": [...] } holds one sheet per key; a bare array is named after the file
+    read: async (filePath) => {
+      const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      if (Array.isArray(data)) return [{ name: stemOf(filePath), rawRows: recordsToRawRows(data, path.basename(filePath)) }];
+      if (!data || typeof data !== 'object') throw new Error(`${path.basename(filePath)} must hold an array of records or an object of record arrays`);
+      return Object.entries(data).map(([name, records]) => ({ name, rawRows: recordsToRawRows(records, `${path.basename(filePath)}: ${name}`) }));
+    }
+  }
+};
+
+// File names any reader accepts, e.g. for the smart seeder's watcher
+export const INGESTION_FILE_PATTERN = new RegExp(
+  `(${Object.values(INGESTION_READERS).flatMap(reader => reader.extensions).map(ext => ext.replace('.', '\\.')).join('|')})$`,
+  'i'
+);
+
+/**
+ * Name of the reader for a file, by its extension, or null if none reads it
+ */
+export function detectFileType(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const entry = Object.entries(INGESTION_READERS).find(([, reader]) => reader.extensions.includes(extension));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Read ingestion files of any supported type into one list of sheets
+ */
+export async function readSourceSheets(filePaths) {
+  const sheets = [];
+  for (const filePath of filePaths) {
+    const fileType = detectFileType(filePath);
+    if (path.extname(filePath).toLowerCase() === '.xls') {
+      throw new Error(`${path.basename(filePath)} is a legacy .xls workbook, which cannot be read; save it as .xlsx`);
+    }
+    if (!fileType) throw new Error(`No ingestion reader for ${path.basename(filePath)}`);
+    if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
+
+    try {
+      sheets.push(...await INGESTION_READERS[fileType].read(filePath));
+    } catch (error) {
+      throw new Error(`Could not read ${path.basename(filePath)} as ${fileType}: ${error.message}`);
+    }
+  }
+  return sheets;
+}
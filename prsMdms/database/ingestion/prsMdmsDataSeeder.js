@@ -1,5 +1,7 @@
 import { initDb } from '../config/db.js';
 import { parseAndInsertExcel } from './prsMdmsExcelProcessor.js';
+import { detectFileType, INGESTION_READERS } from './ingestionReaders.js';
+import { bumpDataVersion } from '../../backend/services/analysisCache.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
@@ -32,27 +34,48 @@ console.log(__dirname);
       process.exit(1);
     }
 
-    // Use relative path from project root or make it configurable
-    const filePath = process.env.EXCEL_FILE_PATH ||
-      path.resolve(process.cwd(), 'database/excel/MDMS_PRS_Differences_BerthQualifier.xlsx');;
+    // Files to ingest: positional arguments (e.g. PRS.csv MDMS.csv, as the smart
+    // seeder passes them), else EXCEL_FILE_PATH, else the bundled workbook
+    const valueFlags = ['--dataset', '--profile'];
+    const fileArgs = process.argv.slice(2).filter((arg, i, args) => !arg.startsWith('--') && !valueFlags.includes(args[i - 1]));
+    const filePaths = fileArgs.length > 0
+      ? fileArgs.map(file => path.resolve(file))
+      : [process.env.EXCEL_FILE_PATH ||
+        path.resolve(process.cwd(), 'database/excel/MDMS_PRS_Differences_BerthQualifier.xlsx')];
 
-    // Check if file exists before proceeding
-    if (!fs.existsSync(filePath)) {
-      console.error('❌ Excel file not found at:', filePath);
-      console.log('💡 Please ensure the Excel file exists at the specified path.');
-      console.log('💡 You can also set EXCEL_FILE_PATH environment variable to specify a different path.');
-      process.exit(1);
+    // Check the files exist and can be read before proceeding
+    for (const filePath of filePaths) {
+      if (!fs.existsSync(filePath)) {
+        console.error('❌ Ingestion file not found at:', filePath);
+        console.log('💡 Please ensure the file exists at the specified path.');
+        console.log('💡 You can also pass file paths as arguments or set EXCEL_FILE_PATH to specify a different path.');
+        process.exit(1);
+      }
+      if (!detectFileType(filePath)) {
+        console.error('❌ Unsupported ingestion file:', filePath);
+        console.log(`💡 Supported file types: ${Object.values(INGESTION_READERS).flatMap(reader => reader.extensions).join(', ')}`);
+        process.exit(1);
+      }
     }
 
-    console.log('📁 Using Excel file:', filePath);
+    console.log('📁 Using ingestion files:', filePaths.join(', '));
     console.log('🔧 Creating/updating database tables...');
 
     // Initialize database (create tables if they don't exist)
     await initDb();
     console.log('✅ Database tables ready.');
 
-    console.log('📊 Parsing Excel file and inserting data...');
-    await parseAndInsertExcel(filePath);
+    // Every seed is kept as a dataset version; --dataset <name> names it
+    const datasetFlag = process.argv.indexOf('--dataset');
+    const datasetName = datasetFlag > -1 ? process.argv[datasetFlag + 1] : undefined;
+    // --profile <name> picks the column mapping profile, otherwise it is chosen by file name
+    const profileFlag = process.argv.indexOf('--profile');
+    const profile = profileFlag > -1 ? process.argv[profileFlag + 1] : undefined;
+
+    console.log('📊 Parsing ingestion files and inserting data...');
+    await parseAndInsertExcel(filePaths, { datasetName, profile });
+    // Cached analyses of the old rows (in a running API too) are stale now
+    await bumpDataVersion('seed');
 
     console.log('🎉 Data seeding completed successfully!');
     console.log('💾 PRS and MDMS data has been imported into the database.');
@@ -1,146 +1,225 @@
-import ExcelJS from 'exceljs';
-import fs from 'fs';
-import { query } from '../config/db.js';
+import path from 'path';
+import { getPool } from '../config/db.js';
+import { PRS_MDMS_COLUMNS, TABLE_LABELS, mapRawRows, resolveMappingProfile } from './columnMappings.js';
+import { readSourceSheets } from './ingestionReaders.js';
+import { loadIngestionSchema, validateRows } from './rowValidation.js';
 
-function cleanTextData(value) {
-  return typeof value === 'string' ? value.trim() : value;
+export { PRS_MDMS_COLUMNS };
+
+// Unnamed seed versions kept (at least the newest); named and manually stored versions are never pruned
+const retention = Number.parseInt(process.env.DATASET_RETENTION, 10);
+export const DATASET_RETENTION = Number.isInteger(retention) && retention > 0 ? retention : 10;
+
+function chunkArray(array, size) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+  return chunks;
 }
 
-function cleanRowData(row) {
-  const cleaned = {};
-  for (const key in row) {
-    cleaned[key] = cleanTextData(row[key]);
+/**
+ * Find the sheet holding a table's rows among the sheets read from the
+ * ingestion files, by the sheet name pattern of a mapping profile. With
+ * fallbackToFirst, sources without a matching sheet (e.g. a PRS-only workbook)
+ * contribute their first sheet. Resolves to { sheet } or { errors }.
+ */
+export function findMappedSheet(sheets, table, profile, { fallbackToFirst = false } = {}) {
+  const { sheetPattern } = profile.sheets[table];
+  const pattern = new RegExp(sheetPattern, 'i');
+  const matches = sheets.filter(sheet => pattern.test(sheet.name));
+  const sheetNames = sheets.map(sheet => `'${sheet.name}'`).join(', ') || 'none';
+
+  if (matches.length === 1) return { sheet: matches[0] };
+  if (matches.length > 1) {
+    return { errors: [`Several sheets match the ${TABLE_LABELS[table]} sheet pattern /${sheetPattern}/ of mapping profile '${profile.name}': ${matches.map(sheet => `'${sheet.name}'`).join(', ')}`] };
   }
-  return cleaned;
+  if (fallbackToFirst && sheets.length > 0) return { sheet: sheets[0] };
+  return { errors: [`No sheet matches the ${TABLE_LABELS[table]} sheet pattern /${sheetPattern}/ of mapping profile '${profile.name}' (sheets: ${sheetNames})`] };
 }
 
-function parseBoolean(val) {
-  if (typeof val === 'boolean') return val;
-  if (typeof val === 'string') {
-    const v = val.trim().toLowerCase();
-    return ['y', 'yes', 'true', '1'].includes(v);
+/**
+ * Read a table's rows from a sheet, locating columns by header with a mapping
+ * profile and validating every row against the ingestion schema. Resolves to
+ * { rows, issues } (rows keyed by table column, issues for the quarantine), or
+ * { errors } when the sheet does not fit the profile.
+ */
+export function extractSheetRows(sheet, table, profile, schema = loadIngestionSchema()) {
+  const mapped = mapRawRows(sheet.rawRows, table, profile, sheet.name);
+  if (mapped.errors) return mapped;
+  return validateRows(mapped.rows, table, schema, sheet.name);
+}
+
+/**
+ * Read the PRS and MDMS rows of the sheets read from the ingestion files with
+ * a mapping profile. Resolves to { sheets: { prs, mdms } } with each sheet's
+ * name, rows and validation issues, or { errors }.
+ */
+export function extractSourceRows(sourceSheets, profile, schema = loadIngestionSchema()) {
+  const sheets = {};
+  const errors = [];
+  for (const table of Object.keys(TABLE_LABELS)) {
+    const found = findMappedSheet(sourceSheets, table, profile);
+    const extracted = found.errors ? found : extractSheetRows(found.sheet, table, profile, schema);
+    if (extracted.errors) errors.push(...extracted.errors);
+    else sheets[table] = { name: found.sheet.name, rows: extracted.rows, issues: extracted.issues };
   }
-  return !!val;
+  return errors.length > 0 ? { errors } : { sheets };
 }
 
-function chunkArray(array, size) {
-  const chunks = [];
-  for (let i = 0; i < array.length; i += size) {
-    chunks.push(array.slice(i, i + size));
+/**
+ * Insert extracted PRS and MDMS rows in chunks. Rows are already converted to
+ * column types by validateRows. `executor` runs each INSERT, so callers choose
+ * the connection (and with it whether prs/mdms are the shared tables or a
+ * session's temporary copies).
+ */
+export async function insertPrsMdmsRows(executor, { prs: PRS, mdms: MDMS }) {
+  const insertChunked = async (rows, table, chunkSize = 500) => {
+    const columns = PRS_MDMS_COLUMNS[table];
+    const chunks = chunkArray(rows, chunkSize);
+    for (const [i, chunk] of chunks.entries()) {
+      const values = [];
+      const placeholders = chunk.map((row, rowIndex) => {
+        const rowData = columns.map(column => row[column] ?? null);
+        values.push(...rowData);
+        const offset = rowIndex * rowData.length;
+        return `(${rowData.map((_, j) => `$${offset + j + 1}`).join(', ')})`;
+      });
+
+      const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders.join(', ')}`;
+      await executor(sql, values);
+      console.log(`✅ Inserted chunk ${i + 1}/${chunks.length} into ${table}`);
+    }
+  };
+
+  await insertChunked(PRS, 'prs');
+  await insertChunked(MDMS, 'mdms');
+}
+
+/**
+ * Store the current prs and mdms rows as a new dataset version, returning its
+ * datasets row. Row ids are kept, so a version's rows can be traced back.
+ */
+export async function recordDataset(executor, { name = null, description = null, sourceFile = null } = {}) {
+  const result = await executor(`
+    INSERT INTO datasets (name, description, source_file, prs_row_count, mdms_row_count)
+    VALUES ($1, $2, $3, (SELECT COUNT(*) FROM prs), (SELECT COUNT(*) FROM mdms))
+    RETURNING *
+  `, [name, description, sourceFile]);
+  const dataset = result.rows[0];
+
+  for (const table of ['prs', 'mdms']) {
+    const columns = ['id', ...PRS_MDMS_COLUMNS[table]].join(', ');
+    await executor(`INSERT INTO dataset_${table} (dataset_id, ${columns}) SELECT $1, ${columns} FROM ${table}`, [dataset.id]);
   }
-  return chunks;
+
+  console.log(`🗂️ Stored dataset version ${dataset.id}${dataset.name ? ` (${dataset.name})` : ''}: ${dataset.prs_row_count} PRS rows, ${dataset.mdms_row_count} MDMS rows`);
+  return dataset;
+}
+
+/**
+ * Delete the unnamed dataset versions ingestions created beyond the newest
+ * `keep`, with their rows and quarantine. Named versions and those stored
+ * from the current tables (no source file) are kept until deleted by hand.
+ * Resolves to the ids deleted.
+ */
+export async function pruneSeedDatasets(executor, keep = DATASET_RETENTION) {
+  const result = await executor(`
+    DELETE FROM datasets WHERE id IN (
+      SELECT id FROM datasets
+      WHERE name IS NULL AND source_file IS NOT NULL
+      ORDER BY id DESC
+      OFFSET $1
+    )
+    RETURNING id
+  `, [keep]);
+  const ids = result.rows.map(row => row.id);
+  if (ids.length > 0) console.log(`🧹 Pruned ${ids.length} old seed dataset versions (keeping ${keep}): ${ids.join(', ')}`);
+  return ids;
 }
 
-export async function parseAndInsertExcel(filePath) {
+/**
+ * Quarantine the rows and cells an ingestion rejected or coerced (issues from
+ * validateRows), under the dataset version the ingestion created
+ */
+export async function recordIngestionIssues(executor, datasetId, issues) {
+  for (const chunk of chunkArray(issues, 1000)) {
+    await executor(`
+      INSERT INTO ingestion_quarantine (dataset_id, table_name, sheet_name, row_number, column_name, raw_value, action, reason, row_values)
+      SELECT $1, q.table_name, q.sheet_name, q.row_number, q.column_name, q.raw_value, q.action, q.reason, q.row_values
+      FROM jsonb_to_recordset($2::jsonb) AS q(table_name TEXT, sheet_name TEXT, row_number INT, column_name TEXT,
+        raw_value TEXT, action TEXT, reason TEXT, row_values JSONB)
+    `, [datasetId, JSON.stringify(chunk.map(issue => ({
+      table_name: issue.table,
+      sheet_name: issue.sheet,
+      row_number: issue.rowNumber,
+      column_name: issue.column,
+      raw_value: issue.value,
+      action: issue.action,
+      reason: issue.reason,
+      row_values: issue.rowValues
+    })))]);
+  }
+}
+
+/**
+ * Replace the prs and mdms tables with the PRS and MDMS sheets of one or more
+ * ingestion files (Excel workbooks, CSV files or JSON; see ingestionReaders.js)
+ * and keep the rows as a new dataset version (options.datasetName names it).
+ * Columns are read by header with the mapping profile named by options.profile,
+ * or the one selected for the (first) file name; files that do not fit it are
+ * rejected before any row is replaced. Rows are validated against the
+ * ingestion schema: rejected rows and coerced cells are kept in the
+ * ingestion_quarantine table under the new dataset version, which is returned.
+ * Unnamed seed versions beyond DATASET_RETENTION are pruned. Everything runs
+ * in one transaction, so a failed ingestion leaves the tables untouched.
+ */
+export async function parseAndInsertExcel(filePaths, { datasetName = null, profile: profileName } = {}) {
+  const files = [].concat(filePaths);
+  const sourceFile = files.map(file => path.basename(file)).join(', ');
   try {
-    console.log(`📖 Reading Excel file: ${filePath}`);
-    if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
+    console.log(`📖 Reading ingestion file${files.length > 1 ? 's' : ''}: ${files.join(', ')}`);
+    const sourceSheets = await readSourceSheets(files);
 
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.readFile(filePath);
+    const { profile, errors: profileErrors } = resolveMappingProfile({ profile: profileName, fileName: files[0] });
+    if (profileErrors) throw new Error(profileErrors.join('; '));
+    const { sheets, errors } = extractSourceRows(sourceSheets, profile);
+    if (errors) throw new Error(`${sourceFile} does not match mapping profile '${profile.name}': ${errors.join('; ')}`);
+    console.log(`🗺️ Mapping profile '${profile.name}': PRS sheet '${sheets.prs.name}', MDMS sheet '${sheets.mdms.name}'`);
 
-    await query('BEGIN');
+    const client = await getPool().connect();
+    const run = (text, values) => client.query(text, values);
     try {
-      await query('DELETE FROM prs');
-      await query('DELETE FROM mdms');
-
-      const prsSheet = workbook.getWorksheet('PRS');
-      const mdmsSheet = workbook.getWorksheet('MDMS');
-      if (!prsSheet || !mdmsSheet) throw new Error('Missing PRS or MDMS sheet');
-
-      const PRS = [];
-      prsSheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
-        if (rowNumber === 1) return;
-        const r = row.values;
-        if (!r[1] || isNaN(Number(r[1]))) return;
-        PRS.push({
-          'S. No.': r[1],
-          'Coach Code': r[2],
-          'Composite Flag': r[3],
-          'Class': r[4],
-          'Berth Number': r[5],
-          'Berth Type': r[6],
-        });
-      });
-
-      const MDMS = [];
-      mdmsSheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
-        if (rowNumber === 1) return;
-        const r = row.values;
-        if (!r[1] || isNaN(Number(r[1]))) return;
-        MDMS.push({
-          'S. No.': r[1],
-          'layout_variant_no': r[2],
-          'composite_flag': r[3],
-          'coach_class_first': r[4],
-          'coach_class_second': r[5],
-          'prs_coach_code': r[6],
-          'coach_class': r[7],
-          'berth_no': r[8],
-          'berth_qualifier': r[9],
-        });
-      });
+      await run('BEGIN');
+      await run('DELETE FROM prs');
+      await run('DELETE FROM mdms');
 
+      const PRS = sheets.prs.rows;
+      const MDMS = sheets.mdms.rows;
       console.log(`🔢 PRS rows: ${PRS.length}, MDMS rows: ${MDMS.length}`);
 
-      const insertChunked = async (rows, table, columns, formatter, chunkSize = 500) => {
-        const chunks = chunkArray(rows, chunkSize);
-        for (const [i, chunk] of chunks.entries()) {
-          const values = [];
-          const placeholders = chunk.map((row, rowIndex) => {
-            const rowData = formatter(cleanRowData(row));
-            values.push(...rowData);
-            const offset = rowIndex * rowData.length;
-            return `(${rowData.map((_, j) => `$${offset + j + 1}`).join(', ')})`;
-          });
-
-          const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders.join(', ')}`;
-          await query(sql, values);
-          console.log(`✅ Inserted chunk ${i + 1}/${chunks.length} into ${table}`);
-        }
-      };
-
-      await insertChunked(
-        PRS,
-        'prs',
-        ['serial_no', 'coach_code', 'composite_flag', 'class', 'berth_number', 'berth_type'],
-        (row) => [
-          Number(row['S. No.']),
-          row['Coach Code'],
-          parseBoolean(row['Composite Flag']),
-          row['Class'],
-          row['Berth Number'] && !isNaN(row['Berth Number']) ? Number(row['Berth Number']) : null,
-          row['Berth Type']
-        ]
-      );
-
-      await insertChunked(
-        MDMS,
-        'mdms',
-        ['serial_no', 'layout_variant_no', 'composite_flag', 'coach_class_first', 'coach_class_second', 'prs_coach_code', 'coach_class', 'berth_no', 'berth_qualifier'],
-        (row) => [
-          Number(row['S. No.']),
-          row['layout_variant_no'],
-          parseBoolean(row['composite_flag']),
-          row['coach_class_first'],
-          row['coach_class_second'],
-          row['prs_coach_code'],
-          row['coach_class'],
-          row['berth_no'] && !isNaN(row['berth_no']) ? Number(row['berth_no']) : null,
-          row['berth_qualifier']
-        ]
-      );
-
-      await query('COMMIT');
+      await insertPrsMdmsRows(run, { prs: PRS, mdms: MDMS });
+      const dataset = await recordDataset(run, { name: datasetName, sourceFile });
+      const issues = [...sheets.prs.issues, ...sheets.mdms.issues];
+      await recordIngestionIssues(run, dataset.id, issues);
+      await pruneSeedDatasets(run);
+
+      await run('COMMIT');
       console.log('🎉 All records inserted in chunks successfully!');
+      if (issues.length > 0) {
+        console.log(`🚫 ${issues.length} rejected or coerced cells quarantined, see GET /api/datasets/${dataset.id}/ingestion-report`);
+      }
+      return dataset;
     } catch (err) {
-      await query('ROLLBACK');
+      await run('ROLLBACK');
       console.error('❌ Insert failed. Rolled back.', err);
       throw err;
+    } finally {
+      client.release();
     }
 
   } catch (err) {
-    console.error('❌ Excel parse & insert failed:', err);
+    console.error('❌ Ingestion parse & insert failed:', err);
     throw err;
   }
 }
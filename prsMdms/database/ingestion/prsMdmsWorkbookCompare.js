@@ -0,0 +1,106 @@
+import { initDb, closeDb } from '../config/db.js';
+import { readSourceSheets } from './ingestionReaders.js';
+import { resolveMappingProfile } from './columnMappings.js';
+import { WorkbookComparisonService, resolveComparisonSheets } from '../../backend/services/workbookComparison.js';
+import { MatchRuleService, DEFAULT_MATCH_RULE } from '../../backend/services/matchRules.js';
+import path from 'path';
+import fs from 'fs';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run compare -- <workbook.xlsx> [options]             (workbook with PRS and MDMS sheets)
+  npm run compare -- <prs.xlsx> <mdms.xlsx> [options]      (PRS and MDMS in separate workbooks)
+
+Each file may also be a .csv file or a .json file of records.
+
+Options:
+  --rule <name>     Match rule to compare with (default: default)
+  --profile <name>  Column mapping profile (default: picked by file name, else the default profile)
+  --json <file>     Write the full JSON result to a file
+  --no-excel        Skip the Excel reports
+
+The shared prs and mdms tables are never modified.`;
+
+/**
+ * Parse the command line into { files, rule, json, excel } or { errors }
+ */
+function parseArgs(argv) {
+  const options = { files: [], rule: null, profile: null, json: null, excel: true };
+  const errors = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--rule' || arg === '--profile' || arg === '--json') {
+      if (!argv[i + 1]) errors.push(`${arg} needs a value`);
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg === '--no-excel') {
+      options.excel = false;
+    } else if (arg.startsWith('--')) {
+      errors.push(`Unknown option ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  if (options.files.length < 1 || options.files.length > 2) {
+    errors.push('Pass one workbook with PRS and MDMS sheets, or a PRS and an MDMS workbook');
+  }
+  return errors.length > 0 ? { errors } : options;
+}
+
+(async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.errors) {
+    options.errors.forEach(error => console.error(`❌ ${error}`));
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    console.log('🚀 Starting stateless workbook comparison...');
+    await initDb();
+
+    const matchRule = options.rule ? await new MatchRuleService().getRule(options.rule) : DEFAULT_MATCH_RULE;
+    if (!matchRule) throw new Error(`Unknown match rule '${options.rule}'`);
+
+    const { profile, errors: profileErrors } = resolveMappingProfile({ profile: options.profile, fileName: options.files[0] });
+    if (profileErrors) throw new Error(profileErrors.join('; '));
+
+    const [first, second] = await Promise.all(options.files.map(file => readSourceSheets([path.resolve(file)])));
+    const { sheets, errors } = resolveComparisonSheets(second
+      ? { prsSource: first, mdmsSource: second }
+      : { source: first }, profile);
+    if (errors) throw new Error(errors.join('; '));
+
+    const result = await new WorkbookComparisonService().compareSheets(sheets, { matchRule, excel: options.excel });
+
+    console.log(`\n📋 Match rule: ${result.discrepancies.matchRule}, mapping profile: ${profile.name}`);
+    console.log(`📄 PRS sheet '${result.sources.prsSheet}': ${result.sources.prsRows} rows`);
+    console.log(`📄 MDMS sheet '${result.sources.mdmsSheet}': ${result.sources.mdmsRows} rows`);
+    if (result.sources.validationIssues.length > 0) {
+      console.log(`🚫 Validation issues: ${result.sources.validationIssues.length} rejected or coerced cells`);
+      for (const issue of result.sources.validationIssues.slice(0, 10)) {
+        console.log(`   ${issue.sheet} row ${issue.rowNumber}, ${issue.column}: ${issue.reason} (${issue.action})`);
+      }
+    }
+    console.log(`⚠️ Discrepancies: ${result.discrepancies.totalDiscrepancies}`);
+    for (const [key, value] of Object.entries(result.discrepancies)) {
+      if (key.endsWith('Count')) console.log(`   ${key}: ${value}`);
+    }
+    console.log(`🔁 Duplicate groups: ${result.duplicates.summary.totalDuplicateGroups}`);
+    for (const [report, fileName] of Object.entries(result.reports)) {
+      console.log(`📊 ${report}: exports/${fileName}`);
+    }
+
+    if (options.json) {
+      fs.writeFileSync(path.resolve(options.json), JSON.stringify(result, null, 2));
+      console.log(`💾 JSON result written to ${options.json}`);
+    }
+
+    await closeDb();
+    console.log('🎉 Comparison completed, shared tables untouched.');
+  } catch (error) {
+    console.error('💥 Error during workbook comparison:', error.message);
+    await closeDb().catch(() => {});
+    process.exit(1);
+  }
+})();
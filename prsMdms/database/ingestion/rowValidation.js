@@ -0,0 +1,178 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { PRS_MDMS_COLUMNS, TABLE_LABELS } from './columnMappings.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = path.join(__dirname, '../config/ingestionSchema.json');
+
+export const COLUMN_TYPES = ['integer', 'boolean', 'text'];
+export const ISSUE_ACTIONS = ['rejected', 'coerced'];
+
+const TRUE_VALUES = ['y', 'yes', 'true', '1'];
+const FALSE_VALUES = ['n', 'no', 'false', '0'];
+// prs and mdms store whole numbers as INT
+const MAX_INTEGER = 2147483647;
+
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+const isExcelError = (value) => Boolean(value) && typeof value === 'object' && 'error' in value;
+
+// Raw cell as text for the quarantine, e.g. '12A' or '#N/A'
+const cellText = (value) => {
+  if (isBlank(value)) return null;
+  if (isExcelError(value)) return String(value.error);
+  return value instanceof Date ? value.toISOString() : String(value);
+};
+
+// How a raw cell appears in a reason, e.g. "'12A'" or 'Excel error #N/A'
+const describe = (value) => (isExcelError(value) ? `Excel error ${value.error}` : `'${cellText(value)}'`);
+
+/**
+ * Convert a non-blank raw cell to a column type. Resolves to { value } or
+ * { reason } when the cell cannot be read as that type.
+ */
+export function convertValue(raw, type) {
+  if (type === 'integer') {
+    const text = typeof raw === 'number' ? String(raw) : typeof raw === 'string' ? raw.trim() : null;
+    if (text === null || !/^[+-]?\d+(\.0*)?$/.test(text)) return { reason: `${describe(raw)} is not a whole number` };
+    const value = parseInt(text, 10);
+    return Math.abs(value) > MAX_INTEGER ? { reason: `${describe(raw)} is out of range` } : { value };
+  }
+
+  if (type === 'boolean') {
+    if (typeof raw === 'boolean') return { value: raw };
+    const text = typeof raw === 'number' || typeof raw === 'string' ? String(raw).trim().toLowerCase() : null;
+    if (TRUE_VALUES.includes(text)) return { value: true };
+    if (FALSE_VALUES.includes(text)) return { value: false };
+    return { reason: `${describe(raw)} is not a yes/no value (expected one of ${[...TRUE_VALUES, ...FALSE_VALUES].join(', ')})` };
+  }
+
+  if (typeof raw === 'string') return { value: raw.trim() };
+  if (typeof raw === 'number' || typeof raw === 'boolean') return { value: String(raw) };
+  if (raw instanceof Date) return { value: cellText(raw) };
+  return { reason: `${describe(raw)} is not a text value` };
+}
+
+/**
+ * Validate the ingestion schema, returning error messages. Every table column
+ * needs a type; `required` columns reject rows they cannot be read from, and
+ * `default` fills blank optional cells (each reported as coerced by validateRows).
+ */
+export function validateIngestionSchema(schema) {
+  if (!schema || typeof schema !== 'object') return ['Ingestion schema must be an object with prs and mdms columns'];
+
+  const errors = [];
+  for (const [table, columns] of Object.entries(PRS_MDMS_COLUMNS)) {
+    const tableSchema = schema[table];
+    if (!tableSchema || typeof tableSchema !== 'object') {
+      errors.push(`${table}: missing`);
+      continue;
+    }
+    const unknown = Object.keys(tableSchema).filter(column => !columns.includes(column));
+    if (unknown.length > 0) errors.push(`${table}: unknown columns ${unknown.join(', ')}`);
+
+    for (const column of columns) {
+      const rule = tableSchema[column];
+      const where = `${table}.${column}`;
+      if (!rule || !COLUMN_TYPES.includes(rule.type)) {
+        errors.push(`${where}: type must be one of ${COLUMN_TYPES.join(', ')}`);
+        continue;
+      }
+      if (rule.required !== undefined && typeof rule.required !== 'boolean') {
+        errors.push(`${where}: required must be a boolean`);
+      }
+      if (rule.default !== undefined) {
+        if (rule.required) errors.push(`${where}: a required column cannot have a default`);
+        else if (isBlank(rule.default) || convertValue(rule.default, rule.type).reason) errors.push(`${where}: default must be a ${rule.type} value`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Read and validate the column rules from database/config/ingestionSchema.json
+ */
+export function loadIngestionSchema() {
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ingestion schema: ${error.message}`);
+  }
+  const errors = validateIngestionSchema(schema);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ingestion schema: ${errors.join('; ')}`);
+  }
+  return schema;
+}
+
+/**
+ * Validate mapped rows ({ rowNumber, values } as read by mapRawRows) against
+ * the schema and convert them to column types. A row whose required column is
+ * blank or unreadable is rejected; an unreadable optional cell is stored as
+ * NULL and a blank one with a default as the default, both reported as
+ * coerced. Resolves to { rows, issues }: the rows to insert, and one issue per
+ * rejected or coerced cell with the row's raw values.
+ */
+export function validateRows(mappedRows, table, schema, sheetName) {
+  const rows = [];
+  const issues = [];
+
+  for (const { rowNumber, values } of mappedRows) {
+    const row = {};
+    const rowIssues = [];
+    let rejected = false;
+
+    for (const column of PRS_MDMS_COLUMNS[table]) {
+      const rule = schema[table][column];
+      const raw = values[column];
+
+      if (isBlank(raw)) {
+        if (rule.required) {
+          rejected = true;
+          rowIssues.push({ column, reason: 'required value is missing' });
+        } else if (rule.default !== undefined) {
+          // A default is a guess at the missing value, so the owners get to see it
+          row[column] = convertValue(rule.default, rule.type).value;
+          rowIssues.push({ column, value: raw, reason: 'value is blank', storedAs: `the default ${row[column]}`, defaulted: true });
+        } else {
+          row[column] = null;
+        }
+        continue;
+      }
+
+      const converted = convertValue(raw, rule.type);
+      if (converted.reason) {
+        rejected = rejected || Boolean(rule.required);
+        rowIssues.push({ column, value: raw, reason: converted.reason, storedAs: 'NULL' });
+        row[column] = null;
+      } else {
+        row[column] = converted.value;
+      }
+    }
+
+    if (!rejected) rows.push(row);
+    // A rejected row stores nothing, so its defaults are not worth reporting
+    for (const issue of rowIssues.filter(issue => !(rejected && issue.defaulted))) {
+      issues.push({
+        table,
+        sheet: sheetName,
+        rowNumber,
+        column: issue.column,
+        value: cellText(issue.value),
+        action: rejected ? 'rejected' : 'coerced',
+        // Only optional cells are coerced, so the rest of the row was still stored
+        reason: rejected ? issue.reason : `${issue.reason}, stored as ${issue.storedAs}`,
+        rowValues: values
+      });
+    }
+  }
+
+  if (issues.length > 0) {
+    const rejectedRows = new Set(issues.filter(issue => issue.action === 'rejected').map(issue => issue.rowNumber)).size;
+    console.log(`🚫 ${TABLE_LABELS[table]} sheet '${sheetName}': ${rejectedRows} rows rejected, ${issues.length} cells quarantined`);
+  }
+  return { rows, issues };
+}
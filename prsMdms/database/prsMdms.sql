@@ -21,3 +21,289 @@ CREATE TABLE IF NOT EXISTS mdms (
   berth_no INT,
   berth_qualifier TEXT
 );
+
+
+CREATE TABLE IF NOT EXISTS match_rules (
+  name TEXT PRIMARY KEY,
+  definition JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+CREATE TABLE IF NOT EXISTS berth_type_mappings (
+  id SERIAL PRIMARY KEY,
+  prs_berth_type TEXT NOT NULL,
+  mdms_berth_qualifier TEXT NOT NULL,
+  description TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (prs_berth_type, mdms_berth_qualifier)
+);
+
+
+INSERT INTO berth_type_mappings (prs_berth_type, mdms_berth_qualifier, description) VALUES
+  ('LB', 'LOWER', 'Lower berth'),
+  ('MB', 'MIDDLE', 'Middle berth'),
+  ('UB', 'UPPER', 'Upper berth'),
+  ('SL', 'SIDE LOWER', 'Side lower berth'),
+  ('SU', 'SIDE UPPER', 'Side upper berth')
+ON CONFLICT (prs_berth_type, mdms_berth_qualifier) DO NOTHING;
+
+
+CREATE TABLE IF NOT EXISTS class_aliases (
+  id SERIAL PRIMARY KEY,
+  alias TEXT NOT NULL UNIQUE,
+  canonical_class TEXT NOT NULL,
+  description TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (alias <> canonical_class)
+);
+
+
+INSERT INTO class_aliases (alias, canonical_class, description) VALUES
+  ('AC1', '1A', 'AC first class'),
+  ('1AC', '1A', 'AC first class'),
+  ('AC2', '2A', 'AC two tier'),
+  ('2AC', '2A', 'AC two tier'),
+  ('AC3', '3A', 'AC three tier'),
+  ('3AC', '3A', 'AC three tier'),
+  ('SLR', 'SL', 'Sleeper')
+ON CONFLICT (alias) DO NOTHING;
+
+
+CREATE TABLE IF NOT EXISTS analysis_runs (
+  id SERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  triggered_by TEXT NOT NULL DEFAULT 'manual',
+  match_rule TEXT,
+  source_files JSONB,
+  total_discrepancies INT NOT NULL DEFAULT 0,
+  counts JSONB
+);
+
+
+CREATE TABLE IF NOT EXISTS analysis_run_discrepancies (
+  id SERIAL PRIMARY KEY,
+  run_id INT NOT NULL REFERENCES analysis_runs(id) ON DELETE CASCADE,
+  discrepancy_key TEXT NOT NULL,
+  discrepancy_type TEXT NOT NULL,
+  coach_code TEXT,
+  payload JSONB NOT NULL
+);
+
+
+CREATE INDEX IF NOT EXISTS idx_analysis_run_discrepancies_run_key
+  ON analysis_run_discrepancies (run_id, discrepancy_key);
+
+
+CREATE TABLE IF NOT EXISTS discrepancy_reviews (
+  discrepancy_id TEXT PRIMARY KEY,
+  discrepancy_key TEXT NOT NULL,
+  discrepancy_type TEXT NOT NULL,
+  coach_code TEXT,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'acknowledged', 'assigned', 'resolved', 'waived')),
+  assignee TEXT,
+  comment TEXT,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+CREATE TABLE IF NOT EXISTS discrepancy_review_history (
+  id SERIAL PRIMARY KEY,
+  discrepancy_id TEXT NOT NULL REFERENCES discrepancy_reviews(discrepancy_id) ON DELETE CASCADE,
+  status_from TEXT,
+  status_to TEXT NOT NULL,
+  assignee TEXT,
+  comment TEXT,
+  author TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+CREATE TABLE IF NOT EXISTS data_version (
+  id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+  version BIGINT NOT NULL DEFAULT 0,
+  reason TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+CREATE TABLE IF NOT EXISTS discrepancy_fix_batches (
+  id SERIAL PRIMARY KEY,
+  applied_at TIMESTAMPTZ DEFAULT NOW(),
+  applied_by TEXT,
+  match_rule TEXT,
+  sources_of_truth JSONB,
+  statement_count INT NOT NULL DEFAULT 0,
+  rows_affected INT NOT NULL DEFAULT 0
+);
+
+
+CREATE TABLE IF NOT EXISTS discrepancy_fix_audit (
+  id SERIAL PRIMARY KEY,
+  batch_id INT NOT NULL REFERENCES discrepancy_fix_batches(id) ON DELETE CASCADE,
+  discrepancy_id TEXT NOT NULL,
+  discrepancy_type TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('INSERT', 'UPDATE', 'DELETE')),
+  table_name TEXT NOT NULL,
+  row_id INT,
+  before_values JSONB,
+  after_values JSONB,
+  statement TEXT,
+  statement_params JSONB,
+  applied_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+CREATE TABLE IF NOT EXISTS quality_snapshots (
+  id SERIAL PRIMARY KEY,
+  recorded_at TIMESTAMPTZ DEFAULT NOW(),
+  triggered_by TEXT NOT NULL DEFAULT 'analysis',
+  data_version BIGINT NOT NULL,
+  match_rule TEXT NOT NULL,
+  -- Two rules can share a name (inline custom rules are all 'custom'), so
+  -- snapshots are keyed on the rule definition's hash
+  match_rule_hash TEXT NOT NULL,
+  quality_score NUMERIC(5, 2) NOT NULL,
+  quality_dimensions JSONB,
+  total_discrepancies INT NOT NULL DEFAULT 0,
+  discrepancy_counts JSONB,
+  duplicate_counts JSONB,
+  UNIQUE (data_version, match_rule_hash)
+);
+
+
+CREATE TABLE IF NOT EXISTS quality_snapshot_coaches (
+  id SERIAL PRIMARY KEY,
+  snapshot_id INT NOT NULL REFERENCES quality_snapshots(id) ON DELETE CASCADE,
+  coach_code TEXT,
+  quality_score NUMERIC(5, 2) NOT NULL,
+  quality_dimensions JSONB,
+  counts JSONB
+);
+
+
+CREATE INDEX IF NOT EXISTS idx_quality_snapshot_coaches_coach
+  ON quality_snapshot_coaches (LOWER(TRIM(coach_code)), snapshot_id);
+
+
+CREATE TABLE IF NOT EXISTS datasets (
+  id SERIAL PRIMARY KEY,
+  name TEXT UNIQUE,
+  description TEXT,
+  source_file TEXT,
+  prs_row_count INT NOT NULL DEFAULT 0,
+  mdms_row_count INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  -- Datasets are referenced by id or name, so names cannot look like ids
+  CHECK (name !~ '^[0-9]+$' AND LOWER(name) <> 'current')
+);
+
+
+CREATE TABLE IF NOT EXISTS dataset_prs (
+  dataset_id INT NOT NULL REFERENCES datasets(id) ON DELETE CASCADE,
+  id INT NOT NULL,
+  serial_no INT,
+  coach_code TEXT,
+  composite_flag BOOLEAN,
+  class TEXT,
+  berth_number INT,
+  berth_type TEXT,
+  PRIMARY KEY (dataset_id, id)
+);
+
+
+CREATE TABLE IF NOT EXISTS dataset_mdms (
+  dataset_id INT NOT NULL REFERENCES datasets(id) ON DELETE CASCADE,
+  id INT NOT NULL,
+  serial_no INT,
+  layout_variant_no TEXT,
+  composite_flag BOOLEAN,
+  coach_class_first TEXT,
+  coach_class_second TEXT,
+  prs_coach_code TEXT,
+  coach_class TEXT,
+  berth_no INT,
+  berth_qualifier TEXT,
+  PRIMARY KEY (dataset_id, id)
+);
+
+
+CREATE TABLE IF NOT EXISTS duplicate_resolutions (
+  id SERIAL PRIMARY KEY,
+  resolved_at TIMESTAMPTZ DEFAULT NOW(),
+  resolved_by TEXT,
+  table_name TEXT NOT NULL CHECK (table_name IN ('prs', 'mdms')),
+  duplicate_type TEXT,
+  strategy TEXT NOT NULL CHECK (strategy IN ('lowest_serial', 'latest', 'explicit')),
+  action TEXT NOT NULL CHECK (action IN ('archive', 'delete')),
+  group_count INT NOT NULL DEFAULT 0,
+  rows_removed INT NOT NULL DEFAULT 0
+);
+
+
+CREATE TABLE IF NOT EXISTS duplicate_resolution_audit (
+  id SERIAL PRIMARY KEY,
+  resolution_id INT NOT NULL REFERENCES duplicate_resolutions(id) ON DELETE RESTRICT,
+  group_key JSONB NOT NULL,
+  survivor_row_id INT NOT NULL,
+  survivor_serial_no INT,
+  row_id INT NOT NULL,
+  serial_no INT,
+  row_values JSONB NOT NULL,
+  resolved_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+
+CREATE TABLE IF NOT EXISTS duplicate_archive_prs (
+  resolution_id INT NOT NULL REFERENCES duplicate_resolutions(id) ON DELETE RESTRICT,
+  id INT NOT NULL,
+  serial_no INT,
+  coach_code TEXT,
+  composite_flag BOOLEAN,
+  class TEXT,
+  berth_number INT,
+  berth_type TEXT,
+  PRIMARY KEY (resolution_id, id)
+);
+
+
+CREATE TABLE IF NOT EXISTS duplicate_archive_mdms (
+  resolution_id INT NOT NULL REFERENCES duplicate_resolutions(id) ON DELETE RESTRICT,
+  id INT NOT NULL,
+  serial_no INT,
+  layout_variant_no TEXT,
+  composite_flag BOOLEAN,
+  coach_class_first TEXT,
+  coach_class_second TEXT,
+  prs_coach_code TEXT,
+  coach_class TEXT,
+  berth_no INT,
+  berth_qualifier TEXT,
+  PRIMARY KEY (resolution_id, id)
+);
+
+
+-- Rows an ingestion rejected and cells it coerced, one row per cell, kept with
+-- the dataset version the ingestion created
+CREATE TABLE IF NOT EXISTS ingestion_quarantine (
+  id SERIAL PRIMARY KEY,
+  dataset_id INT NOT NULL REFERENCES datasets(id) ON DELETE CASCADE,
+  table_name TEXT NOT NULL CHECK (table_name IN ('prs', 'mdms')),
+  sheet_name TEXT NOT NULL,
+  row_number INT NOT NULL,
+  column_name TEXT NOT NULL,
+  raw_value TEXT,
+  action TEXT NOT NULL CHECK (action IN ('rejected', 'coerced')),
+  reason TEXT NOT NULL,
+  row_values JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_quarantine_dataset
+  ON ingestion_quarantine (dataset_id, table_name, row_number);
@@ -0,0 +1,45 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCoachLayouts, validateCoachLayouts } from '../backend/services/coachLayouts.js';
+
+const BAY = ['LB', 'MB', 'UB', 'LB', 'MB', 'UB', 'SL', 'SU'];
+const layout = (fields) => ({ id: 'SL_72', classes: ['SL'], berthCount: 72, sequence: BAY, ...fields });
+
+describe('validateCoachLayouts', () => {
+  test('accepts the bundled layouts', () => {
+    assert.ok(loadCoachLayouts().length > 0);
+  });
+
+  test('accepts a berth count of whole sequences, plus trailing berths', () => {
+    assert.deepEqual(validateCoachLayouts([
+      layout(),
+      layout({ id: '3E_83', classes: ['3E'], berthCount: 83, sequence: BAY, trailing: ['LB', 'MB', 'UB'] })
+    ]), []);
+  });
+
+  test('rejects a berth count that leaves a partial sequence', () => {
+    assert.deepEqual(validateCoachLayouts([layout({ berthCount: 75 })]), [
+      'layout SL_72: berthCount 75 is not a whole number of 8-berth sequences'
+    ]);
+    assert.deepEqual(validateCoachLayouts([layout({ berthCount: 74, trailing: ['LB', 'UB', 'SL'] })]), [
+      'layout SL_72: berthCount 74 is not a whole number of 8-berth sequences plus 3 trailing berths'
+    ]);
+  });
+
+  test('rejects trailing berths as long as the sequence', () => {
+    assert.deepEqual(validateCoachLayouts([layout({ berthCount: 80, trailing: BAY })]), [
+      'layout SL_72: trailing must be an array of berth types shorter than the sequence'
+    ]);
+  });
+
+  test('reports malformed and repeated layouts', () => {
+    assert.deepEqual(validateCoachLayouts({}), ['Coach layouts must be a JSON array']);
+    assert.deepEqual(validateCoachLayouts([layout(), layout(), { id: 'bad id', classes: [], berthCount: 0, sequence: [] }]), [
+      'layout SL_72: duplicate id',
+      'layout bad id: id must be UPPER_SNAKE_CASE',
+      'layout bad id: classes must be a non-empty array of class codes',
+      'layout bad id: berthCount must be a positive integer',
+      'layout bad id: sequence must be a non-empty array of berth types'
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapHeaderRow, normaliseHeader } from '../database/ingestion/columnMappings.js';
+
+const profile = {
+  name: 'test',
+  sheets: {
+    prs: {
+      sheetPattern: '^PRS$',
+      columns: {
+        serial_no: ['S. No.', 'Serial No'],
+        coach_code: ['Coach Code'],
+        composite_flag: ['Composite Flag'],
+        class: ['Class'],
+        berth_number: ['Berth Number', 'Berth No'],
+        berth_type: ['Berth Type']
+      },
+      optional: ['composite_flag'],
+      ignoreHeaders: ['Remarks']
+    }
+  }
+};
+
+const rows = (...cellRows) => cellRows.map((cells, i) => ({ rowNumber: i + 1, cells }));
+
+describe('normaliseHeader', () => {
+  test('ignores case, spacing and punctuation', () => {
+    assert.equal(normaliseHeader(' S. No. '), 'sno');
+    assert.equal(normaliseHeader(null), '');
+  });
+});
+
+describe('mapHeaderRow', () => {
+  test('maps headers in any order to their cell index', () => {
+    const result = mapHeaderRow(rows(['Berth Type', 'S. No.', 'coach code', 'Class', 'BERTH NO']), 'prs', profile, 'PRS');
+    assert.deepEqual(result, {
+      headerRowNumber: 1,
+      columns: { berth_type: 0, serial_no: 1, coach_code: 2, class: 3, berth_number: 4 }
+    });
+  });
+
+  test('finds the header row below titles and blank rows', () => {
+    const result = mapHeaderRow(rows(
+      ['PRS berth export'],
+      [],
+      [null, 'Serial No', 'Coach Code', 'Class', 'Berth Number', 'Berth Type', 'Composite Flag']
+    ), 'prs', profile, 'PRS');
+    assert.equal(result.headerRowNumber, 3);
+    assert.equal(result.columns.serial_no, 1);
+    assert.equal(result.columns.composite_flag, 6);
+  });
+
+  test('stops at the first empty header cell and skips ignored headers', () => {
+    const result = mapHeaderRow(rows(
+      ['S. No.', 'Coach Code', 'Class', 'Berth No', 'Berth Type', 'Remarks', null, 'Notes']
+    ), 'prs', profile, 'PRS');
+    assert.equal(result.errors, undefined);
+    assert.equal(Object.keys(result.columns).length, 5);
+  });
+
+  test('reports unknown, repeated and missing headers', () => {
+    const result = mapHeaderRow(rows(['S. No.', 'Serial No', 'Coach Code', 'Class', 'Berth No', 'Seat Colour']), 'prs', profile, 'PRS');
+    assert.deepEqual(result.errors, [
+      "PRS sheet 'PRS' (mapping profile 'test'): headers 'S. No.' and 'Serial No' (column B) both map to serial_no",
+      "PRS sheet 'PRS' (mapping profile 'test'): unknown header 'Seat Colour' in column F",
+      "PRS sheet 'PRS' (mapping profile 'test'): missing column berth_type (expected a header such as 'Berth Type')"
+    ]);
+  });
+
+  test('reports a sheet without a header row', () => {
+    const result = mapHeaderRow(rows(['PRS berth export'], [1, 'A1']), 'prs', profile, 'PRS');
+    assert.match(result.errors[0], /no header row found in the first 10 rows/);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDiscrepancyId, buildDiscrepancyKey, numberDiscrepancyRows } from '../backend/services/prsMdms.js';
+
+const mismatch = {
+  serialNo: 3,
+  coachCode: 'CC1',
+  prsClass: 'CC',
+  mdmsClass: 'CC',
+  berthNumber: 1,
+  berthType: 'WS',
+  berthQualifier: 'AS',
+  discrepancyType: 'TYPE_MISMATCH',
+  occurrence: 1
+};
+
+describe('buildDiscrepancyId', () => {
+  test('ignores serial numbers, so reseeded rows keep their id', () => {
+    assert.equal(buildDiscrepancyId({ ...mismatch, serialNo: 99 }), buildDiscrepancyId(mismatch));
+  });
+
+  test('tells apart rows whose coach codes differ only in case and spacing', () => {
+    const other = { ...mismatch, serialNo: 12, coachCode: 'cc1 ' };
+    assert.equal(buildDiscrepancyKey(other).split('|').slice(0, 4).join('|'), buildDiscrepancyKey(mismatch).split('|').slice(0, 4).join('|'));
+    assert.notEqual(buildDiscrepancyId(other), buildDiscrepancyId(mismatch));
+  });
+
+  test('tells apart missing records at the same berth with different berth types', () => {
+    const lower = { ...mismatch, discrepancyType: 'MISSING_IN_PRS', coachCode: 'CC4', prsClass: null, berthType: 'N/A', berthQualifier: 'LOWER' };
+    const upper = { ...lower, serialNo: 10, berthQualifier: 'UPPER' };
+    assert.notEqual(buildDiscrepancyId(upper), buildDiscrepancyId(lower));
+  });
+
+  test('tells apart identical rows by their occurrence', () => {
+    assert.notEqual(buildDiscrepancyId({ ...mismatch, occurrence: 2 }), buildDiscrepancyId(mismatch));
+  });
+
+  test('keeps a missing value apart from an empty one', () => {
+    assert.notEqual(buildDiscrepancyId({ ...mismatch, coachCode: null }), buildDiscrepancyId({ ...mismatch, coachCode: '' }));
+  });
+});
+
+describe('numberDiscrepancyRows', () => {
+  test('numbers rows within the reported columns, ordered by serial number', () => {
+    const sql = numberDiscrepancyRows('SELECT * FROM prs');
+    assert.match(sql, /PARTITION BY discrepancy_type, coach_code, prs_class, mdms_class, berth_number, berth_type, berth_qualifier/);
+    assert.match(sql, /ORDER BY serial_no, details/);
+    assert.match(sql, /FROM \(SELECT \* FROM prs\n\) findings/);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { addLineCharts, buildLineChartXml, sheetRange } from '../backend/services/excelCharts.js';
+
+const buildWorkbook = () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Summary').addRow(['Report']);
+  const sheet = workbook.addWorksheet('Quality Trend');
+  sheet.columns = [{ header: 'Recorded At', key: 'recordedAt' }, { header: 'Quality Score', key: 'qualityScore' }];
+  sheet.addRow({ recordedAt: new Date('2026-01-01T10:00:00Z'), qualityScore: 61.5 });
+  sheet.addRow({ recordedAt: new Date('2026-01-02T10:00:00Z'), qualityScore: 64.2 });
+  return workbook;
+};
+
+const chart = { title: 'Quality Score', categories: 'A2:A3', series: [{ name: 'B1', values: 'B2:B3' }], from: { col: 3, row: 0 }, to: { col: 12, row: 18 } };
+
+describe('sheetRange', () => {
+  test('makes references absolute and quotes the sheet name', () => {
+    assert.equal(sheetRange("Coach's Trend", 'D2:D9'), "'Coach''s Trend'!$D$2:$D$9");
+  });
+});
+
+describe('buildLineChartXml', () => {
+  test('adds one line per series over the shared categories', () => {
+    const xml = buildLineChartXml('Quality Trend', { ...chart, series: [...chart.series, { name: 'C1', values: 'C2:C3' }] });
+    assert.equal(xml.match(/<c:ser>/g).length, 2);
+    assert.match(xml, /<c:cat><c:numRef><c:f>'Quality Trend'!\$A\$2:\$A\$3<\/c:f>/);
+    assert.match(xml, /<c:val><c:numRef><c:f>'Quality Trend'!\$C\$2:\$C\$3<\/c:f>/);
+  });
+});
+
+describe('addLineCharts', () => {
+  test('adds the chart parts and links them to the named sheet', async () => {
+    const buffer = await addLineCharts(await buildWorkbook().xlsx.writeBuffer(), 'Quality Trend', [chart]);
+    const zip = await JSZip.loadAsync(buffer);
+
+    assert.ok(zip.file('xl/charts/chart1.xml'));
+    assert.match(await zip.file('xl/drawings/_rels/drawing1.xml.rels').async('string'), /Target="\.\.\/charts\/chart1\.xml"/);
+    assert.match(await zip.file('xl/worksheets/_rels/sheet2.xml.rels').async('string'), /Target="\.\.\/drawings\/drawing1\.xml"/);
+    assert.match(await zip.file('xl/worksheets/sheet2.xml').async('string'), /<pageSetup [^>]*\/><drawing r:id="rIdDrawing1"\/><\/worksheet>/);
+    assert.doesNotMatch(await zip.file('xl/worksheets/sheet1.xml').async('string'), /<drawing /);
+
+    const contentTypes = await zip.file('[Content_Types].xml').async('string');
+    assert.match(contentTypes, /PartName="\/xl\/charts\/chart1\.xml"/);
+    assert.match(contentTypes, /PartName="\/xl\/drawings\/drawing1\.xml"/);
+  });
+
+  test('leaves a workbook ExcelJS can read back', async () => {
+    const buffer = await addLineCharts(await buildWorkbook().xlsx.writeBuffer(), 'Quality Trend', [chart]);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    assert.equal(workbook.getWorksheet('Quality Trend').getCell('B3').value, 64.2);
+  });
+
+  test('rejects an unknown sheet', async () => {
+    await assert.rejects(addLineCharts(await buildWorkbook().xlsx.writeBuffer(), 'Trends', [chart]), /Worksheet 'Trends' not found/);
+  });
+});
@@ -0,0 +1,7 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileTimestamp } from '../backend/services/fileTimestamp.js';
+
+test('fileTimestamp formats the local date and time for file names', () => {
+  assert.equal(fileTimestamp(new Date(2025, 5, 8, 7, 3, 9)), '2025-06-08_07-03-09');
+});
@@ -0,0 +1,66 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFileType, parseCsv, readSourceSheets } from '../database/ingestion/ingestionReaders.js';
+
+describe('parseCsv', () => {
+  test('reads rows of cells with empty cells as null', () => {
+    assert.deepEqual(parseCsv('a,b,c\r\n1,,3\r\n'), [['a', 'b', 'c'], ['1', null, '3']]);
+  });
+
+  test('keeps line breaks and delimiters inside quoted values', () => {
+    assert.deepEqual(parseCsv('code,note\nA1,"first line\nsecond, line"\nA2,x\n'), [
+      ['code', 'note'],
+      ['A1', 'first line\nsecond, line'],
+      ['A2', 'x']
+    ]);
+  });
+
+  test('reads doubled quotes as one quote', () => {
+    assert.deepEqual(parseCsv('a,b\n"say ""LB""",2\n'), [['a', 'b'], ['say "LB"', '2']]);
+  });
+
+  test('skips blank lines and a byte order mark', () => {
+    assert.deepEqual(parseCsv('﻿a,b\n\n1,2\n,\n'), [['a', 'b'], ['1', '2']]);
+  });
+
+  test('throws on an unterminated quoted value', () => {
+    assert.throws(() => parseCsv('a,b\n"open,2\n'), /Unterminated quoted value/);
+  });
+
+  describe('delimiter detection', () => {
+    for (const [name, delimiter] of [['semicolon', ';'], ['tab', '\t'], ['pipe', '|'], ['comma', ',']]) {
+      test(`detects a ${name}`, () => {
+        const text = ['a', 'b', 'c'].join(delimiter) + '\n' + ['1', '2', '3'].join(delimiter) + '\n';
+        assert.deepEqual(parseCsv(text), [['a', 'b', 'c'], ['1', '2', '3']]);
+      });
+    }
+
+    test('ignores delimiters inside quoted headers', () => {
+      assert.deepEqual(parseCsv('"S. No.; Serial","Coach; Code"\n1,A1\n'), [['S. No.; Serial', 'Coach; Code'], ['1', 'A1']]);
+    });
+
+    test('looks past a first line that misleads', () => {
+      // The header has more commas than semicolons, but only semicolons split every line alike
+      const text = 'Coach, Code, Name;Berth\nA1;1\nA1;2\nA1;3\n';
+      assert.deepEqual(parseCsv(text), [['Coach, Code, Name', 'Berth'], ['A1', '1'], ['A1', '2'], ['A1', '3']]);
+    });
+  });
+});
+
+describe('detectFileType', () => {
+  test('picks the reader by extension, ignoring case', () => {
+    assert.equal(detectFileType('data/PRS.CSV'), 'csv');
+    assert.equal(detectFileType('data/export.xlsx'), 'excel');
+    assert.equal(detectFileType('data/export.json'), 'json');
+  });
+
+  test('has no reader for legacy .xls workbooks', () => {
+    assert.equal(detectFileType('data/export.xls'), null);
+  });
+});
+
+describe('readSourceSheets', () => {
+  test('rejects legacy .xls workbooks with a clear message', async () => {
+    await assert.rejects(readSourceSheets(['data/export.xls']), /legacy \.xls workbook.*save it as \.xlsx/);
+  });
+});
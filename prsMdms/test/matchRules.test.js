@@ -0,0 +1,66 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PRESET_MATCH_RULES, buildRuleSource, hashMatchRule, normaliseExpression } from '../backend/services/matchRules.js';
+
+describe('normaliseExpression', () => {
+  test('leaves a column without normalisers as is', () => {
+    assert.equal(normaliseExpression('p.coach_code'), 'p.coach_code');
+  });
+
+  test('applies normalisers in a fixed order, trim outermost', () => {
+    assert.equal(normaliseExpression('p.coach_code', { trim: true, case: 'lower' }), 'TRIM(LOWER(p.coach_code))');
+    assert.equal(normaliseExpression('p.berth_number', { cast: 'int' }), 'p.berth_number::INT');
+  });
+
+  test('strips whitespace before punctuation', () => {
+    assert.equal(
+      normaliseExpression('t.coach_code', { stripWhitespace: true, stripPunctuation: true, case: 'upper' }),
+      "UPPER(REGEXP_REPLACE(REGEXP_REPLACE(t.coach_code::TEXT, '[[:space:]\\u00a0\\u200b\\ufeff]+', '', 'g')::TEXT, '[^[:alnum:][:space:]]+', '', 'g'))"
+    );
+  });
+
+  test('reads the canonical class column the rule source adds', () => {
+    assert.equal(normaliseExpression('p.class', { classAliases: true, trim: true, case: 'lower' }), 'TRIM(LOWER(p.class_canonical))');
+  });
+
+  test('looks a single value up in class_aliases with aliasLookup', () => {
+    const expr = normaliseExpression("'3A'", { classAliases: true }, { aliasLookup: true });
+    assert.match(expr, /^COALESCE\(\(\s+SELECT ca\.canonical_class FROM class_aliases ca\s+WHERE ca\.alias = UPPER\(TRIM\('3A'\)\)\s+\), '3A'\)$/);
+  });
+});
+
+describe('buildRuleSource', () => {
+  test('uses the plain table when the rule resolves no class aliases', () => {
+    const rule = { keys: [{ role: 'coach', prs: 'coach_code', mdms: 'prs_coach_code', normalise: { trim: true } }] };
+    assert.equal(buildRuleSource(rule, 'prs'), 'prs');
+  });
+
+  test('resolves class aliases in the default rule', () => {
+    assert.match(buildRuleSource(PRESET_MATCH_RULES.default, 'prs'), /LEFT JOIN class_aliases ca0 ON ca0\.alias = UPPER\(TRIM\(t\.class\)\)/);
+  });
+
+  test('joins class_aliases once per aliased column', () => {
+    const source = buildRuleSource(PRESET_MATCH_RULES.default, 'mdms', ['coach_class_first']);
+    assert.match(source, /COALESCE\(ca0\.canonical_class, t\.coach_class\) as coach_class_canonical/);
+    assert.match(source, /LEFT JOIN class_aliases ca1 ON ca1\.alias = UPPER\(TRIM\(t\.coach_class_first\)\)/);
+  });
+});
+
+describe('hashMatchRule', () => {
+  test('ignores key order and the description', () => {
+    const rule = PRESET_MATCH_RULES.default;
+    const reordered = JSON.parse(JSON.stringify({ compare: rule.compare, keys: rule.keys, name: rule.name }));
+    assert.equal(hashMatchRule(reordered), hashMatchRule({ ...rule, description: 'changed' }));
+    assert.match(hashMatchRule(rule), /^[0-9a-f]{12}$/);
+  });
+
+  test('tells apart rules that share a name', () => {
+    const custom = { ...PRESET_MATCH_RULES.default, compare: [] };
+    assert.notEqual(hashMatchRule(custom), hashMatchRule(PRESET_MATCH_RULES.default));
+  });
+
+  test('names unnamed rules custom', () => {
+    const { keys, compare } = PRESET_MATCH_RULES.default;
+    assert.equal(hashMatchRule({ keys, compare }), hashMatchRule({ name: 'custom', keys, compare }));
+  });
+});
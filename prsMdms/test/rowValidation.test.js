@@ -0,0 +1,122 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertValue, validateIngestionSchema, validateRows } from '../database/ingestion/rowValidation.js';
+
+const schema = {
+  prs: {
+    serial_no: { type: 'integer', required: true },
+    coach_code: { type: 'text' },
+    composite_flag: { type: 'boolean' },
+    class: { type: 'text' },
+    berth_number: { type: 'integer' },
+    berth_type: { type: 'text', default: 'LB' }
+  }
+};
+
+const prsRow = (rowNumber, values) => ({
+  rowNumber,
+  values: { serial_no: null, coach_code: null, composite_flag: null, class: null, berth_number: null, berth_type: 'LB', ...values }
+});
+
+describe('convertValue', () => {
+  test('reads whole numbers from numbers and text', () => {
+    assert.deepEqual(convertValue(12, 'integer'), { value: 12 });
+    assert.deepEqual(convertValue(' 12 ', 'integer'), { value: 12 });
+    assert.deepEqual(convertValue('12.0', 'integer'), { value: 12 });
+  });
+
+  test('rejects fractions, text and out of range numbers as integers', () => {
+    assert.deepEqual(convertValue('12A', 'integer'), { reason: "'12A' is not a whole number" });
+    assert.deepEqual(convertValue(1.5, 'integer'), { reason: "'1.5' is not a whole number" });
+    assert.deepEqual(convertValue('9999999999', 'integer'), { reason: "'9999999999' is out of range" });
+  });
+
+  test('reads yes/no values as booleans', () => {
+    for (const raw of [true, 'Y', 'yes', 'TRUE', 1]) assert.deepEqual(convertValue(raw, 'boolean'), { value: true });
+    for (const raw of [false, 'n', 'No', 'false', 0]) assert.deepEqual(convertValue(raw, 'boolean'), { value: false });
+    assert.match(convertValue('maybe', 'boolean').reason, /^'maybe' is not a yes\/no value/);
+  });
+
+  test('reads text, numbers and dates as trimmed text', () => {
+    assert.deepEqual(convertValue('  LB ', 'text'), { value: 'LB' });
+    assert.deepEqual(convertValue(42, 'text'), { value: '42' });
+    assert.deepEqual(convertValue(new Date('2024-01-02T00:00:00Z'), 'text'), { value: '2024-01-02T00:00:00.000Z' });
+  });
+
+  test('describes Excel error cells', () => {
+    assert.deepEqual(convertValue({ error: '#N/A' }, 'integer'), { reason: 'Excel error #N/A is not a whole number' });
+  });
+});
+
+describe('validateIngestionSchema', () => {
+  test('accepts a schema with every column typed', () => {
+    const full = { ...schema, mdms: Object.fromEntries(
+      ['serial_no', 'layout_variant_no', 'composite_flag', 'coach_class_first', 'coach_class_second', 'prs_coach_code', 'coach_class', 'berth_no', 'berth_qualifier']
+        .map(column => [column, { type: 'text' }])
+    ) };
+    assert.deepEqual(validateIngestionSchema(full), []);
+  });
+
+  test('reports untyped, unknown and defaulted required columns', () => {
+    const errors = validateIngestionSchema({
+      prs: { ...schema.prs, serial_no: { type: 'integer', required: true, default: 1 }, class: {}, seat: { type: 'text' } },
+      mdms: {}
+    });
+    assert.ok(errors.includes('prs: unknown columns seat'));
+    assert.ok(errors.includes('prs.serial_no: a required column cannot have a default'));
+    assert.ok(errors.includes('prs.class: type must be one of integer, boolean, text'));
+    assert.ok(errors.includes('mdms.serial_no: type must be one of integer, boolean, text'));
+  });
+});
+
+describe('validateRows', () => {
+  test('converts valid rows to column types', () => {
+    const { rows, issues } = validateRows([
+      prsRow(2, { serial_no: '1', coach_code: ' A1 ', composite_flag: 'Y', class: '3A', berth_number: 7, berth_type: 'UB' })
+    ], 'prs', schema, 'PRS');
+    assert.deepEqual(rows, [{ serial_no: 1, coach_code: 'A1', composite_flag: true, class: '3A', berth_number: 7, berth_type: 'UB' }]);
+    assert.deepEqual(issues, []);
+  });
+
+  test('rejects a row whose required column is blank or unreadable', () => {
+    const { rows, issues } = validateRows([
+      prsRow(2, { serial_no: ' ', coach_code: 'A1' }),
+      prsRow(3, { serial_no: 'x1', coach_code: 'A1' })
+    ], 'prs', schema, 'PRS');
+    assert.deepEqual(rows, []);
+    assert.deepEqual(issues.map(({ rowNumber, column, value, action, reason }) => ({ rowNumber, column, value, action, reason })), [
+      { rowNumber: 2, column: 'serial_no', value: null, action: 'rejected', reason: 'required value is missing' },
+      { rowNumber: 3, column: 'serial_no', value: 'x1', action: 'rejected', reason: "'x1' is not a whole number" }
+    ]);
+    assert.equal(issues[0].rowValues.coach_code, 'A1');
+  });
+
+  test('stores an unreadable optional cell as NULL and reports it as coerced', () => {
+    const { rows, issues } = validateRows([prsRow(4, { serial_no: 5, berth_number: '12A' })], 'prs', schema, 'PRS');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].berth_number, null);
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].action, 'coerced');
+    assert.equal(issues[0].reason, "'12A' is not a whole number, stored as NULL");
+  });
+
+  test('stores blank optional cells as NULL', () => {
+    const { rows, issues } = validateRows([prsRow(2, { serial_no: 1, berth_type: 'UB', composite_flag: '' })], 'prs', schema, 'PRS');
+    assert.equal(rows[0].composite_flag, null);
+    assert.deepEqual(issues, []);
+  });
+
+  test('fills a blank cell with the column default and reports it as coerced', () => {
+    const { rows, issues } = validateRows([prsRow(2, { serial_no: 1, berth_type: ' ' })], 'prs', schema, 'PRS');
+    assert.equal(rows[0].berth_type, 'LB');
+    assert.deepEqual(issues.map(({ column, value, action, reason }) => ({ column, value, action, reason })), [
+      { column: 'berth_type', value: null, action: 'coerced', reason: 'value is blank, stored as the default LB' }
+    ]);
+  });
+
+  test('reports every issue of a rejected row as rejected, apart from defaults', () => {
+    const { rows, issues } = validateRows([prsRow(6, { serial_no: null, berth_number: 'x', berth_type: null })], 'prs', schema, 'PRS');
+    assert.deepEqual(rows, []);
+    assert.deepEqual(issues.map(issue => [issue.column, issue.action]), [['serial_no', 'rejected'], ['berth_number', 'rejected']]);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsvLine } from '../backend/services/streamExport.js';
+
+describe('toCsvLine', () => {
+  test('quotes values with commas, quotes or line breaks', () => {
+    assert.equal(toCsvLine(['CC1', 'a, b', 'say "hi"', null]), 'CC1,"a, b","say ""hi""",\n');
+  });
+
+  test('joins arrays with spaces', () => {
+    assert.equal(toCsvLine([[3, 12]]), '3 12\n');
+  });
+
+  test('prefixes text that a spreadsheet would run as a formula', () => {
+    assert.equal(toCsvLine(['=HYPERLINK("x")', '+1', '-2', '@SUM(A1)', '\tTAB']), `"'=HYPERLINK(""x"")",'+1,'-2,'@SUM(A1),'\tTAB\n`);
+  });
+
+  test('writes negative numbers as numbers', () => {
+    assert.equal(toCsvLine([-5, 'CC-5']), '-5,CC-5\n');
+  });
+});
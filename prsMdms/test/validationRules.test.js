@@ -0,0 +1,83 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRuleQuery, findUnsharedRegexSyntax, validateValidationRules } from '../backend/services/validationRules.js';
+
+// Collapse whitespace so assertions do not depend on the SQL layout
+const flat = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+describe('findUnsharedRegexSyntax', () => {
+  test('accepts syntax PostgreSQL and JavaScript share', () => {
+    for (const pattern of ['^[A-Z]{2,3}\\d+$', '^(?:LB|MB|UB)$', '[^\\s-]+', '\\.\\*', '(LB)\\1', 'U(?=B)', 'L(?!B)']) {
+      assert.equal(findUnsharedRegexSyntax(pattern), null, pattern);
+    }
+  });
+
+  test('reports escapes read differently', () => {
+    assert.equal(findUnsharedRegexSyntax('\\bLB\\b'), 'escape \\b');
+    assert.equal(findUnsharedRegexSyntax('\\y3A'), 'escape \\y');
+    assert.equal(findUnsharedRegexSyntax('[\\D]'), 'escape \\D inside brackets');
+  });
+
+  test('reports bracket expressions and groups only one side knows', () => {
+    assert.equal(findUnsharedRegexSyntax('[[:alpha:]]'), 'bracket expression [:');
+    assert.equal(findUnsharedRegexSyntax('[]A]'), 'a bracket expression starting with ]');
+    assert.equal(findUnsharedRegexSyntax('[^]A]'), 'a bracket expression starting with ]');
+    assert.equal(findUnsharedRegexSyntax('(?<class>\\w+)'), 'group (?<');
+  });
+});
+
+describe('validateValidationRules', () => {
+  const rule = (check, extra = {}) => ({ id: 'TEST_RULE', description: 'test', severity: 'error', tables: ['prs'], check, ...extra });
+
+  test('rejects patterns PostgreSQL would read differently', () => {
+    const errors = validateValidationRules([rule({ type: 'pattern', field: 'coachCode', pattern: '\\bA' })]);
+    assert.ok(errors.some(error => error.includes('pattern uses escape \\b, which PostgreSQL and JavaScript regular expressions read differently')), errors.join('; '));
+  });
+
+  test('allows includeMappedBerthTypes only on berthType', () => {
+    assert.deepEqual(validateValidationRules([rule({ type: 'allowedValues', field: 'berthType', values: [], includeMappedBerthTypes: true })]), []);
+    assert.ok(validateValidationRules([rule({ type: 'allowedValues', field: 'class', values: ['3A'], includeMappedBerthTypes: true })]).length > 0);
+  });
+});
+
+describe('buildRuleQuery', () => {
+  test('resolves rule fields to the table columns', () => {
+    const { sql, params } = buildRuleQuery({ check: { type: 'notNull', field: 'class' } }, 'mdms');
+    assert.match(flat(sql), /r\.coach_class::TEXT as value FROM mdms r WHERE NULLIF\(NULLIF\(TRIM\(r\.coach_class::TEXT\), ''\), 'NULL'\) IS NULL/);
+    assert.deepEqual(params, []);
+  });
+
+  test('passes values as parameters, upper-cased', () => {
+    const { sql, params } = buildRuleQuery({
+      where: { field: 'class', in: ['sl'] },
+      check: { type: 'allowedValues', field: 'berthType', values: ['lb', 'UB'] }
+    }, 'prs');
+    assert.deepEqual(params, [['SL'], ['LB', 'UB']]);
+    assert.match(flat(sql), /UPPER\(TRIM\(r\.class::TEXT\)\) = ANY\(\$1::text\[\]\) AND r\.berth_type IS NOT NULL AND UPPER\(TRIM\(r\.berth_type::TEXT\)\) <> ALL\(\$2::text\[\]\)/);
+    assert.doesNotMatch(sql, /berth_type_mappings/);
+  });
+
+  test('accepts codes berth_type_mappings maps for the table', () => {
+    const { sql, params } = buildRuleQuery({ check: { type: 'allowedValues', field: 'berthType', includeMappedBerthTypes: true } }, 'mdms');
+    assert.deepEqual(params, [[]]);
+    assert.match(flat(sql), /NOT EXISTS \( SELECT 1 FROM berth_type_mappings btm WHERE btm\.mdms_berth_qualifier = UPPER\(TRIM\(r\.berth_qualifier::TEXT\)\) \)/);
+  });
+
+  test('checks ranges with only the bounds given', () => {
+    const { sql, params } = buildRuleQuery({ check: { type: 'range', field: 'berthNumber', min: 1, max: 80 } }, 'mdms');
+    assert.deepEqual(params, [1, 80]);
+    assert.match(flat(sql), /\(r\.berth_no::NUMERIC < \$1 OR r\.berth_no::NUMERIC > \$2\)/);
+    assert.deepEqual(buildRuleQuery({ check: { type: 'range', field: 'berthNumber', min: 1 } }, 'prs').params, [1]);
+  });
+
+  test('passes patterns to PostgreSQL as a parameter', () => {
+    const { sql, params } = buildRuleQuery({ check: { type: 'pattern', field: 'coachCode', pattern: '^[A-Z0-9]+$' } }, 'mdms');
+    assert.deepEqual(params, ['^[A-Z0-9]+$']);
+    assert.match(flat(sql), /r\.prs_coach_code::TEXT !~ \$1/);
+  });
+
+  test('counts unique fields over a window', () => {
+    const { sql } = buildRuleQuery({ check: { type: 'unique', fields: ['serialNo', 'class'] } }, 'prs');
+    assert.match(flat(sql), /FROM \(SELECT t\.\*, COUNT\(\*\) OVER \(PARTITION BY t\.serial_no, t\.class\) as group_count FROM prs t\) r WHERE r\.group_count > 1/);
+  });
+});